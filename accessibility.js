@@ -0,0 +1,231 @@
+// Accessibility options for Endless Driver
+// Colour-blind-safe palettes (with shape cues on obstacles), reduced motion,
+// one-switch play and a slower game speed, kept in localStorage like the other
+// settings. Also the lane cycler that one-switch play drives with, and the
+// text read out to screen readers through the HUD's live regions.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage'));
+    } else {
+        root.Accessibility = factory(root.SavedData);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SavedData) {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const DEFAULT_KEY = 'endless-driver.accessibility';
+    const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+    // Palettes are laid over the theme's colours (see AssetManager), built on
+    // the Okabe-Ito colours so each obstacle stays distinct for that kind of
+    // colour vision. Fields:
+    //   label    Name shown in settings
+    //   colors   Theme colour overrides, or null to keep the theme's own
+    const PALETTES = {
+        standard: { label: 'Standard', colors: null },
+        redGreen: {
+            label: 'Red-green safe',
+            colors: {
+                marker: '#f0e442',
+                warning: 'rgba(240, 228, 66, 0.9)',
+                shieldGlow: 'rgba(86, 180, 233, 0.45)',
+                obstacles: {
+                    car: '#e69f00',
+                    truck: '#56b4e9',
+                    swerver: '#f2f2f2',
+                    oil: '#009e73',
+                    roadblock: '#f0e442'
+                },
+                pickups: {
+                    coin: '#f0e442',
+                    shield: '#56b4e9',
+                    magnet: '#cc79a7',
+                    slowmo: '#ffffff',
+                    multiplier: '#e69f00'
+                }
+            }
+        },
+        blueYellow: {
+            label: 'Blue-yellow safe',
+            colors: {
+                marker: '#ff8bd1',
+                warning: 'rgba(255, 255, 255, 0.9)',
+                shieldGlow: 'rgba(0, 194, 194, 0.45)',
+                obstacles: {
+                    car: '#d55e00',
+                    truck: '#00c2c2',
+                    swerver: '#ff8bd1',
+                    oil: '#8c8c8c',
+                    roadblock: '#ffffff'
+                },
+                pickups: {
+                    coin: '#f2f2f2',
+                    shield: '#00c2c2',
+                    magnet: '#ff8bd1',
+                    slowmo: '#ffffff',
+                    multiplier: '#d55e00'
+                }
+            }
+        }
+    };
+
+    const PALETTE_IDS = Object.keys(PALETTES);
+    const REDUCED_MOTION_MODES = ['auto', 'on', 'off']; // 'auto' follows the system setting
+
+    // Game speed multipliers offered by the speed assist
+    const SPEED_ASSISTS = [1, 0.9, 0.8, 0.7, 0.6, 0.5];
+
+    const DEFAULT_SETTINGS = {
+        palette: 'standard',
+        shapeCues: false,
+        reducedMotion: 'auto',
+        oneSwitch: false,
+        speedAssist: 1
+    };
+
+    // Score is read out each time it passes a multiple of this
+    const SCORE_STEP = 100;
+
+    function defaultMatchMedia() {
+        return typeof matchMedia === 'function' ? query => matchMedia(query) : null;
+    }
+
+    function sanitizeSettings(data) {
+        const source = data && typeof data === 'object' ? data : {};
+        return {
+            palette: PALETTES[source.palette] ? source.palette : DEFAULT_SETTINGS.palette,
+            shapeCues: source.shapeCues === true,
+            reducedMotion: REDUCED_MOTION_MODES.includes(source.reducedMotion) ? source.reducedMotion : DEFAULT_SETTINGS.reducedMotion,
+            oneSwitch: source.oneSwitch === true,
+            speedAssist: SPEED_ASSISTS.includes(source.speedAssist) ? source.speedAssist : DEFAULT_SETTINGS.speedAssist
+        };
+    }
+
+    class AccessibilitySettings {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : SavedData.defaultStorage();
+            this.key = options.key || DEFAULT_KEY;
+            this.matchMedia = options.matchMedia !== undefined ? options.matchMedia : defaultMatchMedia();
+            this.settings = sanitizeSettings(null);
+            this.load();
+        }
+
+        load() {
+            this.settings = sanitizeSettings(null);
+            SavedData.load(this.storage, this.key, (data) => {
+                SavedData.checkVersion(data, SCHEMA_VERSION, 'accessibility settings');
+                this.settings = sanitizeSettings(data);
+            }, 'Accessibility settings unreadable, using defaults:');
+        }
+
+        save() {
+            SavedData.save(this.storage, this.key, Object.assign({ version: SCHEMA_VERSION }, this.settings), 'Could not save accessibility settings:');
+        }
+
+        // Invalid values fall back to the default rather than throwing, as
+        // they come straight from form controls
+        set(option, value) {
+            if (!(option in DEFAULT_SETTINGS)) {
+                throw new Error(`Unknown accessibility option: ${option}`);
+            }
+            this.settings = sanitizeSettings(Object.assign({}, this.settings, { [option]: value }));
+            this.save();
+        }
+
+        // Colour overrides for the chosen palette, or null
+        get palette() {
+            return PALETTES[this.settings.palette].colors;
+        }
+
+        get systemReducedMotion() {
+            return this.matchMedia !== null && this.matchMedia(REDUCED_MOTION_QUERY).matches;
+        }
+
+        get reducedMotion() {
+            const mode = this.settings.reducedMotion;
+            return mode === 'on' || (mode === 'auto' && this.systemReducedMotion);
+        }
+
+        // Calls back when the system setting changes, which matters while
+        // reduced motion is on 'auto'
+        watchSystem(callback) {
+            if (this.matchMedia === null) return;
+
+            const query = this.matchMedia(REDUCED_MOTION_QUERY);
+            if (query.addEventListener) {
+                query.addEventListener('change', callback);
+            } else if (query.addListener) {
+                query.addListener(callback);
+            }
+        }
+    }
+
+    // One-switch play: each press moves one lane onwards in the current
+    // direction, turning back at the edge of the open road, so a single
+    // input reaches every lane
+    class LaneCycler {
+        constructor() {
+            this.direction = 1;
+        }
+
+        reset() {
+            this.direction = 1;
+        }
+
+        // Lane change for one press from a lane on a road open from
+        // firstLane to lastLane; 0 if there is nowhere to go
+        press(lane, firstLane, lastLane) {
+            if (firstLane >= lastLane) return 0;
+
+            // Checked against the car's lane rather than flipped, so a lane
+            // closing under the car still sends it back onto the road
+            if (lane >= lastLane) {
+                this.direction = -1;
+            } else if (lane <= firstLane) {
+                this.direction = 1;
+            }
+            return this.direction;
+        }
+    }
+
+    // Score milestones for the polite live region, so screen readers hear
+    // progress without a message on every point
+    class ScoreAnnouncer {
+        constructor(options = {}) {
+            this.step = options.step || SCORE_STEP;
+            this.next = this.step;
+        }
+
+        reset() {
+            this.next = this.step;
+        }
+
+        // Text to read out for this score, or '' if it has not passed the
+        // next milestone
+        update(score) {
+            if (score < this.next) return '';
+
+            this.next = (Math.floor(score / this.step) + 1) * this.step;
+            return `Score ${score}`;
+        }
+    }
+
+    // Text for the assertive live region when a run ends
+    function describeGameOver(stats, newBest = false) {
+        const text = `Game over. ${stats.score} points, ${stats.distance} metres, ${stats.coins} coins.`;
+        return newBest ? `${text} New best score!` : text;
+    }
+
+    return {
+        SCHEMA_VERSION,
+        PALETTES,
+        PALETTE_IDS,
+        REDUCED_MOTION_MODES,
+        SPEED_ASSISTS,
+        AccessibilitySettings,
+        LaneCycler,
+        ScoreAnnouncer,
+        describeGameOver
+    };
+}));
@@ -0,0 +1,389 @@
+// Sprite atlases and visual themes for Endless Driver
+// Themes are described by a JSON manifest (assets/themes.json) that names a
+// colour palette and an optional sprite atlas for each theme, so new looks can
+// be added without touching code. Anything that fails to load falls back to
+// the plain coloured rectangles the game has always drawn.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage'));
+    } else {
+        root.AssetManager = factory(root.SavedData);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SavedData) {
+    'use strict';
+
+    const MANIFEST_VERSION = 1;
+    const SCHEMA_VERSION = 1;
+    const DEFAULT_MANIFEST = 'assets/themes.json';
+    const DEFAULT_KEY = 'endless-driver.theme';
+
+    // Atlas images are rasterised at this multiple of their declared size so
+    // sprites stay sharp on high-density screens
+    const RASTER_SCALE = 2;
+
+    // Colours the renderer asks for. Obstacle and pickup entries are keyed by
+    // type id and fall back to the colour in the type registry.
+    const DEFAULT_COLORS = {
+        background: '#1a1a2e',
+        shoulder: '#16213e',
+        laneLine: 'rgba(255, 255, 255, 0.3)',
+        marker: '#eccc68',
+        warning: 'rgba(236, 204, 104, 0.85)',
+        shieldGlow: 'rgba(46, 213, 115, 0.4)',
+        ghost: 'rgba(241, 242, 246, 0.35)',
+        mark: '#1a1a2e',
+        sky: '#0f0f1f',
+        scenery: '#2d3561',
+        obstacles: {},
+        pickups: {}
+    };
+
+    // Used when the manifest itself cannot be loaded
+    const FALLBACK_THEME_ID = 'classic';
+    const FALLBACK_THEME = { label: 'Classic', atlas: null, colors: DEFAULT_COLORS };
+
+    function defaultFetchJson(url) {
+        return fetch(url).then((response) => {
+            if (!response.ok) {
+                throw new Error(`${url}: HTTP ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    // Loads an image and, where a canvas is available, rasterises it once so
+    // vector sheets are not re-rendered on every draw
+    function defaultLoadImage(url, width, height) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                if (typeof document === 'undefined' || !width || !height) {
+                    resolve(image);
+                    return;
+                }
+                const canvas = document.createElement('canvas');
+                canvas.width = width * RASTER_SCALE;
+                canvas.height = height * RASTER_SCALE;
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas);
+            };
+            image.onerror = () => reject(new Error(`${url}: image failed to load`));
+            image.src = url;
+        });
+    }
+
+    // Atlas image paths are relative to the atlas file
+    function resolveUrl(base, path) {
+        if (/^([a-z]+:|\/)/i.test(path)) return path;
+        const slash = base.lastIndexOf('/');
+        return slash === -1 ? path : base.slice(0, slash + 1) + path;
+    }
+
+    function pickStrings(source, fallback) {
+        const result = {};
+        for (const key of Object.keys(fallback)) {
+            result[key] = typeof source[key] === 'string' ? source[key] : fallback[key];
+        }
+        return result;
+    }
+
+    function pickStringMap(source) {
+        const result = {};
+        if (source && typeof source === 'object') {
+            for (const key of Object.keys(source)) {
+                if (typeof source[key] === 'string') result[key] = source[key];
+            }
+        }
+        return result;
+    }
+
+    function sanitizeColors(data) {
+        const source = data && typeof data === 'object' ? data : {};
+        const scalars = {};
+        for (const key of Object.keys(DEFAULT_COLORS)) {
+            if (typeof DEFAULT_COLORS[key] === 'string') scalars[key] = DEFAULT_COLORS[key];
+        }
+        const colors = pickStrings(source, scalars);
+        colors.obstacles = pickStringMap(source.obstacles);
+        colors.pickups = pickStringMap(source.pickups);
+        return colors;
+    }
+
+    // Checks the manifest shape and drops themes that are unusable
+    function parseManifest(data) {
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+            throw new Error('Theme manifest has no version');
+        }
+        if (data.version > MANIFEST_VERSION) {
+            throw new Error(`Unsupported theme manifest version: ${data.version}`);
+        }
+
+        const atlases = {};
+        const sourceAtlases = data.atlases && typeof data.atlases === 'object' ? data.atlases : {};
+        for (const id of Object.keys(sourceAtlases)) {
+            if (typeof sourceAtlases[id] === 'string') atlases[id] = sourceAtlases[id];
+        }
+
+        const themes = {};
+        const sourceThemes = data.themes && typeof data.themes === 'object' ? data.themes : {};
+        for (const id of Object.keys(sourceThemes)) {
+            const theme = sourceThemes[id];
+            if (!theme || typeof theme !== 'object') continue;
+            themes[id] = {
+                label: typeof theme.label === 'string' ? theme.label : id,
+                atlas: typeof theme.atlas === 'string' && atlases[theme.atlas] ? theme.atlas : null,
+                colors: sanitizeColors(theme.colors)
+            };
+        }
+
+        const ids = Object.keys(themes);
+        if (ids.length === 0) {
+            throw new Error('Theme manifest has no themes');
+        }
+        return { atlases, themes, defaultTheme: themes[data.default] ? data.default : ids[0] };
+    }
+
+    // Frame rectangles are in atlas units; the image may be rasterised larger
+    function buildFrames(atlas, image) {
+        if (!atlas || typeof atlas !== 'object' || !(atlas.width > 0) || !atlas.frames) {
+            throw new Error('Atlas has no size or frames');
+        }
+        const scale = image.width / atlas.width;
+        const frames = {};
+        for (const name of Object.keys(atlas.frames)) {
+            const frame = atlas.frames[name];
+            if (!frame || !(frame.w > 0) || !(frame.h > 0)) continue;
+            frames[name] = {
+                source: image,
+                sx: frame.x * scale,
+                sy: frame.y * scale,
+                sw: frame.w * scale,
+                sh: frame.h * scale
+            };
+        }
+        return frames;
+    }
+
+    class AssetManager {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : SavedData.defaultStorage();
+            this.key = options.key || DEFAULT_KEY;
+            this.manifestUrl = options.manifest || DEFAULT_MANIFEST;
+            this.fetchJson = options.fetchJson || defaultFetchJson;
+            this.loadImage = options.loadImage || defaultLoadImage;
+
+            this.themes = { [FALLBACK_THEME_ID]: FALLBACK_THEME };
+            this.defaultTheme = FALLBACK_THEME_ID;
+            this.frames = {}; // Atlas id -> frame name -> drawable frame
+            this.failures = [];
+            this.loaded = false;
+            this.selected = null;
+
+            // Accessibility palette laid over the theme (accessibility.js)
+            this.palette = null;
+            this.paletteBase = null;
+            this.paletteColors = null;
+
+            this.loadSelection();
+        }
+
+        loadSelection() {
+            this.selected = null;
+            SavedData.load(this.storage, this.key, (data) => {
+                SavedData.checkVersion(data, SCHEMA_VERSION, 'theme settings');
+                this.selected = typeof data.theme === 'string' ? data.theme : null;
+            }, 'Theme setting unreadable, using default:');
+        }
+
+        saveSelection() {
+            SavedData.save(this.storage, this.key, { version: SCHEMA_VERSION, theme: this.selected }, 'Could not save theme setting:');
+        }
+
+        // Loads the manifest and every atlas it names. onProgress(loaded, total)
+        // is called as each file arrives; the total is only known once the
+        // manifest is in. Always resolves: failures are recorded and the
+        // affected sprites fall back to rectangles.
+        load(onProgress = () => {}) {
+            let loaded = 0;
+            let total = 1;
+            const step = () => {
+                loaded++;
+                onProgress(loaded, total);
+            };
+
+            this.failures = [];
+            onProgress(loaded, total);
+
+            return Promise.resolve()
+                .then(() => this.fetchJson(this.manifestUrl))
+                .then(parseManifest)
+                .then((manifest) => {
+                    this.themes = manifest.themes;
+                    this.defaultTheme = manifest.defaultTheme;
+
+                    // Only atlases a theme actually uses are fetched
+                    const atlasIds = Object.keys(manifest.atlases).filter(id =>
+                        Object.keys(this.themes).some(themeId => this.themes[themeId].atlas === id));
+                    total += atlasIds.length * 2;
+                    step();
+
+                    return Promise.all(atlasIds.map(id => this.loadAtlas(id, manifest.atlases[id], step)));
+                })
+                .catch((err) => {
+                    this.failures.push(err.message);
+                    console.warn('Theme manifest unavailable, using built-in colours:', err.message);
+                    this.themes = { [FALLBACK_THEME_ID]: FALLBACK_THEME };
+                    this.defaultTheme = FALLBACK_THEME_ID;
+                    if (loaded < total) step();
+                })
+                .then(() => {
+                    this.loaded = true;
+                    return this;
+                });
+        }
+
+        // Both files count towards progress even if the first one fails
+        loadAtlas(id, url, step) {
+            let atlas = null;
+            return Promise.resolve()
+                .then(() => this.fetchJson(url))
+                .then((data) => {
+                    atlas = data;
+                    step();
+                    if (!atlas || typeof atlas.image !== 'string') {
+                        throw new Error(`${url}: atlas has no image`);
+                    }
+                    return this.loadImage(resolveUrl(url, atlas.image), atlas.width, atlas.height);
+                })
+                .then((image) => {
+                    this.frames[id] = buildFrames(atlas, image);
+                    step();
+                })
+                .catch((err) => {
+                    this.failures.push(err.message);
+                    console.warn(`Sprite atlas "${id}" unavailable, drawing shapes instead:`, err.message);
+                    if (atlas === null) step();
+                    step();
+                });
+        }
+
+        get themeIds() {
+            return Object.keys(this.themes);
+        }
+
+        get themeId() {
+            return this.themes[this.selected] ? this.selected : this.defaultTheme;
+        }
+
+        get theme() {
+            return this.themes[this.themeId];
+        }
+
+        // The theme's colours, with the palette's on top while one is set
+        get colors() {
+            const colors = this.theme.colors;
+            if (!this.palette) return colors;
+
+            if (this.paletteBase !== colors) {
+                this.paletteBase = colors;
+                this.paletteColors = Object.assign({}, colors, this.palette, {
+                    obstacles: Object.assign({}, colors.obstacles, this.palette.obstacles),
+                    pickups: Object.assign({}, colors.pickups, this.palette.pickups)
+                });
+            }
+            return this.paletteColors;
+        }
+
+        // Colour overrides in the theme format, or null for the theme's own
+        setPalette(palette) {
+            this.palette = palette || null;
+            this.paletteBase = null;
+        }
+
+        // The loaded themes and sprite frames, for an asset manager on
+        // another thread (render-thread.js). Resolves to { data, transfer }:
+        // each atlas image goes as an ImageBitmap listed in transfer, or as
+        // null where the browser cannot make one, leaving rectangles there.
+        share() {
+            const ids = Object.keys(this.frames);
+            const toBitmap = (frames) => {
+                const names = Object.keys(frames);
+                if (names.length === 0 || typeof createImageBitmap !== 'function') {
+                    return Promise.resolve(null);
+                }
+                return createImageBitmap(frames[names[0]].source).catch((err) => {
+                    console.warn('Sprites not shared, drawing shapes instead:', err.message);
+                    return null;
+                });
+            };
+
+            return Promise.all(ids.map(id => toBitmap(this.frames[id]))).then((images) => {
+                const atlases = {};
+                const transfer = [];
+                ids.forEach((id, i) => {
+                    const frames = {};
+                    for (const name of Object.keys(this.frames[id])) {
+                        const frame = this.frames[id][name];
+                        frames[name] = { sx: frame.sx, sy: frame.sy, sw: frame.sw, sh: frame.sh };
+                    }
+                    atlases[id] = { image: images[i], frames };
+                    if (images[i]) transfer.push(images[i]);
+                });
+                const data = {
+                    themes: this.themes,
+                    defaultTheme: this.defaultTheme,
+                    selected: this.themeId,
+                    palette: this.palette,
+                    atlases
+                };
+                return { data, transfer };
+            });
+        }
+
+        // Takes over what share() sent. Nothing is saved: the selection
+        // stays with the manager that shared it.
+        adopt(data) {
+            this.themes = data.themes;
+            this.defaultTheme = data.defaultTheme;
+            this.selected = data.selected;
+            this.frames = {};
+            for (const id of Object.keys(data.atlases)) {
+                const atlas = data.atlases[id];
+                if (!atlas.image) continue;
+                const frames = {};
+                for (const name of Object.keys(atlas.frames)) {
+                    frames[name] = Object.assign({ source: atlas.image }, atlas.frames[name]);
+                }
+                this.frames[id] = frames;
+            }
+            this.setPalette(data.palette);
+            this.loaded = true;
+        }
+
+        selectTheme(id) {
+            if (!this.themes[id]) {
+                throw new Error(`Unknown theme: ${id}`);
+            }
+            this.selected = id;
+            this.saveSelection();
+        }
+
+        // Drawable frame for the current theme, or null to draw a rectangle.
+        // Sprites carry their own colours, so a palette draws shapes instead.
+        sprite(name) {
+            if (this.palette) return null;
+
+            const frames = this.frames[this.theme.atlas];
+            return (frames && frames[name]) || null;
+        }
+    }
+
+    AssetManager.MANIFEST_VERSION = MANIFEST_VERSION;
+    AssetManager.SCHEMA_VERSION = SCHEMA_VERSION;
+    AssetManager.DEFAULT_COLORS = DEFAULT_COLORS;
+    AssetManager.FALLBACK_THEME_ID = FALLBACK_THEME_ID;
+    AssetManager.parseManifest = parseManifest;
+
+    return AssetManager;
+}));
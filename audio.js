@@ -0,0 +1,341 @@
+// Procedural sound for Endless Driver
+// Every sound is synthesised with the Web Audio API, so there are no files to
+// load. Volume and mute settings are kept in localStorage like the leaderboard.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage'));
+    } else {
+        root.AudioEngine = factory(root.SavedData);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SavedData) {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const DEFAULT_KEY = 'endless-driver.audio';
+    const CHANNELS = ['master', 'music', 'sfx'];
+    const DEFAULT_SETTINGS = { master: 0.8, music: 0.5, sfx: 0.8, muted: false };
+
+    // Smoothing for volume and engine changes, in seconds
+    const RAMP_TIME = 0.05;
+
+    // Engine tone: a filtered sawtooth whose pitch follows the road speed
+    const ENGINE_BASE_HZ = 45;
+    const ENGINE_HZ_PER_SPEED = 6;
+    const ENGINE_LEVEL = 0.15;
+
+    // Music: a looping bass line, in semitones above A1, one note per step
+    const MUSIC_PATTERN = [0, 0, 12, 0, 7, 0, 10, 12, 5, 5, 17, 5, 3, 5, 7, 10];
+    const MUSIC_ROOT_HZ = 55;
+    const MUSIC_STEP_SECONDS = 0.2;
+    const MUSIC_LOOKAHEAD = 0.25; // Seconds of notes scheduled ahead of the clock
+
+    // Browsers without Web Audio (and Node) get a silent engine
+    function defaultContext() {
+        const Context = typeof AudioContext !== 'undefined' ? AudioContext :
+            typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : null;
+        return Context ? new Context() : null;
+    }
+
+    function clampVolume(value, fallback) {
+        const volume = Number(value);
+        return Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : fallback;
+    }
+
+    function sanitizeSettings(data) {
+        const source = data && typeof data === 'object' ? data : {};
+        const settings = { muted: source.muted === true };
+        for (const channel of CHANNELS) {
+            settings[channel] = clampVolume(source[channel], DEFAULT_SETTINGS[channel]);
+        }
+        return settings;
+    }
+
+    class AudioEngine {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : SavedData.defaultStorage();
+            this.key = options.key || DEFAULT_KEY;
+            this.createContext = options.createContext || defaultContext;
+            this.settings = sanitizeSettings(null);
+
+            // Built on unlock()
+            this.context = null;
+            this.buses = null;
+            this.engine = null;
+            this.noise = null;
+
+            this.engineRunning = false;
+            this.engineSpeed = 0;
+            this.musicPlaying = false;
+            this.nextNoteTime = 0;
+            this.noteIndex = 0;
+            this.hidden = false;
+
+            this.load();
+        }
+
+        load() {
+            this.settings = sanitizeSettings(null);
+            SavedData.load(this.storage, this.key, (data) => {
+                SavedData.checkVersion(data, SCHEMA_VERSION, 'audio settings');
+                this.settings = sanitizeSettings(data);
+            }, 'Audio settings unreadable, using defaults:');
+        }
+
+        save() {
+            SavedData.save(this.storage, this.key, Object.assign({ version: SCHEMA_VERSION }, this.settings), 'Could not save audio settings:');
+        }
+
+        get enabled() {
+            return this.context !== null;
+        }
+
+        // Browsers only allow sound after a user gesture, so the context is
+        // created by the first click rather than at load. Returns false when
+        // Web Audio is unavailable.
+        unlock() {
+            if (!this.context) {
+                try {
+                    this.context = this.createContext();
+                } catch (err) {
+                    console.warn('Web Audio unavailable:', err.message);
+                    this.context = null;
+                }
+                if (!this.context) return false;
+                this.buildGraph();
+            }
+
+            if (this.context.state === 'suspended' && !this.hidden) {
+                this.context.resume();
+            }
+            return true;
+        }
+
+        // master -> destination, with music and sfx buses feeding master.
+        // The engine oscillator runs for the life of the context and is
+        // silenced by its gain between runs.
+        buildGraph() {
+            const ctx = this.context;
+
+            const master = ctx.createGain();
+            master.connect(ctx.destination);
+            const music = ctx.createGain();
+            music.connect(master);
+            const sfx = ctx.createGain();
+            sfx.connect(master);
+            this.buses = { master, music, sfx };
+            this.applyVolumes();
+
+            const osc = ctx.createOscillator();
+            osc.type = 'sawtooth';
+            osc.frequency.value = ENGINE_BASE_HZ;
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = ENGINE_BASE_HZ * 8;
+            const gain = ctx.createGain();
+            gain.gain.value = 0;
+            osc.connect(filter);
+            filter.connect(gain);
+            gain.connect(sfx);
+            osc.start();
+            this.engine = { osc, filter, gain };
+
+            // One second of white noise shared by whooshes and crashes
+            this.noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+            const samples = this.noise.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = Math.random() * 2 - 1;
+            }
+        }
+
+        applyVolumes() {
+            if (!this.buses) return;
+
+            const now = this.context.currentTime;
+            for (const channel of CHANNELS) {
+                let volume = this.settings[channel];
+                if (channel === 'master' && this.settings.muted) {
+                    volume = 0;
+                }
+                this.buses[channel].gain.setTargetAtTime(volume, now, RAMP_TIME);
+            }
+        }
+
+        setVolume(channel, volume) {
+            if (!CHANNELS.includes(channel)) {
+                throw new Error(`Unknown audio channel: ${channel}`);
+            }
+            this.settings[channel] = clampVolume(volume, this.settings[channel]);
+            this.save();
+            this.applyVolumes();
+        }
+
+        setMuted(muted) {
+            this.settings.muted = !!muted;
+            this.save();
+            this.applyVolumes();
+        }
+
+        toggleMute() {
+            this.setMuted(!this.settings.muted);
+            return this.settings.muted;
+        }
+
+        // Hidden tabs suspend the whole context, which also stops the clock
+        // the music is scheduled against
+        setHidden(hidden) {
+            this.hidden = hidden;
+            if (!this.context) return;
+
+            if (hidden && this.context.state === 'running') {
+                this.context.suspend();
+            } else if (!hidden && this.context.state === 'suspended') {
+                this.context.resume();
+            }
+        }
+
+        startEngine() {
+            if (!this.engine) return;
+
+            this.engineRunning = true;
+            this.engineSpeed = -1; // Forces the next update() to set the pitch
+            this.engine.gain.gain.setTargetAtTime(ENGINE_LEVEL, this.context.currentTime, RAMP_TIME);
+        }
+
+        stopEngine() {
+            if (!this.engine) return;
+
+            this.engineRunning = false;
+            this.engine.gain.gain.setTargetAtTime(0, this.context.currentTime, RAMP_TIME);
+        }
+
+        startMusic() {
+            if (!this.context) return;
+
+            this.musicPlaying = true;
+            this.noteIndex = 0;
+            this.nextNoteTime = this.context.currentTime + MUSIC_STEP_SECONDS;
+        }
+
+        stopMusic() {
+            this.musicPlaying = false;
+        }
+
+        // Called once per rendered frame with the current road speed
+        update(speed) {
+            if (!this.context) return;
+
+            if (this.engineRunning && speed !== this.engineSpeed) {
+                this.engineSpeed = speed;
+                const now = this.context.currentTime;
+                const pitch = ENGINE_BASE_HZ + speed * ENGINE_HZ_PER_SPEED;
+                this.engine.osc.frequency.setTargetAtTime(pitch, now, RAMP_TIME * 2);
+                this.engine.filter.frequency.setTargetAtTime(pitch * 8, now, RAMP_TIME * 2);
+            }
+
+            if (this.musicPlaying) {
+                this.scheduleMusic();
+            }
+        }
+
+        scheduleMusic() {
+            const now = this.context.currentTime;
+            // After a long stall, skip ahead instead of playing a burst of notes
+            if (this.nextNoteTime < now) {
+                this.nextNoteTime = now;
+            }
+
+            while (this.nextNoteTime < now + MUSIC_LOOKAHEAD) {
+                const semitones = MUSIC_PATTERN[this.noteIndex % MUSIC_PATTERN.length];
+                const frequency = MUSIC_ROOT_HZ * Math.pow(2, semitones / 12);
+                this.tone(this.buses.music, 'triangle', frequency, frequency, MUSIC_STEP_SECONDS * 0.9, 0.5, this.nextNoteTime);
+                this.nextNoteTime += MUSIC_STEP_SECONDS;
+                this.noteIndex++;
+            }
+        }
+
+        // One-shot oscillator sliding from one pitch to another under a short
+        // attack/decay envelope
+        tone(bus, type, from, to, duration, level, startTime = this.context.currentTime) {
+            const ctx = this.context;
+            const osc = ctx.createOscillator();
+            osc.type = type;
+            osc.frequency.setValueAtTime(from, startTime);
+            if (to !== from) {
+                osc.frequency.exponentialRampToValueAtTime(to, startTime + duration);
+            }
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0, startTime);
+            gain.gain.linearRampToValueAtTime(level, startTime + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+
+            osc.connect(gain);
+            gain.connect(bus);
+            osc.start(startTime);
+            osc.stop(startTime + duration);
+            return osc;
+        }
+
+        // One-shot burst of filtered noise with a sweeping cutoff; pan is
+        // -1 (left) to 1 (right) where the browser supports it
+        noiseBurst(filterType, from, to, duration, level, pan = 0) {
+            const ctx = this.context;
+            const now = ctx.currentTime;
+            const source = ctx.createBufferSource();
+            source.buffer = this.noise;
+
+            const filter = ctx.createBiquadFilter();
+            filter.type = filterType;
+            filter.frequency.setValueAtTime(from, now);
+            filter.frequency.exponentialRampToValueAtTime(to, now + duration);
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(level, now);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+            source.connect(filter);
+            filter.connect(gain);
+            if (pan !== 0 && typeof ctx.createStereoPanner === 'function') {
+                const panner = ctx.createStereoPanner();
+                panner.pan.value = pan;
+                gain.connect(panner);
+                panner.connect(this.buses.sfx);
+            } else {
+                gain.connect(this.buses.sfx);
+            }
+            source.start(now);
+            source.stop(now + duration);
+            return source;
+        }
+
+        playLaneChange(direction) {
+            if (!this.context) return;
+            this.noiseBurst('bandpass', 400, 2400, 0.25, 0.5, direction * 0.6);
+        }
+
+        playNearMiss() {
+            if (!this.context) return;
+            const now = this.context.currentTime;
+            this.tone(this.buses.sfx, 'sine', 880, 880, 0.08, 0.3, now);
+            this.tone(this.buses.sfx, 'sine', 1320, 1320, 0.12, 0.3, now + 0.07);
+        }
+
+        playCrash() {
+            if (!this.context) return;
+            this.noiseBurst('lowpass', 3000, 80, 0.9, 1);
+            this.tone(this.buses.sfx, 'square', 140, 30, 0.6, 0.4);
+        }
+
+        playClick() {
+            if (!this.context) return;
+            this.tone(this.buses.sfx, 'sine', 660, 990, 0.06, 0.3);
+        }
+    }
+
+    AudioEngine.SCHEMA_VERSION = SCHEMA_VERSION;
+    AudioEngine.CHANNELS = CHANNELS;
+    AudioEngine.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+    return AudioEngine;
+}));
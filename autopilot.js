@@ -0,0 +1,261 @@
+// Agent interface and autopilot for Endless Driver
+// An agent is any object with act(observation) that returns an action, and
+// optionally reset() before each run. Each tick the agent is shown the road as
+// plain data (observe) and its action becomes that tick's simulation inputs
+// (toInputs), so agents drive through the same inputs as the player and their
+// runs record and replay like any other. HeuristicPilot is the built-in
+// reference agent; evaluate() runs an agent headlessly over many seeds.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'), require('./config'));
+    } else {
+        root.Autopilot = factory(root.DriverSimulation, root.GameConfig);
+    }
+}(typeof self !== 'undefined' ? self : this, function (DriverSimulation, GameConfig) {
+    'use strict';
+
+    const OBSERVATION_VERSION = 1;
+
+    // Headless runs stop here if the agent never crashes (5 minutes)
+    const MAX_TICKS = 60 * 60 * 5;
+
+    // Analog actions are quantised like the player's sticks, so replays only
+    // store real changes
+    const AXIS_STEPS = 20;
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    function axis(value) {
+        return typeof value === 'number' && isFinite(value) ? Math.round(clamp(value, -1, 1) * AXIS_STEPS) / AXIS_STEPS : 0;
+    }
+
+    function direction(value) {
+        return typeof value === 'number' && isFinite(value) ? Math.sign(value) : 0;
+    }
+
+    // What an agent sees this tick, in simulation pixels and ticks. y grows
+    // down the road towards the player. Obstacle boxes are their hitboxes and
+    // speed is how far they move down per tick; a flagged roadblock waits
+    // warningTicks before it starts to move. Everything is a fresh copy, so
+    // agents may keep observations.
+    function observe(sim) {
+        const player = sim.player;
+        const speed = sim.scrollSpeed();
+
+        const obstacles = [];
+        for (const obstacle of sim.obstacles) {
+            const type = obstacle.type;
+            if (obstacle.hit) continue;
+
+            obstacles.push({
+                type: type.id,
+                effect: type.effect,
+                lane: obstacle.lane,
+                lanes: type.lanes,
+                targetLane: obstacle.targetLane,
+                x: obstacle.x + type.hitbox.x,
+                y: obstacle.y + type.hitbox.y,
+                width: obstacle.width - type.hitbox.x * 2,
+                height: obstacle.height - type.hitbox.y * 2,
+                speed: speed * type.speedFactor,
+                warningTicks: obstacle.state === 'warning' ? obstacle.timer : 0
+            });
+        }
+
+        const pickups = sim.pickups.map(pickup => ({
+            type: pickup.type.id,
+            lane: pickup.lane,
+            x: pickup.x,
+            y: pickup.y,
+            width: pickup.width,
+            height: pickup.height
+        }));
+
+        const change = sim.roadChange;
+        return {
+            version: OBSERVATION_VERSION,
+            tick: sim.tick,
+            steering: sim.steering,
+            gameSpeed: sim.gameSpeed,
+            speed,
+            road: {
+                width: sim.gameWidth,
+                height: sim.gameHeight,
+                laneWidth: sim.laneWidth,
+                laneCentres: sim.lanes.map(centre => centre * sim.gameWidth),
+                firstLane: sim.firstLane,
+                lastLane: sim.lastLane
+            },
+            player: {
+                lane: player.lane,
+                x: player.x,
+                y: player.y,
+                width: player.width,
+                height: player.height,
+                vx: player.vx,
+                steeringLock: player.steeringLock
+            },
+            obstacles,
+            pickups,
+            roadChange: change && !change.applied ? { y: change.y, firstLane: change.firstLane, lastLane: change.lastLane } : null,
+            powerUps: Object.assign({}, sim.powerUps)
+        };
+    }
+
+    // An action is { steer, laneChange } in lane steering or
+    // { steerAxis, throttle } in free steering; missing fields are 0.
+    // steer is the held direction and laneChange a one-shot move, as from
+    // the keyboard and swipes.
+    function toInputs(action, inputs = {}) {
+        const source = action || {};
+        inputs.steer = direction(source.steer);
+        inputs.laneChange = direction(source.laneChange);
+        inputs.steerAxis = axis(source.steerAxis);
+        inputs.throttle = axis(source.throttle);
+        return inputs;
+    }
+
+    // Reference agent: stays in the lane that is clear for longest, moving
+    // only through lanes that stay clear while it crosses them. It only
+    // avoids obstacles; it does not chase coins or power-ups.
+    class HeuristicPilot {
+        constructor(options = {}) {
+            this.horizon = options.horizon || 90; // Ticks of clear road that count as safe
+            this.crossTicks = options.crossTicks || 12; // Ticks to cross one lane
+            this.steerGain = 0.06; // Free steering: lock per pixel off the lane centre
+            this.steerDamping = 0.3; // Free steering: counter-lock per pixel per tick of sideways speed
+            this.action = { steer: 0, laneChange: 0, steerAxis: 0, throttle: 0 };
+        }
+
+        reset() {
+            this.action.laneChange = 0;
+            this.action.steerAxis = 0;
+        }
+
+        act(observation) {
+            const lane = this.chooseLane(observation);
+            const player = observation.player;
+            const action = this.action;
+
+            if (observation.steering === 'free') {
+                const target = observation.road.laneCentres[lane] - player.width / 2;
+                action.steerAxis = clamp((target - player.x) * this.steerGain - player.vx * this.steerDamping, -1, 1);
+            } else {
+                action.laneChange = Math.sign(lane - player.lane);
+            }
+            return action;
+        }
+
+        chooseLane(observation) {
+            const road = observation.road;
+            const current = clamp(observation.player.lane, road.firstLane, road.lastLane);
+            const clear = [];
+            for (let lane = road.firstLane; lane <= road.lastLane; lane++) {
+                clear[lane] = this.clearTicks(observation, lane);
+            }
+            if (clear[current] >= this.horizon) {
+                return current;
+            }
+
+            // Nearer lanes win ties, so the car does not wander
+            let best = current;
+            let bestScore = clear[current];
+            for (const step of [-1, 1]) {
+                for (let lane = current + step; lane >= road.firstLane && lane <= road.lastLane; lane += step) {
+                    if (clear[lane] < this.crossTicks * Math.abs(lane - current)) break;
+
+                    const score = Math.min(clear[lane], this.horizon) - Math.abs(lane - current);
+                    if (score > bestScore) {
+                        best = lane;
+                        bestScore = score;
+                    }
+                }
+            }
+            return best;
+        }
+
+        // Ticks until something blocks the lane level with the player
+        clearTicks(observation, lane) {
+            const player = observation.player;
+            let ticks = Infinity;
+
+            for (const obstacle of observation.obstacles) {
+                const inLane = (lane >= obstacle.lane && lane < obstacle.lane + obstacle.lanes) || lane === obstacle.targetLane;
+                if (!inLane || obstacle.y > player.y + player.height) continue;
+
+                const gap = player.y - (obstacle.y + obstacle.height);
+                const arrives = gap <= 0 ? 0 : obstacle.warningTicks + gap / Math.max(obstacle.speed, 0.01);
+                ticks = Math.min(ticks, arrives);
+            }
+
+            // A lane the road is about to close is blocked from where it ends
+            const change = observation.roadChange;
+            if (change && (lane < change.firstLane || lane > change.lastLane)) {
+                ticks = Math.min(ticks, Math.max(0, player.y - change.y) / Math.max(observation.speed, 0.01));
+            }
+            return ticks;
+        }
+    }
+
+    // Run an agent headlessly on each seed and report how it did. options
+    // are the road (width, height, lanes, layout, steering), the difficulty
+    // (preset, plus config overrides) and maxTicks.
+    function evaluate(agent, options = {}) {
+        const seeds = options.seeds || [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        const config = GameConfig.preset(options.preset || GameConfig.DEFAULT_PRESET, options.overrides);
+        const maxTicks = options.maxTicks || MAX_TICKS;
+        const inputs = {};
+
+        const runs = seeds.map((seed) => {
+            const sim = new DriverSimulation({
+                width: options.width || 360,
+                height: options.height || 640,
+                seed,
+                lanes: options.lanes,
+                layout: options.layout,
+                steering: options.steering,
+                config
+            });
+            sim.reset();
+            if (agent.reset) {
+                agent.reset();
+            }
+
+            while (sim.gameState === 'playing' && sim.tick < maxTicks) {
+                sim.step(toInputs(agent.act(observe(sim)), inputs));
+            }
+            return Object.assign({ seed, ticks: sim.tick, crashed: sim.gameState === 'gameOver' }, sim.getRunStats());
+        });
+
+        return { runs, summary: summarize(runs) };
+    }
+
+    function summarize(runs) {
+        const scores = runs.map(run => run.score).sort((a, b) => a - b);
+        const total = (key) => runs.reduce((sum, run) => sum + run[key], 0);
+        const middle = Math.floor(scores.length / 2);
+        return {
+            runs: runs.length,
+            crashes: runs.filter(run => run.crashed).length,
+            meanScore: runs.length ? Math.round(total('score') / runs.length) : 0,
+            medianScore: scores.length === 0 ? 0 : (scores.length % 2 ? scores[middle] : Math.round((scores[middle - 1] + scores[middle]) / 2)),
+            minScore: scores.length ? scores[0] : 0,
+            maxScore: scores.length ? scores[scores.length - 1] : 0,
+            meanDistance: runs.length ? Math.round(total('distance') / runs.length) : 0,
+            meanDuration: runs.length ? Math.round(total('duration') / runs.length * 10) / 10 : 0
+        };
+    }
+
+    return {
+        OBSERVATION_VERSION,
+        MAX_TICKS,
+        observe,
+        toInputs,
+        HeuristicPilot,
+        evaluate,
+        summarize
+    };
+}));
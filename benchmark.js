@@ -0,0 +1,453 @@
+// Headless frame benchmark for Endless Driver
+// Runs the simulation, each renderer and the effects against a counting 2D
+// context for thousands of frames, the way the game loop drives them, and
+// measures update and render time, heap and pool allocations, and draw calls
+// per frame. test-performance.js holds the results to perf-budgets.json.
+// --paths instead compares drawing on the main thread with drawing in a
+// worker (render-thread.js), for main-thread time and input latency.
+// Usage: node benchmark.js [--frames N] [--record | --paths]
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const DriverSimulation = require('./simulation');
+const GameEvents = require('./events');
+const EffectsSystem = require('./effects');
+const AssetManager = require('./assets');
+const Renderers = require('./renderers');
+const RenderThread = require('./render-thread');
+
+const BUDGETS_FILE = path.join(__dirname, 'perf-budgets.json');
+const WIDTH = 360;
+const HEIGHT = 640;
+const SEED = 20;
+const FRAMES = 3000;
+const WARMUP_FRAMES = 300;
+const HEAP_BLOCK = 100; // Frames between heap samples
+const PATH_FRAMES = 600;
+const PATH_WARMUP_FRAMES = 60;
+const FRAME_INTERVAL_MS = 1000 / 60;
+const RENDER_HOST = 'render-host'; // workerData for the worker side of --paths
+
+// Budgets written by --record: what this machine measured, plus headroom for
+// slower machines and small changes. Times never go below MIN_BUDGET_MS,
+// where timer noise takes over. Pool allocations get no headroom, so an
+// obstacle or pickup created past the recorded count fails the run.
+const HEADROOM = {
+    updateMs: 5,
+    renderMs: 5,
+    drawCalls: 1.1,
+    maxDrawCalls: 1.1,
+    heapBytesPerFrame: 2
+};
+const MIN_BUDGET_MS = 0.05;
+
+// 2D context stub that counts the calls that put pixels on the canvas
+const DRAW_METHODS = ['fillRect', 'strokeRect', 'clearRect', 'fill', 'stroke', 'fillText', 'drawImage'];
+const OTHER_METHODS = ['beginPath', 'moveTo', 'lineTo', 'closePath', 'ellipse', 'arc', 'rect',
+    'save', 'restore', 'translate', 'scale', 'rotate', 'setTransform', 'setLineDash'];
+
+class CountingContext {
+    constructor() {
+        this.drawCalls = 0;
+        this.fillStyle = '';
+        this.strokeStyle = '';
+        this.lineWidth = 1;
+        this.globalAlpha = 1;
+        this.font = '';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+    }
+}
+
+for (const method of DRAW_METHODS) {
+    CountingContext.prototype[method] = function () {
+        this.drawCalls++;
+    };
+}
+for (const method of OTHER_METHODS) {
+    CountingContext.prototype[method] = function () {};
+}
+
+function mean(samples, count) {
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        total += samples[i];
+    }
+    return count > 0 ? total / count : 0;
+}
+
+function percentile(samples, count, p) {
+    const sorted = Array.from(samples.subarray(0, count)).sort((a, b) => a - b);
+    return sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0;
+}
+
+// Obstacles and pickups created because their pool was empty
+function countPoolMisses(sim) {
+    const counter = { misses: 0 };
+    for (const [method, pools] of [['acquireObstacle', 'obstaclePool'], ['acquirePickup', 'pickupPool']]) {
+        const acquire = sim[method];
+        sim[method] = function (type) {
+            if (this[pools][type.id].length === 0) {
+                counter.misses++;
+            }
+            return acquire.call(this, type);
+        };
+    }
+    return counter;
+}
+
+// One view at top speed. The player is shielded so the run lasts the whole
+// benchmark, and steers across the lanes on a fixed pattern. config changes
+// the rules, e.g. { obstaclePoolSize: 0 } to run without the pool.
+function createScene(view, config = {}) {
+    const events = new GameEvents.EventBus();
+    const sim = new DriverSimulation({ width: WIDTH, height: HEIGHT, seed: SEED, events, config });
+    const ctx = new CountingContext();
+    const renderer = Renderers.create(view, ctx, { colors: AssetManager.DEFAULT_COLORS, sprite: () => null });
+    const effects = new EffectsSystem({ random: () => 0.5 });
+    const point = {};
+    const inputs = { steer: 0 };
+
+    // Near misses throw sparks, as in the game
+    events.on('obstacle:passed', (event) => {
+        const player = sim.player;
+        if (event.nearMiss && renderer.toScreen(sim, player.x, player.y, point)) {
+            effects.sparks(point.x, point.y, point.scale, 1);
+        }
+    });
+
+    const tick = () => {
+        sim.powerUps.shield = 100;
+        inputs.steer = Math.floor(sim.tick / 70) % 3 - 1;
+        sim.step(inputs);
+        effects.speedLines(WIDTH, HEIGHT, sim.scrollSpeed() / sim.maxGameSpeed, 1);
+        effects.update(1);
+    };
+    const render = () => {
+        renderer.draw(sim, 0.5, WIDTH, HEIGHT);
+        effects.draw(ctx, WIDTH, HEIGHT);
+    };
+
+    // Ramp the rules to their heaviest
+    sim.reset();
+    while (sim.gameSpeed < sim.maxGameSpeed || sim.obstacleSpawnInterval > sim.config.minSpawnInterval) {
+        tick();
+    }
+    return { sim, ctx, renderer, effects, tick, render };
+}
+
+function runView(view, frames = FRAMES, config = {}) {
+    const { sim, ctx, effects, tick, render } = createScene(view, config);
+
+    // Let the JIT settle on full frames
+    for (let i = 0; i < WARMUP_FRAMES; i++) {
+        tick();
+        render();
+    }
+
+    const pool = countPoolMisses(sim);
+    const update = new Float64Array(frames);
+    const draw = new Float64Array(frames);
+    let drawCalls = 0;
+    let maxDrawCalls = 0;
+    let heapBytes = 0;
+    let heapFrames = 0;
+    let heapStart = process.memoryUsage().heapUsed;
+
+    for (let i = 0; i < frames; i++) {
+        const start = performance.now();
+        tick();
+        const ticked = performance.now();
+        ctx.drawCalls = 0;
+        render();
+        draw[i] = performance.now() - ticked;
+        update[i] = ticked - start;
+
+        drawCalls += ctx.drawCalls;
+        maxDrawCalls = Math.max(maxDrawCalls, ctx.drawCalls);
+
+        // Blocks where a collection ran are left out
+        if ((i + 1) % HEAP_BLOCK === 0) {
+            const heapEnd = process.memoryUsage().heapUsed;
+            if (heapEnd >= heapStart) {
+                heapBytes += heapEnd - heapStart;
+                heapFrames += HEAP_BLOCK;
+            }
+            heapStart = heapEnd;
+        }
+    }
+
+    return {
+        view,
+        frames,
+        updateMs: mean(update, frames),
+        updateP95Ms: percentile(update, frames, 0.95),
+        renderMs: mean(draw, frames),
+        renderP95Ms: percentile(draw, frames, 0.95),
+        drawCalls: drawCalls / frames,
+        maxDrawCalls,
+        heapBytesPerFrame: heapFrames > 0 ? heapBytes / heapFrames : 0,
+        poolAllocations: pool.misses,
+        obstacles: sim.obstacles.length,
+        particles: effects.particles.length
+    };
+}
+
+function run(options = {}) {
+    const frames = options.frames || FRAMES;
+    return Renderers.IDS.map(view => runView(view, frames, options.config));
+}
+
+// Calls frame(i) the given number of times, 60 times a second, leaving the
+// event loop free in between so the worker's replies come in as in a browser
+function paced(frames, frame) {
+    return new Promise((resolve) => {
+        const start = performance.now();
+        let i = 0;
+        const next = () => {
+            frame(i);
+            i++;
+            if (i === frames) {
+                resolve();
+                return;
+            }
+            setTimeout(next, Math.max(0, start + i * FRAME_INTERVAL_MS - performance.now()));
+        };
+        next();
+    });
+}
+
+// A worker_threads worker with the browser Worker calls WorkerRenderer uses
+function nodeWorker() {
+    const worker = new Worker(__filename, { workerData: RENDER_HOST });
+    return {
+        addEventListener(type, listener) {
+            worker.on(type, type === 'error' ? err => listener({ message: err.message }) : data => listener({ data }));
+        },
+        // Only buffers can be transferred to a Node worker; the stand-in for
+        // the offscreen canvas is copied and swapped on the other side
+        postMessage(message, transfer = []) {
+            worker.postMessage(message, transfer.filter(item => item instanceof ArrayBuffer));
+        },
+        terminate: () => worker.terminate()
+    };
+}
+
+// The worker side of --paths: the game's RenderHost drawing on a counting context
+function serveRenderHost() {
+    const host = new RenderThread.RenderHost((message, transfer) => parentPort.postMessage(message, transfer || []));
+    parentPort.on('message', (message) => {
+        if (message.type === 'init') {
+            const ctx = new CountingContext();
+            message.canvas = { width: 0, height: 0, getContext: () => ctx };
+        }
+        host.handle(message);
+    });
+}
+
+// One view drawn on the main thread or in a worker, paced at 60 frames a
+// second. Frame time is what the main thread spends per frame; latency runs
+// from reading the input to the frame being drawn, wherever that happens.
+function runPath(view, renderPath, frames = PATH_FRAMES) {
+    const { sim, renderer, effects, tick, render } = createScene(view);
+    const total = PATH_WARMUP_FRAMES + frames;
+    const frameTimes = new Float64Array(total);
+    const latencies = new Float64Array(total); // 0 for frames never drawn
+    const sentAs = new Int32Array(total + 1); // Loop index of each frame the worker was sent
+    let client = null;
+    let failure = null;
+
+    if (renderPath === 'worker') {
+        const worker = nodeWorker();
+        client = new RenderThread.WorkerRenderer({ transferControlToOffscreen: () => ({}) }, {
+            worker,
+            onError: (err) => { failure = err; }
+        });
+        worker.addEventListener('message', (event) => {
+            if (event.data.type === 'drawn') {
+                latencies[sentAs[event.data.frame]] = event.data.latencyMs;
+            }
+        });
+        client.resize(WIDTH, HEIGHT, 1);
+        client.setView(view);
+    }
+
+    let skipped = 0;
+    return paced(total, (i) => {
+        if (i === PATH_WARMUP_FRAMES && client) {
+            skipped = -client.stats.skipped;
+        }
+        const start = performance.now();
+        tick();
+        if (client) {
+            renderer.layout(sim, 0.5, WIDTH, HEIGHT);
+            if (client.submit(sim, 0.5, null, effects, start)) {
+                sentAs[client.frame] = i;
+            }
+        } else {
+            render();
+        }
+        frameTimes[i] = performance.now() - start;
+        if (!client) {
+            latencies[i] = frameTimes[i];
+        }
+    }).then(() => new Promise((resolve) => {
+        // Let the last frames come back before stopping the worker
+        const settle = performance.now();
+        const wait = () => {
+            if (!client || client.inFlight === 0 || client.failed || performance.now() - settle > 1000) {
+                resolve();
+            } else {
+                setTimeout(wait, 1);
+            }
+        };
+        wait();
+    })).then(() => {
+        if (client) {
+            skipped += client.stats.skipped;
+            client.terminate();
+        }
+        if (failure) {
+            throw failure;
+        }
+
+        const drawn = Float64Array.from(latencies.subarray(PATH_WARMUP_FRAMES).filter(latency => latency > 0));
+        const frameTime = frameTimes.subarray(PATH_WARMUP_FRAMES);
+        return {
+            view,
+            path: renderPath,
+            frames,
+            frameMs: mean(frameTime, frames),
+            frameP95Ms: percentile(frameTime, frames, 0.95),
+            latencyMs: mean(drawn, drawn.length),
+            latencyP95Ms: percentile(drawn, drawn.length, 0.95),
+            drawn: drawn.length,
+            skipped
+        };
+    });
+}
+
+// Both paths for every view, one run at a time
+function comparePaths(options = {}) {
+    const frames = options.frames || PATH_FRAMES;
+    const results = [];
+    let chain = Promise.resolve();
+    for (const view of Renderers.IDS) {
+        for (const renderPath of ['main', 'worker']) {
+            chain = chain.then(() => runPath(view, renderPath, frames)).then(result => results.push(result));
+        }
+    }
+    return chain.then(() => results);
+}
+
+function loadBudgets(file = BUDGETS_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Budgets from a set of results, with headroom
+function toBudgets(results) {
+    const budgets = { frames: results[0].frames, views: {} };
+    for (const result of results) {
+        const budget = {};
+        for (const metric of Object.keys(HEADROOM)) {
+            const value = result[metric] * HEADROOM[metric];
+            budget[metric] = metric.endsWith('Ms') ? Math.max(MIN_BUDGET_MS, Math.ceil(value * 1000) / 1000) : Math.ceil(value);
+        }
+        budget.poolAllocations = result.poolAllocations;
+        budgets.views[result.view] = budget;
+    }
+    return budgets;
+}
+
+// Metrics over their budget, as readable lines; empty when all fit
+function overBudget(result, budgets) {
+    const budget = budgets.views[result.view];
+    if (!budget) {
+        return [`${result.view}: no budget recorded`];
+    }
+    return Object.keys(budget)
+        .filter(metric => result[metric] > budget[metric])
+        .map(metric => `${result.view} ${metric}: ${format(result[metric])} over budget ${budget[metric]}`);
+}
+
+function format(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+function report(result) {
+    return [
+        `update ${format(result.updateMs)} ms (p95 ${format(result.updateP95Ms)})`,
+        `render ${format(result.renderMs)} ms (p95 ${format(result.renderP95Ms)})`,
+        `draw calls ${result.drawCalls.toFixed(1)} (max ${result.maxDrawCalls})`,
+        `heap ${Math.round(result.heapBytesPerFrame)} B/frame`,
+        `pool allocations ${result.poolAllocations}`
+    ];
+}
+
+function reportPath(result) {
+    return [
+        `main thread ${format(result.frameMs)} ms/frame (p95 ${format(result.frameP95Ms)})`,
+        `input latency ${format(result.latencyMs)} ms (p95 ${format(result.latencyP95Ms)})`,
+        `frames drawn ${result.drawn}, skipped ${result.skipped}`
+    ];
+}
+
+module.exports = {
+    BUDGETS_FILE,
+    FRAMES,
+    CountingContext,
+    run,
+    runView,
+    runPath,
+    comparePaths,
+    loadBudgets,
+    toBudgets,
+    overBudget,
+    report,
+    reportPath
+};
+
+if (!isMainThread && workerData === RENDER_HOST) {
+    serveRenderHost();
+} else if (require.main === module) {
+    const args = process.argv.slice(2);
+    const paths = args.includes('--paths');
+    const framesAt = args.indexOf('--frames');
+    const frames = framesAt >= 0 ? Number(args[framesAt + 1]) : (paths ? PATH_FRAMES : FRAMES);
+    if (!Number.isInteger(frames) || frames < HEAP_BLOCK || (paths && args.includes('--record'))) {
+        console.log(`Usage: node benchmark.js [--frames N] [--record | --paths]  (N at least ${HEAP_BLOCK})`);
+        process.exit(2);
+    }
+
+    console.log('⏱️ Endless Driver Game - Frame Benchmark\n');
+
+    if (paths) {
+        console.log(`${frames} frames per view and path at ${WIDTH}x${HEIGHT}, 60 per second, top speed\n`);
+        comparePaths({ frames }).then((results) => {
+            for (const result of results) {
+                console.log(`${result.view}, ${result.path === 'worker' ? 'worker' : 'main thread'}:`);
+                reportPath(result).forEach(line => console.log(`  ${line}`));
+            }
+            console.log('');
+        }, (err) => {
+            console.log(`✗ ${err.message}\n`);
+            process.exit(1);
+        });
+    } else {
+        console.log(`${frames} frames per view at ${WIDTH}x${HEIGHT}, top speed\n`);
+
+        const results = run({ frames });
+        for (const result of results) {
+            console.log(`${result.view}:`);
+            report(result).forEach(line => console.log(`  ${line}`));
+        }
+
+        if (args.includes('--record')) {
+            fs.writeFileSync(BUDGETS_FILE, JSON.stringify(toBudgets(results), null, 2) + '\n');
+            console.log(`\n✓ Budgets recorded in ${path.basename(BUDGETS_FILE)}\n`);
+        } else {
+            console.log('');
+        }
+    }
+}
@@ -0,0 +1,69 @@
+// Builds the production service worker, sw.min.js, from sw.js
+// The precache list switches to the minified files and the cache version
+// becomes a hash of everything in it, so a build that changes any of them
+// installs as an update and replaces the old cache. Run by `npm run build`
+// after minifying; the output is minified like the other builds.
+// Usage: node build-sw.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SOURCE = path.join(__dirname, 'sw.js');
+const OUTPUT = path.join(__dirname, 'sw.min.js');
+
+// What the deployed site serves, by URL, and the file each is built from:
+// index-prod.html is deployed as index.html (DEPLOYMENT.md)
+function productionFiles(root = __dirname) {
+    const files = [
+        { url: 'index.html', file: 'index-prod.html' },
+        { url: 'manifest.webmanifest', file: 'manifest.webmanifest' },
+        { url: 'styles.min.css', file: 'styles.min.css' },
+        { url: 'game.min.js', file: 'game.min.js' },
+        { url: 'render-worker.min.js', file: 'render-worker.min.js' }
+    ];
+    for (const name of fs.readdirSync(path.join(root, 'assets')).sort()) {
+        files.push({ url: `assets/${name}`, file: `assets/${name}` });
+    }
+    return files;
+}
+
+// Short hash over each file's URL and contents
+function version(files, read) {
+    const hash = crypto.createHash('sha256');
+    for (const { url, file } of files) {
+        hash.update(url);
+        hash.update(read(file));
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+// sw.js with the version and precache list replaced
+function build(source, cacheVersion, urls) {
+    const versionLine = /const CACHE_VERSION = '[^']*';/;
+    const urlList = /const PRECACHE_URLS = \[[^\]]*\];/;
+    if (!versionLine.test(source) || !urlList.test(source)) {
+        throw new Error('sw.js has no CACHE_VERSION or PRECACHE_URLS to replace');
+    }
+    return source
+        .replace(versionLine, `const CACHE_VERSION = '${cacheVersion}';`)
+        .replace(urlList, `const PRECACHE_URLS = ${JSON.stringify(urls)};`);
+}
+
+module.exports = {
+    productionFiles,
+    version,
+    build
+};
+
+if (require.main === module) {
+    try {
+        const files = productionFiles();
+        const cacheVersion = version(files, file => fs.readFileSync(path.join(__dirname, file)));
+        const source = fs.readFileSync(SOURCE, 'utf-8');
+        fs.writeFileSync(OUTPUT, build(source, cacheVersion, files.map(entry => entry.url)));
+        console.log(`✓ sw.min.js: version ${cacheVersion}, ${files.length} files precached`);
+    } catch (err) {
+        console.log(`✗ sw.min.js: ${err.message}`);
+        process.exit(1);
+    }
+}
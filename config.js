@@ -0,0 +1,207 @@
+// Gameplay configuration and difficulty presets for Endless Driver
+// Every tunable gameplay number lives in one validated config object. Presets
+// are partial configs over the defaults, and URL parameters can override
+// single fields for testing. The simulation reads the config on reset(), and
+// replays record it so they re-simulate under the same rules.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GameConfig = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Config fields with their default and allowed range. Speeds are pixels
+    // per tick and intervals are ticks, at the simulation's 60 Hz.
+    //   startSpeed         Road speed at the start of a run
+    //   maxGameSpeed       Where the speed ramp stops
+    //   speedStep          Speed added at each difficulty step
+    //   speedUpInterval    Ticks between difficulty steps
+    //   spawnInterval      Ticks between obstacle rows at the start
+    //   minSpawnInterval   Shortest gap the ramp brings rows down to
+    //   spawnIntervalStep  Ticks taken off the gap at each difficulty step
+    //   maxObstacles       Obstacles on the road at once
+    //   obstaclePoolSize   Spare obstacles kept per type for reuse
+    //   obstacleScale      Obstacle size against each type's own (70x80 for cars)
+    const FIELDS = {
+        startSpeed: { value: 5, min: 1, max: 30 },
+        maxGameSpeed: { value: 15, min: 1, max: 30 },
+        speedStep: { value: 0.5, min: 0, max: 5 },
+        speedUpInterval: { value: 600, min: 60, max: 3600, integer: true },
+        spawnInterval: { value: 100, min: 20, max: 400, integer: true },
+        minSpawnInterval: { value: 50, min: 20, max: 400, integer: true },
+        spawnIntervalStep: { value: 5, min: 0, max: 50, integer: true },
+        maxObstacles: { value: 10, min: 1, max: 30, integer: true },
+        obstaclePoolSize: { value: 20, min: 0, max: 100, integer: true },
+        obstacleScale: { value: 1, min: 0.75, max: 1.25 }
+    };
+    const FIELD_IDS = Object.keys(FIELDS);
+
+    // Difficulty presets: a name and the fields that differ from the defaults
+    const PRESETS = {
+        easy: {
+            name: 'Easy',
+            values: {
+                startSpeed: 4,
+                maxGameSpeed: 11,
+                speedStep: 0.4,
+                spawnInterval: 120,
+                minSpawnInterval: 70,
+                maxObstacles: 8,
+                obstacleScale: 0.9
+            }
+        },
+        normal: {
+            name: 'Normal',
+            values: {}
+        },
+        hard: {
+            name: 'Hard',
+            values: {
+                startSpeed: 6,
+                maxGameSpeed: 18,
+                speedStep: 0.6,
+                spawnInterval: 90,
+                minSpawnInterval: 42,
+                maxObstacles: 12
+            }
+        },
+        insane: {
+            name: 'Insane',
+            values: {
+                startSpeed: 8,
+                maxGameSpeed: 22,
+                speedStep: 0.75,
+                speedUpInterval: 480,
+                spawnInterval: 75,
+                minSpawnInterval: 35,
+                maxObstacles: 14,
+                obstacleScale: 1.1
+            }
+        }
+    };
+    const PRESET_IDS = Object.keys(PRESETS);
+    const DEFAULT_PRESET = 'normal';
+
+    function defaults() {
+        const config = {};
+        for (const id of FIELD_IDS) {
+            config[id] = FIELDS[id].value;
+        }
+        return config;
+    }
+
+    // A complete config from a partial one; missing fields take their
+    // defaults. Throws on unknown fields and on values out of range.
+    function validate(values = {}) {
+        if (!values || typeof values !== 'object') {
+            throw new Error('Config must be an object');
+        }
+
+        const config = defaults();
+        for (const id of Object.keys(values)) {
+            const field = FIELDS[id];
+            if (!field) {
+                throw new Error(`Unknown config field: ${id}`);
+            }
+            const value = values[id];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Config field "${id}" must be a number`);
+            }
+            if (value < field.min || value > field.max) {
+                throw new Error(`Config field "${id}" must be between ${field.min} and ${field.max}`);
+            }
+            if (field.integer && value !== Math.floor(value)) {
+                throw new Error(`Config field "${id}" must be a whole number`);
+            }
+            config[id] = value;
+        }
+
+        if (config.maxGameSpeed < config.startSpeed) {
+            throw new Error('Config field "maxGameSpeed" must not be below startSpeed');
+        }
+        if (config.minSpawnInterval > config.spawnInterval) {
+            throw new Error('Config field "minSpawnInterval" must not be above spawnInterval');
+        }
+        return config;
+    }
+
+    // Own keys only, so ids like "toString" are not taken for presets
+    function hasPreset(id) {
+        return Object.prototype.hasOwnProperty.call(PRESETS, id);
+    }
+
+    // Config for a preset, with optional field overrides on top
+    function preset(id = DEFAULT_PRESET, overrides = {}) {
+        if (!hasPreset(id)) {
+            throw new Error(`Unknown preset: ${id}`);
+        }
+        return validate(Object.assign({}, PRESETS[id].values, overrides));
+    }
+
+    // Preset and overrides from a URL query string, e.g.
+    // ?preset=hard&startSpeed=8. Other parameters are ignored; bad values
+    // are left out and listed in errors.
+    function parseQuery(search) {
+        const params = new URLSearchParams(search);
+        const result = { preset: null, overrides: {}, errors: [] };
+
+        const id = params.get('preset');
+        if (id !== null) {
+            if (hasPreset(id)) {
+                result.preset = id;
+            } else {
+                result.errors.push(`Unknown preset: ${id}`);
+            }
+        }
+
+        const values = {};
+        for (const field of FIELD_IDS) {
+            const text = params.get(field);
+            if (text !== null) {
+                values[field] = text.trim() === '' ? NaN : Number(text);
+            }
+        }
+        const fitted = fitOverrides(result.preset || DEFAULT_PRESET, values);
+        result.overrides = fitted.overrides;
+        result.errors.push(...fitted.errors);
+        return result;
+    }
+
+    // The overrides that are valid on top of a preset, taken field by field
+    // in FIELDS order; the rest are left out and listed in errors. Overrides
+    // that fit one preset can clash with another, e.g. a spawnInterval below
+    // its minSpawnInterval.
+    function fitOverrides(id, overrides) {
+        const base = PRESETS[id].values;
+        const result = { overrides: {}, errors: [] };
+        for (const field of FIELD_IDS) {
+            if (!(field in overrides)) continue;
+
+            const candidate = Object.assign({}, result.overrides, { [field]: overrides[field] });
+            try {
+                validate(Object.assign({}, base, candidate));
+                result.overrides = candidate;
+            } catch (err) {
+                result.errors.push(err.message);
+            }
+        }
+        return result;
+    }
+
+    return {
+        FIELDS,
+        FIELD_IDS,
+        PRESETS,
+        PRESET_IDS,
+        DEFAULT_PRESET,
+        defaults,
+        validate,
+        hasPreset,
+        preset,
+        parseQuery,
+        fitOverrides
+    };
+}));
@@ -0,0 +1,417 @@
+// Input bindings for Endless Driver
+// Maps keyboard keys, gamepad buttons and sticks, and the touch joystick onto
+// named actions. Each player slot has its own bindings, kept in localStorage
+// like the leaderboard.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage'));
+    } else {
+        root.Controls = factory(root.SavedData);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SavedData) {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const DEFAULT_KEY = 'endless-driver.controls';
+    const PLAYER_COUNT = 4;
+    const SLOTS = 2; // Bindings per action on each device
+
+    // Fields:
+    //   label      Name shown on the controls screen
+    //   steering   Steering mode the action works in, if only one
+    //              (simulation.js; the throttle only drives free steering)
+    const ACTIONS = {
+        steerLeft: { label: 'Steer left' },
+        steerRight: { label: 'Steer right' },
+        boost: { label: 'Boost', steering: 'free' },
+        brake: { label: 'Brake', steering: 'free' },
+        pause: { label: 'Pause' },
+        mute: { label: 'Mute' },
+        oneSwitch: { label: 'One-switch' } // Only while one-switch play is on (accessibility.js)
+    };
+
+    const ACTION_IDS = Object.keys(ACTIONS);
+    const DEVICES = ['keyboard', 'gamepad'];
+
+    // Keyboard inputs are KeyboardEvent.code values, so bindings survive a
+    // change of keyboard layout. Gamepad inputs are 'button:<index>' or
+    // 'axis:<index><sign>' on the standard gamepad mapping.
+    const DEFAULT_BINDINGS = {
+        keyboard: {
+            steerLeft: ['ArrowLeft', 'KeyA'],
+            steerRight: ['ArrowRight', 'KeyD'],
+            boost: ['ArrowUp', 'KeyW'],
+            brake: ['ArrowDown', 'KeyS'],
+            pause: ['KeyP', 'Escape'],
+            mute: ['KeyM', null],
+            oneSwitch: ['Space', null]
+        },
+        gamepad: {
+            steerLeft: ['button:14', 'axis:0-'],
+            steerRight: ['button:15', 'axis:0+'],
+            boost: ['button:7', 'axis:1-'],
+            brake: ['button:6', 'axis:1+'],
+            pause: ['button:9', null],
+            mute: ['button:8', null],
+            oneSwitch: ['button:0', null]
+        }
+    };
+
+    // Touch settings and their allowed ranges
+    const DEFAULT_TOUCH = { swipeThreshold: 50, joystickDeadZone: 0.33 };
+    const TOUCH_LIMITS = { swipeThreshold: [20, 150], joystickDeadZone: [0.1, 0.6] };
+
+    const STICK_DEAD_ZONE = 0.25;
+    const PRESS_THRESHOLD = 0.5; // Analog value that counts as a press
+
+    const KEY_NAMES = {
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        Escape: 'Esc'
+    };
+
+    const BUTTON_NAMES = [
+        'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+        'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'
+    ];
+
+    function parseGamepadInput(input) {
+        const match = /^(button|axis):(\d+)([+-]?)$/.exec(input);
+        if (!match || (match[1] === 'axis') !== (match[3] !== '')) {
+            return null;
+        }
+        return { kind: match[1], index: Number(match[2]), sign: match[3] === '-' ? -1 : 1 };
+    }
+
+    function isValidInput(device, input) {
+        if (typeof input !== 'string') return false;
+        if (device === 'keyboard') {
+            return /^[A-Za-z0-9]{1,32}$/.test(input);
+        }
+        return parseGamepadInput(input) !== null;
+    }
+
+    // Short label for a bound input, e.g. 'A', '←' or 'Left stick ↑'
+    function describeInput(device, input) {
+        if (!input) return '—';
+
+        if (device === 'keyboard') {
+            return KEY_NAMES[input] || input.replace(/^(Key|Digit)/, '');
+        }
+
+        const parsed = parseGamepadInput(input);
+        if (!parsed) return input;
+        if (parsed.kind === 'button') {
+            return BUTTON_NAMES[parsed.index] || `Button ${parsed.index}`;
+        }
+        const stick = parsed.index < 2 ? 'Left stick' : parsed.index < 4 ? 'Right stick' : `Axis ${parsed.index}`;
+        const arrows = parsed.index % 2 === 0 ? ['←', '→'] : ['↑', '↓'];
+        return `${stick} ${parsed.sign < 0 ? arrows[0] : arrows[1]}`;
+    }
+
+    function clampTouch(option, value) {
+        const [min, max] = TOUCH_LIMITS[option];
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : DEFAULT_TOUCH[option];
+    }
+
+    function defaultPlayer(index) {
+        const player = { name: `Player ${index + 1}`, touch: Object.assign({}, DEFAULT_TOUCH) };
+        for (const device of DEVICES) {
+            player[device] = {};
+            for (const action of ACTION_IDS) {
+                player[device][action] = DEFAULT_BINDINGS[device][action].slice();
+            }
+        }
+        return player;
+    }
+
+    // Returns a clean player; anything missing or invalid falls back to the defaults
+    function sanitizePlayer(data, index) {
+        const player = defaultPlayer(index);
+        if (!data || typeof data !== 'object') return player;
+
+        for (const device of DEVICES) {
+            const source = data[device];
+            if (!source || typeof source !== 'object') continue;
+
+            for (const action of ACTION_IDS) {
+                if (!Array.isArray(source[action])) continue;
+                player[device][action] = [];
+                for (let slot = 0; slot < SLOTS; slot++) {
+                    const input = source[action][slot];
+                    player[device][action].push(isValidInput(device, input) ? input : null);
+                }
+            }
+        }
+
+        if (data.touch && typeof data.touch === 'object') {
+            for (const option of Object.keys(DEFAULT_TOUCH)) {
+                player.touch[option] = clampTouch(option, data.touch[option]);
+            }
+        }
+        return player;
+    }
+
+    class InputBindings {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : SavedData.defaultStorage();
+            this.key = options.key || DEFAULT_KEY;
+            this.players = [];
+            this.activePlayer = 0;
+            this.load();
+        }
+
+        load() {
+            this.players = [];
+            this.activePlayer = 0;
+            for (let i = 0; i < PLAYER_COUNT; i++) {
+                this.players.push(defaultPlayer(i));
+            }
+            SavedData.load(this.storage, this.key, data => this.readData(data), 'Control bindings unreadable, using defaults:');
+        }
+
+        save() {
+            SavedData.save(this.storage, this.key, this.toData(), 'Could not save control bindings:');
+        }
+
+        // Data from a newer schema is rejected
+        readData(data) {
+            if (!data || typeof data !== 'object' || !Array.isArray(data.players)) {
+                throw new Error('Control data has no players');
+            }
+            SavedData.checkVersion(data, SCHEMA_VERSION, 'controls');
+
+            for (let i = 0; i < PLAYER_COUNT; i++) {
+                this.players[i] = sanitizePlayer(data.players[i], i);
+            }
+            const active = Math.floor(Number(data.activePlayer));
+            this.activePlayer = active >= 0 && active < PLAYER_COUNT ? active : 0;
+        }
+
+        toData() {
+            return { version: SCHEMA_VERSION, activePlayer: this.activePlayer, players: this.players };
+        }
+
+        get player() {
+            return this.players[this.activePlayer];
+        }
+
+        setActivePlayer(index) {
+            if (!(index >= 0 && index < PLAYER_COUNT)) {
+                throw new Error(`Unknown player: ${index}`);
+            }
+            this.activePlayer = Math.floor(index);
+            this.save();
+        }
+
+        // Bind an input (or null to clear) to one slot of an action. The input
+        // is taken off any other action first, so one key never drives two.
+        bind(device, action, slot, input) {
+            if (!DEVICES.includes(device)) {
+                throw new Error(`Unknown input device: ${device}`);
+            }
+            if (!ACTIONS[action]) {
+                throw new Error(`Unknown action: ${action}`);
+            }
+            if (!(slot >= 0 && slot < SLOTS)) {
+                throw new Error(`Unknown binding slot: ${slot}`);
+            }
+            if (input !== null && !isValidInput(device, input)) {
+                throw new Error(`Invalid ${device} input: ${input}`);
+            }
+
+            const bindings = this.player[device];
+            if (input !== null) {
+                for (const id of ACTION_IDS) {
+                    bindings[id] = bindings[id].map(bound => (bound === input ? null : bound));
+                }
+            }
+            bindings[action][slot] = input;
+            this.save();
+        }
+
+        setTouch(option, value) {
+            if (!(option in DEFAULT_TOUCH)) {
+                throw new Error(`Unknown touch option: ${option}`);
+            }
+            this.player.touch[option] = clampTouch(option, value);
+            this.save();
+        }
+
+        resetPlayer() {
+            this.players[this.activePlayer] = defaultPlayer(this.activePlayer);
+            this.save();
+        }
+
+        // Actions the active player has bound to an input
+        actionsFor(device, input) {
+            const bindings = this.player[device];
+            return ACTION_IDS.filter(action => bindings[action].includes(input));
+        }
+    }
+
+    // Live input state for the active player's bindings. The shell feeds it
+    // raw events and gamepad polls and reads back action values.
+    class InputMapper {
+        constructor(bindings) {
+            this.bindings = bindings;
+            this.keys = new Set(); // Codes of held keys
+            this.padValues = new Map(); // Gamepad input -> value (0..1) from the last poll
+            this.padDown = new Set(); // Gamepad inputs past the press threshold
+            this.touch = { x: 0, y: 0, active: false }; // Joystick, -1..1 on each axis
+            this.capture = null;
+        }
+
+        // Returns the actions bound to the key. While capturing for the
+        // rebinding screen the key goes to the capture callback instead.
+        keyDown(code) {
+            if (this.capture) {
+                const callback = this.capture.callback;
+                this.capture = null;
+                callback(code, 'keyboard');
+                return [];
+            }
+
+            this.keys.add(code);
+            return this.bindings.actionsFor('keyboard', code);
+        }
+
+        keyUp(code) {
+            this.keys.delete(code);
+        }
+
+        // Read the pads from navigator.getGamepads(). Returns the actions
+        // whose input was newly pressed since the last poll.
+        pollGamepads(gamepads) {
+            this.padValues.clear();
+            for (const pad of gamepads || []) {
+                if (!pad) continue;
+
+                pad.buttons.forEach((button, index) => {
+                    const value = typeof button === 'object' ? (button.value || (button.pressed ? 1 : 0)) : button;
+                    this.setPadValue(`button:${index}`, value);
+                });
+                pad.axes.forEach((axis, index) => {
+                    const magnitude = Math.abs(axis);
+                    if (magnitude > STICK_DEAD_ZONE) {
+                        const value = Math.min(1, (magnitude - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE));
+                        this.setPadValue(`axis:${index}${axis < 0 ? '-' : '+'}`, value);
+                    }
+                });
+            }
+
+            const pressed = [];
+            const down = new Set();
+            for (const [input, value] of this.padValues) {
+                if (value < PRESS_THRESHOLD) continue;
+
+                down.add(input);
+                if (this.padDown.has(input)) continue;
+
+                if (this.capture) {
+                    const callback = this.capture.callback;
+                    this.capture = null;
+                    callback(input, 'gamepad');
+                } else {
+                    pressed.push(...this.bindings.actionsFor('gamepad', input));
+                }
+            }
+            this.padDown = down;
+            return pressed;
+        }
+
+        setPadValue(input, value) {
+            if (value > (this.padValues.get(input) || 0)) {
+                this.padValues.set(input, value);
+            }
+        }
+
+        // Touch joystick position relative to its radius
+        setTouch(x, y, active) {
+            this.touch.x = x;
+            this.touch.y = y;
+            this.touch.active = active;
+        }
+
+        // Strength of an action (0..1) across every device
+        value(action) {
+            const player = this.bindings.player;
+            for (const code of player.keyboard[action]) {
+                if (code && this.keys.has(code)) return 1;
+            }
+
+            let value = 0;
+            for (const input of player.gamepad[action]) {
+                if (input) {
+                    value = Math.max(value, this.padValues.get(input) || 0);
+                }
+            }
+            if (this.touch.active) {
+                value = Math.max(value, this.touchValue(action));
+            }
+            return value;
+        }
+
+        touchValue(action) {
+            const deadZone = this.bindings.player.touch.joystickDeadZone;
+            const axis = action === 'steerLeft' ? -this.touch.x :
+                action === 'steerRight' ? this.touch.x :
+                action === 'boost' ? -this.touch.y :
+                action === 'brake' ? this.touch.y : 0;
+            return axis > deadZone ? Math.min(1, (axis - deadZone) / (1 - deadZone)) : 0;
+        }
+
+        isDown(action) {
+            return this.value(action) > 0;
+        }
+
+        // Lane steering: -1, 0 or 1
+        steer() {
+            return (this.isDown('steerRight') ? 1 : 0) - (this.isDown('steerLeft') ? 1 : 0);
+        }
+
+        // Free steering axes, -1..1
+        steerAxis() {
+            return this.value('steerRight') - this.value('steerLeft');
+        }
+
+        throttle() {
+            return this.value('boost') - this.value('brake');
+        }
+
+        // Hand the next key or gamepad press to callback(input, device)
+        // instead of treating it as an action
+        captureNext(callback) {
+            this.capture = { callback };
+        }
+
+        cancelCapture() {
+            this.capture = null;
+        }
+
+        // Forget held inputs (key-ups are lost while the window is unfocused)
+        clear() {
+            this.keys.clear();
+            this.setTouch(0, 0, false);
+        }
+    }
+
+    return {
+        SCHEMA_VERSION,
+        PLAYER_COUNT,
+        SLOTS,
+        ACTIONS,
+        ACTION_IDS,
+        DEVICES,
+        DEFAULT_BINDINGS,
+        DEFAULT_TOUCH,
+        TOUCH_LIMITS,
+        describeInput,
+        InputBindings,
+        InputMapper
+    };
+}));
@@ -0,0 +1,421 @@
+// Developer overlay and tuning panel for Endless Driver
+// Draws hitboxes, pool sizes, render quality, a frame-time graph and the
+// spawn timer over the game from the 'frame' event, with sliders for live
+// tuning plus freeze, single-step and slow motion. Nothing is drawn or
+// listened to for frames while it is hidden.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DebugOverlay = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CONFIG_VERSION = 1;
+    const HISTORY = 120; // Frames shown in the deltaTime graph
+    const GRAPH_HEIGHT = 40;
+    const SYNC_FRAMES = 10; // Frames between panel value refreshes
+
+    // Tunable values with their slider range. A run that changes a rules
+    // value no longer matches its replay, so it is not ranked; the others
+    // only change input or pacing. config names the config.js field a rules
+    // value starts from.
+    const TUNABLES = {
+        gameSpeed: {
+            label: 'Game speed',
+            min: 1,
+            max: 30,
+            step: 0.5,
+            rules: true,
+            config: 'startSpeed',
+            get: game => game.sim.gameSpeed,
+            set: (game, value) => { game.sim.gameSpeed = value; }
+        },
+        obstacleSpawnInterval: {
+            label: 'Spawn interval',
+            min: 20,
+            max: 200,
+            step: 5,
+            rules: true,
+            config: 'spawnInterval',
+            get: game => game.sim.obstacleSpawnInterval,
+            set: (game, value) => { game.sim.obstacleSpawnInterval = value; }
+        },
+        maxObstacles: {
+            label: 'Max obstacles',
+            min: 1,
+            max: 30,
+            step: 1,
+            rules: true,
+            config: 'maxObstacles',
+            get: game => game.sim.maxObstacles,
+            set: (game, value) => { game.sim.maxObstacles = value; }
+        },
+        swipeThreshold: {
+            label: 'Swipe threshold',
+            min: 20,
+            max: 150,
+            step: 5,
+            rules: false,
+            get: game => game.bindings.player.touch.swipeThreshold,
+            set: (game, value) => game.bindings.setTouch('swipeThreshold', value)
+        },
+        timeScale: {
+            label: 'Time scale',
+            min: 0.1,
+            max: 1,
+            step: 0.05,
+            rules: false,
+            get: game => game.timeScale,
+            set: (game, value) => { game.timeScale = value; }
+        }
+    };
+    const TUNABLE_IDS = Object.keys(TUNABLES);
+
+    const COLORS = {
+        crash: '#ff4757',
+        hazard: '#ffd32a',
+        pickup: '#48dbfb',
+        player: '#2ed573',
+        text: '#ffffff',
+        panel: 'rgba(0, 0, 0, 0.6)',
+        budget: 'rgba(255, 255, 255, 0.4)'
+    };
+
+    function lerp(from, to, alpha) {
+        return from + (to - from) * alpha;
+    }
+
+    function pooled(pools) {
+        let total = 0;
+        for (const id in pools) {
+            total += pools[id].length;
+        }
+        return total;
+    }
+
+    class DebugOverlay {
+        constructor(game) {
+            this.game = game;
+            this.visible = false;
+            this.defaults = this.values();
+            this.overrides = {}; // Tuned values, applied again at the start of each run
+            this.history = new Float32Array(HISTORY);
+            this.historyIndex = 0;
+            this.frames = 0;
+            this.point = { x: 0, y: 0, scale: 1 };
+            this.panel = null;
+            this.controls = {};
+            this.stopFrames = null;
+
+            if (game.events) {
+                game.events.on('run:start', event => this.reapply(event.replay));
+            }
+        }
+
+        // Live value of every tunable
+        values() {
+            const values = {};
+            for (const id of TUNABLE_IDS) {
+                values[id] = TUNABLES[id].get(this.game);
+            }
+            return values;
+        }
+
+        // Clamps to the slider range and step; returns the value used
+        set(id, value) {
+            const tunable = TUNABLES[id];
+            if (!tunable) {
+                throw new Error(`Unknown tunable: ${id}`);
+            }
+            const steps = Math.round((Number(value) - tunable.min) / tunable.step);
+            const clamped = Math.min(Math.max(+(tunable.min + steps * tunable.step).toFixed(2), tunable.min), tunable.max);
+            if (!Number.isFinite(clamped)) {
+                throw new Error(`Invalid value for ${id}: ${value}`);
+            }
+
+            this.overrides[id] = clamped;
+            tunable.set(this.game, clamped);
+            if (tunable.rules) {
+                this.game.runTuned = true;
+            }
+            return clamped;
+        }
+
+        // Rules values go back to the run's config, the rest to how they were
+        reset() {
+            for (const id of Object.keys(this.overrides)) {
+                const tunable = TUNABLES[id];
+                tunable.set(this.game, tunable.config ? this.game.sim.config[tunable.config] : this.defaults[id]);
+            }
+            this.overrides = {};
+            this.sync();
+        }
+
+        // A new run resets the simulation, so tuned values go back on.
+        // Replays keep their recorded rules.
+        reapply(replay) {
+            for (const id of Object.keys(this.overrides)) {
+                if (!(replay && TUNABLES[id].rules)) {
+                    this.set(id, this.overrides[id]);
+                }
+            }
+        }
+
+        // Live values, and the run's config with the tuned rules values in
+        // it, ready for ?field=value URL overrides
+        exportConfig() {
+            const config = Object.assign({}, this.game.sim.config);
+            for (const id of Object.keys(this.overrides)) {
+                if (TUNABLES[id].config) {
+                    config[TUNABLES[id].config] = this.overrides[id];
+                }
+            }
+            return JSON.stringify({ version: CONFIG_VERSION, values: this.values(), config }, null, 2);
+        }
+
+        // Stop the clock, or run it again; steps queue single ticks while stopped
+        freeze(frozen = !this.game.frozen) {
+            this.game.frozen = frozen;
+            this.game.pendingSteps = 0;
+            this.sync();
+        }
+
+        step() {
+            this.game.frozen = true;
+            this.game.pendingSteps++;
+            this.sync();
+        }
+
+        toggle() {
+            if (this.visible) {
+                this.hide();
+            } else {
+                this.show();
+            }
+        }
+
+        show() {
+            if (this.visible) return;
+            this.visible = true;
+            this.stopFrames = this.game.events.on('frame', frame => this.draw(frame));
+            if (typeof document !== 'undefined') {
+                this.buildPanel();
+                this.panel.classList.remove('hidden');
+            }
+            this.sync();
+        }
+
+        hide() {
+            if (!this.visible) return;
+            this.visible = false;
+            this.stopFrames();
+            this.stopFrames = null;
+            if (this.panel) {
+                this.panel.classList.add('hidden');
+            }
+        }
+
+        record(deltaTime) {
+            this.history[this.historyIndex] = deltaTime;
+            this.historyIndex = (this.historyIndex + 1) % HISTORY;
+        }
+
+        // Text readout, one line per row
+        lines() {
+            const game = this.game;
+            const sim = game.sim;
+            const effects = game.effects;
+            const worker = game.renderClient ? game.renderClient.stats : null;
+            return [
+                `tick ${sim.tick}  fps ${game.fps}  dt ${game.deltaTime.toFixed(2)}  x${game.timeScale}${game.frozen ? '  FROZEN' : ''}`,
+                `quality ${game.qualityLevel}  pixelRatio ${game.pixelRatio.toFixed(2)}`,
+                worker ? `worker draw ${worker.drawMs.toFixed(2)}ms  latency ${worker.latencyMs.toFixed(1)}ms  skipped ${worker.skipped}` : 'drawn on the main thread',
+                `obstacles ${sim.obstacles.length}/${sim.maxObstacles}  pooled ${pooled(sim.obstaclePool)}`,
+                `pickups ${sim.pickups.length}/${sim.maxPickups}  pooled ${pooled(sim.pickupPool)}`,
+                `particles ${effects.particles.length}/${effects.budget}  dropped ${effects.dropped}`,
+                `spawn ${sim.obstacleSpawnTimer}/${sim.nextSpawnDelay}  interval ${sim.obstacleSpawnInterval}`,
+                `speed ${sim.gameSpeed.toFixed(1)}/${sim.maxGameSpeed}${game.runTuned ? '  TUNED' : ''}`
+            ];
+        }
+
+        draw(frame) {
+            const ctx = frame.ctx;
+            this.record(frame.deltaTime);
+
+            ctx.save();
+            this.drawHitboxes(ctx, frame.alpha);
+            const bottom = this.drawStats(ctx, frame.height);
+            this.drawGraph(ctx, bottom);
+            ctx.restore();
+            this.game.renderer.invalidate();
+
+            if (++this.frames % SYNC_FRAMES === 0) {
+                this.sync();
+            }
+        }
+
+        // The boxes checkCollision and checkPickup test, at their drawn positions
+        drawHitboxes(ctx, alpha) {
+            const sim = this.game.sim;
+            ctx.lineWidth = 1.5;
+
+            for (const effect of ['crash', 'hazard']) {
+                ctx.strokeStyle = COLORS[effect];
+                ctx.beginPath();
+                for (const obstacle of sim.obstacles) {
+                    if (obstacle.state === 'warning' || (obstacle.type.effect === 'crash') !== (effect === 'crash')) continue;
+                    const inset = obstacle.type.hitbox;
+                    this.outline(ctx,
+                        lerp(obstacle.prevX, obstacle.x, alpha) + inset.x,
+                        lerp(obstacle.prevY, obstacle.y, alpha) + inset.y,
+                        obstacle.width - inset.x * 2,
+                        obstacle.height - inset.y * 2);
+                }
+                ctx.stroke();
+            }
+
+            ctx.strokeStyle = COLORS.pickup;
+            ctx.beginPath();
+            for (const pickup of sim.pickups) {
+                this.outline(ctx, lerp(pickup.prevX, pickup.x, alpha), lerp(pickup.prevY, pickup.y, alpha), pickup.width, pickup.height);
+            }
+            ctx.stroke();
+
+            const player = sim.player;
+            ctx.strokeStyle = COLORS.player;
+            ctx.beginPath();
+            this.outline(ctx, lerp(player.prevX, player.x, alpha), lerp(player.prevY, player.y, alpha), player.width, player.height);
+            ctx.stroke();
+        }
+
+        // Adds a road rectangle to the path; in perspective it is a trapezoid
+        outline(ctx, x, y, width, height) {
+            const renderer = this.game.renderer;
+            const sim = this.game.sim;
+            const point = this.point;
+
+            if (!renderer.toScreen(sim, x, y + height, point)) return;
+            const nearLeft = point.x;
+            const nearY = point.y;
+            renderer.toScreen(sim, x + width, y + height, point);
+            const nearRight = point.x;
+            if (!renderer.toScreen(sim, x, y, point)) return;
+            const farLeft = point.x;
+            const farY = point.y;
+            renderer.toScreen(sim, x + width, y, point);
+
+            ctx.moveTo(nearLeft, nearY);
+            ctx.lineTo(nearRight, nearY);
+            ctx.lineTo(point.x, farY);
+            ctx.lineTo(farLeft, farY);
+            ctx.closePath();
+        }
+
+        // Readout on the left, below the HUD and power-up timers and above
+        // the player's car; returns the y below it
+        drawStats(ctx, height) {
+            const lines = this.lines();
+            const lineHeight = 14;
+            const top = Math.round(height * 0.3);
+            ctx.fillStyle = COLORS.panel;
+            ctx.fillRect(8, top, 300, lines.length * lineHeight + 8);
+            ctx.font = '11px monospace';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = COLORS.text;
+            lines.forEach((line, i) => ctx.fillText(line, 12, top + 4 + i * lineHeight));
+            return top + lines.length * lineHeight + 8;
+        }
+
+        // Bars of recent frame lengths in ticks, oldest on the left; the
+        // line marks one tick (a 60 FPS frame) and the top is the clamp
+        drawGraph(ctx, top) {
+            const limit = this.game.maxFrameTicks;
+            ctx.fillStyle = COLORS.panel;
+            ctx.fillRect(8, top + 4, HISTORY * 2 + 8, GRAPH_HEIGHT + 8);
+
+            const base = top + 8 + GRAPH_HEIGHT;
+            for (let i = 0; i < HISTORY; i++) {
+                const value = this.history[(this.historyIndex + i) % HISTORY];
+                const barHeight = Math.min(value / limit, 1) * GRAPH_HEIGHT;
+                ctx.fillStyle = value > 1.5 ? COLORS.crash : COLORS.player;
+                ctx.fillRect(12 + i * 2, base - barHeight, 1.5, barHeight);
+            }
+
+            ctx.fillStyle = COLORS.budget;
+            ctx.fillRect(12, base - GRAPH_HEIGHT / limit, HISTORY * 2, 1);
+        }
+
+        // Sliders and buttons, made once from the tunables list
+        buildPanel() {
+            if (this.panel) return;
+            this.panel = document.getElementById('debug-panel');
+
+            for (const id of TUNABLE_IDS) {
+                const tunable = TUNABLES[id];
+                const row = document.createElement('label');
+                row.className = 'debug-row';
+                const name = document.createElement('span');
+                name.textContent = tunable.label;
+                const output = document.createElement('span');
+                output.className = 'debug-value';
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.min = tunable.min;
+                slider.max = tunable.max;
+                slider.step = tunable.step;
+                slider.addEventListener('input', () => {
+                    output.textContent = this.set(id, Number(slider.value));
+                });
+                row.appendChild(name);
+                row.appendChild(output);
+                row.appendChild(slider);
+                this.panel.appendChild(row);
+                this.controls[id] = { slider, output };
+            }
+
+            const buttons = document.createElement('div');
+            buttons.className = 'debug-buttons';
+            const addButton = (text, onClick) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = text;
+                button.addEventListener('click', onClick);
+                buttons.appendChild(button);
+                return button;
+            };
+            this.freezeButton = addButton('Freeze', () => this.freeze());
+            addButton('Step', () => this.step());
+            addButton('Reset', () => this.reset());
+            addButton('Export', () => this.game.downloadFile('endless-driver-tuning.json', this.exportConfig()));
+            this.panel.appendChild(buttons);
+        }
+
+        // Show live values; a slider being dragged is left alone
+        sync() {
+            if (!this.panel) return;
+            const values = this.values();
+            for (const id of TUNABLE_IDS) {
+                const control = this.controls[id];
+                const text = String(+values[id].toFixed(2));
+                if (control.output.textContent !== text) {
+                    control.output.textContent = text;
+                }
+                if (document.activeElement !== control.slider) {
+                    control.slider.value = values[id];
+                }
+            }
+            this.freezeButton.textContent = this.game.frozen ? 'Run' : 'Freeze';
+        }
+    }
+
+    DebugOverlay.CONFIG_VERSION = CONFIG_VERSION;
+    DebugOverlay.HISTORY = HISTORY;
+    DebugOverlay.TUNABLES = TUNABLES;
+    DebugOverlay.TUNABLE_IDS = TUNABLE_IDS;
+
+    return DebugOverlay;
+}));
@@ -0,0 +1,323 @@
+// Particles and screen effects for Endless Driver
+// Purely cosmetic: particles live in canvas (screen) coordinates, are drawn
+// over whatever renderer is active and never touch the simulation, so they
+// use Math.random rather than the seeded generator. Particles come from a
+// fixed pool whose active budget follows the shell's adaptive quality level.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EffectsSystem = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Most particles alive at once at full quality; halves at the lowest
+    const BASE_BUDGET = 240;
+
+    // Emission counts at full quality
+    const DEBRIS_COUNT = 40;
+    const FIRE_COUNT = 24;
+    const SPARK_COUNT = 10;
+    const SMOKE_COUNT = 6;
+
+    // Speed lines start at this fraction of the top road speed
+    const SPEED_LINE_THRESHOLD = 0.6;
+
+    const SMOKE_COLOR = '#a4b0be';
+    const SPARK_COLOR = '#ffdd59';
+    const FIRE_COLORS = ['#ff9f43', '#ff6348', '#feca57'];
+    const SPEED_LINE_COLOR = 'rgba(255, 255, 255, 0.35)';
+
+    function createParticle() {
+        return {
+            kind: '',
+            x: 0,
+            y: 0,
+            vx: 0,
+            vy: 0,
+            life: 0,
+            maxLife: 1,
+            size: 1,
+            grow: 0,
+            drag: 1,
+            color: ''
+        };
+    }
+
+    class EffectsSystem {
+        constructor(options = {}) {
+            this.random = options.random || Math.random;
+
+            this.pool = [];
+            for (let i = 0; i < BASE_BUDGET; i++) {
+                this.pool.push(createParticle());
+            }
+            this.particles = [];
+            this.budget = BASE_BUDGET;
+            this.quality = 1;
+            this.dropped = 0; // Spawns refused because the budget was full
+
+            // Screen shake: strength decays linearly over its ticks
+            this.shakeStrength = 0;
+            this.shakeTicks = 0;
+            this.shakeTotal = 0;
+            this.shakeX = 0;
+            this.shakeY = 0;
+
+            // Full-screen flash that fades out
+            this.flashColor = '';
+            this.flashTicks = 0;
+            this.flashTotal = 0;
+
+            // Reduced motion (accessibility.js): no shake, flashes or speed lines
+            this.reducedMotion = false;
+        }
+
+        // Lower quality means fewer particles alive and fewer per burst
+        setQuality(level) {
+            this.quality = Math.max(0.5, Math.min(1, level));
+            this.budget = Math.round(BASE_BUDGET * this.quality);
+            while (this.particles.length > this.budget) {
+                this.release(this.particles.length - 1);
+            }
+        }
+
+        setReducedMotion(enabled) {
+            this.reducedMotion = !!enabled;
+            if (!this.reducedMotion) return;
+
+            this.shakeTicks = 0;
+            this.shakeX = 0;
+            this.shakeY = 0;
+            this.flashTicks = 0;
+            for (let i = this.particles.length - 1; i >= 0; i--) {
+                if (this.particles[i].kind === 'line') this.release(i);
+            }
+        }
+
+        count(base) {
+            return Math.max(1, Math.round(base * this.quality));
+        }
+
+        spawn(kind, x, y, vx, vy, life, size, color) {
+            if (this.particles.length >= this.budget || this.pool.length === 0) {
+                this.dropped++;
+                return null;
+            }
+
+            const particle = this.pool.pop();
+            particle.kind = kind;
+            particle.x = x;
+            particle.y = y;
+            particle.vx = vx;
+            particle.vy = vy;
+            particle.life = life;
+            particle.maxLife = life;
+            particle.size = size;
+            particle.grow = 0;
+            particle.drag = 1;
+            particle.color = color;
+            this.particles.push(particle);
+            return particle;
+        }
+
+        // Swap-remove so the active list never shifts
+        release(index) {
+            const particles = this.particles;
+            const particle = particles[index];
+            particles[index] = particles[particles.length - 1];
+            particles.pop();
+            this.pool.push(particle);
+        }
+
+        clear() {
+            while (this.particles.length > 0) {
+                this.release(this.particles.length - 1);
+            }
+            this.shakeTicks = 0;
+            this.shakeX = 0;
+            this.shakeY = 0;
+            this.flashTicks = 0;
+        }
+
+        // Emitters. Positions are in canvas pixels; scale is canvas pixels per
+        // simulation pixel at that spot, so effects shrink with distance in
+        // the perspective view.
+
+        // Grey puffs left behind by the tyres, drifting back with the road
+        tireSmoke(x, y, scale, roadSpeed) {
+            for (let i = this.count(SMOKE_COUNT); i > 0; i--) {
+                const particle = this.spawn('smoke',
+                    x + (this.random() - 0.5) * 20 * scale, y,
+                    (this.random() - 0.5) * 0.6 * scale, roadSpeed * scale * 0.5,
+                    30 + this.random() * 20, (3 + this.random() * 3) * scale, SMOKE_COLOR);
+                if (particle) {
+                    particle.grow = 0.25 * scale;
+                    particle.drag = 0.96;
+                }
+            }
+        }
+
+        // Short bright streaks thrown sideways (direction -1 left, 1 right)
+        sparks(x, y, scale, direction) {
+            for (let i = this.count(SPARK_COUNT); i > 0; i--) {
+                const speed = (3 + this.random() * 4) * scale;
+                const particle = this.spawn('spark', x, y,
+                    direction * speed, (this.random() - 0.3) * speed,
+                    10 + this.random() * 10, Math.max(1, 1.5 * scale), SPARK_COLOR);
+                if (particle) particle.drag = 0.9;
+            }
+        }
+
+        // Debris in the crashed cars' colours plus a burst of fire
+        explosion(x, y, scale, colors) {
+            for (let i = this.count(DEBRIS_COUNT); i > 0; i--) {
+                const angle = this.random() * Math.PI * 2;
+                const speed = (2 + this.random() * 6) * scale;
+                const particle = this.spawn('debris', x, y,
+                    Math.cos(angle) * speed, Math.sin(angle) * speed,
+                    60 + this.random() * 60, (2 + this.random() * 4) * scale,
+                    colors[i % colors.length]);
+                if (particle) particle.drag = 0.95;
+            }
+            for (let i = this.count(FIRE_COUNT); i > 0; i--) {
+                const angle = this.random() * Math.PI * 2;
+                const speed = this.random() * 3 * scale;
+                const particle = this.spawn('fire', x, y,
+                    Math.cos(angle) * speed, Math.sin(angle) * speed,
+                    30 + this.random() * 30, (6 + this.random() * 8) * scale,
+                    FIRE_COLORS[i % FIRE_COLORS.length]);
+                if (particle) {
+                    particle.grow = 0.3 * scale;
+                    particle.drag = 0.92;
+                }
+            }
+        }
+
+        // Streaks rushing past once the road is fast; speedRatio is the
+        // current speed over the top speed
+        speedLines(width, height, speedRatio, ticks) {
+            if (this.reducedMotion) return;
+
+            const intensity = (speedRatio - SPEED_LINE_THRESHOLD) / (1 - SPEED_LINE_THRESHOLD);
+            if (intensity <= 0) return;
+
+            // Fractional rates carry over by chance so slow frames still emit
+            const expected = intensity * 1.5 * this.quality * ticks;
+            let lines = Math.floor(expected);
+            if (this.random() < expected - lines) lines++;
+            for (let i = 0; i < lines; i++) {
+                this.spawn('line', this.random() * width, -height * 0.2 * this.random(),
+                    0, height / 25 * (0.8 + intensity * 0.6), 30, 20 + intensity * 60, SPEED_LINE_COLOR);
+            }
+        }
+
+        shake(strength, ticks) {
+            if (this.reducedMotion) return;
+
+            // A weaker shake never cuts a stronger one short
+            if (this.shakeTicks > 0 && this.shakeStrength * (this.shakeTicks / this.shakeTotal) > strength) return;
+            this.shakeStrength = strength;
+            this.shakeTicks = ticks;
+            this.shakeTotal = ticks;
+        }
+
+        flash(color, ticks) {
+            if (this.reducedMotion) return;
+
+            this.flashColor = color;
+            this.flashTicks = ticks;
+            this.flashTotal = ticks;
+        }
+
+        // Advance by a number of simulation ticks (fractional for slow motion)
+        update(ticks) {
+            const particles = this.particles;
+            for (let i = particles.length - 1; i >= 0; i--) {
+                const particle = particles[i];
+                particle.life -= ticks;
+                if (particle.life <= 0) {
+                    this.release(i);
+                    continue;
+                }
+
+                const drag = particle.drag === 1 ? 1 : Math.pow(particle.drag, ticks);
+                particle.vx *= drag;
+                particle.vy *= drag;
+                particle.x += particle.vx * ticks;
+                particle.y += particle.vy * ticks;
+                particle.size += particle.grow * ticks;
+            }
+
+            if (this.shakeTicks > 0) {
+                this.shakeTicks = Math.max(0, this.shakeTicks - ticks);
+                const strength = this.shakeStrength * (this.shakeTicks / this.shakeTotal);
+                this.shakeX = (this.random() * 2 - 1) * strength;
+                this.shakeY = (this.random() * 2 - 1) * strength;
+            } else {
+                this.shakeX = 0;
+                this.shakeY = 0;
+            }
+
+            if (this.flashTicks > 0) {
+                this.flashTicks = Math.max(0, this.flashTicks - ticks);
+            }
+        }
+
+        // Saves and restores the context so renderers' cached styles survive
+        draw(ctx, width, height) {
+            const particles = this.particles;
+            ctx.save();
+
+            // Speed lines and sparks are strokes, one path each
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = SPEED_LINE_COLOR;
+            ctx.beginPath();
+            for (const particle of particles) {
+                if (particle.kind !== 'line') continue;
+                ctx.moveTo(particle.x, particle.y);
+                ctx.lineTo(particle.x, particle.y - particle.size);
+            }
+            ctx.stroke();
+
+            ctx.strokeStyle = SPARK_COLOR;
+            ctx.beginPath();
+            for (const particle of particles) {
+                if (particle.kind !== 'spark') continue;
+                ctx.moveTo(particle.x, particle.y);
+                ctx.lineTo(particle.x - particle.vx * 2, particle.y - particle.vy * 2);
+            }
+            ctx.stroke();
+
+            // Smoke, fire and debris fade out over their lives
+            for (const particle of particles) {
+                if (particle.kind === 'line' || particle.kind === 'spark') continue;
+
+                ctx.globalAlpha = Math.min(1, particle.life / particle.maxLife * 1.5) * (particle.kind === 'smoke' ? 0.5 : 1);
+                ctx.fillStyle = particle.color;
+                if (particle.kind === 'debris') {
+                    ctx.fillRect(particle.x - particle.size / 2, particle.y - particle.size / 2, particle.size, particle.size);
+                } else {
+                    ctx.beginPath();
+                    ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+
+            if (this.flashTicks > 0) {
+                // Oversized so a shaking frame is still covered
+                ctx.globalAlpha = this.flashTicks / this.flashTotal * 0.8;
+                ctx.fillStyle = this.flashColor;
+                ctx.fillRect(-50, -50, width + 100, height + 100);
+            }
+            ctx.restore();
+        }
+    }
+
+    EffectsSystem.BASE_BUDGET = BASE_BUDGET;
+    EffectsSystem.SPEED_LINE_THRESHOLD = SPEED_LINE_THRESHOLD;
+
+    return EffectsSystem;
+}));
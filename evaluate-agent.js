@@ -0,0 +1,81 @@
+// Agent evaluation: runs an agent headlessly over a range of seeds
+// Usage: node evaluate-agent.js [--agent file.js] [--seeds N] [--from SEED]
+//   [--preset id] [--lanes N] [--layout id] [--steering lanes|free]
+//   [--max-ticks N] [--json]
+// The agent file exports an agent (an object with act(observation)) or a
+// function that returns one; without --agent the built-in autopilot drives.
+const path = require('path');
+const Autopilot = require('./autopilot');
+const GameConfig = require('./config');
+const RoadLayouts = require('./road-layouts');
+
+const USAGE = 'Usage: node evaluate-agent.js [--agent file.js] [--seeds N] [--from SEED] [--preset id] ' +
+    '[--lanes N] [--layout id] [--steering lanes|free] [--max-ticks N] [--json]';
+
+function option(args, name, fallback) {
+    const at = args.indexOf(name);
+    return at >= 0 ? args[at + 1] : fallback;
+}
+
+function loadAgent(file) {
+    if (!file) {
+        return new Autopilot.HeuristicPilot();
+    }
+    const loaded = require(path.resolve(file));
+    const agent = typeof loaded === 'function' ? loaded() : loaded;
+    if (!agent || typeof agent.act !== 'function') {
+        throw new Error(`${file} does not export an agent with act(observation)`);
+    }
+    return agent;
+}
+
+const args = process.argv.slice(2);
+const count = Number(option(args, '--seeds', 10));
+const from = Number(option(args, '--from', 1));
+const maxTicks = Number(option(args, '--max-ticks', Autopilot.MAX_TICKS));
+const options = {
+    preset: option(args, '--preset', GameConfig.DEFAULT_PRESET),
+    lanes: Number(option(args, '--lanes', RoadLayouts.DEFAULT_LANES)),
+    layout: option(args, '--layout', 'straight'),
+    steering: option(args, '--steering', 'lanes'),
+    maxTicks
+};
+
+if (!Number.isInteger(count) || count < 1 || !Number.isInteger(from) || !Number.isInteger(maxTicks) || maxTicks < 1) {
+    console.log(USAGE);
+    process.exit(2);
+}
+options.seeds = Array.from({ length: count }, (_, i) => from + i);
+
+let result;
+try {
+    result = Autopilot.evaluate(loadAgent(option(args, '--agent')), options);
+} catch (err) {
+    console.log(`✗ ${err.message}`);
+    console.log(USAGE);
+    process.exit(2);
+}
+
+if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+}
+
+const summary = result.summary;
+console.log('🤖 Endless Driver Game - Agent Evaluation\n');
+console.log(`Agent: ${option(args, '--agent', 'built-in autopilot')}`);
+console.log(`Difficulty: ${options.preset}, ${options.lanes} lanes, ${options.layout}, ${options.steering} steering`);
+console.log(`Seeds: ${from} to ${from + count - 1}, up to ${maxTicks} ticks each`);
+
+console.log('\n📋 Runs:');
+console.log('------------------------');
+for (const run of result.runs) {
+    const end = run.crashed ? `crashed at tick ${run.ticks}` : 'survived';
+    console.log(`Seed ${run.seed}: ${run.score} points, ${run.distance} m, ${run.duration.toFixed(1)} s, ${end}`);
+}
+
+console.log('\n📊 Summary:');
+console.log('------------------------');
+console.log(`Crashes: ${summary.crashes} of ${summary.runs}`);
+console.log(`Score: mean ${summary.meanScore}, median ${summary.medianScore}, range ${summary.minScore}-${summary.maxScore}`);
+console.log(`Mean distance: ${summary.meanDistance} m in ${summary.meanDuration} s\n`);
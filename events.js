@@ -0,0 +1,212 @@
+// Game events and plugin hooks for Endless Driver
+// The simulation and the shell announce what happens through one typed
+// event bus, and plugins (analytics, mods, debug tools) subscribe through a
+// plugin host instead of patching game.js. Listeners must not change the
+// simulation: replays and score verification assume they never do.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GameEvents = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Event types and their payload fields
+    //   run:start        A run or replay begins
+    //   obstacle:spawn   Obstacle entered the road (still above the screen)
+    //   obstacle:passed  Obstacle went by the player; nearMiss if it was close
+    //   lane:change      Player's lane changed, by steering or a lane closure
+    //   collision        Player hit something. obstacle is null for a closed
+    //                    lane; fatal is false for oil or a shielded crash
+    //   run:end          Results are about to show; crashed is false when a
+    //                    replay simply ran out
+    //   frame            A frame was drawn; ctx is the canvas context in CSS
+    //                    pixels, for overlays. The payload object is reused.
+    const EVENTS = {
+        'run:start': ['seed', 'replay', 'lanes', 'layout', 'steering'],
+        'obstacle:spawn': ['obstacle', 'tick'],
+        'obstacle:passed': ['obstacle', 'nearMiss', 'tick'],
+        'lane:change': ['from', 'to', 'tick'],
+        'collision': ['obstacle', 'fatal', 'tick'],
+        'run:end': ['stats', 'replay', 'crashed'],
+        'frame': ['tick', 'alpha', 'deltaTime', 'fps', 'ctx', 'width', 'height']
+    };
+    const TYPES = Object.keys(EVENTS);
+
+    // Global queue plugins can push to before or after the game starts
+    const QUEUE_NAME = 'endlessDriverPlugins';
+
+    function checkType(type) {
+        if (!EVENTS[type]) {
+            throw new Error(`Unknown event: ${type}`);
+        }
+    }
+
+    class EventBus {
+        constructor(options = {}) {
+            this.strict = !!options.strict; // Check payload fields on every emit
+            this.listeners = {};
+            for (const type of TYPES) {
+                this.listeners[type] = [];
+            }
+        }
+
+        // Returns a function that unsubscribes
+        on(type, listener) {
+            checkType(type);
+            if (typeof listener !== 'function') {
+                throw new Error(`Listener for ${type} is not a function`);
+            }
+
+            // Lists are replaced rather than changed, so an emit in progress
+            // is not disturbed by listeners coming or going
+            this.listeners[type] = this.listeners[type].concat(listener);
+            return () => this.off(type, listener);
+        }
+
+        once(type, listener) {
+            const off = this.on(type, (payload) => {
+                off();
+                listener(payload);
+            });
+            return off;
+        }
+
+        off(type, listener) {
+            checkType(type);
+            this.listeners[type] = this.listeners[type].filter(existing => existing !== listener);
+        }
+
+        has(type) {
+            checkType(type);
+            return this.listeners[type].length > 0;
+        }
+
+        // A throwing listener is reported and skipped so one broken plugin
+        // cannot stop the game
+        emit(type, payload) {
+            checkType(type);
+            if (this.strict) {
+                for (const field of EVENTS[type]) {
+                    if (!payload || !(field in payload)) {
+                        throw new Error(`${type} payload has no ${field}`);
+                    }
+                }
+            }
+
+            const listeners = this.listeners[type];
+            for (let i = 0; i < listeners.length; i++) {
+                try {
+                    listeners[i](payload);
+                } catch (err) {
+                    console.warn(`${type} listener failed:`, err);
+                }
+            }
+        }
+    }
+
+    // Plugins are objects with a name and setup(api). The api has the game,
+    // the event types, and on/once, which are undone automatically when the
+    // plugin is removed; setup may also return a function that undoes it.
+    class PluginHost {
+        constructor(bus, game = null) {
+            this.bus = bus;
+            this.game = game;
+            this.plugins = new Map();
+        }
+
+        register(plugin) {
+            if (!plugin || typeof plugin.name !== 'string' || !plugin.name || typeof plugin.setup !== 'function') {
+                throw new Error('A plugin needs a name and a setup function');
+            }
+            if (this.plugins.has(plugin.name)) {
+                throw new Error(`Plugin already registered: ${plugin.name}`);
+            }
+
+            const unsubscribers = [];
+            const api = {
+                game: this.game,
+                events: TYPES,
+                on: (type, listener) => {
+                    const off = this.bus.on(type, listener);
+                    unsubscribers.push(off);
+                    return off;
+                },
+                once: (type, listener) => {
+                    const off = this.bus.once(type, listener);
+                    unsubscribers.push(off);
+                    return off;
+                }
+            };
+
+            let teardown;
+            try {
+                teardown = plugin.setup(api);
+            } catch (err) {
+                unsubscribers.forEach(off => off());
+                throw new Error(`Plugin ${plugin.name} failed to start: ${err.message}`);
+            }
+
+            this.plugins.set(plugin.name, {
+                plugin,
+                unsubscribers,
+                teardown: typeof teardown === 'function' ? teardown : null
+            });
+        }
+
+        unregister(name) {
+            const entry = this.plugins.get(name);
+            if (!entry) return false;
+
+            this.plugins.delete(name);
+            entry.unsubscribers.forEach(off => off());
+            if (entry.teardown) {
+                try {
+                    entry.teardown();
+                } catch (err) {
+                    console.warn(`Plugin ${name} failed to stop:`, err);
+                }
+            }
+            return true;
+        }
+
+        has(name) {
+            return this.plugins.has(name);
+        }
+
+        get names() {
+            return Array.from(this.plugins.keys());
+        }
+
+        // Register everything already in a queue array, then take over its
+        // push so plugins loaded later register at once. Bad plugins are
+        // reported and skipped.
+        adopt(queue) {
+            const add = (plugin) => {
+                try {
+                    this.register(plugin);
+                } catch (err) {
+                    console.warn(err.message);
+                }
+            };
+
+            queue.forEach(add);
+            queue.length = 0;
+            queue.push = (...plugins) => {
+                plugins.forEach(add);
+                return 0;
+            };
+            return queue;
+        }
+    }
+
+    return {
+        EVENTS,
+        TYPES,
+        QUEUE_NAME,
+        EventBus,
+        PluginHost
+    };
+}));
@@ -3,18 +3,100 @@
 
 class EndlessDriverGame {
     constructor() {
-        // Canvas and context
+        // Canvas: drawn on this thread, or handed to a worker that draws it
+        // from per-frame snapshots (render-thread.js) where the browser can
+        // and the player has chosen to. setRenderPath() claims it in init().
         this.canvas = document.getElementById('game-canvas');
-        this.ctx = this.canvas.getContext('2d', { 
-            alpha: false,
-            desynchronized: true // Enable low-latency rendering
-        });
+        this.ctx = null;
+        this.renderSettings = new RenderThread.RenderSettings();
+        this.renderPath = null; // 'main' or 'worker'
+        this.renderClient = null; // RenderThread.WorkerRenderer on the worker path
+        this.overlayCanvas = null; // For 'frame' overlays on the worker path
+        this.overlayCtx = null;
+        this.overlayDrawn = false;
+        this.drawnFramesMark = 0;
         
-        // Game state
+        // Shell state ('loading', 'playing', 'paused', 'crashing', 'gameOver')
         this.gameState = 'loading';
-        this.score = 0;
-        this.gameSpeed = 5;
-        this.frameCount = 0;
+        
+        // Event bus (events.js): the simulation and the shell announce what
+        // happens; the shell's own feedback and any plugins listen
+        this.events = new GameEvents.EventBus();
+        this.plugins = new GameEvents.PluginHost(this.events, this);
+        this.framePayload = { tick: 0, alpha: 0, deltaTime: 0, fps: 0, ctx: null, width: 0, height: 0 };
+        
+        // Headless simulation core (simulation.js)
+        this.sim = new DriverSimulation({ events: this.events });
+        
+        // Replays (replay.js): every live run is recorded; playback feeds
+        // recorded inputs to the simulation instead of live input
+        this.recorder = new Replay.ReplayRecorder();
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        
+        // Agents (autopilot.js) drive through the same per-tick inputs as the
+        // player. setAgent() hands live runs to one, and after a spell on the
+        // start screen with no input the built-in autopilot plays a demo.
+        this.agent = null;
+        this.runAgent = null; // Agent driving the current run
+        this.agentInputs = {};
+        this.autopilot = new Autopilot.HeuristicPilot();
+        this.demo = false;
+        this.attractDelay = 20000; // ms
+        this.attractTimer = 0;
+        
+        // Lane count and road layout for the next run (road-layouts.js)
+        this.roadConfig = { lanes: RoadLayouts.DEFAULT_LANES, layout: 'straight' };
+        this.steeringMode = 'lanes'; // 'lanes' or 'free' (analog driving)
+        
+        // Difficulty preset (config.js), plus any ?field=value overrides from
+        // the URL for testing; runs with overrides are not ranked
+        const query = GameConfig.parseQuery(window.location.search);
+        query.errors.forEach(error => console.warn('Ignoring URL config:', error));
+        this.presetId = query.preset || GameConfig.DEFAULT_PRESET;
+        this.configOverrides = query.overrides;
+        
+        // Local high-score tables (leaderboard.js), one per difficulty
+        this.leaderboards = {};
+        this.leaderboard = this.leaderboardFor(this.presetId);
+        this.lastEntry = null;
+        
+        // Ghost of the best run on each difficulty (ghost.js): every live
+        // run is sampled, and the ghost is raced as a see-through car
+        this.ghosts = new Ghost.GhostStore();
+        this.ghostRecorder = new Ghost.GhostRecorder();
+        this.ghostPlayer = null;
+        this.lastGhost = null;
+        this.ghostGapText = '';
+        
+        // Missions, achievements, coins and car colours (progression.js);
+        // only live runs count
+        this.progression = new Progression();
+        this.lastCoins = 0;
+        
+        // Procedural sound (audio.js)
+        this.audio = new AudioEngine();
+        
+        // Particles and screen shake (effects.js), driven by the same events;
+        // a crash plays out in slow motion before the results appear
+        this.effects = new EffectsSystem();
+        this.screenPoint = { x: 0, y: 0, scale: 1 };
+        this.nextSmokeTick = 0;
+        this.crashDuration = 1500; // ms of real time
+        this.crashTimeScale = 0.25;
+        this.crashStart = 0;
+        
+        // Fixed-step timing: real time is banked in ticks and the renderer
+        // interpolates between the last two simulation states
+        this.tickAccumulator = 0;
+        this.maxFrameTicks = 6; // Clamp long frames (~100ms) so a hitch never jumps obstacles onto the player
+        this.stallMs = 1000; // Longer frames mean the page was frozen; pause instead
+        this.frameRequest = 0;
+        this.timeScale = 1; // Below 1 for slow motion (debug.js)
+        this.frozen = false; // Clock stopped; only pendingSteps ticks run
+        this.pendingSteps = 0;
+        this.runTuned = false; // Rules were tuned this run, so it is not ranked
+        this.settingsReturnScreen = 'start-screen';
         
         // Performance monitoring
         this.fps = 60;
@@ -27,43 +109,44 @@ class EndlessDriverGame {
         this.lowFPSCount = 0;
         this.qualityLevel = 1; // 1 = high, 0.75 = medium, 0.5 = low
         
-        // Player
-        this.player = {
-            x: 0,
-            y: 0,
-            width: 40,
-            height: 60,
-            lane: 1, // 0=left, 1=center, 2=right
-            color: '#00d2ff'
-        };
-        
-        // Obstacles with object pooling
-        this.obstacles = [];
-        this.obstaclePool = [];
-        this.obstacleSpawnTimer = 0;
-        this.obstacleSpawnInterval = 100;
-        this.maxObstacles = 10;
-        
-        // Road lanes
-        this.lanes = [0.25, 0.5, 0.75]; // Relative positions
-        this.laneWidth = 0;
-        
-        // Input handling
-        this.keys = {};
-        this.touchInput = { x: 0, y: 0, active: false };
+        // Input handling: keyboard, gamepad and touch are mapped onto named
+        // actions through the active player's bindings (controls.js)
+        this.bindings = new Controls.InputBindings();
+        this.input = new Controls.InputMapper(this.bindings);
+        this.gamepadConnected = false;
+        this.menuFrameRequest = 0;
+        this.listeningButton = null;
         this.swipeStartX = 0;
-        this.swipeThreshold = 50;
+        this.pendingLaneChange = 0;
         this.lastInputTime = 0;
         this.inputThrottle = 16; // ~60 FPS
         
         // Asset loading
+        this.assets = new AssetManager();
         this.assetsLoaded = false;
         
+        // Offline play (offline.js): the service worker caches the game and
+        // new versions are offered between runs
+        this.offline = null;
+        
         // Dynamic resolution scaling
         this.pixelRatio = this.getOptimalPixelRatio();
         
-        // Rendering optimization flags
-        this.roadStyleCached = false;
+        // Pluggable view (renderers.js): top-down or perspective
+        this.viewMode = Renderers.DEFAULT;
+        this.renderer = Renderers.create(this.viewMode, this.ctx, this.assets);
+        
+        // Accessibility (accessibility.js): colour-blind palettes with shape
+        // cues, reduced motion, one-switch play, a slower game speed and
+        // screen reader announcements. Speed-assisted runs are not ranked.
+        this.accessibility = new Accessibility.AccessibilitySettings();
+        this.laneCycler = new Accessibility.LaneCycler();
+        this.scoreAnnouncer = new Accessibility.ScoreAnnouncer();
+        this.runSpeedAssist = 1; // Speed assist for the current run
+        
+        // Developer overlay and tuning panel (debug.js), toggled with the
+        // backquote key or opened with ?debug in the URL
+        this.debug = new DebugOverlay(this);
         
         this.init();
     }
@@ -81,9 +164,23 @@ class EndlessDriverGame {
     }
     
     init() {
-        this.resizeCanvas();
+        const renderPath = RenderThread.pathFromQuery(window.location.search);
+        this.setRenderPath(renderPath || (this.renderSettings.worker ? 'worker' : 'main'));
         this.setupEventListeners();
+        this.setupFeedback();
+        this.setupOffline();
         this.loadAssets();
+        
+        // Plugins can be queued on a global array before the game exists
+        const queue = window[GameEvents.QUEUE_NAME] = window[GameEvents.QUEUE_NAME] || [];
+        this.plugins.adopt(queue);
+        
+        if (/[?&]debug\b/.test(window.location.search)) {
+            this.debug.show();
+        }
+        if (/[?&]autopilot\b/.test(window.location.search)) {
+            this.setAgent(this.autopilot);
+        }
     }
     
     resizeCanvas() {
@@ -95,42 +192,260 @@ class EndlessDriverGame {
         this.canvas.style.width = rect.width + 'px';
         this.canvas.style.height = rect.height + 'px';
         
-        // Set actual size with pixel ratio for crisp rendering
-        this.canvas.width = rect.width * this.pixelRatio;
-        this.canvas.height = rect.height * this.pixelRatio;
+        if (this.renderClient) {
+            // The worker owns the canvas's pixels and sizes it itself
+            this.renderClient.resize(rect.width, rect.height, this.pixelRatio);
+            this.overlayCanvas.style.width = rect.width + 'px';
+            this.overlayCanvas.style.height = rect.height + 'px';
+            this.overlayCanvas.width = rect.width * this.pixelRatio;
+            this.overlayCanvas.height = rect.height * this.pixelRatio;
+            this.overlayCtx.scale(this.pixelRatio, this.pixelRatio);
+        } else {
+            // Set actual size with pixel ratio for crisp rendering
+            this.canvas.width = rect.width * this.pixelRatio;
+            this.canvas.height = rect.height * this.pixelRatio;
+            
+            // Scale context to match pixel ratio
+            this.ctx.scale(this.pixelRatio, this.pixelRatio);
+        }
         
-        // Scale context to match pixel ratio
-        this.ctx.scale(this.pixelRatio, this.pixelRatio);
+        // Resizing resets the context's drawing state
+        this.renderer.invalidate();
         
-        // Update game dimensions
-        this.gameWidth = rect.width;
-        this.gameHeight = rect.height;
-        this.laneWidth = this.gameWidth / 3;
+        // Update game dimensions, in whole pixels as replays record them
+        this.gameWidth = Math.round(rect.width);
+        this.gameHeight = Math.round(rect.height);
         
-        // Update player position
-        this.player.x = this.lanes[this.player.lane] * this.gameWidth - this.player.width / 2;
-        this.player.y = this.gameHeight - this.player.height - 50;
+        // Road geometry is fixed for the length of a run so replays stay
+        // deterministic; the renderer scales it to fit instead
+        if (this.gameState === 'playing' || this.gameState === 'paused' || this.gameState === 'crashing') {
+            // Resizing clears the canvas, so redraw the frozen frame
+            if (this.gameState === 'paused') {
+                this.render(Math.min(this.tickAccumulator, 1));
+            }
+        } else {
+            this.sim.resize(this.gameWidth, this.gameHeight);
+        }
     }
     
     setupEventListeners() {
         // Keyboard controls
-        const preventDefaultKeys = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', ' '];
-        
         window.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
-            if (preventDefaultKeys.includes(e.key)) {
+            this.noteActivity();
+            
+            // Typing initials is not driving
+            if (e.target && e.target.tagName === 'INPUT' && e.target.type === 'text') return;
+            
+            // Developer overlay has a fixed key so it cannot be unbound
+            if (e.code === 'Backquote' && !this.input.capture) {
+                if (!e.repeat) this.debug.toggle();
+                return;
+            }
+            
+            if (this.input.capture) {
                 e.preventDefault();
             }
+            const actions = this.input.keyDown(e.code);
+            if (actions.length > 0 || e.code === 'Space') {
+                e.preventDefault();
+            }
+            if (!e.repeat) {
+                this.handleActions(actions);
+            }
         });
         
         window.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
+            this.input.keyUp(e.code);
+        });
+        
+        window.addEventListener('pointerdown', () => {
+            this.noteActivity();
+        });
+        
+        // Gamepads are polled each frame; menus need their own poll loop
+        window.addEventListener('gamepadconnected', () => {
+            this.gamepadConnected = true;
+            this.startMenuLoop();
         });
         
         // Touch controls - Joystick
         this.setupJoystick();
         
         // Touch controls - Swipe gestures
+        this.setupCanvasInput();
+        
+        // Window resize
+        window.addEventListener('resize', () => {
+            this.resizeCanvas();
+        });
+        
+        // Pause all sound while the tab is in the background, and pause the
+        // run whenever the player may not be looking at it
+        document.addEventListener('visibilitychange', () => {
+            this.audio.setHidden(document.hidden);
+            if (document.hidden) {
+                this.pause();
+            }
+        });
+        
+        window.addEventListener('blur', () => {
+            this.pause();
+        });
+        
+        if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.addEventListener) {
+            screen.orientation.addEventListener('change', () => this.pause());
+        } else {
+            window.addEventListener('orientationchange', () => this.pause());
+        }
+        
+        // UI buttons (the first click also unlocks audio)
+        document.getElementById('start-button').addEventListener('click', () => {
+            this.audio.unlock();
+            this.audio.playClick();
+            this.startGame();
+        });
+        
+        document.getElementById('restart-button').addEventListener('click', () => {
+            this.audio.unlock();
+            this.audio.playClick();
+            this.startGame();
+        });
+        
+        // Back to the start screen to see missions and spend coins
+        document.getElementById('menu-button').addEventListener('click', () => {
+            this.audio.playClick();
+            document.getElementById('game-over-screen').classList.add('hidden');
+            this.showStartScreen();
+        });
+        
+        // Control bindings
+        this.setupControlsScreen();
+        
+        // Pause controls
+        document.getElementById('pause-button').addEventListener('click', () => {
+            this.pause();
+        });
+        
+        document.getElementById('resume-button').addEventListener('click', () => {
+            this.resume();
+        });
+        
+        document.getElementById('pause-restart-button').addEventListener('click', () => {
+            this.audio.playClick();
+            this.startGame(this.replayPlayer ? this.replayPlayer.replay : null);
+        });
+        
+        // Settings, reachable from the start and pause screens
+        document.getElementById('start-settings-button').addEventListener('click', () => {
+            this.openSettings('start-screen');
+        });
+        
+        document.getElementById('pause-settings-button').addEventListener('click', () => {
+            this.openSettings('pause-screen');
+        });
+        
+        document.getElementById('settings-back-button').addEventListener('click', () => {
+            this.closeSettings();
+        });
+        
+        // Replay controls
+        document.getElementById('watch-replay-button').addEventListener('click', () => {
+            if (this.lastReplay) {
+                this.startGame(this.lastReplay);
+            }
+        });
+        
+        document.getElementById('save-replay-button').addEventListener('click', () => {
+            this.downloadReplay();
+        });
+        
+        const replayFile = document.getElementById('replay-file');
+        document.getElementById('load-replay-button').addEventListener('click', () => {
+            replayFile.click();
+        });
+        
+        replayFile.addEventListener('change', () => {
+            const file = replayFile.files[0];
+            replayFile.value = '';
+            if (file) {
+                this.loadReplayFile(file);
+            }
+        });
+        
+        // Road options
+        this.setupRoadOptions();
+        
+        // Volume and mute
+        this.setupAudioOptions();
+        
+        // Palettes, motion, one-switch play and game speed
+        this.setupAccessibilityOptions();
+        
+        // Drawing in a worker
+        this.setupRenderOptions();
+        
+        // Power-up timers in the HUD
+        this.setupPowerUpTimers();
+        
+        // High score controls
+        document.getElementById('initials-input').addEventListener('change', (e) => {
+            if (this.lastEntry) {
+                this.leaderboard.rename(this.lastEntry, e.target.value);
+                e.target.value = this.lastEntry.initials;
+                if (this.lastGhost) {
+                    this.ghosts.rename(this.lastGhost, this.lastEntry.initials);
+                }
+                this.renderLeaderboard('game-over-leaderboard', this.lastEntry);
+            }
+        });
+        
+        document.getElementById('export-scores-button').addEventListener('click', () => {
+            this.downloadFile(`endless-driver-scores-${this.presetId}.json`, this.leaderboard.export());
+        });
+        
+        const scoresFile = document.getElementById('scores-file');
+        document.getElementById('import-scores-button').addEventListener('click', () => {
+            scoresFile.click();
+        });
+        
+        scoresFile.addEventListener('change', () => {
+            const file = scoresFile.files[0];
+            scoresFile.value = '';
+            if (file) {
+                this.importScoresFile(file);
+            }
+        });
+        
+        // Ghost controls
+        const ghostToggle = document.getElementById('ghost-toggle');
+        ghostToggle.checked = this.ghosts.enabled;
+        ghostToggle.addEventListener('change', () => {
+            this.ghosts.setEnabled(ghostToggle.checked);
+        });
+        
+        document.getElementById('export-ghost-button').addEventListener('click', () => {
+            const text = this.ghosts.export(this.presetId);
+            if (text) {
+                this.downloadFile(`endless-driver-ghost-${this.presetId}.json`, text);
+            }
+        });
+        
+        const ghostFile = document.getElementById('ghost-file');
+        document.getElementById('import-ghost-button').addEventListener('click', () => {
+            ghostFile.click();
+        });
+        
+        ghostFile.addEventListener('change', () => {
+            const file = ghostFile.files[0];
+            ghostFile.value = '';
+            if (file) {
+                this.importGhostFile(file);
+            }
+        });
+    }
+    
+    // Swipes and taps on the canvas, bound again when it is replaced
+    setupCanvasInput() {
         this.canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
             this.swipeStartX = e.touches[0].clientX;
@@ -145,28 +460,471 @@ class EndlessDriverGame {
             const swipeEndX = e.changedTouches[0].clientX;
             const swipeDelta = swipeEndX - this.swipeStartX;
             
-            if (Math.abs(swipeDelta) > this.swipeThreshold) {
-                if (swipeDelta > 0 && this.player.lane < 2) {
-                    this.player.lane++;
-                } else if (swipeDelta < 0 && this.player.lane > 0) {
-                    this.player.lane--;
-                }
+            if (Math.abs(swipeDelta) > this.bindings.player.touch.swipeThreshold) {
+                // Applied by the simulation on its next step
+                this.pendingLaneChange = swipeDelta > 0 ? 1 : -1;
+            } else {
+                // A tap is the switch in one-switch play
+                this.pressSwitch();
             }
         }, { passive: false });
         
-        // Window resize
-        window.addEventListener('resize', () => {
-            this.resizeCanvas();
+        // So is a click, for switches that act as a mouse button (touches
+        // send no mouse events, as touchend cancels them)
+        this.canvas.addEventListener('mousedown', () => {
+            this.pressSwitch();
         });
+    }
+    
+    // Draw on this thread ('main'), or hand the canvas to a worker
+    // ('worker') where the browser supports it. A canvas that has had a
+    // context or been handed over cannot change hands, so switching puts a
+    // fresh one in its place. A worker that fails falls back to this thread.
+    setRenderPath(path) {
+        const worker = path === 'worker' && RenderThread.isSupported(this.canvas, window);
+        const next = worker ? 'worker' : 'main';
+        if (next === this.renderPath) return;
         
-        // UI buttons
-        document.getElementById('start-button').addEventListener('click', () => {
-            this.startGame();
+        if (this.renderClient) {
+            this.renderClient.terminate();
+            this.renderClient = null;
+        }
+        if (this.renderPath) {
+            this.replaceCanvas();
+        }
+        
+        this.ctx = null;
+        if (worker) {
+            // Each page names its worker script, like its service worker
+            const meta = document.querySelector('meta[name="render-worker"]');
+            let client = null;
+            try {
+                client = new RenderThread.WorkerRenderer(this.canvas, {
+                    url: meta ? meta.content : RenderThread.DEFAULT_WORKER_URL,
+                    onError: (err) => {
+                        console.warn('Render worker failed, drawing on the page instead:', err.message);
+                        document.getElementById('render-worker-toggle').checked = false;
+                        if (client && this.renderClient === client) {
+                            this.setRenderPath('main');
+                        }
+                    }
+                });
+            } catch (err) {
+                // e.g. workers are blocked on pages opened from a file
+                console.warn('Render worker unavailable, drawing on the page instead:', err.message);
+            }
+            // A worker can fail before the constructor returns, after it has
+            // taken the canvas
+            if (client && !client.failed) {
+                this.renderClient = client;
+            } else if (client) {
+                this.replaceCanvas();
+            }
+        }
+        
+        if (this.renderClient) {
+            this.drawnFramesMark = 0;
+            this.createOverlay();
+            if (this.assetsLoaded) {
+                this.renderClient.shareAssets(this.assets);
+            }
+        } else {
+            this.ctx = this.canvas.getContext('2d', {
+                alpha: false,
+                desynchronized: true // Enable low-latency rendering
+            });
+            this.removeOverlay();
+        }
+        this.renderPath = this.renderClient ? 'worker' : 'main';
+        this.framePayload.ctx = this.ctx || this.overlayCtx;
+        this.setView(this.viewMode);
+        this.resizeCanvas();
+    }
+    
+    replaceCanvas() {
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+        this.setupCanvasInput();
+    }
+    
+    // Plugin and debug overlays draw on the frame's context, which the
+    // worker path does not have here; they get a canvas over the game's
+    createOverlay() {
+        this.removeOverlay();
+        this.overlayCanvas = document.createElement('canvas');
+        this.overlayCanvas.className = 'overlay-canvas';
+        this.canvas.after(this.overlayCanvas);
+        this.overlayCtx = this.overlayCanvas.getContext('2d');
+        this.overlayDrawn = false;
+    }
+    
+    removeOverlay() {
+        if (this.overlayCanvas) {
+            this.overlayCanvas.remove();
+            this.overlayCanvas = null;
+            this.overlayCtx = null;
+        }
+    }
+    
+    setupRenderOptions() {
+        const toggle = document.getElementById('render-worker-toggle');
+        toggle.checked = this.renderPath === 'worker';
+        // Browsers without OffscreenCanvas only have the page's thread
+        toggle.disabled = !RenderThread.isSupported(this.canvas, window);
+        toggle.addEventListener('change', () => {
+            this.renderSettings.setWorker(toggle.checked);
+            this.setRenderPath(toggle.checked ? 'worker' : 'main');
+        });
+    }
+    
+    setupRoadOptions() {
+        const presetSelect = document.getElementById('preset-select');
+        for (const id of GameConfig.PRESET_IDS) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = GameConfig.PRESETS[id].name;
+            presetSelect.appendChild(option);
+        }
+        presetSelect.value = this.presetId;
+        presetSelect.addEventListener('change', () => {
+            this.setPreset(presetSelect.value);
         });
         
-        document.getElementById('restart-button').addEventListener('click', () => {
-            this.startGame();
+        const lanesSelect = document.getElementById('lanes-select');
+        const layoutSelect = document.getElementById('layout-select');
+        
+        for (let lanes = RoadLayouts.MIN_LANES; lanes <= RoadLayouts.MAX_LANES; lanes++) {
+            const option = document.createElement('option');
+            option.value = lanes;
+            option.textContent = lanes;
+            lanesSelect.appendChild(option);
+        }
+        
+        for (const id of RoadLayouts.IDS) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = RoadLayouts.LAYOUTS[id].name;
+            layoutSelect.appendChild(option);
+        }
+        
+        lanesSelect.value = this.roadConfig.lanes;
+        layoutSelect.value = this.roadConfig.layout;
+        
+        lanesSelect.addEventListener('change', () => {
+            this.roadConfig.lanes = RoadLayouts.clampLanes(Number(lanesSelect.value));
+        });
+        
+        layoutSelect.addEventListener('change', () => {
+            this.roadConfig.layout = layoutSelect.value;
+        });
+        
+        const viewSelect = document.getElementById('view-select');
+        for (const id of Renderers.IDS) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = Renderers.RENDERERS[id].name;
+            viewSelect.appendChild(option);
+        }
+        viewSelect.value = this.viewMode;
+        viewSelect.addEventListener('change', () => {
+            this.setView(viewSelect.value);
+        });
+        
+        const steeringSelect = document.getElementById('steering-select');
+        steeringSelect.value = this.steeringMode;
+        steeringSelect.addEventListener('change', () => {
+            this.steeringMode = steeringSelect.value;
+        });
+    }
+    
+    leaderboardFor(presetId) {
+        if (!this.leaderboards[presetId]) {
+            const board = presetId === GameConfig.DEFAULT_PRESET ? null : presetId;
+            this.leaderboards[presetId] = new Leaderboard({ board, preset: presetId });
+        }
+        return this.leaderboards[presetId];
+    }
+    
+    setPreset(id) {
+        // URL overrides were checked against the preset in the URL
+        const fitted = GameConfig.fitOverrides(id, this.configOverrides);
+        fitted.errors.forEach(error => console.warn('Ignoring URL config:', error));
+        this.configOverrides = fitted.overrides;
+        
+        const initials = this.leaderboard.lastInitials;
+        this.presetId = id;
+        this.leaderboard = this.leaderboardFor(id);
+        this.leaderboard.lastInitials = this.leaderboard.lastInitials || initials;
+        this.showStartScreen();
+    }
+    
+    hasConfigOverrides() {
+        return Object.keys(this.configOverrides).length > 0;
+    }
+    
+    setView(id) {
+        this.viewMode = id;
+        // On the worker path this one only lays frames out, for toScreen()
+        this.renderer = Renderers.create(id, this.ctx, this.assets);
+        this.renderer.setQuality(this.qualityLevel);
+        if (this.renderClient) {
+            this.renderClient.setView(id);
+            this.renderClient.setQuality(this.qualityLevel);
+        }
+        this.applyAccessibility();
+    }
+    
+    setupAudioOptions() {
+        for (const channel of AudioEngine.CHANNELS) {
+            const slider = document.getElementById(`${channel}-volume`);
+            slider.value = Math.round(this.audio.settings[channel] * 100);
+            slider.addEventListener('input', () => {
+                this.audio.setVolume(channel, Number(slider.value) / 100);
+            });
+        }
+        
+        const muteToggle = document.getElementById('mute-toggle');
+        muteToggle.checked = this.audio.settings.muted;
+        muteToggle.addEventListener('change', () => {
+            this.audio.setMuted(muteToggle.checked);
+        });
+    }
+    
+    setupAccessibilityOptions() {
+        const accessibility = this.accessibility;
+        const settings = accessibility.settings;
+        
+        const paletteSelect = document.getElementById('palette-select');
+        for (const id of Accessibility.PALETTE_IDS) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = Accessibility.PALETTES[id].label;
+            paletteSelect.appendChild(option);
+        }
+        paletteSelect.value = settings.palette;
+        paletteSelect.addEventListener('change', () => {
+            accessibility.set('palette', paletteSelect.value);
+            this.applyAccessibility();
+        });
+        
+        const shapeCuesToggle = document.getElementById('shape-cues-toggle');
+        shapeCuesToggle.checked = settings.shapeCues;
+        shapeCuesToggle.addEventListener('change', () => {
+            accessibility.set('shapeCues', shapeCuesToggle.checked);
+            this.applyAccessibility();
+        });
+        
+        const motionSelect = document.getElementById('reduced-motion-select');
+        motionSelect.value = settings.reducedMotion;
+        motionSelect.addEventListener('change', () => {
+            accessibility.set('reducedMotion', motionSelect.value);
+            this.applyAccessibility();
+        });
+        
+        const oneSwitchToggle = document.getElementById('one-switch-toggle');
+        oneSwitchToggle.checked = settings.oneSwitch;
+        oneSwitchToggle.addEventListener('change', () => {
+            accessibility.set('oneSwitch', oneSwitchToggle.checked);
+            this.laneCycler.reset();
+        });
+        
+        // Takes effect from the next run
+        const speedSelect = document.getElementById('speed-assist-select');
+        for (const speed of Accessibility.SPEED_ASSISTS) {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${Math.round(speed * 100)}%`;
+            speedSelect.appendChild(option);
+        }
+        speedSelect.value = settings.speedAssist;
+        speedSelect.addEventListener('change', () => {
+            accessibility.set('speedAssist', Number(speedSelect.value));
+        });
+        
+        // 'System setting' follows the OS while the game is open
+        accessibility.watchSystem(() => this.applyAccessibility());
+        this.applyAccessibility();
+    }
+    
+    // Palette, shape cues and reduced motion apply at once, mid-run too
+    applyAccessibility() {
+        const reducedMotion = this.accessibility.reducedMotion;
+        this.assets.setPalette(this.accessibility.palette);
+        const options = { shapeCues: this.accessibility.settings.shapeCues, reducedMotion };
+        this.renderer.setAccessibility(options);
+        this.renderer.invalidate();
+        if (this.renderClient) {
+            this.renderClient.setAccessibility(options);
+            this.renderClient.setTheme(this.assets.themeId, this.assets.palette);
+        }
+        this.effects.setReducedMotion(reducedMotion);
+        document.body.classList.toggle('reduced-motion', reducedMotion);
+    }
+    
+    // One-switch play: the one input starts a run from the menus, resumes a
+    // paused one and moves the car a lane at a time (LaneCycler)
+    pressSwitch() {
+        if (!this.accessibility.settings.oneSwitch) return;
+        
+        if (this.gameState === 'playing') {
+            if (!this.replayPlayer && !this.runAgent) {
+                const sim = this.sim;
+                this.pendingLaneChange = this.laneCycler.press(sim.player.lane, sim.firstLane, sim.lastLane);
+            }
+        } else if (this.gameState === 'paused') {
+            this.resume();
+        } else if (this.assetsLoaded && this.gameState !== 'crashing') {
+            // Only from the start and results screens, not settings over them
+            const onMenu = !document.getElementById('start-screen').classList.contains('hidden') ||
+                !document.getElementById('game-over-screen').classList.contains('hidden');
+            if (onMenu) {
+                this.audio.unlock();
+                this.startGame();
+            }
+        }
+    }
+    
+    // Screen reader text for the HUD's live regions
+    announce(id, text) {
+        document.getElementById(id).textContent = text;
+    }
+    
+    setupControlsScreen() {
+        const playerSelect = document.getElementById('player-select');
+        for (let i = 0; i < Controls.PLAYER_COUNT; i++) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = this.bindings.players[i].name;
+            playerSelect.appendChild(option);
+        }
+        playerSelect.value = this.bindings.activePlayer;
+        playerSelect.addEventListener('change', () => {
+            this.input.cancelCapture();
+            this.bindings.setActivePlayer(Number(playerSelect.value));
+            this.renderBindings();
+        });
+        
+        // Touch sliders show the dead zone as a percentage
+        const swipeSlider = document.getElementById('swipe-threshold');
+        swipeSlider.addEventListener('input', () => {
+            this.bindings.setTouch('swipeThreshold', Number(swipeSlider.value));
+        });
+        
+        const deadZoneSlider = document.getElementById('joystick-dead-zone');
+        deadZoneSlider.addEventListener('input', () => {
+            this.bindings.setTouch('joystickDeadZone', Number(deadZoneSlider.value) / 100);
+        });
+        
+        document.getElementById('controls-button').addEventListener('click', () => {
+            document.getElementById('settings-screen').classList.add('hidden');
+            document.getElementById('controls-screen').classList.remove('hidden');
+            this.renderBindings();
+        });
+        
+        document.getElementById('controls-back-button').addEventListener('click', () => {
+            this.input.cancelCapture();
+            document.getElementById('controls-screen').classList.add('hidden');
+            document.getElementById('settings-screen').classList.remove('hidden');
+        });
+        
+        document.getElementById('reset-bindings-button').addEventListener('click', () => {
+            this.input.cancelCapture();
+            this.bindings.resetPlayer();
+            this.renderBindings();
+        });
+    }
+    
+    renderBindings() {
+        const body = document.getElementById('bindings-body');
+        body.textContent = '';
+        this.listeningButton = null;
+        // The paused run's mode, else the one the next run will use
+        const steering = this.gameState === 'paused' ? this.sim.steering : this.steeringMode;
+        
+        for (const action of Controls.ACTION_IDS) {
+            const info = Controls.ACTIONS[action];
+            // Actions for the other steering mode would do nothing
+            const unused = !!info.steering && info.steering !== steering;
+            const row = document.createElement('tr');
+            row.classList.toggle('unused', unused);
+            const label = document.createElement('td');
+            label.textContent = unused ? `${info.label} (${info.steering} steering only)` : info.label;
+            row.appendChild(label);
+            
+            for (const device of Controls.DEVICES) {
+                const cell = document.createElement('td');
+                for (let slot = 0; slot < Controls.SLOTS; slot++) {
+                    const button = document.createElement('button');
+                    button.className = 'binding-button';
+                    button.dataset.label = Controls.describeInput(device, this.bindings.player[device][action][slot]);
+                    button.textContent = button.dataset.label;
+                    button.disabled = unused;
+                    button.addEventListener('click', () => {
+                        this.rebind(button, device, action, slot);
+                    });
+                    cell.appendChild(button);
+                }
+                row.appendChild(cell);
+            }
+            body.appendChild(row);
+        }
+        
+        const touch = this.bindings.player.touch;
+        document.getElementById('swipe-threshold').value = touch.swipeThreshold;
+        document.getElementById('joystick-dead-zone').value = Math.round(touch.joystickDeadZone * 100);
+    }
+    
+    // Wait for the next key or gamepad press and bind it to one slot
+    rebind(button, device, action, slot) {
+        // Only one slot listens at a time
+        const previous = this.listeningButton;
+        if (previous) {
+            previous.classList.remove('listening');
+            previous.textContent = previous.dataset.label;
+        }
+        this.listeningButton = button;
+        button.classList.add('listening');
+        button.textContent = device === 'keyboard' ? 'Press a key' : 'Press a button';
+        
+        this.input.captureNext((input, source) => {
+            if (input === 'Backspace' || input === 'Delete') {
+                this.bindings.bind(device, action, slot, null);
+            } else if (source === device && input !== 'Escape') {
+                this.bindings.bind(device, action, slot, input);
+            }
+            this.renderBindings();
         });
+        this.startMenuLoop();
+    }
+    
+    openSettings(fromScreen) {
+        this.settingsReturnScreen = fromScreen;
+        document.getElementById(fromScreen).classList.add('hidden');
+        document.getElementById('settings-screen').classList.remove('hidden');
+    }
+    
+    closeSettings() {
+        document.getElementById('settings-screen').classList.add('hidden');
+        document.getElementById(this.settingsReturnScreen).classList.remove('hidden');
+    }
+    
+    toggleMute() {
+        document.getElementById('mute-toggle').checked = this.audio.toggleMute();
+    }
+    
+    setupPowerUpTimers() {
+        // One timer element per power-up, shown while it is active
+        const container = document.getElementById('powerup-timers');
+        this.powerUpTimers = {};
+        
+        for (const id of PickupTypes.POWER_UPS) {
+            const timer = document.createElement('div');
+            timer.className = 'powerup-timer hidden';
+            timer.style.borderColor = PickupTypes.TYPES[id].color;
+            container.appendChild(timer);
+            this.powerUpTimers[id] = timer;
+        }
     }
     
     setupJoystick() {
@@ -186,28 +944,25 @@ class EndlessDriverGame {
             const centerX = rect.left + rect.width / 2;
             const centerY = rect.top + rect.height / 2;
             
-            const deltaX = clientX - centerX;
-            const deltaY = clientY - centerY;
+            let deltaX = clientX - centerX;
+            let deltaY = clientY - centerY;
             const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
             const maxDistance = rect.width / 2;
             
             if (distance > maxDistance) {
                 const angle = Math.atan2(deltaY, deltaX);
-                this.touchInput.x = Math.cos(angle) * maxDistance;
-                this.touchInput.y = Math.sin(angle) * maxDistance;
-            } else {
-                this.touchInput.x = deltaX;
-                this.touchInput.y = deltaY;
+                deltaX = Math.cos(angle) * maxDistance;
+                deltaY = Math.sin(angle) * maxDistance;
             }
+            this.input.setTouch(deltaX / maxDistance, deltaY / maxDistance, true);
             
             // Update joystick visual with transform (GPU accelerated)
-            joystickStick.style.transform = `translate(calc(-50% + ${this.touchInput.x}px), calc(-50% + ${this.touchInput.y}px)) translateZ(0)`;
+            joystickStick.style.transform = `translate(calc(-50% + ${deltaX}px), calc(-50% + ${deltaY}px)) translateZ(0)`;
         };
         
         joystickContainer.addEventListener('touchstart', (e) => {
             e.preventDefault();
             joystickActive = true;
-            this.touchInput.active = true;
             handleJoystickMove(e.touches[0].clientX, e.touches[0].clientY);
         }, { passive: false });
         
@@ -221,238 +976,647 @@ class EndlessDriverGame {
         joystickContainer.addEventListener('touchend', (e) => {
             e.preventDefault();
             joystickActive = false;
-            this.touchInput.active = false;
-            this.touchInput.x = 0;
-            this.touchInput.y = 0;
+            this.input.setTouch(0, 0, false);
             joystickStick.style.transform = 'translate(-50%, -50%) translateZ(0)';
         }, { passive: false });
     }
     
     loadAssets() {
-        // Simulate asset loading with progress
+        // Real progress: one step per manifest, atlas and image
         const loadingScreen = document.getElementById('loading-screen');
         const progress = document.getElementById('progress');
         const loadingText = document.getElementById('loading-text');
         
-        let loaded = 0;
-        const total = 100;
-        
-        const loadInterval = setInterval(() => {
-            loaded += 10;
-            const percent = (loaded / total) * 100;
-            progress.style.width = percent + '%';
-            
-            if (loaded >= 50 && loaded < 80) {
-                loadingText.textContent = 'Optimizing for your device...';
-            } else if (loaded >= 80) {
-                loadingText.textContent = 'Ready!';
+        this.assets.load((loaded, total) => {
+            progress.style.width = (loaded / total) * 100 + '%';
+            loadingText.textContent = `Loading assets... ${loaded}/${total}`;
+        }).then(() => {
+            // Failed files leave the plain shapes in place, so the game still starts
+            loadingText.textContent = this.assets.failures.length > 0 ? 'Some graphics failed - using basic shapes' : 'Ready!';
+            this.assetsLoaded = true;
+            this.setupThemeOptions();
+            if (this.renderClient) {
+                this.renderClient.shareAssets(this.assets);
             }
-            
-            if (loaded >= total) {
-                clearInterval(loadInterval);
-                this.assetsLoaded = true;
-                setTimeout(() => {
-                    loadingScreen.classList.add('hidden');
-                    this.showStartScreen();
-                }, 500);
+            setTimeout(() => {
+                loadingScreen.classList.add('hidden');
+                this.showStartScreen();
+            }, 500);
+        });
+    }
+    
+    setupThemeOptions() {
+        const themeSelect = document.getElementById('theme-select');
+        for (const id of this.assets.themeIds) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = this.assets.themes[id].label;
+            themeSelect.appendChild(option);
+        }
+        themeSelect.value = this.assets.themeId;
+        themeSelect.addEventListener('change', () => {
+            this.assets.selectTheme(themeSelect.value);
+            this.renderer.invalidate();
+            if (this.renderClient) {
+                this.renderClient.setTheme(this.assets.themeId, this.assets.palette);
             }
-        }, 100);
+        });
     }
     
     showStartScreen() {
+        document.getElementById('leaderboard-preset').textContent = GameConfig.PRESETS[this.presetId].name;
+        this.renderLeaderboard('start-leaderboard', null);
+        this.renderProgress();
+        this.renderGhostInfo();
         document.getElementById('start-screen').classList.remove('hidden');
+        this.showUpdateNotice();
+        this.scheduleDemo();
     }
     
-    startGame() {
-        document.getElementById('start-screen').classList.add('hidden');
-        document.getElementById('game-over-screen').classList.add('hidden');
-        
-        // Reset game state
-        this.gameState = 'playing';
-        this.score = 0;
-        this.gameSpeed = 5;
-        
-        // Return all active obstacles to pool before clearing
-        for (const obstacle of this.obstacles) {
-            this.returnObstacleToPool(obstacle);
+    // Hand live runs to an agent (autopilot.js), or back to the player with
+    // null. Agent runs are recorded but not ranked.
+    setAgent(agent) {
+        if (agent && typeof agent.act !== 'function') {
+            throw new Error('An agent needs an act(observation) method');
         }
-        this.obstacles = [];
+        this.agent = agent || null;
+    }
+    
+    scheduleDemo() {
+        clearTimeout(this.attractTimer);
+        this.attractTimer = setTimeout(() => this.startDemo(), this.attractDelay);
+    }
+    
+    // Attract mode: the autopilot drives behind a DEMO badge until any input
+    startDemo() {
+        if (document.getElementById('start-screen').classList.contains('hidden')) {
+            // Settings or controls are open over the menu
+            this.scheduleDemo();
+            return;
+        }
+        this.startGame(null, true);
+    }
+    
+    stopDemo() {
+        cancelAnimationFrame(this.frameRequest);
+        const crashed = this.sim.gameState === 'gameOver';
+        this.demo = false;
+        this.runAgent = null;
+        this.gameState = 'gameOver';
+        document.getElementById('replay-badge').classList.add('hidden');
+        this.events.emit('run:end', { stats: this.sim.getRunStats(), replay: false, crashed });
+        this.showStartScreen();
+        this.startMenuLoop();
+    }
+    
+    // Input ends a demo, and on the menus puts the next one off
+    noteActivity() {
+        if (this.demo) {
+            this.stopDemo();
+        } else if (this.attractTimer) {
+            this.scheduleDemo();
+        }
+    }
+    
+    setupOffline() {
+        // Each page names its service worker: sw.js serves the sources and
+        // the build's sw.min.js serves the minified files
+        const meta = document.querySelector('meta[name="service-worker"]');
+        if (!meta || !OfflineSupport.isSupported(navigator, window.location)) return;
         
-        this.obstacleSpawnTimer = 0;
-        this.player.lane = 1;
-        this.frameCount = 0;
-        this.deltaTime = 1;
-        this.lastFrameTime = performance.now();
+        this.offline = new OfflineSupport.UpdateWatcher(navigator.serviceWorker, {
+            onUpdate: () => this.showUpdateNotice(),
+            reload: () => window.location.reload()
+        });
+        this.offline.register(meta.content).catch((err) => {
+            console.warn('Offline play unavailable:', err.message);
+        });
         
-        this.gameLoop();
+        document.getElementById('update-reload').addEventListener('click', () => {
+            document.getElementById('update-notice').classList.add('hidden');
+            this.offline.apply();
+        });
     }
     
-    handleInput() {
-        // Keyboard input
-        if ((this.keys['ArrowLeft'] || this.keys['a'] || this.keys['A']) && this.player.lane > 0) {
-            if (this.frameCount % 10 === 0) {
-                this.player.lane--;
-            }
+    // The update prompt waits for the end of a run, since reloading ends it
+    showUpdateNotice() {
+        const inRun = this.gameState === 'playing' || this.gameState === 'paused' || this.gameState === 'crashing';
+        const ready = this.offline !== null && this.offline.updateReady && !inRun;
+        document.getElementById('update-notice').classList.toggle('hidden', !ready);
+    }
+    
+    renderLeaderboard(listId, highlightEntry) {
+        const list = document.getElementById(listId);
+        list.textContent = '';
+        
+        if (this.leaderboard.entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'leaderboard-empty';
+            empty.textContent = 'No scores yet';
+            list.appendChild(empty);
+            return;
         }
-        if ((this.keys['ArrowRight'] || this.keys['d'] || this.keys['D']) && this.player.lane < 2) {
-            if (this.frameCount % 10 === 0) {
-                this.player.lane++;
+        
+        for (const entry of this.leaderboard.entries) {
+            const item = document.createElement('li');
+            if (entry === highlightEntry) {
+                item.className = 'leaderboard-highlight';
             }
+            
+            const initials = document.createElement('span');
+            initials.className = 'leaderboard-initials';
+            initials.textContent = entry.initials;
+            
+            const score = document.createElement('span');
+            score.className = 'leaderboard-score';
+            score.textContent = entry.score;
+            
+            const details = document.createElement('span');
+            details.className = 'leaderboard-details';
+            details.textContent = `${entry.distance} m · ${entry.duration.toFixed(1)} s · ${entry.maxSpeed} km/h · ${new Date(entry.date).toLocaleDateString()}`;
+            
+            item.appendChild(initials);
+            item.appendChild(score);
+            item.appendChild(details);
+            list.appendChild(item);
         }
+    }
+    
+    renderProgress() {
+        const progression = this.progression;
+        document.getElementById('wallet').textContent = progression.balance;
         
-        // Joystick input
-        if (this.touchInput.active) {
-            const threshold = 20;
-            if (this.touchInput.x < -threshold && this.player.lane > 0) {
-                if (this.frameCount % 10 === 0) {
-                    this.player.lane--;
-                }
-            } else if (this.touchInput.x > threshold && this.player.lane < 2) {
-                if (this.frameCount % 10 === 0) {
-                    this.player.lane++;
-                }
+        const missionList = document.getElementById('mission-list');
+        missionList.textContent = '';
+        for (const mission of progression.missions) {
+            const item = document.createElement('li');
+            item.appendChild(this.createText('span', 'mission-text', progression.describe(mission)));
+            item.appendChild(this.createText('span', 'mission-progress', `${Math.floor(mission.progress)}/${mission.target}`));
+            item.appendChild(this.createText('span', 'mission-reward', `+${mission.reward}`));
+            missionList.appendChild(item);
+        }
+        
+        // Locked colours show their price (or the achievement that unlocks
+        // them); clicking one buys it if there are enough coins
+        const skinList = document.getElementById('skin-list');
+        skinList.textContent = '';
+        for (const id of Progression.SKIN_IDS) {
+            const skin = Progression.SKINS[id];
+            const unlocked = progression.isUnlocked(id);
+            const achievement = skin.achievement ? Progression.ACHIEVEMENTS[skin.achievement] : null;
+            
+            const button = this.createText('button', 'skin-swatch', unlocked ? skin.label : (achievement ? '🏆' : `● ${skin.price}`));
+            button.classList.toggle('locked', !unlocked);
+            button.classList.toggle('selected', id === progression.skin);
+            button.style.setProperty('--skin-color', skin.color);
+            button.title = unlocked ? skin.label : (achievement ? `${skin.label}: ${achievement.text}` : `${skin.label}: ${skin.price} coins`);
+            button.addEventListener('click', () => {
+                if (!progression.buySkin(id)) return;
+                
+                progression.selectSkin(id);
+                this.audio.playClick();
+                this.renderProgress();
+            });
+            skinList.appendChild(button);
+        }
+        
+        const achievementList = document.getElementById('achievement-list');
+        achievementList.textContent = '';
+        for (const id of Progression.ACHIEVEMENT_IDS) {
+            const achievement = Progression.ACHIEVEMENTS[id];
+            const item = document.createElement('li');
+            item.classList.toggle('unlocked', progression.achievements.includes(id));
+            item.appendChild(this.createText('span', 'achievement-label', achievement.label));
+            item.appendChild(this.createText('span', 'achievement-text', achievement.text));
+            achievementList.appendChild(item);
+        }
+        document.getElementById('achievement-count').textContent =
+            `${progression.achievements.length}/${Progression.ACHIEVEMENT_IDS.length}`;
+    }
+    
+    // How the run finished against the ghost it raced, by distance
+    renderGhostResult(stats) {
+        const lines = [];
+        if (this.ghostPlayer) {
+            const gap = Math.round(stats.distance - this.ghostPlayer.ghost.distance);
+            if (gap > 0) {
+                lines.push(`👻 You went ${gap} m further than the ghost`);
+            } else if (gap < 0) {
+                lines.push(`👻 The ghost went ${-gap} m further`);
+            } else {
+                lines.push('👻 Dead heat with the ghost');
             }
         }
+        if (this.lastGhost) {
+            lines.push('New ghost saved');
+        }
+        const result = document.getElementById('ghost-result');
+        result.textContent = lines.join(' · ');
+        result.classList.toggle('hidden', lines.length === 0);
+    }
+    
+    renderRunRewards(summary) {
+        const list = document.getElementById('run-rewards');
+        list.textContent = '';
         
-        // Smooth lane transition
-        const targetX = this.lanes[this.player.lane] * this.gameWidth - this.player.width / 2;
-        this.player.x += (targetX - this.player.x) * 0.2;
+        const rewards = summary ? summary.rewards : [];
+        for (const reward of rewards) {
+            const kind = reward.kind === 'mission' ? 'Mission complete' : 'Achievement';
+            list.appendChild(this.createText('li', '', `${kind}: ${reward.text} +${reward.reward}`));
+        }
+        list.classList.toggle('hidden', rewards.length === 0);
     }
     
-    update() {
-        this.frameCount++;
+    createText(tag, className, text) {
+        const element = document.createElement(tag);
+        element.className = className;
+        element.textContent = text;
+        return element;
+    }
+    
+    renderGhostInfo() {
+        const ghost = this.ghosts.get(this.presetId);
+        document.getElementById('ghost-preset').textContent = GameConfig.PRESETS[this.presetId].name;
+        document.getElementById('ghost-info').textContent = ghost
+            ? `${ghost.initials || '???'} · ${ghost.score} points · ${Math.round(ghost.distance)} m`
+            : 'Finish a run to set a ghost for this difficulty';
+        document.getElementById('export-ghost-button').disabled = !ghost;
+    }
+    
+    // A ghost file is raced on its own difficulty, so switch to it
+    importGhostFile(file) {
+        file.text()
+            .then((text) => {
+                const ghost = this.ghosts.import(text);
+                this.setPreset(ghost.preset);
+                this.showImportStatus('ghost-import-status',
+                    `Imported ${ghost.initials || '???'}'s ghost: ${ghost.score} points on ${GameConfig.PRESETS[ghost.preset].name}`);
+            })
+            .catch((err) => {
+                this.showImportStatus('ghost-import-status', `Could not import ghost: ${err.message}`, true);
+            });
+    }
+    
+    // Scores go onto the board of the difficulty they were set on, so
+    // switch to it; older exports that do not say go onto the current one
+    importScoresFile(file) {
+        file.text()
+            .then((text) => {
+                const preset = Leaderboard.presetOf(JSON.parse(text)) || this.presetId;
+                if (!GameConfig.hasPreset(preset)) {
+                    throw new Error(`Unknown difficulty: ${preset}`);
+                }
+                const added = this.leaderboardFor(preset).import(text);
+                this.setPreset(preset);
+                this.showImportStatus('scores-import-status',
+                    `Imported ${added} ${added === 1 ? 'score' : 'scores'} to ${GameConfig.PRESETS[preset].name}`);
+            })
+            .catch((err) => {
+                this.showImportStatus('scores-import-status', `Could not import scores: ${err.message}`, true);
+            });
+    }
+    
+    showImportStatus(id, text, failed = false) {
+        const status = document.getElementById(id);
+        status.textContent = text;
+        status.classList.toggle('failed', failed);
+        status.classList.remove('hidden');
+    }
+    
+    startGame(replay = null, demo = false) {
+        // Before any screen is hidden, so a config or road that does not
+        // validate leaves the menus up
+        const config = replay ? replay.config : GameConfig.preset(this.presetId, this.configOverrides);
+        const player = replay ? new Replay.ReplayPlayer(replay) : null;
+        if (replay) {
+            // Playback: recreate the recorded road
+            this.sim.setRoad(replay.lanes, replay.layout);
+            this.sim.setSteering(replay.steering);
+        } else {
+            this.sim.setRoad(this.roadConfig.lanes, this.roadConfig.layout);
+            this.sim.setSteering(this.steeringMode);
+        }
+        this.replayPlayer = player;
         
-        // Spawn obstacles
-        this.obstacleSpawnTimer++;
-        if (this.obstacleSpawnTimer >= this.obstacleSpawnInterval) {
-            this.spawnObstacle();
-            this.obstacleSpawnTimer = 0;
+        clearTimeout(this.attractTimer);
+        this.attractTimer = 0;
+        this.demo = demo;
+        this.runAgent = replay ? null : (demo ? this.autopilot : this.agent);
+        if (this.runAgent && this.runAgent.reset) {
+            this.runAgent.reset();
         }
         
-        // Update obstacles
-        for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            const obstacle = this.obstacles[i];
-            obstacle.y += this.gameSpeed * this.deltaTime;
-            
-            // Remove off-screen obstacles and return to pool
-            if (obstacle.y > this.gameHeight) {
-                this.obstacles.splice(i, 1);
-                this.returnObstacleToPool(obstacle);
-                this.score += 10;
-                continue;
-            }
-            
-            // Collision detection
-            if (this.checkCollision(this.player, obstacle)) {
-                this.gameOver();
-                return;
+        document.getElementById('start-screen').classList.add('hidden');
+        document.getElementById('game-over-screen').classList.add('hidden');
+        document.getElementById('pause-screen').classList.add('hidden');
+        document.getElementById('pause-button').classList.toggle('hidden', demo);
+        const badge = document.getElementById('replay-badge');
+        badge.textContent = demo ? 'DEMO' : 'REPLAY';
+        badge.classList.toggle('hidden', !replay && !demo);
+        document.getElementById('update-notice').classList.add('hidden');
+        
+        if (replay) {
+            // Playback: the recorded seed on the recorded road
+            this.sim.setConfig(config);
+            this.sim.resize(replay.width, replay.height);
+            this.sim.reset(replay.seed);
+            this.progression.abandonRun();
+            this.ghostPlayer = null;
+        } else {
+            // Live run with a fresh seed, recorded for replay
+            this.sim.setConfig(config);
+            this.sim.resize(this.gameWidth, this.gameHeight);
+            this.sim.reset(SeededRandom.randomSeed());
+            this.recorder.start(this.sim, this.presetId);
+            // Runs an agent drives, the demo among them, earn nothing
+            if (this.runAgent) {
+                this.progression.abandonRun();
+            } else {
+                this.progression.startRun();
             }
+            this.ghostRecorder.start(this.sim, this.presetId);
+            const ghost = this.ghosts.enabled && !demo ? this.ghosts.get(this.presetId) : null;
+            this.ghostPlayer = ghost ? new Ghost.GhostPlayer(ghost) : null;
         }
+        this.ghostGapText = '';
+        document.getElementById('ghost-gap').classList.toggle('hidden', !this.ghostPlayer);
+        this.sim.player.color = this.progression.color;
+        this.runSpeedAssist = demo ? 1 : this.accessibility.settings.speedAssist;
+        this.laneCycler.reset();
+        this.scoreAnnouncer.reset();
+        this.announce('score-announcer', '');
+        this.announce('alert-announcer', '');
         
-        // Increase difficulty (every ~10 seconds at 60 FPS)
-        if (this.frameCount % 600 === 0) {
-            this.gameSpeed = Math.min(this.gameSpeed + 0.5, 15); // Cap max speed
-            this.obstacleSpawnInterval = Math.max(50, this.obstacleSpawnInterval - 5);
+        this.gameState = 'playing';
+        this.pendingLaneChange = 0;
+        this.tickAccumulator = 0;
+        this.deltaTime = 0;
+        this.lastFrameTime = performance.now();
+        
+        this.lastCoins = 0;
+        this.nextSmokeTick = 0;
+        this.effects.clear();
+        this.runTuned = false;
+        if (!demo) {
+            this.audio.startEngine();
+            this.audio.startMusic();
         }
+        
+        this.events.emit('run:start', {
+            seed: this.sim.seed,
+            replay: !!replay,
+            lanes: this.sim.baseLanes,
+            layout: this.sim.layout.id,
+            steering: this.sim.steering
+        });
+        this.gameLoop();
     }
     
-    spawnObstacle() {
-        // Limit active obstacles for performance
-        if (this.obstacles.length >= this.maxObstacles) {
+    pause() {
+        if (this.gameState !== 'playing') return;
+        if (this.demo) {
+            this.stopDemo();
             return;
         }
         
-        const lane = Math.floor(Math.random() * 3);
+        this.gameState = 'paused';
+        cancelAnimationFrame(this.frameRequest);
         
-        // Try to reuse from pool
-        let obstacle;
-        if (this.obstaclePool.length > 0) {
-            obstacle = this.obstaclePool.pop();
-            obstacle.x = this.lanes[lane] * this.gameWidth - 35;
-            obstacle.y = -80;
-            obstacle.lane = lane;
-        } else {
-            // Create new obstacle if pool is empty
-            obstacle = {
-                x: this.lanes[lane] * this.gameWidth - 35,
-                y: -80,
-                width: 70,
-                height: 80,
-                lane: lane,
-                color: '#ff4757'
-            };
-        }
+        // Key-ups are lost while the window is unfocused
+        this.input.clear();
+        this.pendingLaneChange = 0;
+        
+        this.audio.stopEngine();
+        this.audio.stopMusic();
+        document.getElementById('pause-button').classList.add('hidden');
+        document.getElementById('pause-screen').classList.remove('hidden');
+        this.startMenuLoop();
+    }
+    
+    resume() {
+        if (this.gameState !== 'paused') return;
+        
+        document.getElementById('pause-screen').classList.add('hidden');
+        document.getElementById('settings-screen').classList.add('hidden');
+        document.getElementById('pause-button').classList.remove('hidden');
         
-        this.obstacles.push(obstacle);
+        // Restart frame timing so the paused time never reaches the simulation
+        this.gameState = 'playing';
+        this.lastFrameTime = performance.now();
+        this.deltaTime = 0;
+        
+        this.audio.startEngine();
+        this.audio.startMusic();
+        this.gameLoop();
+    }
+    
+    togglePause() {
+        if (this.gameState === 'playing') {
+            this.pause();
+        } else if (this.gameState === 'paused') {
+            this.resume();
+        }
     }
     
-    returnObstacleToPool(obstacle) {
-        // Return obstacle to pool for reuse
-        if (this.obstaclePool.length < 20) {
-            this.obstaclePool.push(obstacle);
+    readInputs() {
+        // Translate the mapped action state into simulation inputs
+        const laneChange = this.pendingLaneChange;
+        this.pendingLaneChange = 0;
+        
+        if (this.sim.steering !== 'free') {
+            return { steer: this.input.steer(), laneChange, steerAxis: 0, throttle: 0 };
         }
+        
+        // Free steering: keys are full lock/throttle, sticks and the joystick are analog
+        const steerAxis = this.analogAxis(this.input.steerAxis());
+        const throttle = this.analogAxis(this.input.throttle());
+        return { steer: 0, laneChange, steerAxis, throttle };
+    }
+    
+    analogAxis(value) {
+        // Quantised so replays only store real changes (dead zones are
+        // applied per device by the input mapper)
+        return Math.round(Math.max(-1, Math.min(1, value)) * 20) / 20;
     }
     
-    checkCollision(player, obstacle) {
-        return player.x < obstacle.x + obstacle.width &&
-               player.x + player.width > obstacle.x &&
-               player.y < obstacle.y + obstacle.height &&
-               player.y + player.height > obstacle.y;
+    // One-shot actions from key presses and gamepad buttons
+    handleActions(actions) {
+        for (const action of actions) {
+            if (action === 'pause') {
+                this.togglePause();
+            } else if (action === 'mute') {
+                this.toggleMute();
+            } else if (action === 'oneSwitch') {
+                this.pressSwitch();
+            }
+        }
     }
     
-    render() {
-        // Clear canvas efficiently
-        this.ctx.fillStyle = '#1a1a2e';
-        this.ctx.fillRect(0, 0, this.gameWidth, this.gameHeight);
+    pollGamepads() {
+        if (!this.gamepadConnected || typeof navigator === 'undefined' || !navigator.getGamepads) return;
         
-        // Draw road
-        this.drawRoad();
+        this.handleActions(this.input.pollGamepads(navigator.getGamepads()));
+    }
+    
+    startMenuLoop() {
+        if (!this.menuFrameRequest) {
+            this.menuFrameRequest = requestAnimationFrame(() => this.menuLoop());
+        }
+    }
+    
+    // The game loop polls gamepads while playing; menus and the pause screen
+    // poll on this loop instead, so a pad can resume or rebind
+    menuLoop() {
+        this.menuFrameRequest = 0;
+        if (this.gameState === 'playing' || !this.gamepadConnected) return;
         
-        // Batch draw obstacles (same color, one fillStyle call)
-        this.ctx.fillStyle = '#ff4757';
-        for (const obstacle of this.obstacles) {
-            this.ctx.fillRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+        this.pollGamepads();
+        this.startMenuLoop();
+    }
+    
+    nextInputs() {
+        // Inputs for the upcoming tick, from the replay, an agent or live input
+        if (this.replayPlayer) {
+            return this.replayPlayer.inputsFor(this.sim.tick);
         }
         
-        // Draw player (separate color)
-        this.ctx.fillStyle = this.player.color;
-        this.ctx.fillRect(this.player.x, this.player.y, this.player.width, this.player.height);
+        const inputs = this.runAgent
+            ? Autopilot.toInputs(this.runAgent.act(Autopilot.observe(this.sim)), this.agentInputs)
+            : this.readInputs();
+        this.recorder.record(this.sim.tick, inputs);
+        return inputs;
+    }
+    
+    downloadReplay() {
+        if (!this.lastReplay) return;
+        
+        this.downloadFile(`endless-driver-replay-${this.lastReplay.seed}.json`, Replay.stringify(this.lastReplay));
+    }
+    
+    downloadFile(filename, contents) {
+        const blob = new Blob([contents], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    loadReplayFile(file) {
+        file.text()
+            .then((text) => {
+                const replay = Replay.parse(text);
+                this.startGame(replay);
+                this.lastReplay = replay;
+                document.getElementById('replay-load-status').classList.add('hidden');
+            })
+            .catch((err) => {
+                this.showImportStatus('replay-load-status', `Could not load replay: ${err.message}`, true);
+            });
+    }
+    
+    render(alpha) {
+        const sim = this.sim;
+        
+        // The active view (renderers.js) draws the road and everything on it,
+        // then effects go on top; a shake offsets both
+        const ghost = this.ghostPlayer ? this.ghostPlayer.place(sim, alpha) : null;
+        if (this.renderClient) {
+            // Drawn in the worker from a snapshot; laying the frame out here
+            // still places effects and overlays
+            this.renderer.layout(sim, alpha, this.gameWidth, this.gameHeight);
+            this.renderClient.submit(sim, alpha, ghost, this.effects, this.lastFrameTime);
+        } else {
+            Renderers.drawFrame(this.renderer, this.effects, sim, alpha, this.gameWidth, this.gameHeight, ghost);
+        }
         
         // Update score display only when changed (reduce DOM updates)
         const scoreElement = document.getElementById('score');
-        const newScore = String(this.score);
+        const newScore = String(sim.score);
         if (scoreElement.textContent !== newScore) {
             scoreElement.textContent = newScore;
+            const milestone = this.demo ? '' : this.scoreAnnouncer.update(sim.score);
+            if (milestone) {
+                this.announce('score-announcer', milestone);
+            }
         }
-    }
-    
-    drawRoad() {
-        // Draw lane dividers with scrolling effect
-        const lineHeight = 40;
-        const lineGap = 20;
-        const offset = (this.frameCount * this.gameSpeed * this.deltaTime) % (lineHeight + lineGap);
         
-        // Cache line style setup
-        if (!this.roadStyleCached) {
-            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-            this.ctx.lineWidth = 2;
-            this.roadStyleCached = true;
+        const coinsElement = document.getElementById('coins');
+        const newCoins = String(sim.coins);
+        if (coinsElement.textContent !== newCoins) {
+            coinsElement.textContent = newCoins;
         }
         
-        this.ctx.setLineDash([lineHeight, lineGap]);
-        
-        // Draw both lane lines in one path for better performance
-        const lane1X = this.gameWidth / 3;
-        const lane2X = (this.gameWidth / 3) * 2;
+        if (ghost) {
+            this.updateGhostGap(ghost.gap);
+        }
+        this.updateRoadNotice();
+        this.updatePowerUpTimers();
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(lane1X, -offset);
-        this.ctx.lineTo(lane1X, this.gameHeight);
-        this.ctx.moveTo(lane2X, -offset);
-        this.ctx.lineTo(lane2X, this.gameHeight);
-        this.ctx.stroke();
+        // Overlays from plugins go on top of everything; on the worker path
+        // their canvas is cleared here each frame
+        const overlay = this.overlayCtx;
+        if (overlay && (this.overlayDrawn || this.events.has('frame'))) {
+            overlay.clearRect(0, 0, this.gameWidth, this.gameHeight);
+            this.overlayDrawn = false;
+        }
+        if (this.events.has('frame')) {
+            this.overlayDrawn = !!overlay;
+            const frame = this.framePayload;
+            frame.tick = sim.tick;
+            frame.alpha = alpha;
+            frame.deltaTime = this.deltaTime;
+            frame.fps = this.fps;
+            frame.width = this.gameWidth;
+            frame.height = this.gameHeight;
+            this.events.emit('frame', frame);
+        }
+    }
+    
+    // Metres between the player and the ghost, written only when it changes
+    updateGhostGap(gap) {
+        const metres = Math.round(Math.abs(gap));
+        const text = metres === 0 ? 'Level with ghost' : `${metres} m ${gap > 0 ? 'behind' : 'ahead of'} ghost`;
+        if (text !== this.ghostGapText) {
+            this.ghostGapText = text;
+            const element = document.getElementById('ghost-gap');
+            element.textContent = text;
+            element.classList.toggle('ahead', metres > 0 && gap < 0);
+            element.classList.toggle('behind', metres > 0 && gap > 0);
+        }
+    }
+    
+    updatePowerUpTimers() {
+        // Whole seconds left on each active power-up
+        for (const id of PickupTypes.POWER_UPS) {
+            const ticks = this.sim.powerUps[id];
+            const text = ticks > 0 ? `${PickupTypes.TYPES[id].label} ${Math.ceil(ticks / DriverSimulation.TICK_RATE)}s` : '';
+            
+            const timer = this.powerUpTimers[id];
+            if (timer.textContent !== text) {
+                timer.textContent = text;
+                timer.classList.toggle('hidden', text === '');
+            }
+        }
+    }
+    
+    updateRoadNotice() {
+        // Announce lane changes until they reach the player
+        const change = this.sim.roadChange;
+        let notice = '';
+        if (change && !change.applied) {
+            const widening = change.lastLane - change.firstLane > change.fromLast - change.fromFirst;
+            notice = widening ? 'Road widens ahead' : 'Lane ends ahead - merge';
+        }
         
-        this.ctx.setLineDash([]);
+        const element = document.getElementById('road-notice');
+        if (element.textContent !== notice) {
+            element.textContent = notice;
+            element.classList.toggle('hidden', notice === '');
+        }
     }
     
     updateFPS() {
@@ -460,15 +1624,23 @@ class EndlessDriverGame {
         const delta = currentTime - this.lastFrameTime;
         this.lastFrameTime = currentTime;
         
-        // Calculate normalized delta time (targeting 60 FPS)
-        this.deltaTime = delta / (1000 / 60);
+        // Frame time measured in simulation ticks, clamped so one slow frame
+        // can only move the road a short way
+        this.deltaTime = Math.min(delta / DriverSimulation.TICK_MS, this.maxFrameTicks);
         
         this.frameTimeAccumulator += delta;
         this.frameCountForFPS++;
         
         // Update FPS display every 500ms
         if (this.frameTimeAccumulator >= 500) {
-            this.fps = Math.round((this.frameCountForFPS * 1000) / this.frameTimeAccumulator);
+            let frames = this.frameCountForFPS;
+            if (this.renderClient) {
+                // Count the frames the worker drew: one that falls behind
+                // skips frames, and quality should drop for that too
+                frames = this.renderClient.stats.drawn - this.drawnFramesMark;
+                this.drawnFramesMark = this.renderClient.stats.drawn;
+            }
+            this.fps = Math.round((frames * 1000) / this.frameTimeAccumulator);
             document.getElementById('fps').textContent = this.fps;
             
             // Adaptive quality: reduce quality if FPS drops
@@ -498,13 +1670,16 @@ class EndlessDriverGame {
     }
     
     adjustQuality() {
-        // Adjust rendering quality based on performance
-        if (this.qualityLevel < 1) {
-            // Reduce pixel ratio for better performance
-            const reducedRatio = this.getOptimalPixelRatio() * this.qualityLevel;
-            this.pixelRatio = Math.max(1, reducedRatio);
-            this.resizeCanvas();
+        // Adjust rendering quality based on performance: pixel ratio, particle
+        // budget, and draw distance for views that have one
+        const reducedRatio = this.getOptimalPixelRatio() * this.qualityLevel;
+        this.pixelRatio = Math.max(1, reducedRatio);
+        this.renderer.setQuality(this.qualityLevel);
+        this.effects.setQuality(this.qualityLevel);
+        if (this.renderClient) {
+            this.renderClient.setQuality(this.qualityLevel);
         }
+        this.resizeCanvas();
     }
     
     safeRequestIdleCallback(callback) {
@@ -519,19 +1694,238 @@ class EndlessDriverGame {
     gameLoop() {
         if (this.gameState !== 'playing') return;
         
-        this.handleInput();
-        this.update();
-        this.render();
+        // A frame this long means the page was frozen without a visibility
+        // event (e.g. a locked phone); pause rather than play on blind
+        if (performance.now() - this.lastFrameTime > this.stallMs) {
+            this.pause();
+            return;
+        }
+        
         this.updateFPS();
+        this.pollGamepads();
+        if (this.gameState !== 'playing') return; // Paused from the gamepad
+        
+        // Run as many fixed ticks as real time allows; inputs are sampled per
+        // tick so one-shot swipes wait for the next tick on fast displays
+        if (this.frozen) {
+            this.tickAccumulator += this.pendingSteps;
+            this.pendingSteps = 0;
+        } else {
+            this.tickAccumulator += this.deltaTime * this.timeScale * this.runSpeedAssist;
+        }
+        while (this.tickAccumulator >= 1 && this.sim.gameState === 'playing') {
+            this.sim.step(this.nextInputs());
+            if (!this.replayPlayer) {
+                this.ghostRecorder.record(this.sim);
+            }
+            this.tickAccumulator--;
+        }
+        
+        this.updateFeedback();
+        this.render(Math.min(this.tickAccumulator, 1));
+        
+        if (this.sim.gameState === 'gameOver') {
+            this.startCrash();
+            return;
+        }
+        if (this.replayPlayer && this.replayPlayer.isFinished(this.sim.tick)) {
+            this.gameOver();
+            return;
+        }
         
         // Use requestAnimationFrame for optimal performance
-        requestAnimationFrame(() => this.gameLoop());
+        this.frameRequest = requestAnimationFrame(() => this.gameLoop());
+    }
+    
+    // Sounds, particles and mission progress for events from the
+    // simulation; plugins see the same events
+    setupFeedback() {
+        // The attract-mode demo plays silently
+        this.events.on('lane:change', (event) => {
+            if (!this.demo) {
+                this.audio.playLaneChange(Math.sign(event.to - event.from));
+            }
+            this.emitTireSmoke();
+            this.progression.count('laneChanges', Math.abs(event.to - event.from));
+        });
+        
+        this.events.on('obstacle:passed', (event) => {
+            this.progression.count('obstacles');
+            if (event.nearMiss) {
+                if (!this.demo) {
+                    this.audio.playNearMiss();
+                }
+                this.emitSparks(event.obstacle);
+                this.progression.count('nearMisses');
+            }
+        });
+    }
+    
+    updateFeedback() {
+        // Continuous feedback, once per frame
+        const sim = this.sim;
+        const player = sim.player;
+        if (sim.coins > this.lastCoins) {
+            this.progression.count('coins', sim.coins - this.lastCoins);
+            this.lastCoins = sim.coins;
+        }
+        
+        // Skidding on oil leaves a trail of puffs
+        if (player.steeringLock > 0 && sim.tick >= this.nextSmokeTick) {
+            this.emitTireSmoke();
+            this.nextSmokeTick = sim.tick + 8;
+        }
+        
+        this.effects.speedLines(this.gameWidth, this.gameHeight, sim.scrollSpeed() / sim.maxGameSpeed, this.deltaTime);
+        this.effects.update(this.deltaTime);
+        this.audio.update(sim.scrollSpeed());
+    }
+    
+    // Where a point on the road appears on screen, in the active view
+    screenPosition(x, y) {
+        return this.renderer.toScreen(this.sim, x, y, this.screenPoint) ? this.screenPoint : null;
+    }
+    
+    emitTireSmoke() {
+        const player = this.sim.player;
+        const point = this.screenPosition(player.x + player.width / 2, player.y + player.height);
+        if (point) {
+            this.effects.tireSmoke(point.x, point.y, point.scale, this.sim.scrollSpeed());
+        }
+    }
+    
+    emitSparks(passed) {
+        // Thrown from the side the obstacle went by on
+        const player = this.sim.player;
+        const side = passed.x + passed.width / 2 < player.x + player.width / 2 ? -1 : 1;
+        const point = this.screenPosition(side < 0 ? player.x : player.x + player.width, player.y + player.height / 2);
+        if (point) {
+            this.effects.sparks(point.x, point.y, point.scale, -side);
+            this.effects.shake(3, 8);
+        }
+    }
+    
+    startCrash() {
+        // The simulation has stopped; the wreck plays out in slow motion
+        // before the results appear
+        this.gameState = 'crashing';
+        this.crashStart = performance.now();
+        document.getElementById('pause-button').classList.add('hidden');
+        
+        this.audio.stopEngine();
+        this.audio.stopMusic();
+        if (!this.demo) {
+            this.audio.playCrash();
+        }
+        
+        const player = this.sim.player;
+        const colors = [player.color];
+        const wreck = this.sim.obstacles.find(obstacle => obstacle.type.effect === 'crash' && this.sim.checkCollision(player, obstacle));
+        if (wreck) {
+            colors.push(this.assets.colors.obstacles[wreck.type.id] || wreck.type.color);
+        }
+        
+        // Burst where the cars met: the wreck's back, or the player's front
+        // for a closed lane
+        const impactY = wreck ? Math.min(wreck.y + wreck.height, player.y + player.height) : player.y;
+        const point = this.screenPosition(player.x + player.width / 2, impactY);
+        if (point) {
+            this.effects.explosion(point.x, point.y, point.scale, colors);
+        }
+        this.effects.shake(14, 20);
+        this.effects.flash('#ffffff', 12);
+        
+        this.crashLoop();
+    }
+    
+    crashLoop() {
+        if (this.gameState !== 'crashing') return;
+        
+        this.updateFPS();
+        this.effects.update(this.deltaTime * this.crashTimeScale);
+        this.render(Math.min(this.tickAccumulator, 1));
+        
+        if (performance.now() - this.crashStart >= this.crashDuration) {
+            this.gameOver();
+            return;
+        }
+        this.frameRequest = requestAnimationFrame(() => this.crashLoop());
     }
     
     gameOver() {
+        if (this.demo) {
+            this.stopDemo();
+            return;
+        }
+        
         this.gameState = 'gameOver';
-        document.getElementById('final-score').textContent = this.score;
+        document.getElementById('pause-button').classList.add('hidden');
+        this.startMenuLoop();
+        
+        this.audio.stopEngine();
+        this.audio.stopMusic();
+        
+        const stats = this.sim.getRunStats();
+        this.events.emit('run:end', { stats, replay: !!this.replayPlayer, crashed: this.sim.gameState === 'gameOver' });
+        
+        let isNewBest = false;
+        let summary = null;
+        this.lastEntry = null;
+        this.lastGhost = null;
+        
+        // Only live runs are recorded and ranked; replays just show results.
+        // Tuned runs would not replay the same, so they are neither. Agent
+        // runs, speed-assisted runs and URL overrides are recorded but kept
+        // off the preset's scores.
+        const unranked = this.runTuned ? 'tuned' : (this.runAgent ? 'autopilot' :
+            (this.runSpeedAssist < 1 ? 'speed assist' : (this.hasConfigOverrides() ? 'custom rules' : '')));
+        if (!this.replayPlayer) {
+            this.lastReplay = this.runTuned ? null : this.recorder.finish(this.sim);
+        }
+        if (!this.replayPlayer && !unranked) {
+            summary = this.progression.finishRun(stats);
+            
+            isNewBest = this.leaderboard.isNewBest(stats.score);
+            this.lastEntry = this.leaderboard.add({
+                initials: this.leaderboard.lastInitials,
+                score: stats.score,
+                date: new Date().toISOString(),
+                distance: stats.distance,
+                duration: stats.duration,
+                maxSpeed: stats.maxSpeed
+            });
+            
+            // The run replaces the difficulty's ghost if it scored more
+            const ghost = this.ghostRecorder.finish(this.sim, this.leaderboard.lastInitials);
+            if (this.ghosts.offer(ghost)) {
+                this.lastGhost = ghost;
+            }
+        } else {
+            this.progression.abandonRun();
+        }
+        
+        const presetId = this.replayPlayer ? this.replayPlayer.replay.preset : this.presetId;
+        const preset = GameConfig.PRESETS[presetId];
+        document.getElementById('final-score').textContent = stats.score;
+        document.getElementById('run-stats').textContent =
+            `${preset ? preset.name : presetId} · ${stats.distance} m · ${stats.duration.toFixed(1)} s · ` +
+            `top speed ${stats.maxSpeed} km/h · ${stats.coins} coins` +
+            (unranked && !this.replayPlayer ? ` · ${unranked}, not ranked` : '');
+        document.getElementById('new-best').classList.toggle('hidden', !isNewBest);
+        this.announce('alert-announcer', Accessibility.describeGameOver(stats, isNewBest));
+        this.renderGhostResult(stats);
+        this.renderRunRewards(summary);
+        
+        // Let the player put their initials on a placing run
+        const initialsEntry = document.getElementById('initials-entry');
+        initialsEntry.classList.toggle('hidden', !this.lastEntry);
+        if (this.lastEntry) {
+            document.getElementById('initials-input').value = this.leaderboard.lastInitials;
+        }
+        
+        this.renderLeaderboard('game-over-leaderboard', this.lastEntry);
         document.getElementById('game-over-screen').classList.remove('hidden');
+        this.showUpdateNotice();
     }
 }
 
@@ -0,0 +1,242 @@
+// Ghost cars for Endless Driver
+// A ghost is where the player's car was across the road and how far it had
+// driven, sampled every few ticks of a run. The best run on each difficulty is
+// kept as that difficulty's ghost and raced as a translucent car on later
+// runs. Ghosts are plain JSON files, so players can swap them and race each
+// other's runs.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'), require('./config'), require('./storage'));
+    } else {
+        root.Ghost = factory(root.DriverSimulation, root.GameConfig, root.SavedData);
+    }
+}(typeof self !== 'undefined' ? self : this, function (DriverSimulation, GameConfig, SavedData) {
+    'use strict';
+
+    const GHOST_VERSION = 1;
+    const STORE_VERSION = 1;
+    const STORAGE_KEY = 'endless-driver.ghosts';
+    const SAMPLE_TICKS = 6; // 10 samples a second
+    const MAX_SAMPLES = 12000; // 20 minutes; longer runs keep their first 20
+
+    function round(value, places) {
+        const scale = Math.pow(10, places);
+        return Math.round(value * scale) / scale;
+    }
+
+    // Samples are [x, distance]: the car's centre as a fraction of the road
+    // width, so ghosts fit any screen, and metres driven
+    class GhostRecorder {
+        constructor() {
+            this.preset = '';
+            this.samples = [];
+        }
+
+        start(sim, preset = GameConfig.DEFAULT_PRESET) {
+            this.preset = preset;
+            this.samples = [];
+            this.sample(sim);
+        }
+
+        // Call after each simulation step
+        record(sim) {
+            if (sim.tick % SAMPLE_TICKS === 0 && this.samples.length < MAX_SAMPLES) {
+                this.sample(sim);
+            }
+        }
+
+        sample(sim) {
+            const player = sim.player;
+            this.samples.push([
+                round((player.x + player.width / 2) / sim.gameWidth, 3),
+                round(sim.distance / DriverSimulation.PIXELS_PER_METER, 1)
+            ]);
+        }
+
+        finish(sim, initials = '') {
+            return {
+                version: GHOST_VERSION,
+                preset: this.preset,
+                initials,
+                date: new Date().toISOString(),
+                score: sim.score,
+                distance: round(sim.distance / DriverSimulation.PIXELS_PER_METER, 1),
+                ticks: sim.tick,
+                sampleTicks: SAMPLE_TICKS,
+                samples: this.samples
+            };
+        }
+    }
+
+    // Where a ghost's car is during a new run
+    class GhostPlayer {
+        constructor(ghost) {
+            this.ghost = validate(ghost);
+            this.car = { x: 0, y: 0, width: 0, height: 0, gap: 0, finished: false };
+        }
+
+        // The ghost's car beside the player's at the frame's interpolated
+        // tick, in simulation coordinates. gap is how many metres the ghost
+        // is ahead (negative when behind). A ghost whose run has ended stays
+        // where it stopped.
+        place(sim, alpha) {
+            const ghost = this.ghost;
+            const samples = ghost.samples;
+            const time = Math.max(0, sim.tick - 1 + alpha) / ghost.sampleTicks;
+            const index = Math.min(Math.floor(time), samples.length - 1);
+            const next = Math.min(index + 1, samples.length - 1);
+            const t = Math.min(1, time - index);
+            const x = samples[index][0] + (samples[next][0] - samples[index][0]) * t;
+            const distance = samples[index][1] + (samples[next][1] - samples[index][1]) * t;
+
+            const player = sim.player;
+            const playerY = player.prevY + (player.y - player.prevY) * alpha;
+            const driven = sim.prevDistance + (sim.distance - sim.prevDistance) * alpha;
+            const car = this.car;
+            car.gap = distance - driven / DriverSimulation.PIXELS_PER_METER;
+            car.width = player.width;
+            car.height = player.height;
+            car.x = x * sim.gameWidth - player.width / 2;
+            car.y = playerY - car.gap * DriverSimulation.PIXELS_PER_METER;
+            car.finished = sim.tick >= ghost.ticks;
+            return car;
+        }
+    }
+
+    function validate(ghost) {
+        if (!ghost || typeof ghost !== 'object') {
+            throw new Error('Ghost must be an object');
+        }
+        if (ghost.version !== GHOST_VERSION) {
+            throw new Error(`Unsupported ghost version: ${ghost.version}`);
+        }
+        if (!GameConfig.hasPreset(ghost.preset)) {
+            throw new Error(`Unknown ghost difficulty: ${ghost.preset}`);
+        }
+        for (const key of ['score', 'distance', 'ticks', 'sampleTicks']) {
+            if (typeof ghost[key] !== 'number' || !isFinite(ghost[key]) || ghost[key] < 0) {
+                throw new Error(`Ghost field "${key}" must be a number`);
+            }
+        }
+        if (ghost.sampleTicks < 1) {
+            throw new Error('Ghost field "sampleTicks" must be at least 1');
+        }
+        if (typeof ghost.initials !== 'string' || typeof ghost.date !== 'string') {
+            throw new Error('Ghost initials and date must be strings');
+        }
+        if (!Array.isArray(ghost.samples) || ghost.samples.length === 0 || ghost.samples.length > MAX_SAMPLES) {
+            throw new Error(`Ghost must have 1 to ${MAX_SAMPLES} samples`);
+        }
+
+        let lastDistance = 0;
+        for (const sample of ghost.samples) {
+            if (!Array.isArray(sample) || sample.length !== 2 || !sample.every(value => typeof value === 'number' && isFinite(value))) {
+                throw new Error('Ghost samples must be [x, distance] pairs');
+            }
+            if (sample[1] < lastDistance) {
+                throw new Error('Ghost distance must not go backwards');
+            }
+            lastDistance = sample[1];
+        }
+        return ghost;
+    }
+
+    function parse(text) {
+        return validate(JSON.parse(text));
+    }
+
+    function stringify(ghost) {
+        return JSON.stringify(ghost);
+    }
+
+    // One ghost per difficulty in localStorage, plus whether to race them
+    class GhostStore {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : SavedData.defaultStorage();
+            this.key = options.key || STORAGE_KEY;
+            this.ghosts = {};
+            this.enabled = true;
+            this.load();
+        }
+
+        load() {
+            this.ghosts = {};
+            this.enabled = true;
+            SavedData.load(this.storage, this.key, (data) => {
+                SavedData.checkVersion(data, STORE_VERSION, 'ghost data');
+                this.enabled = data.enabled !== false;
+
+                // A bad ghost is dropped on its own
+                const ghosts = data.ghosts && typeof data.ghosts === 'object' ? data.ghosts : {};
+                for (const id of Object.keys(ghosts)) {
+                    try {
+                        const ghost = validate(ghosts[id]);
+                        this.ghosts[ghost.preset] = ghost;
+                    } catch (err) {
+                        console.warn(`Dropping ${id} ghost:`, err.message);
+                    }
+                }
+            }, 'Ghost data unreadable, starting fresh:');
+        }
+
+        save() {
+            SavedData.save(this.storage, this.key, { version: STORE_VERSION, enabled: this.enabled, ghosts: this.ghosts }, 'Could not save ghosts:');
+        }
+
+        get(preset) {
+            return this.ghosts[preset] || null;
+        }
+
+        setEnabled(enabled) {
+            this.enabled = !!enabled;
+            this.save();
+        }
+
+        // Keep a finished run if it beats the difficulty's ghost on score;
+        // returns true if it did
+        offer(ghost) {
+            validate(ghost);
+            const current = this.get(ghost.preset);
+            if (ghost.score <= 0 || (current && ghost.score <= current.score)) {
+                return false;
+            }
+            this.ghosts[ghost.preset] = ghost;
+            this.save();
+            return true;
+        }
+
+        rename(ghost, initials) {
+            if (this.ghosts[ghost.preset] !== ghost) return;
+
+            ghost.initials = initials;
+            this.save();
+        }
+
+        export(preset) {
+            const ghost = this.get(preset);
+            return ghost ? stringify(ghost) : null;
+        }
+
+        // An imported ghost replaces the one for its difficulty, whatever its
+        // score, since the player chose to race it
+        import(text) {
+            const ghost = parse(text);
+            this.ghosts[ghost.preset] = ghost;
+            this.save();
+            return ghost;
+        }
+    }
+
+    return {
+        VERSION: GHOST_VERSION,
+        SAMPLE_TICKS,
+        MAX_SAMPLES,
+        GhostRecorder,
+        GhostPlayer,
+        GhostStore,
+        validate,
+        parse,
+        stringify
+    };
+}));
@@ -0,0 +1,174 @@
+// Persistent high-score table for Endless Driver
+// Stores the top runs in localStorage under a versioned schema and supports
+// JSON export/import so players can move their records between devices.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage'));
+    } else {
+        root.Leaderboard = factory(root.SavedData);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SavedData) {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const DEFAULT_KEY = 'endless-driver.leaderboard';
+    const DEFAULT_MAX_ENTRIES = 10;
+
+    function sanitizeInitials(initials) {
+        const clean = String(initials || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+        return clean || '???';
+    }
+
+    // Returns a clean entry or null if the input is not a usable record
+    function sanitizeEntry(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+
+        const score = Number(entry.score);
+        if (!Number.isFinite(score) || score < 0) return null;
+
+        const date = new Date(entry.date);
+        return {
+            initials: sanitizeInitials(entry.initials),
+            score: Math.floor(score),
+            date: isNaN(date.getTime()) ? new Date(0).toISOString() : date.toISOString(),
+            distance: Math.max(0, Math.round(Number(entry.distance) || 0)),
+            duration: Math.max(0, Number(entry.duration) || 0),
+            maxSpeed: Math.max(0, Math.round(Number(entry.maxSpeed) || 0))
+        };
+    }
+
+    // Difficulty an export was made on, or null if it does not say
+    function presetOf(data) {
+        return data && typeof data.preset === 'string' ? data.preset : null;
+    }
+
+    function compareEntries(a, b) {
+        // Higher score first; earlier run wins ties
+        return b.score - a.score || a.date.localeCompare(b.date);
+    }
+
+    class Leaderboard {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : SavedData.defaultStorage();
+            // Separate boards (one per difficulty) keep their own table;
+            // the default board uses the plain key
+            this.key = options.key || (options.board ? `${DEFAULT_KEY}.${options.board}` : DEFAULT_KEY);
+            // Difficulty the scores were set on, written into exports so they
+            // only import onto the same board
+            this.preset = options.preset || null;
+            this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+            this.entries = [];
+            this.lastInitials = '';
+            this.load();
+        }
+
+        load() {
+            this.entries = [];
+            SavedData.load(this.storage, this.key, (data) => {
+                this.entries = this.readData(data);
+                this.lastInitials = typeof data.lastInitials === 'string' ? data.lastInitials : '';
+            }, 'Leaderboard data unreadable, starting fresh:');
+        }
+
+        save() {
+            SavedData.save(this.storage, this.key, this.toData(), 'Could not save leaderboard:');
+        }
+
+        // Validate stored/imported data; data from a newer schema is rejected
+        readData(data) {
+            if (!data || typeof data !== 'object' || !Array.isArray(data.entries)) {
+                throw new Error('Leaderboard data has no entries');
+            }
+            SavedData.checkVersion(data, SCHEMA_VERSION, 'leaderboard');
+
+            return data.entries
+                .map(sanitizeEntry)
+                .filter(Boolean)
+                .sort(compareEntries)
+                .slice(0, this.maxEntries);
+        }
+
+        toData() {
+            return { version: SCHEMA_VERSION, lastInitials: this.lastInitials, entries: this.entries };
+        }
+
+        get best() {
+            return this.entries.length > 0 ? this.entries[0].score : 0;
+        }
+
+        qualifies(score) {
+            return score > 0 && (
+                this.entries.length < this.maxEntries ||
+                score > this.entries[this.entries.length - 1].score
+            );
+        }
+
+        isNewBest(score) {
+            return score > 0 && score > this.best;
+        }
+
+        // Insert a run; returns the stored entry, or null if it did not place
+        add(entry) {
+            const clean = sanitizeEntry(entry);
+            if (!clean || !this.qualifies(clean.score)) return null;
+
+            this.entries.push(clean);
+            this.entries.sort(compareEntries);
+            this.entries = this.entries.slice(0, this.maxEntries);
+            this.save();
+            return this.entries.includes(clean) ? clean : null;
+        }
+
+        rename(entry, initials) {
+            if (!this.entries.includes(entry)) return;
+
+            entry.initials = sanitizeInitials(initials);
+            this.lastInitials = entry.initials;
+            this.save();
+        }
+
+        clear() {
+            this.entries = [];
+            this.save();
+        }
+
+        export() {
+            return JSON.stringify(Object.assign(this.toData(), { preset: this.preset || undefined }), null, 2);
+        }
+
+        // Merge records from an export, skipping duplicates; returns how many
+        // made it onto the board. Exports from another difficulty are
+        // rejected; ones from before exports recorded it are taken as they are.
+        import(text) {
+            const data = JSON.parse(text);
+            const preset = presetOf(data);
+            if (preset && this.preset && preset !== this.preset) {
+                throw new Error(`Scores are from the ${preset} board, not ${this.preset}`);
+            }
+            const incoming = this.readData(data);
+            const seen = new Set(this.entries.map(e => `${e.score}|${e.date}|${e.initials}`));
+
+            const added = [];
+            for (const entry of incoming) {
+                const id = `${entry.score}|${entry.date}|${entry.initials}`;
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    this.entries.push(entry);
+                    added.push(entry);
+                }
+            }
+
+            this.entries.sort(compareEntries);
+            this.entries = this.entries.slice(0, this.maxEntries);
+            this.save();
+            return added.filter(entry => this.entries.includes(entry)).length;
+        }
+    }
+
+    Leaderboard.SCHEMA_VERSION = SCHEMA_VERSION;
+    Leaderboard.sanitizeInitials = sanitizeInitials;
+    Leaderboard.presetOf = presetOf;
+
+    return Leaderboard;
+}));
@@ -0,0 +1,133 @@
+// Obstacle type registry for Endless Driver
+// Each type is plain data: size, speed, hitbox, spawn weight and behaviour.
+// The simulation reads these definitions; nothing here touches game state.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ObstacleTypes = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Fields:
+    //   width/height   Size in pixels. Multi-lane types add one lane width per extra lane
+    //   lanes          Number of lanes the obstacle covers
+    //   speedFactor    Fraction of road speed it scrolls at (< 1 means it drives forward)
+    //   hitbox         Insets in pixels trimmed from each side for collision
+    //   spawnWeight    Relative chance of being picked
+    //   behaviour      'static' | 'laneChange' | 'warning'
+    //   effect         'crash' ends the run, 'oil' locks steering for effectTicks
+    //   score          Points for getting past it
+    //   cue            Shape marked on it when shape cues are on (accessibility.js):
+    //                  'dot' | 'bars' | 'arrow' | 'diamond' | 'cross'
+    const TYPES = {
+        car: {
+            width: 70,
+            height: 80,
+            lanes: 1,
+            speedFactor: 1,
+            hitbox: { x: 4, y: 4 },
+            spawnWeight: 6,
+            behaviour: 'static',
+            effect: 'crash',
+            score: 10,
+            color: '#ff4757',
+            cue: 'dot'
+        },
+        truck: {
+            width: 70,
+            height: 150,
+            lanes: 2,
+            speedFactor: 0.55,
+            hitbox: { x: 6, y: 6 },
+            spawnWeight: 2,
+            behaviour: 'static',
+            effect: 'crash',
+            score: 20,
+            color: '#ffa502',
+            cue: 'bars'
+        },
+        swerver: {
+            width: 60,
+            height: 80,
+            lanes: 1,
+            speedFactor: 0.85,
+            hitbox: { x: 4, y: 4 },
+            spawnWeight: 2,
+            behaviour: 'laneChange',
+            changeSpeed: 0.06, // Fraction of the lane gap covered per tick
+            effect: 'crash',
+            score: 15,
+            color: '#a55eea',
+            cue: 'arrow'
+        },
+        oil: {
+            width: 64,
+            height: 50,
+            lanes: 1,
+            speedFactor: 1,
+            hitbox: { x: 10, y: 10 },
+            spawnWeight: 2,
+            behaviour: 'static',
+            effect: 'oil',
+            effectTicks: 45,
+            score: 5,
+            color: '#2f3542',
+            cue: 'diamond'
+        },
+        roadblock: {
+            width: 80,
+            height: 30,
+            lanes: 1,
+            speedFactor: 1,
+            hitbox: { x: 2, y: 2 },
+            spawnWeight: 1,
+            behaviour: 'warning',
+            warningTicks: 60, // Lane is flagged this long before the block appears
+            effect: 'crash',
+            score: 15,
+            color: '#eccc68',
+            cue: 'cross'
+        }
+    };
+
+    const IDS = Object.keys(TYPES);
+
+    for (const id of IDS) {
+        TYPES[id].id = id;
+    }
+
+    function get(id) {
+        const type = TYPES[id];
+        if (!type) {
+            throw new Error(`Unknown obstacle type: ${id}`);
+        }
+        return type;
+    }
+
+    // Weighted pick using the simulation's seeded generator
+    function pick(rng, ids = IDS) {
+        let total = 0;
+        for (const id of ids) {
+            total += TYPES[id].spawnWeight;
+        }
+
+        let roll = rng.next() * total;
+        for (const id of ids) {
+            roll -= TYPES[id].spawnWeight;
+            if (roll < 0) {
+                return TYPES[id];
+            }
+        }
+        return TYPES[ids[ids.length - 1]];
+    }
+
+    return {
+        TYPES,
+        IDS,
+        get,
+        pick
+    };
+}));
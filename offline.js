@@ -0,0 +1,95 @@
+// Offline support for Endless Driver
+// Registers the service worker (sw.js) and watches for new versions of it. A
+// new version installs in the background and waits; the shell offers it to
+// the player, and once accepted the worker takes over and the page reloads.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OfflineSupport = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Message the waiting worker acts on (sw.js)
+    const SKIP_WAITING = 'skipWaiting';
+
+    // Service workers need a page served over HTTP(S), not opened from a file
+    function isSupported(nav, location) {
+        return !!(nav && nav.serviceWorker) && (location.protocol === 'https:' || location.protocol === 'http:');
+    }
+
+    class UpdateWatcher {
+        // container is navigator.serviceWorker. onUpdate is called with the
+        // waiting worker when an update is ready; reload runs once it has
+        // taken over.
+        constructor(container, options = {}) {
+            this.container = container;
+            this.onUpdate = options.onUpdate || (() => {});
+            this.reload = options.reload || (() => {});
+            this.registration = null;
+            this.waiting = null;
+            this.accepted = false;
+
+            // The first install also takes control of the page (clients.claim);
+            // only a change the player asked for reloads it
+            this.container.addEventListener('controllerchange', () => {
+                if (this.accepted) {
+                    this.accepted = false;
+                    this.reload();
+                }
+            });
+        }
+
+        register(url) {
+            return this.container.register(url).then((registration) => {
+                this.watch(registration);
+                return registration;
+            });
+        }
+
+        watch(registration) {
+            this.registration = registration;
+            if (registration.waiting) {
+                this.offer(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed') {
+                        this.offer(worker);
+                    }
+                });
+            });
+        }
+
+        // A worker installed while another controls the page is an update;
+        // with none in control it is the first install and activates itself
+        offer(worker) {
+            if (!this.container.controller) return;
+            this.waiting = worker;
+            this.onUpdate(worker);
+        }
+
+        get updateReady() {
+            return this.waiting !== null;
+        }
+
+        // Hand control to the waiting worker; the page reloads when it has it
+        apply() {
+            if (!this.waiting) return false;
+            this.accepted = true;
+            this.waiting.postMessage({ type: SKIP_WAITING });
+            this.waiting = null;
+            return true;
+        }
+    }
+
+    return {
+        SKIP_WAITING,
+        isSupported,
+        UpdateWatcher
+    };
+}));
@@ -0,0 +1,126 @@
+// Pickup type registry for Endless Driver
+// Coins and timed power-ups, as plain data in the same shape as
+// obstacle-types.js. The simulation owns spawning, pooling and effects.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PickupTypes = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Fields:
+    //   width/height   Size in pixels
+    //   spawnWeight    Relative chance among power-ups (coins have their own timer)
+    //   effect         'coin' scores and counts a coin; anything else is the
+    //                  power-up timer it starts
+    //   durationTicks  How long a power-up lasts
+    //   score          Points for collecting it
+    //   label          Short name for the HUD
+    //   mark           Text drawn on the pickup
+    const TYPES = {
+        coin: {
+            width: 22,
+            height: 22,
+            spawnWeight: 0,
+            effect: 'coin',
+            durationTicks: 0,
+            score: 5,
+            color: '#ffd32a',
+            label: 'Coin',
+            mark: ''
+        },
+        shield: {
+            width: 34,
+            height: 34,
+            spawnWeight: 3,
+            effect: 'shield', // Absorbs one crash while it lasts
+            durationTicks: 600,
+            score: 0,
+            color: '#2ed573',
+            label: 'Shield',
+            mark: 'S'
+        },
+        magnet: {
+            width: 34,
+            height: 34,
+            spawnWeight: 3,
+            effect: 'magnet',
+            durationTicks: 480,
+            radius: 160, // Coins closer than this drift towards the player
+            pull: 0.15, // Fraction of the remaining gap closed per tick
+            score: 0,
+            color: '#ff6b81',
+            label: 'Magnet',
+            mark: 'M'
+        },
+        slowmo: {
+            width: 34,
+            height: 34,
+            spawnWeight: 2,
+            effect: 'slowmo',
+            durationTicks: 300,
+            speedScale: 0.6, // Applied to the road speed while active
+            score: 0,
+            color: '#70a1ff',
+            label: 'Slow-mo',
+            mark: 'T'
+        },
+        multiplier: {
+            width: 34,
+            height: 34,
+            spawnWeight: 2,
+            effect: 'multiplier',
+            durationTicks: 600,
+            factor: 2,
+            score: 0,
+            color: '#eccc68',
+            label: 'x2 Score',
+            mark: 'x2'
+        }
+    };
+
+    const IDS = Object.keys(TYPES);
+
+    for (const id of IDS) {
+        TYPES[id].id = id;
+    }
+
+    // Power-ups in HUD order (everything except coins)
+    const POWER_UPS = IDS.filter(id => TYPES[id].effect !== 'coin');
+
+    function get(id) {
+        const type = TYPES[id];
+        if (!type) {
+            throw new Error(`Unknown pickup type: ${id}`);
+        }
+        return type;
+    }
+
+    // Weighted pick of a power-up using the simulation's seeded generator
+    function pickPowerUp(rng) {
+        let total = 0;
+        for (const id of POWER_UPS) {
+            total += TYPES[id].spawnWeight;
+        }
+
+        let roll = rng.next() * total;
+        for (const id of POWER_UPS) {
+            roll -= TYPES[id].spawnWeight;
+            if (roll < 0) {
+                return TYPES[id];
+            }
+        }
+        return TYPES[POWER_UPS[POWER_UPS.length - 1]];
+    }
+
+    return {
+        TYPES,
+        IDS,
+        POWER_UPS,
+        get,
+        pickPowerUp
+    };
+}));
@@ -0,0 +1,422 @@
+// Missions, achievements and unlockable car colours for Endless Driver
+// The shell reports what happens during a live run (obstacles passed, near
+// misses, lane changes, coins) and the run's results when it ends. Missions
+// and achievements pay out coins, which buy car colours. Everything is kept
+// in localStorage under a versioned schema, like the leaderboard.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage'));
+    } else {
+        root.Progression = factory(root.SavedData);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SavedData) {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const DEFAULT_KEY = 'endless-driver.progress';
+    const ACTIVE_MISSIONS = 3;
+
+    // Run statistics. Most are counted and add up across runs; survival (in
+    // seconds) and speed (in km/h) are reached, and keep the best value.
+    const STATS = ['runs', 'obstacles', 'nearMisses', 'laneChanges', 'coins', 'distance', 'survival', 'speed'];
+
+    // Mission templates. Completing one raises its level, so the next
+    // mission of the same kind asks for more.
+    //   stat         Run statistic it tracks
+    //   scope        'run' must be reached within one run; 'total' adds up
+    //                over runs from when the mission was given
+    //   target       Goal at level 0, plus `step` per level, up to `max`
+    //   reward       Coins at level 0, plus `rewardStep` per level
+    //   text         Description, with {n} for the target
+    const MISSION_TYPES = {
+        obstacles: {
+            stat: 'obstacles',
+            scope: 'run',
+            target: 20,
+            step: 15,
+            max: 200,
+            reward: 25,
+            rewardStep: 10,
+            text: 'Pass {n} obstacles in one run'
+        },
+        nearMisses: {
+            stat: 'nearMisses',
+            scope: 'run',
+            target: 3,
+            step: 2,
+            max: 30,
+            reward: 30,
+            rewardStep: 10,
+            text: 'Get {n} near misses in one run'
+        },
+        laneChanges: {
+            stat: 'laneChanges',
+            scope: 'total',
+            target: 50,
+            step: 50,
+            max: 1000,
+            reward: 20,
+            rewardStep: 10,
+            text: 'Change lanes {n} times'
+        },
+        survival: {
+            stat: 'survival',
+            scope: 'run',
+            target: 30,
+            step: 15,
+            max: 300,
+            reward: 30,
+            rewardStep: 15,
+            text: 'Survive {n} seconds in one run'
+        },
+        speed: {
+            stat: 'speed',
+            scope: 'run',
+            target: 150,
+            step: 20,
+            max: 300,
+            reward: 30,
+            rewardStep: 15,
+            text: 'Reach {n} km/h'
+        },
+        distance: {
+            stat: 'distance',
+            scope: 'total',
+            target: 2000,
+            step: 2000,
+            max: 50000,
+            reward: 25,
+            rewardStep: 10,
+            text: 'Drive {n} m'
+        },
+        coins: {
+            stat: 'coins',
+            scope: 'total',
+            target: 25,
+            step: 25,
+            max: 500,
+            reward: 20,
+            rewardStep: 10,
+            text: 'Collect {n} coins'
+        }
+    };
+    const MISSION_IDS = Object.keys(MISSION_TYPES);
+
+    // One-off goals; stat and scope as for missions ('total' here means
+    // over all runs)
+    const ACHIEVEMENTS = {
+        'first-run': { stat: 'runs', scope: 'total', target: 1, reward: 10, label: 'Learner', text: 'Finish a run' },
+        'close-calls': { stat: 'nearMisses', scope: 'run', target: 10, reward: 100, label: 'Close Calls', text: 'Get 10 near misses in one run' },
+        marathon: { stat: 'survival', scope: 'run', target: 180, reward: 150, label: 'Marathon', text: 'Survive 3 minutes in one run' },
+        'top-speed': { stat: 'speed', scope: 'run', target: 300, reward: 150, label: 'Speed Demon', text: 'Reach 300 km/h' },
+        'road-warrior': { stat: 'obstacles', scope: 'total', target: 1000, reward: 200, label: 'Road Warrior', text: 'Pass 1000 obstacles' },
+        collector: { stat: 'coins', scope: 'total', target: 500, reward: 200, label: 'Collector', text: 'Collect 500 coins' },
+        veteran: { stat: 'runs', scope: 'total', target: 50, reward: 250, label: 'Veteran', text: 'Finish 50 runs' }
+    };
+    const ACHIEVEMENT_IDS = Object.keys(ACHIEVEMENTS);
+
+    // Car colours for player.color. `price` is in coins; colours with an
+    // `achievement` cannot be bought and unlock with it instead.
+    const SKINS = {
+        classic: { label: 'Classic', color: '#00d2ff', price: 0 },
+        lime: { label: 'Lime', color: '#7bed9f', price: 100 },
+        coral: { label: 'Coral', color: '#ff7f50', price: 200 },
+        rose: { label: 'Rose', color: '#fd79a8', price: 350 },
+        ghost: { label: 'Ghost', color: '#f1f2f6', price: 500 },
+        midnight: { label: 'Midnight', color: '#5352ed', price: 800 },
+        gold: { label: 'Gold', color: '#ffd700', price: 0, achievement: 'top-speed' },
+        chrome: { label: 'Chrome', color: '#a4b0be', price: 0, achievement: 'veteran' }
+    };
+    const SKIN_IDS = Object.keys(SKINS);
+    const DEFAULT_SKIN = 'classic';
+
+    function emptyStats() {
+        const stats = {};
+        for (const stat of STATS) {
+            stats[stat] = 0;
+        }
+        return stats;
+    }
+
+    function nonNegative(value) {
+        const number = Number(value);
+        return Number.isFinite(number) && number > 0 ? number : 0;
+    }
+
+    // Own keys only, so saved ids like 'constructor' are not taken for a
+    // mission type, achievement or skin
+    function has(table, id) {
+        return Object.prototype.hasOwnProperty.call(table, id);
+    }
+
+    function getSkin(id) {
+        if (!has(SKINS, id)) {
+            throw new Error(`Unknown skin: ${id}`);
+        }
+        return SKINS[id];
+    }
+
+    class Progression {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : SavedData.defaultStorage();
+            this.key = options.key || DEFAULT_KEY;
+            this.load();
+        }
+
+        reset() {
+            this.balance = 0;
+            this.totals = emptyStats();
+            this.levels = {}; // Completed missions per template
+            this.nextType = 0; // Where the search for the next mission starts
+            this.missions = [];
+            this.achievements = []; // Unlocked ids
+            this.skins = [DEFAULT_SKIN];
+            this.skin = DEFAULT_SKIN;
+            this.fillMissions();
+
+            // The run in progress (null outside live runs) and what it has
+            // earned so far
+            this.run = null;
+            this.rewards = [];
+        }
+
+        load() {
+            this.reset();
+            SavedData.load(this.storage, this.key, (data) => {
+                try {
+                    this.readData(data);
+                } catch (err) {
+                    // Drop whatever was read before the data was rejected
+                    this.reset();
+                    throw err;
+                }
+            }, 'Progress data unreadable, starting fresh:');
+        }
+
+        save() {
+            SavedData.save(this.storage, this.key, this.toData(), 'Could not save progress:');
+        }
+
+        // Validate stored data; data from a newer schema is rejected
+        readData(data) {
+            if (!data || typeof data !== 'object') {
+                throw new Error('Progress data is not an object');
+            }
+            SavedData.checkVersion(data, SCHEMA_VERSION, 'progress');
+
+            this.balance = Math.floor(nonNegative(data.balance));
+            for (const stat of STATS) {
+                this.totals[stat] = nonNegative(data.totals && data.totals[stat]);
+            }
+            for (const id of MISSION_IDS) {
+                const level = Math.floor(nonNegative(data.levels && data.levels[id]));
+                if (level > 0) this.levels[id] = level;
+            }
+            this.nextType = Math.floor(nonNegative(data.nextType)) % MISSION_IDS.length;
+
+            this.missions = (Array.isArray(data.missions) ? data.missions : [])
+                .filter(mission => mission && has(MISSION_TYPES, mission.type))
+                .slice(0, ACTIVE_MISSIONS)
+                .map(mission => ({
+                    type: mission.type,
+                    target: Math.max(1, nonNegative(mission.target)),
+                    reward: Math.floor(nonNegative(mission.reward)),
+                    progress: nonNegative(mission.progress)
+                }));
+            this.fillMissions();
+
+            this.achievements = (Array.isArray(data.achievements) ? data.achievements : [])
+                .filter(id => has(ACHIEVEMENTS, id));
+            const skins = Array.isArray(data.skins) ? data.skins : [];
+            this.skins = SKIN_IDS.filter(id => id === DEFAULT_SKIN || (SKINS[id].achievement ?
+                this.achievements.includes(SKINS[id].achievement) : skins.includes(id)));
+            this.skin = this.skins.includes(data.skin) ? data.skin : DEFAULT_SKIN;
+        }
+
+        toData() {
+            return {
+                version: SCHEMA_VERSION,
+                balance: this.balance,
+                totals: this.totals,
+                levels: this.levels,
+                nextType: this.nextType,
+                missions: this.missions,
+                achievements: this.achievements,
+                skins: this.skins,
+                skin: this.skin
+            };
+        }
+
+        // Missions
+
+        fillMissions() {
+            while (this.missions.length < ACTIVE_MISSIONS) {
+                this.missions.push(this.nextMission());
+            }
+        }
+
+        // Templates take turns, skipping any that already have a mission
+        nextMission() {
+            for (let i = 0; i < MISSION_IDS.length; i++) {
+                const id = MISSION_IDS[(this.nextType + i) % MISSION_IDS.length];
+                if (this.missions.some(mission => mission.type === id)) continue;
+
+                this.nextType = (this.nextType + i + 1) % MISSION_IDS.length;
+                const type = MISSION_TYPES[id];
+                const level = this.levels[id] || 0;
+                return {
+                    type: id,
+                    target: Math.min(type.max, type.target + type.step * level),
+                    reward: type.reward + type.rewardStep * level,
+                    progress: 0
+                };
+            }
+            throw new Error('No mission templates left');
+        }
+
+        describe(mission) {
+            return MISSION_TYPES[mission.type].text.replace('{n}', mission.target);
+        }
+
+        // Run events
+
+        startRun() {
+            this.abandonRun();
+            this.run = emptyStats();
+            this.rewards = [];
+        }
+
+        // A run that will not finish (restarted or replaced by a replay)
+        // keeps what it has earned but is not counted as a run
+        abandonRun() {
+            if (!this.run) return;
+
+            this.run = null;
+            this.save();
+        }
+
+        // Something happened `amount` times during the run
+        count(stat, amount = 1) {
+            if (!this.run || amount <= 0) return;
+
+            this.run[stat] += amount;
+            this.totals[stat] += amount;
+            for (const mission of this.missions) {
+                if (MISSION_TYPES[mission.type].stat === stat && MISSION_TYPES[mission.type].scope === 'total') {
+                    mission.progress += amount;
+                }
+            }
+            if (stat === 'coins') {
+                this.balance += amount;
+            }
+            this.check(stat);
+        }
+
+        // The run got as far as `value`
+        reach(stat, value) {
+            if (!this.run || value <= this.run[stat]) return;
+
+            this.run[stat] = value;
+            this.totals[stat] = Math.max(this.totals[stat], value);
+            this.check(stat);
+        }
+
+        // End of a live run, with the simulation's run stats. Returns what
+        // the run earned.
+        finishRun(stats) {
+            if (!this.run) return null;
+
+            this.reach('survival', stats.duration);
+            this.reach('speed', stats.maxSpeed);
+            this.count('distance', stats.distance);
+            this.count('runs');
+
+            const summary = { coins: this.run.coins, rewards: this.rewards };
+            this.run = null;
+            this.rewards = [];
+            this.save();
+            return summary;
+        }
+
+        check(stat) {
+            for (let i = 0; i < this.missions.length; i++) {
+                const mission = this.missions[i];
+                const type = MISSION_TYPES[mission.type];
+                if (type.stat !== stat) continue;
+
+                if (type.scope === 'run') {
+                    mission.progress = Math.max(mission.progress, this.run[stat]);
+                }
+                if (mission.progress >= mission.target) {
+                    this.levels[mission.type] = (this.levels[mission.type] || 0) + 1;
+                    this.award('mission', this.describe(mission), mission.reward);
+                    this.missions[i] = this.nextMission();
+                }
+            }
+
+            for (const id of ACHIEVEMENT_IDS) {
+                const achievement = ACHIEVEMENTS[id];
+                if (achievement.stat !== stat || this.achievements.includes(id)) continue;
+
+                const value = achievement.scope === 'run' ? this.run[stat] : this.totals[stat];
+                if (value >= achievement.target) {
+                    this.achievements.push(id);
+                    this.award('achievement', achievement.label, achievement.reward);
+                    for (const skin of SKIN_IDS) {
+                        if (SKINS[skin].achievement === id && !this.skins.includes(skin)) {
+                            this.skins.push(skin);
+                        }
+                    }
+                }
+            }
+        }
+
+        award(kind, text, reward) {
+            this.balance += reward;
+            this.rewards.push({ kind, text, reward });
+        }
+
+        // Car colours
+
+        isUnlocked(id) {
+            getSkin(id);
+            return this.skins.includes(id);
+        }
+
+        // Spend coins on a colour; false if it is not for sale or too dear
+        buySkin(id) {
+            const skin = getSkin(id);
+            if (this.skins.includes(id)) return true;
+            if (skin.achievement || this.balance < skin.price) return false;
+
+            this.balance -= skin.price;
+            this.skins.push(id);
+            this.save();
+            return true;
+        }
+
+        selectSkin(id) {
+            if (!this.isUnlocked(id)) {
+                throw new Error(`Skin is locked: ${id}`);
+            }
+            this.skin = id;
+            this.save();
+        }
+
+        get color() {
+            return SKINS[this.skin].color;
+        }
+    }
+
+    Progression.SCHEMA_VERSION = SCHEMA_VERSION;
+    Progression.ACTIVE_MISSIONS = ACTIVE_MISSIONS;
+    Progression.MISSION_TYPES = MISSION_TYPES;
+    Progression.MISSION_IDS = MISSION_IDS;
+    Progression.ACHIEVEMENTS = ACHIEVEMENTS;
+    Progression.ACHIEVEMENT_IDS = ACHIEVEMENT_IDS;
+    Progression.SKINS = SKINS;
+    Progression.SKIN_IDS = SKIN_IDS;
+
+    return Progression;
+}));
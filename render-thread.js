@@ -0,0 +1,617 @@
+// Worker rendering for Endless Driver
+// Where the browser can hand a canvas to a worker (OffscreenCanvas), the game
+// can draw there instead of on the page's thread, next to input handlers.
+// The page sends a compact snapshot of what the renderers read each frame:
+// the road, the player, obstacles, pickups, the ghost and effect particles,
+// packed into a Float64Array that is transferred, drawn and sent back for
+// reuse. The worker (render-worker.js) draws it with the same renderers and
+// effects as the page, so both paths look the same; browsers without
+// OffscreenCanvas keep drawing on the page.
+//
+// Snapshot layout: the header fields below, then one record per obstacle,
+// pickup and particle. Colours go as indexes into a string table that the
+// writer sends new entries of alongside each frame.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./obstacle-types'), require('./pickup-types'),
+            require('./renderers'), require('./effects'), require('./assets'), require('./storage'));
+    } else {
+        root.RenderThread = factory(root.ObstacleTypes, root.PickupTypes,
+            root.Renderers, root.EffectsSystem, root.AssetManager, root.SavedData);
+    }
+}(typeof self !== 'undefined' ? self : this, function (ObstacleTypes, PickupTypes, Renderers, EffectsSystem, AssetManager, SavedData) {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const DEFAULT_KEY = 'endless-driver.render';
+    const DEFAULT_WORKER_URL = 'render-worker.js';
+
+    // Snapshots the worker may hold at once; frames past this are skipped
+    // rather than queued, so a slow worker drops frames instead of lagging
+    const MAX_IN_FLIGHT = 2;
+
+    // Weight of the newest frame in the smoothed timings
+    const SMOOTHING = 0.1;
+
+    const HEADER_FIELDS = [
+        'frame', 'inputTime', 'alpha', 'tick', 'distance', 'prevDistance',
+        'gameWidth', 'gameHeight', 'lanes', 'firstLane', 'lastLane', 'shield',
+        'playerX', 'playerY', 'playerPrevX', 'playerPrevY', 'playerWidth', 'playerHeight',
+        'steeringLock', 'playerColor',
+        'roadChange', 'changeY', 'changePrevY', 'changeFirst', 'changeLast', 'changeFromFirst', 'changeFromLast',
+        'ghost', 'ghostX', 'ghostY', 'ghostWidth', 'ghostHeight',
+        'shakeX', 'shakeY', 'flashTicks', 'flashTotal', 'flashColor',
+        'obstacles', 'pickups', 'particles'
+    ];
+    const HEADER = {};
+    HEADER_FIELDS.forEach((field, i) => {
+        HEADER[field] = i;
+    });
+    const HEADER_SIZE = HEADER_FIELDS.length;
+
+    // Record sizes: type, x, y, prevX, prevY, width, height, then for
+    // obstacles state, lane and targetLane; particles are kind, x, y, vx,
+    // vy, life, maxLife, size and colour
+    const OBSTACLE_SIZE = 10;
+    const PICKUP_SIZE = 7;
+    const PARTICLE_SIZE = 9;
+
+    const STATES = ['active', 'warning'];
+    const PARTICLE_KINDS = ['smoke', 'spark', 'debris', 'fire', 'line'];
+
+    // Milliseconds on a clock the page and the worker share
+    function clock() {
+        return performance.timeOrigin + performance.now();
+    }
+
+    function smooth(average, value) {
+        return average === 0 ? value : average + (value - average) * SMOOTHING;
+    }
+
+    // A canvas can only be drawn from a worker where all three exist; scope
+    // is the page's window
+    function isSupported(canvas, scope) {
+        return !!canvas && typeof canvas.transferControlToOffscreen === 'function' &&
+            typeof scope.Worker === 'function' && typeof scope.OffscreenCanvas === 'function';
+    }
+
+    // ?render=worker or ?render=main picks a path for testing; null if unset
+    function pathFromQuery(search) {
+        const match = /[?&]render=(worker|main)\b/.exec(search);
+        return match ? match[1] : null;
+    }
+
+    class SnapshotWriter {
+        constructor() {
+            this.strings = new Map();
+            this.added = [];
+        }
+
+        intern(text) {
+            let index = this.strings.get(text);
+            if (index === undefined) {
+                index = this.strings.size;
+                this.strings.set(text, index);
+                this.added.push(text);
+            }
+            return index;
+        }
+
+        // Strings added since the last call, for the reader; null if none
+        takeStrings() {
+            if (this.added.length === 0) return null;
+            const added = this.added;
+            this.added = [];
+            return added;
+        }
+
+        // Length a snapshot of this frame needs
+        size(sim, effects) {
+            return HEADER_SIZE + sim.obstacles.length * OBSTACLE_SIZE + sim.pickups.length * PICKUP_SIZE +
+                (effects ? effects.particles.length * PARTICLE_SIZE : 0);
+        }
+
+        // Fills out with the frame and returns it, or a larger array if it
+        // is missing or too short. inputTime is when the frame's input was
+        // read, on clock().
+        write(out, sim, alpha, ghost, effects, frame, inputTime) {
+            const needed = this.size(sim, effects);
+            if (!out || out.length < needed) {
+                out = new Float64Array(Math.ceil(needed * 1.5));
+            }
+
+            const player = sim.player;
+            const change = sim.roadChange;
+            out[HEADER.frame] = frame;
+            out[HEADER.inputTime] = inputTime;
+            out[HEADER.alpha] = alpha;
+            out[HEADER.tick] = sim.tick;
+            out[HEADER.distance] = sim.distance;
+            out[HEADER.prevDistance] = sim.prevDistance;
+            out[HEADER.gameWidth] = sim.gameWidth;
+            out[HEADER.gameHeight] = sim.gameHeight;
+            out[HEADER.lanes] = sim.lanes.length;
+            out[HEADER.firstLane] = sim.firstLane;
+            out[HEADER.lastLane] = sim.lastLane;
+            out[HEADER.shield] = sim.powerUps.shield;
+            out[HEADER.playerX] = player.x;
+            out[HEADER.playerY] = player.y;
+            out[HEADER.playerPrevX] = player.prevX;
+            out[HEADER.playerPrevY] = player.prevY;
+            out[HEADER.playerWidth] = player.width;
+            out[HEADER.playerHeight] = player.height;
+            out[HEADER.steeringLock] = player.steeringLock;
+            out[HEADER.playerColor] = this.intern(player.color);
+            out[HEADER.roadChange] = change ? 1 : 0;
+            if (change) {
+                out[HEADER.changeY] = change.y;
+                out[HEADER.changePrevY] = change.prevY;
+                out[HEADER.changeFirst] = change.firstLane;
+                out[HEADER.changeLast] = change.lastLane;
+                out[HEADER.changeFromFirst] = change.fromFirst;
+                out[HEADER.changeFromLast] = change.fromLast;
+            }
+            out[HEADER.ghost] = ghost ? 1 : 0;
+            if (ghost) {
+                out[HEADER.ghostX] = ghost.x;
+                out[HEADER.ghostY] = ghost.y;
+                out[HEADER.ghostWidth] = ghost.width;
+                out[HEADER.ghostHeight] = ghost.height;
+            }
+            out[HEADER.shakeX] = effects ? effects.shakeX : 0;
+            out[HEADER.shakeY] = effects ? effects.shakeY : 0;
+            out[HEADER.flashTicks] = effects ? effects.flashTicks : 0;
+            out[HEADER.flashTotal] = effects ? effects.flashTotal : 0;
+            out[HEADER.flashColor] = effects && effects.flashTicks > 0 ? this.intern(effects.flashColor) : -1;
+            out[HEADER.obstacles] = sim.obstacles.length;
+            out[HEADER.pickups] = sim.pickups.length;
+            out[HEADER.particles] = effects ? effects.particles.length : 0;
+
+            let i = HEADER_SIZE;
+            for (const obstacle of sim.obstacles) {
+                out[i] = ObstacleTypes.IDS.indexOf(obstacle.type.id);
+                out[i + 1] = obstacle.x;
+                out[i + 2] = obstacle.y;
+                out[i + 3] = obstacle.prevX;
+                out[i + 4] = obstacle.prevY;
+                out[i + 5] = obstacle.width;
+                out[i + 6] = obstacle.height;
+                out[i + 7] = STATES.indexOf(obstacle.state);
+                out[i + 8] = obstacle.lane;
+                out[i + 9] = obstacle.targetLane;
+                i += OBSTACLE_SIZE;
+            }
+            for (const pickup of sim.pickups) {
+                out[i] = PickupTypes.IDS.indexOf(pickup.type.id);
+                out[i + 1] = pickup.x;
+                out[i + 2] = pickup.y;
+                out[i + 3] = pickup.prevX;
+                out[i + 4] = pickup.prevY;
+                out[i + 5] = pickup.width;
+                out[i + 6] = pickup.height;
+                i += PICKUP_SIZE;
+            }
+            if (effects) {
+                for (const particle of effects.particles) {
+                    out[i] = PARTICLE_KINDS.indexOf(particle.kind);
+                    out[i + 1] = particle.x;
+                    out[i + 2] = particle.y;
+                    out[i + 3] = particle.vx;
+                    out[i + 4] = particle.vy;
+                    out[i + 5] = particle.life;
+                    out[i + 6] = particle.maxLife;
+                    out[i + 7] = particle.size;
+                    out[i + 8] = this.intern(particle.color);
+                    i += PARTICLE_SIZE;
+                }
+            }
+            return out;
+        }
+    }
+
+    // Turns snapshots back into an object shaped like the simulation, as far
+    // as the renderers read it. The object and its entries are reused, so
+    // reading a frame allocates nothing once the pools have grown.
+    class SnapshotReader {
+        constructor() {
+            this.strings = [];
+            this.obstaclePool = [];
+            this.pickupPool = [];
+            this.changeState = { y: 0, prevY: 0, firstLane: 0, lastLane: 0, fromFirst: 0, fromLast: 0 };
+            this.ghostState = { x: 0, y: 0, width: 0, height: 0 };
+            this.sim = {
+                frame: 0,
+                inputTime: 0,
+                alpha: 0,
+                ghost: null,
+                tick: 0,
+                distance: 0,
+                prevDistance: 0,
+                gameWidth: 0,
+                gameHeight: 0,
+                lanes: [],
+                firstLane: 0,
+                lastLane: 0,
+                powerUps: { shield: 0 },
+                player: { x: 0, y: 0, prevX: 0, prevY: 0, width: 0, height: 0, steeringLock: 0, color: '' },
+                roadChange: null,
+                obstacles: [],
+                pickups: []
+            };
+        }
+
+        addStrings(strings) {
+            if (strings) {
+                this.strings.push(...strings);
+            }
+        }
+
+        // The frame in a snapshot; its particles, shake and flash are put
+        // into effects, replacing what was there
+        read(snapshot, effects) {
+            const sim = this.sim;
+            const strings = this.strings;
+            const player = sim.player;
+
+            sim.frame = snapshot[HEADER.frame];
+            sim.inputTime = snapshot[HEADER.inputTime];
+            sim.alpha = snapshot[HEADER.alpha];
+            sim.tick = snapshot[HEADER.tick];
+            sim.distance = snapshot[HEADER.distance];
+            sim.prevDistance = snapshot[HEADER.prevDistance];
+            sim.gameWidth = snapshot[HEADER.gameWidth];
+            sim.gameHeight = snapshot[HEADER.gameHeight];
+            sim.lanes.length = snapshot[HEADER.lanes];
+            sim.firstLane = snapshot[HEADER.firstLane];
+            sim.lastLane = snapshot[HEADER.lastLane];
+            sim.powerUps.shield = snapshot[HEADER.shield];
+            player.x = snapshot[HEADER.playerX];
+            player.y = snapshot[HEADER.playerY];
+            player.prevX = snapshot[HEADER.playerPrevX];
+            player.prevY = snapshot[HEADER.playerPrevY];
+            player.width = snapshot[HEADER.playerWidth];
+            player.height = snapshot[HEADER.playerHeight];
+            player.steeringLock = snapshot[HEADER.steeringLock];
+            player.color = strings[snapshot[HEADER.playerColor]];
+
+            sim.roadChange = null;
+            if (snapshot[HEADER.roadChange]) {
+                const change = this.changeState;
+                change.y = snapshot[HEADER.changeY];
+                change.prevY = snapshot[HEADER.changePrevY];
+                change.firstLane = snapshot[HEADER.changeFirst];
+                change.lastLane = snapshot[HEADER.changeLast];
+                change.fromFirst = snapshot[HEADER.changeFromFirst];
+                change.fromLast = snapshot[HEADER.changeFromLast];
+                sim.roadChange = change;
+            }
+            sim.ghost = null;
+            if (snapshot[HEADER.ghost]) {
+                const ghost = this.ghostState;
+                ghost.x = snapshot[HEADER.ghostX];
+                ghost.y = snapshot[HEADER.ghostY];
+                ghost.width = snapshot[HEADER.ghostWidth];
+                ghost.height = snapshot[HEADER.ghostHeight];
+                sim.ghost = ghost;
+            }
+
+            let i = HEADER_SIZE;
+            const obstacles = sim.obstacles;
+            obstacles.length = snapshot[HEADER.obstacles];
+            for (let n = 0; n < obstacles.length; n++) {
+                const obstacle = this.obstaclePool[n] || (this.obstaclePool[n] = {});
+                obstacle.type = ObstacleTypes.TYPES[ObstacleTypes.IDS[snapshot[i]]];
+                obstacle.x = snapshot[i + 1];
+                obstacle.y = snapshot[i + 2];
+                obstacle.prevX = snapshot[i + 3];
+                obstacle.prevY = snapshot[i + 4];
+                obstacle.width = snapshot[i + 5];
+                obstacle.height = snapshot[i + 6];
+                obstacle.state = STATES[snapshot[i + 7]];
+                obstacle.lane = snapshot[i + 8];
+                obstacle.targetLane = snapshot[i + 9];
+                obstacles[n] = obstacle;
+                i += OBSTACLE_SIZE;
+            }
+            const pickups = sim.pickups;
+            pickups.length = snapshot[HEADER.pickups];
+            for (let n = 0; n < pickups.length; n++) {
+                const pickup = this.pickupPool[n] || (this.pickupPool[n] = {});
+                pickup.type = PickupTypes.TYPES[PickupTypes.IDS[snapshot[i]]];
+                pickup.x = snapshot[i + 1];
+                pickup.y = snapshot[i + 2];
+                pickup.prevX = snapshot[i + 3];
+                pickup.prevY = snapshot[i + 4];
+                pickup.width = snapshot[i + 5];
+                pickup.height = snapshot[i + 6];
+                pickups[n] = pickup;
+                i += PICKUP_SIZE;
+            }
+
+            effects.clear();
+            const particles = snapshot[HEADER.particles];
+            for (let n = 0; n < particles; n++) {
+                const particle = effects.spawn(PARTICLE_KINDS[snapshot[i]], snapshot[i + 1], snapshot[i + 2],
+                    snapshot[i + 3], snapshot[i + 4], snapshot[i + 5], snapshot[i + 7], strings[snapshot[i + 8]]);
+                if (particle) particle.maxLife = snapshot[i + 6];
+                i += PARTICLE_SIZE;
+            }
+            effects.shakeX = snapshot[HEADER.shakeX];
+            effects.shakeY = snapshot[HEADER.shakeY];
+            effects.flashTicks = snapshot[HEADER.flashTicks];
+            effects.flashTotal = snapshot[HEADER.flashTotal];
+            effects.flashColor = strings[snapshot[HEADER.flashColor]] || '';
+            return sim;
+        }
+    }
+
+    // The worker's side: owns the transferred canvas and draws each snapshot
+    // it is sent. post(message, transfer) answers the page.
+    //   Page to worker: init { canvas }, resize { width, height, pixelRatio },
+    //     view { id }, quality { level }, accessibility { options },
+    //     assets { data } (AssetManager#share), theme { id, palette },
+    //     frame { snapshot, strings }
+    //   Worker to page: ready, failed { message },
+    //     drawn { frame, snapshot, drawMs, latencyMs } with the snapshot
+    //     transferred back
+    class RenderHost {
+        constructor(post) {
+            this.post = post;
+            this.assets = new AssetManager({ storage: null });
+            this.effects = new EffectsSystem();
+            this.reader = new SnapshotReader();
+            this.canvas = null;
+            this.ctx = null;
+            this.renderer = null;
+            this.viewId = Renderers.DEFAULT;
+            this.quality = 1;
+            this.accessibility = { shapeCues: false, reducedMotion: false };
+            this.width = 0;
+            this.height = 0;
+        }
+
+        handle(message) {
+            switch (message.type) {
+            case 'init':
+                this.init(message.canvas);
+                break;
+            case 'resize':
+                this.resize(message.width, message.height, message.pixelRatio);
+                break;
+            case 'view':
+                this.viewId = message.id;
+                this.createRenderer();
+                break;
+            case 'quality':
+                this.quality = message.level;
+                this.effects.setQuality(message.level);
+                if (this.renderer) this.renderer.setQuality(message.level);
+                break;
+            case 'accessibility':
+                this.accessibility = message.options;
+                if (this.renderer) this.renderer.setAccessibility(message.options);
+                break;
+            case 'assets':
+                this.assets.adopt(message.data);
+                if (this.renderer) this.renderer.invalidate();
+                break;
+            case 'theme':
+                if (this.assets.themes[message.id]) this.assets.selected = message.id;
+                this.assets.setPalette(message.palette);
+                if (this.renderer) this.renderer.invalidate();
+                break;
+            case 'frame':
+                this.draw(message.snapshot, message.strings);
+                break;
+            default:
+                console.warn('Render worker ignored a message:', message.type);
+            }
+        }
+
+        init(canvas) {
+            const ctx = canvas ? canvas.getContext('2d', { alpha: false, desynchronized: true }) : null;
+            if (!ctx) {
+                // Some browsers have OffscreenCanvas without its 2D context
+                this.post({ type: 'failed', message: 'No 2D context for the offscreen canvas' });
+                return;
+            }
+            this.canvas = canvas;
+            this.ctx = ctx;
+            this.createRenderer();
+            this.post({ type: 'ready' });
+        }
+
+        createRenderer() {
+            if (!this.ctx) return;
+            this.renderer = Renderers.create(this.viewId, this.ctx, this.assets);
+            this.renderer.setQuality(this.quality);
+            this.renderer.setAccessibility(this.accessibility);
+        }
+
+        resize(width, height, pixelRatio) {
+            this.width = width;
+            this.height = height;
+            if (!this.ctx) return;
+
+            // Resizing resets the context's drawing state
+            this.canvas.width = width * pixelRatio;
+            this.canvas.height = height * pixelRatio;
+            this.ctx.scale(pixelRatio, pixelRatio);
+            this.renderer.invalidate();
+        }
+
+        draw(snapshot, strings) {
+            this.reader.addStrings(strings);
+            if (!this.ctx) return;
+
+            const start = performance.now();
+            const sim = this.reader.read(snapshot, this.effects);
+            Renderers.drawFrame(this.renderer, this.effects, sim, sim.alpha, this.width, this.height, sim.ghost);
+            this.post({
+                type: 'drawn',
+                frame: sim.frame,
+                snapshot,
+                drawMs: performance.now() - start,
+                latencyMs: clock() - sim.inputTime
+            }, [snapshot.buffer]);
+        }
+    }
+
+    // The page's side: hands the canvas to a worker and sends it a snapshot
+    // each frame. Mirrors the renderer settings calls so the shell can treat
+    // it like a renderer. onError(err) is called once if the worker fails,
+    // after which the canvas is lost and the page needs a new one.
+    class WorkerRenderer {
+        constructor(canvas, options = {}) {
+            this.worker = options.worker || new Worker(options.url || DEFAULT_WORKER_URL);
+            this.onError = options.onError || (() => {});
+            this.maxInFlight = options.maxInFlight || MAX_IN_FLIGHT;
+            this.writer = new SnapshotWriter();
+            this.free = []; // Snapshots sent back by the worker, for reuse
+            this.inFlight = 0;
+            this.frame = 0;
+            this.ready = false;
+            this.failed = false;
+
+            // Frames drawn and skipped since the start, and smoothed times
+            // for the worker's draw and from input to the frame being drawn
+            this.stats = { drawn: 0, skipped: 0, drawMs: 0, latencyMs: 0 };
+
+            this.worker.addEventListener('message', event => this.receive(event.data));
+            this.worker.addEventListener('error', (event) => {
+                // A script that fails to load or throws ends up here
+                if (event.preventDefault) event.preventDefault();
+                this.fail(event.message || 'Render worker failed');
+            });
+            this.worker.addEventListener('messageerror', () => this.fail('Render worker could not read a message'));
+
+            const offscreen = canvas.transferControlToOffscreen();
+            this.worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+        }
+
+        receive(message) {
+            if (message.type === 'drawn') {
+                this.inFlight--;
+                this.free.push(message.snapshot);
+                const stats = this.stats;
+                stats.drawn++;
+                stats.drawMs = smooth(stats.drawMs, message.drawMs);
+                stats.latencyMs = smooth(stats.latencyMs, message.latencyMs);
+            } else if (message.type === 'ready') {
+                this.ready = true;
+            } else if (message.type === 'failed') {
+                this.fail(message.message);
+            }
+        }
+
+        fail(reason) {
+            if (this.failed) return;
+            this.failed = true;
+            this.worker.terminate();
+            this.onError(new Error(reason));
+        }
+
+        // Sends a frame unless the worker is still busy with earlier ones;
+        // returns whether it was sent. inputTime is the performance.now()
+        // at which the frame's input was read.
+        submit(sim, alpha, ghost, effects, inputTime) {
+            if (this.failed) return false;
+            if (this.inFlight >= this.maxInFlight) {
+                this.stats.skipped++;
+                return false;
+            }
+
+            this.frame++;
+            const snapshot = this.writer.write(this.free.pop(), sim, alpha, ghost, effects,
+                this.frame, performance.timeOrigin + inputTime);
+            this.inFlight++;
+            this.worker.postMessage({ type: 'frame', snapshot, strings: this.writer.takeStrings() }, [snapshot.buffer]);
+            return true;
+        }
+
+        resize(width, height, pixelRatio) {
+            this.send({ type: 'resize', width, height, pixelRatio });
+        }
+
+        setView(id) {
+            this.send({ type: 'view', id });
+        }
+
+        setQuality(level) {
+            this.send({ type: 'quality', level });
+        }
+
+        setAccessibility(options) {
+            this.send({ type: 'accessibility', options: { shapeCues: !!options.shapeCues, reducedMotion: !!options.reducedMotion } });
+        }
+
+        // Theme id and accessibility palette (null for none)
+        setTheme(id, palette) {
+            this.send({ type: 'theme', id, palette });
+        }
+
+        // Themes and sprites, once the page's asset manager has loaded
+        shareAssets(assets) {
+            return assets.share().then(({ data, transfer }) => {
+                if (!this.failed) {
+                    this.worker.postMessage({ type: 'assets', data }, transfer);
+                }
+            });
+        }
+
+        send(message) {
+            if (!this.failed) {
+                this.worker.postMessage(message);
+            }
+        }
+
+        terminate() {
+            this.failed = true;
+            this.worker.terminate();
+        }
+    }
+
+    // Whether to draw in a worker, kept in localStorage like the other
+    // settings. Off by default.
+    class RenderSettings {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : SavedData.defaultStorage();
+            this.key = options.key || DEFAULT_KEY;
+            this.worker = false;
+            this.load();
+        }
+
+        load() {
+            this.worker = false;
+            SavedData.load(this.storage, this.key, (data) => {
+                SavedData.checkVersion(data, SCHEMA_VERSION, 'render settings');
+                this.worker = data.worker === true;
+            }, 'Render settings unreadable, using defaults:');
+        }
+
+        save() {
+            SavedData.save(this.storage, this.key, { version: SCHEMA_VERSION, worker: this.worker }, 'Could not save render settings:');
+        }
+
+        setWorker(enabled) {
+            this.worker = !!enabled;
+            this.save();
+        }
+    }
+
+    return {
+        SCHEMA_VERSION,
+        DEFAULT_WORKER_URL,
+        MAX_IN_FLIGHT,
+        HEADER,
+        HEADER_SIZE,
+        isSupported,
+        pathFromQuery,
+        SnapshotWriter,
+        SnapshotReader,
+        RenderHost,
+        WorkerRenderer,
+        RenderSettings
+    };
+}));
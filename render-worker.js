@@ -0,0 +1,13 @@
+// Render worker for Endless Driver
+// Draws the game on the canvas the page hands over, from the snapshots it
+// posts each frame (render-thread.js). The build bundles this file with the
+// scripts it needs into render-worker.min.js, which has them already loaded.
+
+if (typeof RenderThread === 'undefined') {
+    importScripts('storage.js', 'obstacle-types.js', 'pickup-types.js', 'assets.js', 'renderers.js', 'effects.js', 'render-thread.js');
+}
+
+const host = new RenderThread.RenderHost((message, transfer) => self.postMessage(message, transfer || []));
+self.addEventListener('message', (event) => {
+    host.handle(event.data);
+});
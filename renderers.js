@@ -0,0 +1,1018 @@
+// Renderers for Endless Driver
+// A renderer draws one frame of the simulation onto a 2D canvas context. The
+// shell picks one by id, so views can be swapped without touching the
+// simulation. Every renderer implements:
+//   draw(sim, alpha, width, height, ghost)
+//                                    Draw a frame interpolated by alpha onto a
+//                                    canvas of width x height CSS pixels, with
+//                                    an optional ghost car ({ x, y, width,
+//                                    height } in simulation pixels, ghost.js)
+//   setQuality(level)                Adaptive quality from the shell, 0.5-1
+//   invalidate()                     Context state was lost (resize, theme)
+//   setAccessibility(options)        { shapeCues, reducedMotion } from
+//                                    accessibility.js: mark obstacles with
+//                                    their type's cue shape, and keep road
+//                                    markings still and warnings steady
+//   layout(sim, alpha, width, height)
+//                                    Work out where things go for a frame
+//                                    without drawing it; draw() does this too.
+//                                    For a renderer with no context, whose
+//                                    frames are drawn elsewhere (render-thread.js)
+//   toScreen(sim, x, y, out)         Canvas position of a simulation point as
+//                                    out.x/out.y, with out.scale canvas pixels
+//                                    per simulation pixel; false if off screen
+// Colours and sprites come from the asset manager's current theme.
+// drawFrame() draws a whole frame the way the shell does: the view, then the
+// effects (effects.js) on top.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./obstacle-types'), require('./pickup-types'));
+    } else {
+        root.Renderers = factory(root.ObstacleTypes, root.PickupTypes);
+    }
+}(typeof self !== 'undefined' ? self : this, function (ObstacleTypes, PickupTypes) {
+    'use strict';
+
+    function lerp(from, to, alpha) {
+        return from + (to - from) * alpha;
+    }
+
+    function obstacleColor(colors, type) {
+        return colors.obstacles[type.id] || type.color;
+    }
+
+    function pickupColor(colors, type) {
+        return colors.pickups[type.id] || type.color;
+    }
+
+    // Which way a cue arrow points: towards a swerver's target lane, or down
+    // the road once it has pulled across
+    function cueDirection(obstacle) {
+        return Math.sign(obstacle.targetLane - obstacle.lane) || 0;
+    }
+
+    // Adds an obstacle type's cue shape (obstacle-types.js), centred in the
+    // box, to the current path so a frame's cues fill in one call
+    function addCue(ctx, cue, x, y, width, height, direction) {
+        const size = Math.min(width, height) * 0.5;
+        const cx = x + width / 2;
+        const cy = y + height / 2;
+        const r = size / 2;
+
+        if (cue === 'dot') {
+            ctx.moveTo(cx + r, cy);
+            ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        } else if (cue === 'bars') {
+            const barHeight = Math.max(1, size * 0.2);
+            ctx.rect(cx - r, cy - r, size, barHeight);
+            ctx.rect(cx - r, cy - barHeight / 2, size, barHeight);
+            ctx.rect(cx - r, cy + r - barHeight, size, barHeight);
+        } else if (cue === 'arrow') {
+            // Points sideways for a swerve, otherwise down the road
+            if (direction) {
+                ctx.moveTo(cx + r * direction, cy);
+                ctx.lineTo(cx - r * direction, cy - r);
+                ctx.lineTo(cx - r * direction, cy + r);
+            } else {
+                ctx.moveTo(cx, cy + r);
+                ctx.lineTo(cx + r, cy - r);
+                ctx.lineTo(cx - r, cy - r);
+            }
+            ctx.closePath();
+        } else if (cue === 'diamond') {
+            ctx.moveTo(cx, cy - r);
+            ctx.lineTo(cx + r, cy);
+            ctx.lineTo(cx, cy + r);
+            ctx.lineTo(cx - r, cy);
+            ctx.closePath();
+        } else if (cue === 'cross') {
+            // Two bars, both wound the same way so they fill as one shape
+            const t = Math.max(1, size * 0.14);
+            ctx.moveTo(cx - r, cy - r + t);
+            ctx.lineTo(cx - r + t, cy - r);
+            ctx.lineTo(cx + r, cy + r - t);
+            ctx.lineTo(cx + r - t, cy + r);
+            ctx.closePath();
+            ctx.moveTo(cx + r - t, cy - r);
+            ctx.lineTo(cx + r, cy - r + t);
+            ctx.lineTo(cx - r + t, cy + r);
+            ctx.lineTo(cx - r, cy + r - t);
+            ctx.closePath();
+        }
+    }
+
+    // The original flat view: the simulation's own coordinates, scaled to fit
+    class TopDownRenderer {
+        constructor(ctx, assets) {
+            this.ctx = ctx;
+            this.assets = assets;
+            this.roadStyleCached = false;
+            this.width = 0;
+            this.height = 0;
+            this.shapeCues = false;
+            this.reducedMotion = false;
+        }
+
+        // Top-down frames are cheap; only the pixel ratio needs to drop
+        setQuality() {}
+
+        invalidate() {
+            this.roadStyleCached = false;
+        }
+
+        setAccessibility(options) {
+            this.shapeCues = !!options.shapeCues;
+            this.reducedMotion = !!options.reducedMotion;
+        }
+
+        toScreen(sim, x, y, out) {
+            const width = this.width || sim.gameWidth;
+            const height = this.height || sim.gameHeight;
+            const scale = Math.min(width / sim.gameWidth, height / sim.gameHeight);
+            out.x = (width - sim.gameWidth * scale) / 2 + x * scale;
+            out.y = (height - sim.gameHeight * scale) / 2 + y * scale;
+            out.scale = scale;
+            return true;
+        }
+
+        layout(sim, alpha, width, height) {
+            this.width = width;
+            this.height = height;
+        }
+
+        draw(sim, alpha, width, height, ghost = null) {
+            const ctx = this.ctx;
+            const colors = this.assets.colors;
+            this.layout(sim, alpha, width, height);
+
+            // Clear canvas efficiently
+            ctx.fillStyle = colors.background;
+            ctx.fillRect(0, 0, width, height);
+
+            // Fit the run's road to the canvas if they differ (resize, replay)
+            const scaled = sim.gameWidth !== width || sim.gameHeight !== height;
+            if (scaled) {
+                const scale = Math.min(width / sim.gameWidth, height / sim.gameHeight);
+                ctx.save();
+                ctx.translate(
+                    (width - sim.gameWidth * scale) / 2,
+                    (height - sim.gameHeight * scale) / 2
+                );
+                ctx.scale(scale, scale);
+            }
+
+            this.drawRoad(sim, alpha);
+
+            // Batch draw obstacles by type (one fillStyle call per type)
+            this.drawObstacles(sim, alpha);
+
+            // Coins and power-ups
+            this.drawPickups(sim, alpha);
+
+            // Ghost car under the player's
+            if (ghost) {
+                ctx.fillStyle = colors.ghost;
+                ctx.fillRect(ghost.x, ghost.y, ghost.width, ghost.height);
+            }
+
+            // Draw player (separate color, flickers while sliding on oil)
+            const player = sim.player;
+            const playerX = lerp(player.prevX, player.x, alpha);
+            const playerY = lerp(player.prevY, player.y, alpha);
+
+            // Shield glow, flashing for its last two seconds (steady with
+            // reduced motion, as is the skid colour)
+            const shield = sim.powerUps.shield;
+            if (shield > 120 || (shield > 0 && (this.reducedMotion || sim.tick % 16 < 8))) {
+                ctx.fillStyle = colors.shieldGlow;
+                ctx.fillRect(playerX - 6, playerY - 6, player.width + 12, player.height + 12);
+            }
+
+            const sliding = player.steeringLock > 0 && (this.reducedMotion || sim.tick % 8 < 4);
+            ctx.fillStyle = sliding ? '#ffffff' : player.color;
+            ctx.fillRect(playerX, playerY, player.width, player.height);
+            this.drawSprite(this.assets.sprite('player'), playerX, playerY, player.width, player.height);
+
+            if (scaled) {
+                ctx.restore();
+            }
+        }
+
+        drawSprite(sprite, x, y, width, height) {
+            if (!sprite) return false;
+            this.ctx.drawImage(sprite.source, sprite.sx, sprite.sy, sprite.sw, sprite.sh, x, y, width, height);
+            return true;
+        }
+
+        drawObstacles(sim, alpha) {
+            const ctx = this.ctx;
+            const obstacles = sim.obstacles;
+            const colors = this.assets.colors;
+
+            for (const id of ObstacleTypes.IDS) {
+                const type = ObstacleTypes.TYPES[id];
+                const sprite = this.assets.sprite(id);
+                ctx.fillStyle = obstacleColor(colors, type);
+
+                // Without a sprite, oil slicks are drawn as puddles and everything else as blocks
+                if (!sprite && type.effect === 'oil') {
+                    ctx.beginPath();
+                }
+
+                for (const obstacle of obstacles) {
+                    if (obstacle.type !== type || obstacle.state !== 'active') continue;
+
+                    const x = lerp(obstacle.prevX, obstacle.x, alpha);
+                    const y = lerp(obstacle.prevY, obstacle.y, alpha);
+                    if (this.drawSprite(sprite, x, y, obstacle.width, obstacle.height)) continue;
+                    if (type.effect === 'oil') {
+                        const rx = obstacle.width / 2;
+                        const ry = obstacle.height / 2;
+                        ctx.moveTo(x + rx * 2, y + ry);
+                        ctx.ellipse(x + rx, y + ry, rx, ry, 0, 0, Math.PI * 2);
+                    } else {
+                        ctx.fillRect(x, y, obstacle.width, obstacle.height);
+                    }
+                }
+
+                if (!sprite && type.effect === 'oil') {
+                    ctx.fill();
+                }
+            }
+
+            if (this.shapeCues) {
+                ctx.fillStyle = colors.mark;
+                ctx.beginPath();
+                for (const obstacle of obstacles) {
+                    if (obstacle.state !== 'active') continue;
+
+                    const x = lerp(obstacle.prevX, obstacle.x, alpha);
+                    const y = lerp(obstacle.prevY, obstacle.y, alpha);
+                    addCue(ctx, obstacle.type.cue, x, y, obstacle.width, obstacle.height, cueDirection(obstacle));
+                }
+                ctx.fill();
+            }
+
+            // Flashing lane warnings for announced obstacles (roadblocks)
+            if (this.reducedMotion || sim.tick % 20 < 12) {
+                ctx.fillStyle = colors.warning;
+                for (const obstacle of obstacles) {
+                    if (obstacle.state !== 'warning') continue;
+
+                    const centerX = obstacle.x + obstacle.width / 2;
+                    ctx.beginPath();
+                    ctx.moveTo(centerX, 12);
+                    ctx.lineTo(centerX + 18, 44);
+                    ctx.lineTo(centerX - 18, 44);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            }
+        }
+
+        drawPickups(sim, alpha) {
+            const ctx = this.ctx;
+            const pickups = sim.pickups;
+            const colors = this.assets.colors;
+
+            // All coins in one path unless the theme has a coin sprite
+            const coinSprite = this.assets.sprite('coin');
+            ctx.fillStyle = pickupColor(colors, PickupTypes.TYPES.coin);
+            ctx.beginPath();
+            for (const pickup of pickups) {
+                if (pickup.type.effect !== 'coin') continue;
+
+                if (coinSprite) {
+                    const x = lerp(pickup.prevX, pickup.x, alpha);
+                    const y = lerp(pickup.prevY, pickup.y, alpha);
+                    this.drawSprite(coinSprite, x, y, pickup.width, pickup.height);
+                    continue;
+                }
+
+                const radius = pickup.width / 2;
+                const x = lerp(pickup.prevX, pickup.x, alpha) + radius;
+                const y = lerp(pickup.prevY, pickup.y, alpha) + radius;
+                ctx.moveTo(x + radius, y);
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+            }
+            ctx.fill();
+
+            // Power-ups as marked tiles
+            ctx.font = 'bold 18px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            for (const pickup of pickups) {
+                if (pickup.type.effect === 'coin') continue;
+
+                const x = lerp(pickup.prevX, pickup.x, alpha);
+                const y = lerp(pickup.prevY, pickup.y, alpha);
+                if (this.drawSprite(this.assets.sprite(pickup.type.id), x, y, pickup.width, pickup.height)) continue;
+                ctx.fillStyle = pickupColor(colors, pickup.type);
+                ctx.fillRect(x, y, pickup.width, pickup.height);
+                ctx.fillStyle = colors.mark;
+                ctx.fillText(pickup.type.mark, x + pickup.width / 2, y + pickup.height / 2);
+            }
+        }
+
+        drawRoad(sim, alpha) {
+            const ctx = this.ctx;
+            const colors = this.assets.colors;
+            const laneWidth = sim.gameWidth / sim.lanes.length;
+
+            // While a lane change is on screen the road beyond its marker already
+            // has the new layout and the road before it keeps the old one
+            const change = sim.roadChange;
+            const changeY = change ? lerp(change.prevY, change.y, alpha) : 0;
+            let first = sim.firstLane;
+            let last = sim.lastLane;
+            if (change) {
+                first = Math.min(change.fromFirst, change.firstLane);
+                last = Math.max(change.fromLast, change.lastLane);
+            }
+
+            // Draw lane dividers with scrolling effect (held still for
+            // reduced motion)
+            const lineHeight = 40;
+            const lineGap = 20;
+            const distance = this.reducedMotion ? 0 : lerp(sim.prevDistance, sim.distance, alpha);
+            const offset = distance % (lineHeight + lineGap);
+
+            // Cache line style setup
+            if (!this.roadStyleCached) {
+                ctx.strokeStyle = colors.laneLine;
+                ctx.lineWidth = 2;
+                this.roadStyleCached = true;
+            }
+
+            ctx.setLineDash([lineHeight, lineGap]);
+
+            // Draw all lane lines in one path for better performance
+            ctx.beginPath();
+            for (let lane = first + 1; lane <= last; lane++) {
+                const x = lane * laneWidth;
+                ctx.moveTo(x, -offset);
+                ctx.lineTo(x, sim.gameHeight);
+            }
+            ctx.stroke();
+
+            ctx.setLineDash([]);
+
+            // Closed lanes are drawn as shoulder over the dividers
+            ctx.fillStyle = colors.shoulder;
+            for (let lane = 0; lane < sim.lanes.length; lane++) {
+                const x = lane * laneWidth;
+                if (!change) {
+                    if (lane < first || lane > last) {
+                        ctx.fillRect(x, 0, laneWidth, sim.gameHeight);
+                    }
+                    continue;
+                }
+
+                if (lane < change.firstLane || lane > change.lastLane) {
+                    ctx.fillRect(x, 0, laneWidth, Math.max(0, changeY));
+                }
+                if (lane < change.fromFirst || lane > change.fromLast) {
+                    ctx.fillRect(x, changeY, laneWidth, sim.gameHeight - changeY);
+                }
+            }
+
+            // Marker across the lanes that open or close
+            if (change && changeY > -10 && changeY < sim.gameHeight) {
+                ctx.fillStyle = colors.marker;
+                for (let lane = first; lane <= last; lane++) {
+                    const openBefore = lane >= change.fromFirst && lane <= change.fromLast;
+                    const openAfter = lane >= change.firstLane && lane <= change.lastLane;
+                    if (openBefore !== openAfter) {
+                        ctx.fillRect(lane * laneWidth, changeY - 4, laneWidth, 8);
+                    }
+                }
+            }
+        }
+    }
+
+    // Perspective view. The road is split into segments projected towards a
+    // vanishing point; curves and hills are scenery only and never change
+    // where anything is in the simulation. World units match simulation
+    // pixels across the road, and each simulation pixel along the road is
+    // Z_PER_PIXEL units deep so the few hundred pixels the simulation covers
+    // become a long stretch of road.
+    const ROAD_WIDTH = 1000; // Half the road width
+    const SEGMENT_LENGTH = 200;
+    const DRAW_SEGMENTS = 160; // At full quality
+    const CAMERA_HEIGHT = 1000;
+    const CAMERA_DEPTH = 1 / Math.tan(50 * Math.PI / 180); // 100° field of view
+    const HORIZON = 0.35; // Fraction of the canvas above the horizon
+    const Z_PER_PIXEL = 10;
+    const PLAYER_REAR_Z = 1000; // Camera distance to the player's back bumper
+    const RUMBLE_SEGMENTS = 3;
+    const DASH_SEGMENTS = 4; // Lane dashes are on for half of this
+    const SCENERY_SPACING = 5; // Segments between roadside objects
+    const CURVE_AMOUNT = 5;
+    const HILL_HEIGHT = 900;
+
+    // Heights of the billboards drawn for each obstacle, in world units
+    const OBSTACLE_HEIGHTS = { car: 320, swerver: 300, truck: 560, roadblock: 180 };
+    const DEFAULT_OBSTACLE_HEIGHT = 320;
+    const PLAYER_HEIGHT = 300;
+
+    // Smooth, endless track shape from the segment number
+    function curveAt(segment) {
+        return CURVE_AMOUNT * Math.sin(segment / 97) * Math.max(0, Math.sin(segment / 37 + 0.7));
+    }
+
+    function hillAt(z) {
+        return HILL_HEIGHT * (Math.sin(z / 11000) + 0.4 * Math.sin(z / 3700 + 1.3));
+    }
+
+    // Stable pseudo-random value in [0, 1) for roadside decoration
+    function hash(n) {
+        const x = Math.sin(n * 12.9898) * 43758.5453;
+        return x - Math.floor(x);
+    }
+
+    // Farthest first, so nearer objects are painted over them
+    function byDepth(a, b) {
+        return b.z - a.z;
+    }
+
+    class PerspectiveRenderer {
+        constructor(ctx, assets) {
+            this.ctx = ctx;
+            this.assets = assets;
+            this.drawSegments = DRAW_SEGMENTS;
+
+            // Projected segment edges, reused every frame
+            const edges = DRAW_SEGMENTS + 1;
+            this.edgeZ = new Float32Array(edges);
+            this.edgeX = new Float32Array(edges);
+            this.edgeY = new Float32Array(edges);
+            this.edgeW = new Float32Array(edges);
+            this.clipY = new Float32Array(edges); // Road drawn below this before the segment
+            this.visible = new Uint8Array(edges);
+            this.firstSegment = 0;
+
+            this.point = { x: 0, y: 0, w: 0, scale: 0, clip: 0 };
+            this.laneRange = { first: 0, last: 0 };
+            this.drawables = []; // Pooled { kind, z, item } entries
+            this.drawableCount = 0;
+            this.drawOrder = [];
+
+            // Distant hills drift sideways through curves
+            this.skyOffset = 0;
+            this.lastDistance = 0;
+
+            this.width = 0;
+            this.height = 0;
+            this.horizonY = 0;
+            this.shapeCues = false;
+            this.reducedMotion = false;
+        }
+
+        // Lower quality shortens the view distance, down to half
+        setQuality(level) {
+            const clamped = Math.max(0.5, Math.min(1, level));
+            this.drawSegments = Math.round(DRAW_SEGMENTS * clamped);
+        }
+
+        invalidate() {}
+
+        setAccessibility(options) {
+            this.shapeCues = !!options.shapeCues;
+            this.reducedMotion = !!options.reducedMotion;
+        }
+
+        // Camera distance of a point on the simulation's y axis
+        simToZ(sim, simY) {
+            return PLAYER_REAR_Z + (sim.player.y + sim.player.height - simY) * Z_PER_PIXEL;
+        }
+
+        zToSim(sim, z) {
+            return sim.player.y + sim.player.height - (z - PLAYER_REAR_Z) / Z_PER_PIXEL;
+        }
+
+        // Road position at camera distance z, interpolated between segment
+        // edges into this.point. Returns false for points that are off
+        // screen: beyond the draw distance, below the first edge (which is
+        // already past the bottom of the canvas) or hidden behind a crest.
+        locate(z) {
+            const offset = (z - this.edgeZ[0]) / SEGMENT_LENGTH;
+            if (offset < 0 || offset >= this.drawSegments) return false;
+
+            const n = Math.floor(offset);
+            const t = offset - n;
+            const point = this.point;
+            point.x = lerp(this.edgeX[n], this.edgeX[n + 1], t);
+            point.y = lerp(this.edgeY[n], this.edgeY[n + 1], t);
+            point.w = lerp(this.edgeW[n], this.edgeW[n + 1], t);
+            point.scale = point.w / ROAD_WIDTH; // Screen pixels per world unit
+            point.clip = this.clipY[n];
+            return this.visible[n] === 1;
+        }
+
+        layout(sim, alpha, width, height) {
+            this.width = width;
+            this.height = height;
+            this.horizonY = Math.round(height * HORIZON);
+            this.project(lerp(sim.prevDistance, sim.distance, alpha));
+        }
+
+        draw(sim, alpha, width, height, ghost = null) {
+            const distance = lerp(sim.prevDistance, sim.distance, alpha);
+            this.layout(sim, alpha, width, height);
+            this.drawBackdrop(sim, distance);
+            this.drawRoad(sim, alpha);
+            this.drawObjects(sim, alpha, ghost);
+        }
+
+        // Projects segment edges from the camera outwards, tracking the
+        // highest road drawn so far so segments behind a crest are hidden
+        project(distance) {
+            const cameraZ = distance * Z_PER_PIXEL;
+            const first = Math.floor(cameraZ / SEGMENT_LENGTH) + 1;
+            const cameraY = CAMERA_HEIGHT + hillAt(cameraZ + PLAYER_REAR_Z);
+            const halfWidth = this.width / 2;
+            const ground = this.height - this.horizonY;
+
+            // Start the curve part-way into the current segment so it does
+            // not jump as segments scroll past
+            let x = 0;
+            let dx = -curveAt(first - 1) * ((cameraZ % SEGMENT_LENGTH) / SEGMENT_LENGTH);
+            let maxY = this.height;
+
+            this.firstSegment = first;
+            for (let n = 0; n <= this.drawSegments; n++) {
+                const worldZ = (first + n) * SEGMENT_LENGTH;
+                const z = worldZ - cameraZ;
+                const scale = CAMERA_DEPTH / z;
+
+                this.edgeZ[n] = z;
+                this.edgeX[n] = halfWidth + scale * x * halfWidth;
+                this.edgeY[n] = this.horizonY + scale * (cameraY - hillAt(worldZ)) * ground;
+                this.edgeW[n] = scale * ROAD_WIDTH * halfWidth;
+
+                x += dx;
+                dx += curveAt(first + n);
+
+                if (n > 0) {
+                    this.clipY[n - 1] = maxY;
+                    this.visible[n - 1] = this.edgeY[n] < maxY ? 1 : 0;
+                    if (this.visible[n - 1]) maxY = this.edgeY[n];
+                }
+            }
+            this.visible[this.drawSegments] = 0;
+        }
+
+        drawBackdrop(sim, distance) {
+            const ctx = this.ctx;
+            const colors = this.assets.colors;
+            const width = this.width;
+            const horizonY = this.horizonY;
+
+            if (distance < this.lastDistance) {
+                this.skyOffset = 0;
+            }
+            if (!this.reducedMotion) {
+                this.skyOffset += curveAt(this.firstSegment) * (distance - this.lastDistance) * 0.02;
+            }
+            this.lastDistance = distance;
+
+            ctx.fillStyle = colors.sky;
+            ctx.fillRect(0, 0, width, horizonY);
+            ctx.fillStyle = colors.shoulder;
+            ctx.fillRect(0, horizonY, width, this.height - horizonY);
+
+            // Two bands of distant hills, the nearer one moving faster
+            ctx.fillStyle = colors.scenery;
+            for (let band = 0; band < 2; band++) {
+                const size = width * (0.35 + band * 0.15);
+                const offset = this.skyOffset * (band + 1);
+                const firstHill = Math.floor(offset / size);
+                ctx.globalAlpha = 0.25 + band * 0.15;
+                ctx.beginPath();
+                ctx.moveTo(0, horizonY);
+                for (let hill = firstHill, x = firstHill * size - offset; x < width; hill++, x += size) {
+                    const peak = horizonY - size * (0.18 + 0.12 * hash(band * 7919 + hill));
+                    ctx.lineTo(x + size / 2, peak);
+                    ctx.lineTo(x + size, horizonY);
+                }
+                ctx.lineTo(width, horizonY);
+                ctx.closePath();
+                ctx.fill();
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        // Quad between edges n and n + 1, from road fraction a to b (-1 to 1)
+        quad(n, a, b) {
+            const ctx = this.ctx;
+            const y1 = Math.min(this.edgeY[n], this.clipY[n]);
+            const y2 = this.edgeY[n + 1];
+            ctx.moveTo(this.edgeX[n] + a * this.edgeW[n], y1);
+            ctx.lineTo(this.edgeX[n] + b * this.edgeW[n], y1);
+            ctx.lineTo(this.edgeX[n + 1] + b * this.edgeW[n + 1], y2);
+            ctx.lineTo(this.edgeX[n + 1] + a * this.edgeW[n + 1], y2);
+        }
+
+        // Open lanes at a point on the simulation's y axis, as in the top-down view
+        openLanes(sim, simY, changeY, range) {
+            const change = sim.roadChange;
+            if (!change) {
+                range.first = sim.firstLane;
+                range.last = sim.lastLane;
+            } else if (simY < changeY) {
+                range.first = change.firstLane;
+                range.last = change.lastLane;
+            } else {
+                range.first = change.fromFirst;
+                range.last = change.fromLast;
+            }
+            return range;
+        }
+
+        drawRoad(sim, alpha) {
+            const ctx = this.ctx;
+            const colors = this.assets.colors;
+            const count = this.drawSegments;
+            const lanes = sim.lanes.length;
+            const laneSpan = 2 / lanes;
+            const change = sim.roadChange;
+            const changeY = change ? lerp(change.prevY, change.y, alpha) : 0;
+            const range = this.laneRange;
+
+            // Asphalt
+            ctx.fillStyle = colors.background;
+            ctx.beginPath();
+            for (let n = 0; n < count; n++) {
+                if (this.visible[n]) this.quad(n, -1, 1);
+            }
+            ctx.fill();
+
+            // Closed lanes become shoulder
+            ctx.fillStyle = colors.shoulder;
+            ctx.beginPath();
+            for (let n = 0; n < count; n++) {
+                if (!this.visible[n]) continue;
+                const simY = this.zToSim(sim, (this.edgeZ[n] + this.edgeZ[n + 1]) / 2);
+                this.openLanes(sim, simY, changeY, range);
+                if (range.first > 0) {
+                    this.quad(n, -1, -1 + range.first * laneSpan);
+                }
+                if (range.last < lanes - 1) {
+                    this.quad(n, -1 + (range.last + 1) * laneSpan, 1);
+                }
+            }
+            ctx.fill();
+
+            // Rumble strips on the edges and dashed lane lines, drawn solid
+            // for reduced motion so nothing streams past
+            const solid = this.reducedMotion;
+            ctx.fillStyle = colors.laneLine;
+            ctx.beginPath();
+            for (let n = 0; n < count; n++) {
+                if (!this.visible[n]) continue;
+                const segment = this.firstSegment + n;
+                if (solid || segment % (RUMBLE_SEGMENTS * 2) < RUMBLE_SEGMENTS) {
+                    this.quad(n, -1.08, -1);
+                    this.quad(n, 1, 1.08);
+                }
+                if (solid || segment % DASH_SEGMENTS < DASH_SEGMENTS / 2) {
+                    const simY = this.zToSim(sim, (this.edgeZ[n] + this.edgeZ[n + 1]) / 2);
+                    this.openLanes(sim, simY, changeY, range);
+                    for (let lane = range.first + 1; lane <= range.last; lane++) {
+                        const at = -1 + lane * laneSpan;
+                        this.quad(n, at - 0.012, at + 0.012);
+                    }
+                }
+            }
+            ctx.fill();
+
+            // Marker across the lanes that open or close
+            if (change && this.locate(this.simToZ(sim, changeY))) {
+                const point = this.point;
+                const thickness = Math.max(2, point.scale * 40);
+                ctx.fillStyle = colors.marker;
+                for (let lane = 0; lane < lanes; lane++) {
+                    const openBefore = lane >= change.fromFirst && lane <= change.fromLast;
+                    const openAfter = lane >= change.firstLane && lane <= change.lastLane;
+                    if (openBefore !== openAfter) {
+                        const left = point.x + (-1 + lane * laneSpan) * point.w;
+                        ctx.fillRect(left, point.y - thickness, laneSpan * point.w, thickness);
+                    }
+                }
+            }
+        }
+
+        // Queue an object for back-to-front drawing
+        queue(kind, z, item) {
+            let entry = this.drawables[this.drawableCount];
+            if (!entry) {
+                entry = { kind: '', z: 0, item: null };
+                this.drawables.push(entry);
+            }
+            entry.kind = kind;
+            entry.z = z;
+            entry.item = item;
+            this.drawableCount++;
+        }
+
+        drawObjects(sim, alpha, ghost) {
+            this.drawableCount = 0;
+
+            for (const obstacle of sim.obstacles) {
+                if (obstacle.state === 'warning') {
+                    if (this.reducedMotion || sim.tick % 20 < 12) this.queue('warning', this.simToZ(sim, 0), obstacle);
+                    continue;
+                }
+                this.queue('obstacle', this.simToZ(sim, lerp(obstacle.prevY, obstacle.y, alpha) + obstacle.height), obstacle);
+            }
+            for (const pickup of sim.pickups) {
+                this.queue('pickup', this.simToZ(sim, lerp(pickup.prevY, pickup.y, alpha) + pickup.height), pickup);
+            }
+            this.queue('player', this.simToZ(sim, lerp(sim.player.prevY, sim.player.y, alpha) + sim.player.height), sim.player);
+            if (ghost) {
+                this.queue('ghost', this.simToZ(sim, ghost.y + ghost.height), ghost);
+            }
+
+            // Roadside scenery on every few segments, thinned with the draw distance
+            const count = this.drawSegments;
+            for (let n = 0; n < count; n++) {
+                const segment = this.firstSegment + n;
+                if (segment % SCENERY_SPACING === 0 && this.visible[n]) {
+                    this.queue('scenery', this.edgeZ[n], segment);
+                }
+            }
+
+            const order = this.drawOrder;
+            order.length = 0;
+            for (let i = 0; i < this.drawableCount; i++) {
+                order.push(this.drawables[i]);
+            }
+            order.sort(byDepth);
+
+            for (const entry of order) {
+                if (!this.locate(entry.z)) continue;
+                if (entry.kind === 'obstacle') {
+                    this.drawObstacle(sim, entry.item, alpha);
+                } else if (entry.kind === 'pickup') {
+                    this.drawPickup(sim, entry.item, alpha);
+                } else if (entry.kind === 'player') {
+                    this.drawPlayer(sim, entry.item, alpha);
+                } else if (entry.kind === 'ghost') {
+                    this.drawGhost(sim, entry.item);
+                } else if (entry.kind === 'warning') {
+                    this.drawWarning(sim, entry.item);
+                } else {
+                    this.drawScenery(entry.item);
+                }
+            }
+        }
+
+        // Uses the road as projected for the last frame
+        toScreen(sim, x, y, out) {
+            if (!this.locate(this.simToZ(sim, y))) return false;
+            out.x = this.screenX(sim, x);
+            out.y = this.point.y;
+            out.scale = this.screenSize(sim, 1);
+            return true;
+        }
+
+        // Screen x of a simulation x at the located point
+        screenX(sim, simX) {
+            return this.point.x + (simX / sim.gameWidth * 2 - 1) * this.point.w;
+        }
+
+        // Screen size of a simulation width at the located point
+        screenSize(sim, simWidth) {
+            return simWidth / sim.gameWidth * 2 * this.point.w;
+        }
+
+        drawObstacle(sim, obstacle, alpha) {
+            const ctx = this.ctx;
+            const point = this.point;
+            const type = obstacle.type;
+            const x = this.screenX(sim, lerp(obstacle.prevX, obstacle.x, alpha));
+            const w = this.screenSize(sim, obstacle.width);
+            ctx.fillStyle = obstacleColor(this.assets.colors, type);
+
+            if (type.effect === 'oil') {
+                // Flat puddle from its near edge to its far edge
+                const nearY = point.y;
+                if (!this.locate(this.simToZ(sim, lerp(obstacle.prevY, obstacle.y, alpha)))) return;
+                const ry = Math.max(1, (nearY - point.y) / 2);
+                ctx.beginPath();
+                ctx.ellipse(x + w / 2, nearY - ry, w / 2, ry, 0, 0, Math.PI * 2);
+                ctx.fill();
+                this.drawCue(obstacle, x, nearY - ry * 2, w, ry * 2);
+                return;
+            }
+
+            const h = (OBSTACLE_HEIGHTS[type.id] || DEFAULT_OBSTACLE_HEIGHT) * point.scale;
+            const top = point.y - h;
+            if (top >= point.clip) return;
+
+            if (type.id === 'roadblock') {
+                ctx.fillRect(x, top, w, h);
+                // The cue takes the place of the band
+                if (!this.shapeCues) {
+                    ctx.fillStyle = this.assets.colors.mark;
+                    ctx.fillRect(x, top + h * 0.35, w, h * 0.3);
+                }
+                this.drawCue(obstacle, x, top, w, h);
+                return;
+            }
+
+            this.drawVehicle(x, top, w, h);
+            this.drawCue(obstacle, x, top + h * 0.25, w, h * 0.6);
+        }
+
+        // Cue shape over an obstacle's body, if shape cues are on and it is
+        // big enough to read
+        drawCue(obstacle, x, y, w, h) {
+            if (!this.shapeCues || w < 8) return;
+
+            const ctx = this.ctx;
+            ctx.fillStyle = this.assets.colors.mark;
+            ctx.beginPath();
+            addCue(ctx, obstacle.type.cue, x, y, w, h, cueDirection(obstacle));
+            ctx.fill();
+        }
+
+        // Rear view of a vehicle in the current fill colour
+        drawVehicle(x, top, w, h) {
+            const ctx = this.ctx;
+            const colors = this.assets.colors;
+            ctx.fillRect(x, top + h * 0.15, w, h * 0.75);
+            ctx.fillRect(x + w * 0.12, top, w * 0.76, h * 0.2);
+            ctx.fillStyle = colors.mark;
+            ctx.fillRect(x + w * 0.18, top + h * 0.04, w * 0.64, h * 0.14);
+            ctx.fillRect(x + w * 0.05, top + h * 0.9, w * 0.2, h * 0.1);
+            ctx.fillRect(x + w * 0.75, top + h * 0.9, w * 0.2, h * 0.1);
+            ctx.fillStyle = colors.marker;
+            ctx.fillRect(x + w * 0.06, top + h * 0.4, w * 0.16, h * 0.1);
+            ctx.fillRect(x + w * 0.78, top + h * 0.4, w * 0.16, h * 0.1);
+        }
+
+        drawPlayer(sim, player, alpha) {
+            const ctx = this.ctx;
+            const point = this.point;
+            const x = this.screenX(sim, lerp(player.prevX, player.x, alpha));
+            const w = this.screenSize(sim, player.width);
+            const h = PLAYER_HEIGHT * point.scale;
+
+            // Shield glow, flashing for its last two seconds
+            const shield = sim.powerUps.shield;
+            if (shield > 120 || (shield > 0 && (this.reducedMotion || sim.tick % 16 < 8))) {
+                const pad = w * 0.15;
+                ctx.fillStyle = this.assets.colors.shieldGlow;
+                ctx.fillRect(x - pad, point.y - h - pad, w + pad * 2, h + pad * 2);
+            }
+
+            const sliding = player.steeringLock > 0 && (this.reducedMotion || sim.tick % 8 < 4);
+            ctx.fillStyle = sliding ? '#ffffff' : player.color;
+            this.drawVehicle(x, point.y - h, w, h);
+        }
+
+        // Body and roof only, in the see-through ghost colour
+        drawGhost(sim, ghost) {
+            const ctx = this.ctx;
+            const point = this.point;
+            const x = this.screenX(sim, ghost.x);
+            const w = this.screenSize(sim, ghost.width);
+            const h = PLAYER_HEIGHT * point.scale;
+            const top = point.y - h;
+            if (top >= point.clip) return;
+
+            ctx.fillStyle = this.assets.colors.ghost;
+            ctx.fillRect(x, top + h * 0.15, w, h * 0.75);
+            ctx.fillRect(x + w * 0.12, top, w * 0.76, h * 0.2);
+        }
+
+        drawPickup(sim, pickup, alpha) {
+            const ctx = this.ctx;
+            const point = this.point;
+            const x = this.screenX(sim, lerp(pickup.prevX, pickup.x, alpha));
+            const size = this.screenSize(sim, pickup.width);
+            const lift = 120 * point.scale; // Pickups float above the road
+            const top = point.y - lift - size;
+            if (top >= point.clip) return;
+
+            ctx.fillStyle = pickupColor(this.assets.colors, pickup.type);
+            if (pickup.type.effect === 'coin') {
+                ctx.beginPath();
+                ctx.arc(x + size / 2, top + size / 2, size / 2, 0, Math.PI * 2);
+                ctx.fill();
+                return;
+            }
+
+            ctx.fillRect(x, top, size, size);
+            if (size >= 8) {
+                ctx.fillStyle = this.assets.colors.mark;
+                ctx.font = `bold ${Math.round(size * 0.5)}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(pickup.type.mark, x + size / 2, top + size / 2);
+            }
+        }
+
+        // Sign over the lane an announced obstacle will appear in
+        drawWarning(sim, obstacle) {
+            const ctx = this.ctx;
+            const point = this.point;
+            const centerX = this.screenX(sim, obstacle.x + obstacle.width / 2);
+            const size = Math.max(6, 260 * point.scale);
+            const baseY = point.y - 200 * point.scale;
+            ctx.fillStyle = this.assets.colors.warning;
+            ctx.beginPath();
+            ctx.moveTo(centerX, baseY - size);
+            ctx.lineTo(centerX + size / 2, baseY);
+            ctx.lineTo(centerX - size / 2, baseY);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Trees and lamp posts, chosen and placed from the segment number
+        drawScenery(segment) {
+            const ctx = this.ctx;
+            const point = this.point;
+            const colors = this.assets.colors;
+            const scale = point.scale;
+            if (point.y - 900 * scale >= point.clip) return;
+
+            for (let side = -1; side <= 1; side += 2) {
+                const roll = hash(segment * 2 + side);
+                if (roll < 0.25) continue;
+
+                const x = point.x + side * point.w * (1.35 + roll * 0.6);
+                if (roll < 0.6) {
+                    // Lamp post leaning over the road
+                    const h = 800 * scale;
+                    const pole = Math.max(1, 24 * scale);
+                    ctx.fillStyle = colors.mark;
+                    ctx.fillRect(x - pole / 2, point.y - h, pole, h);
+                    ctx.fillRect(side > 0 ? x - 140 * scale : x, point.y - h, 140 * scale, pole);
+                    ctx.fillStyle = colors.marker;
+                    ctx.fillRect(side > 0 ? x - 150 * scale : x + 110 * scale, point.y - h, 40 * scale, pole * 1.5);
+                } else {
+                    // Tree
+                    const h = (600 + roll * 400) * scale;
+                    const trunk = Math.max(1, 50 * scale);
+                    ctx.fillStyle = colors.mark;
+                    ctx.fillRect(x - trunk / 2, point.y - h * 0.3, trunk, h * 0.3);
+                    ctx.fillStyle = colors.scenery;
+                    ctx.beginPath();
+                    ctx.moveTo(x, point.y - h);
+                    ctx.lineTo(x + h * 0.3, point.y - h * 0.25);
+                    ctx.lineTo(x - h * 0.3, point.y - h * 0.25);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            }
+        }
+    }
+
+    const RENDERERS = {
+        topDown: { name: 'Top-down', Renderer: TopDownRenderer },
+        perspective: { name: 'Perspective', Renderer: PerspectiveRenderer }
+    };
+
+    const IDS = Object.keys(RENDERERS);
+
+    function create(id, ctx, assets) {
+        const entry = RENDERERS[id];
+        if (!entry) {
+            throw new Error(`Unknown renderer: ${id}`);
+        }
+        return new entry.Renderer(ctx, assets);
+    }
+
+    // The view and then the effects, both offset by any screen shake
+    function drawFrame(renderer, effects, sim, alpha, width, height, ghost = null) {
+        const ctx = renderer.ctx;
+        const shaking = effects.shakeX !== 0 || effects.shakeY !== 0;
+        if (shaking) {
+            // Cover the strip the shifted frame leaves bare
+            ctx.fillStyle = renderer.assets.colors.background;
+            ctx.fillRect(0, 0, width, height);
+            ctx.save();
+            ctx.translate(effects.shakeX, effects.shakeY);
+        }
+        renderer.draw(sim, alpha, width, height, ghost);
+        effects.draw(ctx, width, height);
+        if (shaking) {
+            // Restoring rolls back styles the renderer may have cached
+            ctx.restore();
+            renderer.invalidate();
+        }
+    }
+
+    return {
+        RENDERERS,
+        IDS,
+        DEFAULT: 'topDown',
+        create,
+        drawFrame,
+        TopDownRenderer,
+        PerspectiveRenderer
+    };
+}));
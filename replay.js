@@ -0,0 +1,220 @@
+// Input recording and replay for Endless Driver
+// A replay is the run's seed, geometry, road layout, steering mode and
+// gameplay config plus
+// every input change keyed by simulation tick. Because the simulation is
+// deterministic, re-running those inputs reproduces the run exactly, in the
+// browser or under Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'), require('./config'), require('./road-layouts'));
+    } else {
+        root.Replay = factory(root.DriverSimulation, root.GameConfig, root.RoadLayouts);
+    }
+}(typeof self !== 'undefined' ? self : this, function (DriverSimulation, GameConfig, RoadLayouts) {
+    'use strict';
+
+    const REPLAY_VERSION = 5;
+
+    // Input fields in the order they are packed into each entry
+    const INPUT_FIELDS = ['steer', 'laneChange', 'steerAxis', 'throttle'];
+
+    // Safety net for replays that never end in a collision (~1 hour)
+    const MAX_TICKS = 60 * 60 * 60;
+
+    class ReplayRecorder {
+        constructor() {
+            this.seed = 0;
+            this.width = 0;
+            this.height = 0;
+            this.lanes = 0;
+            this.layout = '';
+            this.steering = '';
+            this.preset = '';
+            this.config = null;
+            this.inputs = [];
+            this.lastValues = INPUT_FIELDS.map(() => 0);
+        }
+
+        // preset is the difficulty's name for display; config holds the rules
+        start(sim, preset = GameConfig.DEFAULT_PRESET) {
+            this.seed = sim.seed;
+            this.width = sim.gameWidth;
+            this.height = sim.gameHeight;
+            this.lanes = sim.baseLanes;
+            this.layout = sim.layout.id;
+            this.steering = sim.steering;
+            this.preset = preset;
+            this.config = Object.assign({}, sim.config);
+            this.inputs = [];
+            this.lastValues = INPUT_FIELDS.map(() => 0);
+        }
+
+        // Call with the simulation tick the inputs are about to be applied on.
+        // Only changes are stored: [tick, steer, laneChange, steerAxis, throttle]
+        record(tick, inputs) {
+            let changed = false;
+            for (let i = 0; i < INPUT_FIELDS.length; i++) {
+                const value = inputs[INPUT_FIELDS[i]] || 0;
+                if (value !== this.lastValues[i]) {
+                    this.lastValues[i] = value;
+                    changed = true;
+                }
+            }
+
+            if (changed) {
+                this.inputs.push([tick, ...this.lastValues]);
+            }
+        }
+
+        finish(sim) {
+            return {
+                version: REPLAY_VERSION,
+                rules: DriverSimulation.RULES_VERSION,
+                seed: sim.seed,
+                width: this.width,
+                height: this.height,
+                lanes: this.lanes,
+                layout: this.layout,
+                steering: this.steering,
+                preset: this.preset,
+                config: this.config,
+                endTick: sim.tick,
+                score: sim.score,
+                inputs: this.inputs
+            };
+        }
+    }
+
+    class ReplayPlayer {
+        constructor(replay) {
+            validate(replay);
+            this.replay = replay;
+            this.index = 0;
+            this.current = {};
+            for (const field of INPUT_FIELDS) {
+                this.current[field] = 0;
+            }
+        }
+
+        // Inputs for the given tick; ticks must be requested in order
+        inputsFor(tick) {
+            const inputs = this.replay.inputs;
+            while (this.index < inputs.length && inputs[this.index][0] <= tick) {
+                const entry = inputs[this.index];
+                for (let i = 0; i < INPUT_FIELDS.length; i++) {
+                    this.current[INPUT_FIELDS[i]] = entry[i + 1];
+                }
+                this.index++;
+            }
+            return this.current;
+        }
+
+        isFinished(tick) {
+            return tick >= this.replay.endTick;
+        }
+    }
+
+    function validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay.version}`);
+        }
+        if (replay.rules !== DriverSimulation.RULES_VERSION) {
+            throw new Error(`Replay was recorded with rules v${replay.rules}, this build runs v${DriverSimulation.RULES_VERSION}`);
+        }
+        for (const key of ['seed', 'width', 'height', 'lanes', 'endTick']) {
+            if (typeof replay[key] !== 'number' || !isFinite(replay[key])) {
+                throw new Error(`Replay field "${key}" must be a number`);
+            }
+        }
+        for (const key of ['width', 'height']) {
+            if (!Number.isInteger(replay[key]) || replay[key] <= 0) {
+                throw new Error(`Replay field "${key}" must be a positive whole number`);
+            }
+        }
+        for (const key of ['layout', 'steering', 'preset']) {
+            if (typeof replay[key] !== 'string') {
+                throw new Error(`Replay field "${key}" must be a string`);
+            }
+        }
+        if (!RoadLayouts.has(replay.layout)) {
+            throw new Error(`Unknown road layout: ${replay.layout}`);
+        }
+        if (DriverSimulation.STEERING_MODES.indexOf(replay.steering) === -1) {
+            throw new Error(`Unknown steering mode: ${replay.steering}`);
+        }
+        if (!replay.config || typeof replay.config !== 'object') {
+            throw new Error('Replay field "config" must be an object');
+        }
+        try {
+            GameConfig.validate(replay.config);
+        } catch (err) {
+            throw new Error(`Replay config is invalid: ${err.message}`);
+        }
+        if (!Array.isArray(replay.inputs)) {
+            throw new Error('Replay inputs must be an array');
+        }
+
+        let lastTick = -1;
+        for (const entry of replay.inputs) {
+            if (!Array.isArray(entry) || entry.length !== INPUT_FIELDS.length + 1) {
+                throw new Error('Malformed replay input entry');
+            }
+            if (entry[0] < lastTick) {
+                throw new Error('Replay inputs are out of order');
+            }
+            lastTick = entry[0];
+        }
+        return replay;
+    }
+
+    function parse(text) {
+        return validate(JSON.parse(text));
+    }
+
+    function stringify(replay) {
+        return JSON.stringify(replay);
+    }
+
+    // Re-simulate a replay headlessly and report how the run ended
+    function simulate(replay) {
+        const player = new ReplayPlayer(replay);
+        const sim = new DriverSimulation({
+            width: replay.width,
+            height: replay.height,
+            seed: replay.seed,
+            lanes: replay.lanes,
+            layout: replay.layout,
+            steering: replay.steering,
+            config: replay.config
+        });
+        sim.reset();
+
+        const limit = Math.min(replay.endTick, MAX_TICKS);
+        while (sim.gameState === 'playing' && sim.tick < limit) {
+            sim.step(player.inputsFor(sim.tick));
+        }
+
+        const crashed = sim.gameState === 'gameOver';
+        return {
+            score: sim.score,
+            ticks: sim.tick,
+            collisionTick: crashed ? sim.tick : null,
+            verified: sim.score === replay.score && sim.tick === replay.endTick
+        };
+    }
+
+    return {
+        VERSION: REPLAY_VERSION,
+        INPUT_FIELDS,
+        ReplayRecorder,
+        ReplayPlayer,
+        validate,
+        parse,
+        stringify,
+        simulate
+    };
+}));
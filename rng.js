@@ -0,0 +1,54 @@
+// Seedable pseudo-random number generator (mulberry32)
+// All gameplay randomness goes through this so a seed fully determines a run.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SeededRandom = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    class SeededRandom {
+        constructor(seed = 1) {
+            this.seed = seed >>> 0;
+            this.state = this.seed;
+        }
+
+        // Fresh seed for a new run (the only place Math.random is allowed)
+        static randomSeed() {
+            return Math.floor(Math.random() * 0xffffffff) >>> 0;
+        }
+
+        // Float in [0, 1)
+        next() {
+            this.state = (this.state + 0x6d2b79f5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        // Integer in [0, max)
+        int(max) {
+            return Math.floor(this.next() * max);
+        }
+
+        // Float in [min, max)
+        range(min, max) {
+            return min + this.next() * (max - min);
+        }
+
+        pick(items) {
+            return items[this.int(items.length)];
+        }
+
+        reset(seed = this.seed) {
+            this.seed = seed >>> 0;
+            this.state = this.seed;
+        }
+    }
+
+    return SeededRandom;
+}));
@@ -0,0 +1,101 @@
+// Road layout registry for Endless Driver
+// A layout describes how the lane count changes over a run: the road is split
+// into sections of fixed length and each section adds an offset to the
+// configured lane count. Plain data, like obstacle-types.js.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RoadLayouts = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MIN_LANES = 2;
+    const MAX_LANES = 6;
+    const DEFAULT_LANES = 3;
+
+    // Ticks between a lane change being announced and it reaching the player
+    const ANNOUNCE_TICKS = 180;
+
+    // Fields:
+    //   name           Label shown in the menu
+    //   sectionTicks   Length of each section (0 keeps the lane count fixed)
+    //   pattern        Lane count offset per section; repeats once exhausted
+    const LAYOUTS = {
+        straight: {
+            name: 'Straight',
+            sectionTicks: 0,
+            pattern: [0]
+        },
+        widening: {
+            name: 'Widening',
+            sectionTicks: 1200,
+            pattern: [0, 1, 2, 1]
+        },
+        merging: {
+            name: 'Merging',
+            sectionTicks: 1200,
+            pattern: [0, -1]
+        },
+        rolling: {
+            name: 'Rolling',
+            sectionTicks: 900,
+            pattern: [0, 1, 0, -1]
+        }
+    };
+
+    const IDS = Object.keys(LAYOUTS);
+
+    for (const id of IDS) {
+        LAYOUTS[id].id = id;
+    }
+
+    // Own keys only, so ids like 'constructor' are not taken for layouts
+    function has(id) {
+        return Object.prototype.hasOwnProperty.call(LAYOUTS, id);
+    }
+
+    function get(id) {
+        if (!has(id)) {
+            throw new Error(`Unknown road layout: ${id}`);
+        }
+        return LAYOUTS[id];
+    }
+
+    function clampLanes(lanes) {
+        if (typeof lanes !== 'number' || !isFinite(lanes)) {
+            return DEFAULT_LANES;
+        }
+        return Math.max(MIN_LANES, Math.min(MAX_LANES, Math.round(lanes)));
+    }
+
+    // Open lanes in a given section
+    function laneCountAt(layout, baseLanes, section) {
+        return clampLanes(baseLanes + layout.pattern[section % layout.pattern.length]);
+    }
+
+    // Lane slots the road needs to fit the widest section
+    function slotCount(layout, baseLanes) {
+        let slots = MIN_LANES;
+        for (let section = 0; section < layout.pattern.length; section++) {
+            slots = Math.max(slots, laneCountAt(layout, baseLanes, section));
+        }
+        return slots;
+    }
+
+    return {
+        MIN_LANES,
+        MAX_LANES,
+        DEFAULT_LANES,
+        ANNOUNCE_TICKS,
+        LAYOUTS,
+        IDS,
+        has,
+        get,
+        clampLanes,
+        laneCountAt,
+        slotCount
+    };
+}));
@@ -0,0 +1,908 @@
+// Headless simulation core for Endless Driver
+// Pure game logic with no DOM, canvas or timer dependencies so it can be
+// stepped from the browser shell (game.js) or from plain Node.
+// The simulation advances in fixed ticks and draws randomness only from a
+// seeded generator, so the same seed and inputs always replay identically.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./rng'),
+            require('./config'),
+            require('./obstacle-types'),
+            require('./pickup-types'),
+            require('./road-layouts'),
+            require('./spawn-patterns')
+        );
+    } else {
+        root.DriverSimulation = factory(root.SeededRandom, root.GameConfig, root.ObstacleTypes, root.PickupTypes, root.RoadLayouts, root.SpawnPatterns);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SeededRandom, GameConfig, ObstacleTypes, PickupTypes, RoadLayouts, SpawnPatterns) {
+    'use strict';
+
+    // Bump whenever gameplay rules change; replays only verify against the
+    // rules version they were recorded with
+    const RULES_VERSION = 5;
+
+    // Fixed simulation rate; gameplay constants are tuned per tick at 60 Hz
+    const TICK_RATE = 60;
+    const TICK_MS = 1000 / TICK_RATE;
+
+    // Display units for run statistics
+    const PIXELS_PER_METER = 10;
+
+    // 'lanes' snaps between lanes; 'free' is analog driving with throttle,
+    // brakes and grip
+    const STEERING_MODES = ['lanes', 'free'];
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    class DriverSimulation {
+        constructor(options = {}) {
+            // Deterministic randomness
+            this.seed = options.seed !== undefined ? options.seed >>> 0 : 1;
+            this.rng = new SeededRandom(this.seed);
+
+            // Optional event bus (events.js) told about spawns, passes, lane
+            // changes and collisions; listeners only observe
+            this.events = options.events || null;
+
+            // Gameplay numbers (config.js): speeds, the difficulty ramp and
+            // obstacle limits. The fields below are copied from it on reset.
+            this.setConfig(options.config);
+
+            // Game state
+            this.gameState = 'ready';
+            this.score = 0;
+            this.gameSpeed = 0;
+            this.maxGameSpeed = 0;
+            this.speedStep = 0;
+            this.speedUpInterval = 0; // Ticks between difficulty steps
+            this.maxSpeed = 0;
+            this.tick = 0;
+            this.distance = 0;
+            this.prevDistance = 0;
+
+            // Player (prevX/prevY hold the last tick for interpolated rendering)
+            this.player = {
+                x: 0,
+                y: 0,
+                prevX: 0,
+                prevY: 0,
+                width: 40,
+                height: 60,
+                lane: 1, // Lane slot, counted from the left
+                steeringLock: 0, // Ticks left with steering disabled (oil)
+                steerHeld: 0, // Held steering direction on the last tick
+                steerRepeat: 0, // Ticks until held steering moves again
+                vx: 0, // Lateral velocity (free steering)
+                speed: 0, // Road speed the driver has chosen (free steering)
+                color: '#00d2ff'
+            };
+
+            // Held steering: one lane at once, then another every interval
+            // (in ticks, so it is the same at any frame rate)
+            this.steerRepeatDelay = 12;
+            this.steerRepeatInterval = 8;
+
+            // Free steering handling, per tick
+            this.steering = 'lanes';
+            this.vehicle = {
+                steerAccel: 0.8, // Lateral acceleration at full lock
+                grip: 0.85, // Share of lateral velocity kept each tick
+                oilGrip: 0.98, // Grip while sliding on oil
+                maxLateral: 8,
+                nudge: 6, // Sideways impulse from a swipe
+                edgeMargin: 4, // Closest the car gets to the road edge
+                accel: 0.05, // Speed gained per tick at full throttle
+                brake: 0.12, // Speed lost per tick at full brake
+                drag: 0.02, // Pull back towards cruising speed off the pedals
+                minSpeed: 3,
+                topSpeedFactor: 1.4 // Top speed as a multiple of cruising speed
+            };
+            this.setSteering(options.steering);
+
+            // Obstacles with object pooling (one pool per obstacle type)
+            this.obstacles = [];
+            this.obstaclePool = {};
+            this.obstaclePoolSize = 0;
+            for (const id of ObstacleTypes.IDS) {
+                this.obstaclePool[id] = [];
+            }
+            this.obstacleSpawnTimer = 0;
+            this.obstacleSpawnInterval = 0;
+            this.maxObstacles = 0;
+            this.nearMissGap = 16; // Pixels of clearance that still count as a near miss
+            this.nearMisses = 0;
+            this.obstaclesPassed = 0;
+
+            // Coins and power-ups, pooled per type like obstacles
+            this.pickups = [];
+            this.pickupPool = {};
+            this.pickupPoolSize = 30;
+            for (const id of PickupTypes.IDS) {
+                this.pickupPool[id] = [];
+            }
+            this.maxPickups = 20;
+            this.coinSpawnTimer = 0;
+            this.coinSpawnInterval = 150;
+            this.coinTrailLength = 5;
+            this.coinSpacing = 40; // Vertical gap between coins in a trail
+            this.powerUpSpawnTimer = 0;
+            this.powerUpSpawnInterval = 720;
+            this.coins = 0;
+
+            // Ticks left on each power-up (0 = inactive)
+            this.powerUps = {};
+            for (const id of PickupTypes.POWER_UPS) {
+                this.powerUps[id] = 0;
+            }
+
+            this.applyConfig();
+
+            // Formation-based spawning that always leaves a way through
+            this.spawner = new SpawnPatterns.SpawnDirector();
+            this.nextSpawnDelay = this.obstacleSpawnInterval;
+
+            // Road lanes: the road is split into equal lane slots and a centred
+            // range of them is open. Layouts widen or merge that range mid-run.
+            this.lanes = []; // Relative slot centres
+            this.laneWidth = 0;
+            this.firstLane = 0;
+            this.lastLane = 0;
+            this.spawnLanes = { first: 0, last: 0 }; // Lanes new obstacles may use
+            this.section = 0;
+            this.roadChange = null; // Announced lane change scrolling towards the player
+            this.setRoad(options.lanes, options.layout);
+
+            this.resize(options.width || 360, options.height || 640);
+        }
+
+        resize(width, height) {
+            this.gameWidth = width;
+            this.gameHeight = height;
+            this.laneWidth = this.gameWidth / this.lanes.length;
+
+            // Update player position
+            this.player.x = this.laneX(this.player.lane, this.player.width);
+            this.player.y = this.gameHeight - this.player.height - 50;
+            this.player.prevX = this.player.x;
+            this.player.prevY = this.player.y;
+        }
+
+        // Lane count (2-6) and road layout id; takes effect on the next reset()
+        setRoad(lanes = RoadLayouts.DEFAULT_LANES, layoutId = 'straight') {
+            this.layout = RoadLayouts.get(layoutId);
+            this.baseLanes = RoadLayouts.clampLanes(lanes);
+
+            const slots = RoadLayouts.slotCount(this.layout, this.baseLanes);
+            this.lanes = [];
+            for (let i = 0; i < slots; i++) {
+                this.lanes.push((i + 0.5) / slots);
+            }
+            this.laneWidth = (this.gameWidth || 0) / slots;
+            this.resetRoad();
+        }
+
+        resetRoad() {
+            this.section = 0;
+            this.roadChange = null;
+            this.setOpenLanes(RoadLayouts.laneCountAt(this.layout, this.baseLanes, 0));
+            this.player.lane = Math.floor((this.firstLane + this.lastLane) / 2);
+        }
+
+        // Open lanes are centred on the road
+        firstLaneFor(count) {
+            return Math.floor((this.lanes.length - count) / 2);
+        }
+
+        setOpenLanes(count) {
+            this.firstLane = this.firstLaneFor(count);
+            this.lastLane = this.firstLane + count - 1;
+            this.spawnLanes.first = this.firstLane;
+            this.spawnLanes.last = this.lastLane;
+        }
+
+        // Full or partial config, validated; takes effect on the next reset()
+        setConfig(values) {
+            this.config = GameConfig.validate(values);
+        }
+
+        applyConfig() {
+            const config = this.config;
+            this.gameSpeed = config.startSpeed;
+            this.maxGameSpeed = config.maxGameSpeed;
+            this.speedStep = config.speedStep;
+            this.speedUpInterval = config.speedUpInterval;
+            this.maxSpeed = this.gameSpeed;
+            this.obstacleSpawnInterval = config.spawnInterval;
+            this.maxObstacles = config.maxObstacles;
+            this.obstaclePoolSize = config.obstaclePoolSize;
+        }
+
+        // 'lanes' or 'free'; takes effect on the next reset()
+        setSteering(mode = 'lanes') {
+            if (STEERING_MODES.indexOf(mode) === -1) {
+                throw new Error(`Unknown steering mode: ${mode}`);
+            }
+            this.steering = mode;
+        }
+
+        laneX(lane, width) {
+            return this.lanes[lane] * this.gameWidth - width / 2;
+        }
+
+        // Left edge for something centred across `span` lanes starting at `lane`
+        spanX(lane, span, width) {
+            const centre = (this.lanes[lane] + this.lanes[lane + span - 1]) / 2;
+            return centre * this.gameWidth - width / 2;
+        }
+
+        reset(seed = this.seed) {
+            this.seed = seed >>> 0;
+            this.rng.reset(this.seed);
+
+            this.gameState = 'playing';
+            this.score = 0;
+            this.applyConfig();
+            this.distance = 0;
+            this.prevDistance = 0;
+            this.nearMisses = 0;
+            this.obstaclesPassed = 0;
+
+            // Return all active obstacles to pool before clearing
+            for (const obstacle of this.obstacles) {
+                this.returnObstacleToPool(obstacle);
+            }
+            this.obstacles = [];
+
+            for (const pickup of this.pickups) {
+                this.returnPickupToPool(pickup);
+            }
+            this.pickups = [];
+            this.coinSpawnTimer = 0;
+            this.powerUpSpawnTimer = 0;
+            this.coins = 0;
+            for (const id of PickupTypes.POWER_UPS) {
+                this.powerUps[id] = 0;
+            }
+
+            this.obstacleSpawnTimer = 0;
+            this.spawner.reset();
+            this.nextSpawnDelay = this.obstacleSpawnInterval;
+            this.resetRoad();
+            this.player.steeringLock = 0;
+            this.player.steerHeld = 0;
+            this.player.steerRepeat = 0;
+            this.player.vx = 0;
+            this.player.speed = this.gameSpeed;
+            this.player.x = this.laneX(this.player.lane, this.player.width);
+            this.player.prevX = this.player.x;
+            this.tick = 0;
+        }
+
+        // Advance the simulation by exactly one fixed tick (TICK_MS).
+        // inputs.steer is the held direction (-1, 0, 1) and
+        // inputs.laneChange a one-shot lane move.
+        step(inputs = {}) {
+            if (this.gameState !== 'playing') return;
+
+            const lane = this.player.lane;
+            this.savePreviousPositions();
+            this.handleInput(inputs);
+            this.update();
+
+            if (this.events && this.player.lane !== lane) {
+                this.events.emit('lane:change', { from: lane, to: this.player.lane, tick: this.tick });
+            }
+        }
+
+        savePreviousPositions() {
+            this.player.prevX = this.player.x;
+            this.player.prevY = this.player.y;
+            this.prevDistance = this.distance;
+
+            if (this.roadChange) {
+                this.roadChange.prevY = this.roadChange.y;
+            }
+
+            for (const obstacle of this.obstacles) {
+                obstacle.prevX = obstacle.x;
+                obstacle.prevY = obstacle.y;
+            }
+
+            for (const pickup of this.pickups) {
+                pickup.prevX = pickup.x;
+                pickup.prevY = pickup.y;
+            }
+        }
+
+        changeLane(direction) {
+            const lane = this.player.lane + direction;
+            if (lane >= this.firstLane && lane <= this.lastLane) {
+                this.player.lane = lane;
+            }
+        }
+
+        handleInput(inputs) {
+            if (this.steering === 'free') {
+                this.updateVehicle(inputs);
+                return;
+            }
+
+            if (this.player.steeringLock > 0) {
+                // Sliding on oil: inputs are ignored until the lock wears off
+                this.player.steeringLock--;
+            } else {
+                this.updateHeldSteering(inputs.steer || 0);
+
+                // Swipes move immediately
+                if (inputs.laneChange) {
+                    this.changeLane(inputs.laneChange);
+                }
+            }
+
+            // Smooth lane transition
+            const targetX = this.laneX(this.player.lane, this.player.width);
+            this.player.x += (targetX - this.player.x) * 0.2;
+        }
+
+        // A new press moves at once; holding it repeats after a delay
+        updateHeldSteering(steer) {
+            const player = this.player;
+            if (steer !== 0) {
+                if (steer !== player.steerHeld) {
+                    this.changeLane(steer);
+                    player.steerRepeat = this.steerRepeatDelay;
+                } else if (--player.steerRepeat <= 0) {
+                    this.changeLane(steer);
+                    player.steerRepeat = this.steerRepeatInterval;
+                }
+            }
+            player.steerHeld = steer;
+        }
+
+        // Free steering. inputs.steerAxis (-1..1) accelerates the car sideways
+        // against grip; inputs.throttle (-1..1) accelerates or brakes, and off
+        // the pedals the car eases back to the difficulty ramp's cruising speed.
+        updateVehicle(inputs) {
+            const player = this.player;
+            const vehicle = this.vehicle;
+            let steer = clamp(inputs.steerAxis || 0, -1, 1);
+            let grip = vehicle.grip;
+
+            if (player.steeringLock > 0) {
+                // Sliding on oil: no steering and very little grip
+                player.steeringLock--;
+                steer = 0;
+                grip = vehicle.oilGrip;
+            } else if (inputs.laneChange) {
+                player.vx += inputs.laneChange * vehicle.nudge;
+            }
+
+            player.vx = clamp((player.vx + steer * vehicle.steerAccel) * grip, -vehicle.maxLateral, vehicle.maxLateral);
+            player.x += player.vx;
+
+            // The edges of the open lanes stop the car dead
+            const minX = this.firstLane * this.laneWidth + vehicle.edgeMargin;
+            const maxX = (this.lastLane + 1) * this.laneWidth - player.width - vehicle.edgeMargin;
+            if (player.x < minX || player.x > maxX) {
+                player.x = clamp(player.x, minX, maxX);
+                player.vx = 0;
+            }
+
+            const throttle = clamp(inputs.throttle || 0, -1, 1);
+            if (throttle > 0) {
+                player.speed += throttle * vehicle.accel;
+            } else if (throttle < 0) {
+                player.speed += throttle * vehicle.brake;
+            } else {
+                player.speed += (this.gameSpeed - player.speed) * vehicle.drag;
+            }
+            player.speed = clamp(player.speed, vehicle.minSpeed, this.gameSpeed * vehicle.topSpeedFactor);
+            this.maxSpeed = Math.max(this.maxSpeed, player.speed);
+
+            // Lane under the car's centre, for spawning and lane closures
+            const lane = Math.floor((player.x + player.width / 2) / this.laneWidth);
+            player.lane = clamp(lane, this.firstLane, this.lastLane);
+        }
+
+        update() {
+            this.tick++;
+            const speed = this.scrollSpeed();
+            this.distance += speed;
+
+            // Update obstacles
+            for (let i = this.obstacles.length - 1; i >= 0; i--) {
+                const obstacle = this.obstacles[i];
+
+                // Announced obstacles hold off-screen until the warning runs out
+                if (obstacle.state === 'warning') {
+                    if (--obstacle.timer <= 0) {
+                        obstacle.state = 'active';
+                    }
+                    continue;
+                }
+
+                obstacle.y += speed * obstacle.type.speedFactor;
+
+                if (obstacle.type.behaviour === 'laneChange') {
+                    this.updateLaneChange(obstacle);
+                }
+
+                // Remove off-screen obstacles and return to pool
+                if (obstacle.y > this.gameHeight) {
+                    this.obstacles.splice(i, 1);
+                    this.returnObstacleToPool(obstacle);
+                    this.addScore(obstacle.type.score);
+                    continue;
+                }
+
+                // Collision detection
+                if (!obstacle.hit && this.checkCollision(this.player, obstacle)) {
+                    if (obstacle.type.effect === 'oil') {
+                        obstacle.hit = true;
+                        this.player.steeringLock = obstacle.type.effectTicks;
+                        if (this.events) {
+                            this.events.emit('collision', { obstacle, fatal: false, tick: this.tick });
+                        }
+                        continue;
+                    }
+
+                    if (this.crash(obstacle)) {
+                        return;
+                    }
+                }
+
+                if (!obstacle.passed && obstacle.y > this.player.y + this.player.height) {
+                    obstacle.passed = true;
+                    this.obstaclesPassed++;
+                    const nearMiss = this.isNearMiss(obstacle);
+                    if (nearMiss) {
+                        this.nearMisses++;
+                    }
+                    if (this.events) {
+                        this.events.emit('obstacle:passed', { obstacle, nearMiss, tick: this.tick });
+                    }
+                }
+            }
+
+            this.updatePickups(speed);
+
+            // Lane changes from the road layout
+            this.updateRoad(speed);
+            if (this.gameState !== 'playing') return;
+
+            this.updatePowerUps();
+
+            // Increase difficulty (every 10 seconds of simulated time)
+            if (this.tick % this.speedUpInterval === 0) {
+                this.gameSpeed = Math.min(this.gameSpeed + this.speedStep, this.maxGameSpeed); // Cap max speed
+                this.maxSpeed = Math.max(this.maxSpeed, this.gameSpeed);
+                this.obstacleSpawnInterval = Math.max(this.config.minSpawnInterval, this.obstacleSpawnInterval - this.config.spawnIntervalStep);
+            }
+
+            // Spawn the next row last, so the spawner plans from a settled state
+            this.obstacleSpawnTimer++;
+            if (this.obstacleSpawnTimer >= this.nextSpawnDelay) {
+                this.nextSpawnDelay = this.spawner.spawnNext(this);
+                this.obstacleSpawnTimer = 0;
+            }
+            this.spawnPickups();
+        }
+
+        // Road speed this tick: the ramp's speed, or the driver's in free
+        // steering, after slow motion
+        scrollSpeed() {
+            const speed = this.steering === 'free' ? this.player.speed : this.gameSpeed;
+            if (this.powerUps.slowmo > 0) {
+                return speed * PickupTypes.TYPES.slowmo.speedScale;
+            }
+            return speed;
+        }
+
+        // Score gains go through here so the multiplier applies to everything
+        addScore(points) {
+            const factor = this.powerUps.multiplier > 0 ? PickupTypes.TYPES.multiplier.factor : 1;
+            this.score += points * factor;
+        }
+
+        updatePickups(speed) {
+            const player = this.player;
+            const magnet = this.powerUps.magnet > 0 ? PickupTypes.TYPES.magnet : null;
+            const playerX = player.x + player.width / 2;
+            const playerY = player.y + player.height / 2;
+
+            for (let i = this.pickups.length - 1; i >= 0; i--) {
+                const pickup = this.pickups[i];
+                pickup.y += speed;
+
+                // The magnet draws nearby coins in
+                if (magnet && pickup.type.effect === 'coin') {
+                    const dx = playerX - (pickup.x + pickup.width / 2);
+                    const dy = playerY - (pickup.y + pickup.height / 2);
+                    if (dx * dx + dy * dy < magnet.radius * magnet.radius) {
+                        pickup.x += dx * magnet.pull;
+                        pickup.y += dy * magnet.pull;
+                    }
+                }
+
+                // Missed pickups go back to the pool without scoring
+                if (pickup.y > this.gameHeight) {
+                    this.pickups.splice(i, 1);
+                    this.returnPickupToPool(pickup);
+                    continue;
+                }
+
+                if (this.checkPickup(player, pickup)) {
+                    this.pickups.splice(i, 1);
+                    this.returnPickupToPool(pickup);
+                    this.collect(pickup.type);
+                }
+            }
+        }
+
+        collect(type) {
+            if (type.effect === 'coin') {
+                this.coins++;
+            } else {
+                // Collecting a power-up again restarts its timer
+                this.powerUps[type.id] = type.durationTicks;
+            }
+            this.addScore(type.score);
+        }
+
+        updatePowerUps() {
+            for (const id of PickupTypes.POWER_UPS) {
+                if (this.powerUps[id] > 0) {
+                    this.powerUps[id]--;
+                }
+            }
+        }
+
+        // Crashes end the run unless a shield is up; it absorbs one hit and
+        // the obstacle is driven through. Returns true if the run ended.
+        crash(obstacle) {
+            const fatal = this.powerUps.shield <= 0;
+            if (this.events) {
+                this.events.emit('collision', { obstacle, fatal, tick: this.tick });
+            }
+
+            if (!fatal) {
+                this.powerUps.shield = 0;
+                if (obstacle) {
+                    obstacle.hit = true;
+                }
+                return false;
+            }
+
+            this.gameOver();
+            return true;
+        }
+
+        // Drift a lane-changing car towards its target lane once it is
+        // far enough down the screen to be seen
+        updateLaneChange(obstacle) {
+            if (obstacle.lane === obstacle.targetLane || obstacle.y < obstacle.changeAtY) {
+                return;
+            }
+
+            const targetX = this.laneX(obstacle.targetLane, obstacle.width);
+            const stepX = obstacle.type.changeSpeed * this.laneWidth;
+            const remaining = targetX - obstacle.x;
+
+            if (Math.abs(remaining) <= stepX) {
+                obstacle.x = targetX;
+                obstacle.lane = obstacle.targetLane;
+            } else {
+                obstacle.x += Math.sign(remaining) * stepX;
+            }
+        }
+
+        // Announce the next section's lane count at each section boundary, then
+        // switch the open lanes once the announced marker reaches the player
+        updateRoad(speed) {
+            const layout = this.layout;
+            if (layout.sectionTicks > 0 && this.tick % layout.sectionTicks === 0) {
+                this.section++;
+                const count = RoadLayouts.laneCountAt(layout, this.baseLanes, this.section);
+                const first = this.firstLaneFor(count);
+                const last = first + count - 1;
+
+                if (first !== this.firstLane || last !== this.lastLane) {
+                    const y = this.player.y - RoadLayouts.ANNOUNCE_TICKS * speed;
+                    this.roadChange = {
+                        y: y,
+                        prevY: y,
+                        fromFirst: this.firstLane,
+                        fromLast: this.lastLane,
+                        firstLane: first,
+                        lastLane: last,
+                        applied: false
+                    };
+
+                    // Only spawn into lanes that stay open through the change
+                    this.spawnLanes.first = Math.max(this.firstLane, first);
+                    this.spawnLanes.last = Math.min(this.lastLane, last);
+                }
+            }
+
+            const change = this.roadChange;
+            if (!change) return;
+
+            change.y += speed;
+            if (!change.applied && change.y >= this.player.y) {
+                change.applied = true;
+                this.setOpenLanes(change.lastLane - change.firstLane + 1);
+
+                // Still in a lane that just ended: straight into the barrier,
+                // unless a shield bounces the player back onto the road
+                if (this.player.lane < this.firstLane || this.player.lane > this.lastLane) {
+                    if (this.crash(null)) {
+                        return;
+                    }
+                    this.player.lane = Math.max(this.firstLane, Math.min(this.lastLane, this.player.lane));
+                }
+            }
+
+            // Kept until off-screen so the renderer can draw the transition
+            if (change.y > this.gameHeight) {
+                this.roadChange = null;
+            }
+        }
+
+        // Lane change the layout will announce at the next section boundary,
+        // or null if that section keeps the current lanes
+        nextRoadChange() {
+            const layout = this.layout;
+            if (layout.sectionTicks === 0) {
+                return null;
+            }
+
+            const count = RoadLayouts.laneCountAt(layout, this.baseLanes, this.section + 1);
+            const first = this.firstLaneFor(count);
+            if (first === this.firstLane && first + count - 1 === this.lastLane) {
+                return null;
+            }
+            return {
+                ticks: layout.sectionTicks - (this.tick % layout.sectionTicks),
+                firstLane: first,
+                lastLane: first + count - 1
+            };
+        }
+
+        ticksUntilSpeedUp() {
+            return this.speedUpInterval - (this.tick % this.speedUpInterval);
+        }
+
+        spawnObstacle(type = ObstacleTypes.pick(this.rng), lane = this.spawnLanes.first + this.rng.int(this.spawnLanes.last - this.spawnLanes.first + 2 - type.lanes)) {
+            // Limit active obstacles for performance
+            if (this.obstacles.length >= this.maxObstacles) {
+                return null;
+            }
+
+            const obstacle = this.acquireObstacle(type);
+            // Narrow lanes shrink obstacles so neighbouring lanes never overlap
+            const scale = this.config.obstacleScale;
+            obstacle.width = Math.min(type.width * scale, this.laneWidth * 0.8) + (type.lanes - 1) * this.laneWidth;
+            obstacle.height = type.height * scale;
+            obstacle.lane = lane;
+            obstacle.targetLane = lane;
+            obstacle.x = this.spanX(lane, type.lanes, obstacle.width);
+            obstacle.y = -obstacle.height;
+            obstacle.hit = false;
+            obstacle.passed = false;
+            obstacle.state = 'active';
+            obstacle.timer = 0;
+
+            if (type.behaviour === 'warning') {
+                obstacle.state = 'warning';
+                obstacle.timer = type.warningTicks;
+            } else if (type.behaviour === 'laneChange') {
+                // Pick a neighbouring lane and the point where it pulls across
+                const direction = lane === this.spawnLanes.first ? 1 :
+                    lane === this.spawnLanes.last ? -1 :
+                    (this.rng.next() < 0.5 ? -1 : 1);
+                obstacle.targetLane = lane + direction;
+                obstacle.changeAtY = this.rng.range(0.15, 0.45) * this.gameHeight;
+            }
+
+            obstacle.prevX = obstacle.x;
+            obstacle.prevY = obstacle.y;
+            this.obstacles.push(obstacle);
+            if (this.events) {
+                this.events.emit('obstacle:spawn', { obstacle, tick: this.tick });
+            }
+            return obstacle;
+        }
+
+        acquireObstacle(type) {
+            // Try to reuse from this type's pool
+            const pool = this.obstaclePool[type.id];
+            if (pool.length > 0) {
+                return pool.pop();
+            }
+
+            // Create new obstacle if pool is empty
+            return {
+                type: type,
+                x: 0,
+                y: 0,
+                prevX: 0,
+                prevY: 0,
+                width: type.width,
+                height: type.height,
+                lane: 0,
+                targetLane: 0,
+                changeAtY: 0,
+                state: 'active',
+                timer: 0,
+                hit: false,
+                passed: false
+            };
+        }
+
+        returnObstacleToPool(obstacle) {
+            // Return obstacle to its type's pool for reuse
+            const pool = this.obstaclePool[obstacle.type.id];
+            if (pool.length < this.obstaclePoolSize) {
+                pool.push(obstacle);
+            }
+        }
+
+        // Coins arrive in short trails on their own timer, power-ups less often
+        spawnPickups() {
+            if (++this.coinSpawnTimer >= this.coinSpawnInterval) {
+                this.coinSpawnTimer = 0;
+                this.spawnCoinTrail();
+            }
+
+            if (++this.powerUpSpawnTimer >= this.powerUpSpawnInterval) {
+                this.powerUpSpawnTimer = 0;
+                const type = PickupTypes.pickPowerUp(this.rng);
+                const lane = this.findPickupLane(type.height);
+                if (lane !== -1) {
+                    this.spawnPickup(type, lane, -type.height);
+                }
+            }
+        }
+
+        spawnCoinTrail() {
+            const coin = PickupTypes.TYPES.coin;
+            const lane = this.findPickupLane(this.coinTrailLength * this.coinSpacing);
+            if (lane === -1) return;
+
+            for (let i = 0; i < this.coinTrailLength; i++) {
+                this.spawnPickup(coin, lane, -coin.height - i * this.coinSpacing);
+            }
+        }
+
+        // A random spawn lane with `length` pixels clear of obstacles above the
+        // top of the screen, or -1. Lanes with slow traffic anywhere on screen
+        // are skipped too, since pickups would catch up with it.
+        findPickupLane(length) {
+            const first = this.spawnLanes.first;
+            const count = this.spawnLanes.last - first + 1;
+            const start = this.rng.int(count);
+
+            for (let i = 0; i < count; i++) {
+                const lane = first + (start + i) % count;
+                if (this.isClearForPickups(lane, length)) {
+                    return lane;
+                }
+            }
+            return -1;
+        }
+
+        isClearForPickups(lane, length) {
+            const margin = 60;
+            for (const obstacle of this.obstacles) {
+                const from = Math.min(obstacle.lane, obstacle.targetLane);
+                const to = Math.max(obstacle.lane, obstacle.targetLane) + obstacle.type.lanes - 1;
+                if (lane < from || lane > to) continue;
+
+                const overlaps = obstacle.y < margin && obstacle.y + obstacle.height > -length - margin;
+                if (overlaps || obstacle.type.speedFactor < 1) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        spawnPickup(type, lane, y) {
+            if (this.pickups.length >= this.maxPickups) {
+                return null;
+            }
+
+            const pickup = this.acquirePickup(type);
+            pickup.lane = lane;
+            pickup.x = this.laneX(lane, pickup.width);
+            pickup.y = y;
+            pickup.prevX = pickup.x;
+            pickup.prevY = pickup.y;
+            this.pickups.push(pickup);
+            return pickup;
+        }
+
+        acquirePickup(type) {
+            const pool = this.pickupPool[type.id];
+            if (pool.length > 0) {
+                return pool.pop();
+            }
+
+            return {
+                type: type,
+                x: 0,
+                y: 0,
+                prevX: 0,
+                prevY: 0,
+                width: type.width,
+                height: type.height,
+                lane: 0
+            };
+        }
+
+        returnPickupToPool(pickup) {
+            const pool = this.pickupPool[pickup.type.id];
+            if (pool.length < this.pickupPoolSize) {
+                pool.push(pickup);
+            }
+        }
+
+        // Pickups are collected on any overlap with the car
+        checkPickup(player, pickup) {
+            return player.x < pickup.x + pickup.width &&
+                   player.x + player.width > pickup.x &&
+                   player.y < pickup.y + pickup.height &&
+                   player.y + player.height > pickup.y;
+        }
+
+        checkCollision(player, obstacle) {
+            // Obstacle hitboxes are inset from their drawn size
+            const inset = obstacle.type.hitbox;
+            return player.x < obstacle.x + obstacle.width - inset.x &&
+                   player.x + player.width > obstacle.x + inset.x &&
+                   player.y < obstacle.y + obstacle.height - inset.y &&
+                   player.y + player.height > obstacle.y + inset.y;
+        }
+
+        // Squeezing past a solid obstacle with only a few pixels to spare
+        isNearMiss(obstacle) {
+            if (obstacle.hit || obstacle.type.effect === 'oil') {
+                return false;
+            }
+            const gap = Math.max(
+                obstacle.x - (this.player.x + this.player.width),
+                this.player.x - (obstacle.x + obstacle.width)
+            );
+            return gap < this.nearMissGap;
+        }
+
+        gameOver() {
+            this.gameState = 'gameOver';
+        }
+
+        // Run summary in display units (metres, seconds, km/h)
+        getRunStats() {
+            return {
+                score: this.score,
+                coins: this.coins,
+                obstaclesPassed: this.obstaclesPassed,
+                nearMisses: this.nearMisses,
+                distance: Math.round(this.distance / PIXELS_PER_METER),
+                duration: Math.round((this.tick / TICK_RATE) * 10) / 10,
+                maxSpeed: Math.round((this.maxSpeed * TICK_RATE / PIXELS_PER_METER) * 3.6)
+            };
+        }
+    }
+
+    DriverSimulation.RULES_VERSION = RULES_VERSION;
+    DriverSimulation.TICK_RATE = TICK_RATE;
+    DriverSimulation.TICK_MS = TICK_MS;
+    DriverSimulation.PIXELS_PER_METER = PIXELS_PER_METER;
+    DriverSimulation.STEERING_MODES = STEERING_MODES;
+
+    return DriverSimulation;
+}));
@@ -0,0 +1,514 @@
+// Spawn pattern generator for Endless Driver
+// Obstacles arrive in authored formations chosen by difficulty tier. Before a
+// formation (or any row of it) is placed, a lane-path search checks that the
+// player can still get through everything on the road given how fast they
+// can change lanes. Rows that would wall the player in are never spawned.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./obstacle-types'), require('./road-layouts'));
+    } else {
+        root.SpawnPatterns = factory(root.ObstacleTypes, root.RoadLayouts);
+    }
+}(typeof self !== 'undefined' ? self : this, function (ObstacleTypes, RoadLayouts) {
+    'use strict';
+
+    // Ticks a lane change is assumed to take; the player occupies both lanes
+    // for this long. Planned moves can be this close together, sooner than a
+    // held key repeats (sim.steerRepeatDelay), so on a keyboard each move is
+    // a fresh press.
+    const LANE_CHANGE_TICKS = 10;
+
+    // Extra ticks added either side of every blocked window as a safety margin
+    const BLOCK_MARGIN = 3;
+
+    // Attempts at finding a passable formation before giving up for this row
+    const MAX_ATTEMPTS = 8;
+
+    // Longest look-ahead the path search considers
+    const MAX_HORIZON = 900;
+
+    // Row characters: '.' empty, 'C' car, 'TT' truck (two lanes), 'S' swerver,
+    // 'O' oil slick, 'R' roadblock
+    const ROW_CODES = {
+        C: 'car',
+        T: 'truck',
+        S: 'swerver',
+        O: 'oil',
+        R: 'roadblock'
+    };
+
+    // Tiers follow road speed: 0 warm-up, 1 mixed traffic, 2 busy, 3 frantic
+    const TIER_SPEEDS = [6.5, 9, 12];
+
+    // Formations narrower than the road are placed at a random lane offset.
+    // spacing is the gap between rows as a fraction of the spawn interval.
+    const FORMATIONS = [
+        { id: 'single-car', minTier: 0, weight: 6, rows: ['C'] },
+        { id: 'truck', minTier: 0, weight: 2, rows: ['TT'] },
+        { id: 'oil', minTier: 0, weight: 2, rows: ['O'] },
+        { id: 'swerver', minTier: 1, weight: 2, rows: ['S'] },
+        { id: 'roadblock', minTier: 1, weight: 1, rows: ['R'] },
+        { id: 'pair', minTier: 1, weight: 3, rows: ['C.C'] },
+        { id: 'gate', minTier: 1, weight: 2, rows: ['CC.'] },
+        { id: 'oil-gate', minTier: 1, weight: 2, rows: ['O.C'] },
+        { id: 'stagger', minTier: 1, weight: 2, rows: ['C..', '.C.', '..C'], spacing: 0.7 },
+        { id: 'zigzag', minTier: 2, weight: 2, rows: ['CC.', '.CC'], spacing: 0.8 },
+        { id: 'convoy', minTier: 2, weight: 1, rows: ['TT.', '.TT'], spacing: 1.5 },
+        { id: 'roadblock-pair', minTier: 2, weight: 1, rows: ['R.R'] },
+        { id: 'swerve-follow', minTier: 2, weight: 1, rows: ['S..', '..C'], spacing: 0.8 },
+        { id: 'slalom', minTier: 3, weight: 2, rows: ['C.C', '.C.', 'C.C'], spacing: 0.7 },
+        { id: 'chicane', minTier: 3, weight: 1, rows: ['CC.', '..O', '.CC'], spacing: 0.7 }
+    ];
+
+    // Parse a row string into [{ type, lane }] placements
+    function parseRow(row) {
+        const placements = [];
+        for (let i = 0; i < row.length; i++) {
+            const code = row[i];
+            if (code === '.') continue;
+
+            const id = ROW_CODES[code];
+            if (!id) {
+                throw new Error(`Unknown formation code "${code}" in "${row}"`);
+            }
+
+            const type = ObstacleTypes.get(id);
+            placements.push({ type: type, lane: i });
+            i += type.lanes - 1; // Multi-lane obstacles use several characters
+        }
+        return placements;
+    }
+
+    for (const formation of FORMATIONS) {
+        formation.spacing = formation.spacing || 1;
+        formation.width = formation.rows.reduce((max, row) => Math.max(max, row.length), 0);
+        formation.parsedRows = formation.rows.map(parseRow);
+    }
+
+    function tierFor(gameSpeed) {
+        let tier = 0;
+        while (tier < TIER_SPEEDS.length && gameSpeed >= TIER_SPEEDS[tier]) {
+            tier++;
+        }
+        return tier;
+    }
+
+    // Road speed over the coming ticks as constant-speed stretches
+    // ([{ tick, distance, speed }]), following the difficulty ramp's speed-ups
+    // and the end of slow motion. The last stretch runs on indefinitely.
+    function speedSchedule(sim) {
+        // Free steering leaves the speed to the driver; assume they hold it
+        if (sim.steering === 'free') {
+            return [{ tick: 0, distance: 0, speed: sim.scrollSpeed() }];
+        }
+
+        const stretches = [];
+        const slowScale = sim.scrollSpeed() / sim.gameSpeed;
+        let speed = sim.gameSpeed;
+        let untilStep = sim.ticksUntilSpeedUp();
+        let slowTicks = slowScale < 1 ? sim.powerUps.slowmo : 0;
+        let tick = 0;
+        let distance = 0;
+
+        for (;;) {
+            const scale = slowTicks > 0 ? slowScale : 1;
+            stretches.push({ tick: tick, distance: distance, speed: speed * scale });
+
+            let length = speed < sim.maxGameSpeed ? untilStep : Infinity;
+            if (slowTicks > 0) {
+                length = Math.min(length, slowTicks);
+            }
+            if (length === Infinity || tick > MAX_HORIZON) {
+                return stretches;
+            }
+
+            tick += length;
+            distance += speed * scale * length;
+            slowTicks = Math.max(0, slowTicks - length);
+            untilStep -= length;
+            if (untilStep === 0) {
+                speed = Math.min(speed + sim.speedStep, sim.maxGameSpeed);
+                untilStep = sim.speedUpInterval;
+            }
+        }
+    }
+
+    // Road distance scrolled over the next `ticks`
+    function roadDistance(schedule, ticks) {
+        let i = schedule.length - 1;
+        while (i > 0 && schedule[i].tick > ticks) i--;
+        const stretch = schedule[i];
+        return stretch.distance + stretch.speed * (ticks - stretch.tick);
+    }
+
+    // Inverse of roadDistance: ticks until the road has scrolled `distance`
+    function ticksToScroll(schedule, distance) {
+        let i = schedule.length - 1;
+        while (i > 0 && schedule[i].distance > distance) i--;
+        const stretch = schedule[i];
+        return stretch.tick + (distance - stretch.distance) / stretch.speed;
+    }
+
+    // The next lane change to reach the player: the announced one, or the one
+    // the layout will announce at the next section boundary. `tick` is when
+    // its marker reaches the player's row (ticks from now).
+    function upcomingChange(sim, schedule) {
+        const change = sim.roadChange;
+        if (change && !change.applied) {
+            return {
+                tick: ticksToScroll(schedule, sim.player.y - change.y),
+                firstLane: change.firstLane,
+                lastLane: change.lastLane
+            };
+        }
+
+        const next = sim.nextRoadChange();
+        if (!next) {
+            return null;
+        }
+
+        // The marker is placed ANNOUNCE_TICKS of road ahead at that tick's speed
+        const scrolled = roadDistance(schedule, next.ticks - 1);
+        const speed = roadDistance(schedule, next.ticks) - scrolled;
+        return {
+            tick: ticksToScroll(schedule, scrolled + RoadLayouts.ANNOUNCE_TICKS * speed),
+            firstLane: next.firstLane,
+            lastLane: next.lastLane
+        };
+    }
+
+    // Time window (in ticks from now) during which an obstacle overlaps the
+    // player's row, and the lanes it blocks over that window.
+    // Pass spawnDelay for obstacles that have not been spawned yet.
+    function blockedWindow(sim, schedule, obstacle, spawnDelay) {
+        const type = obstacle.type;
+        const player = sim.player;
+        const inset = type.hitbox;
+
+        let delay = spawnDelay;
+        if (obstacle.state === 'warning') {
+            delay += obstacle.timer;
+        }
+
+        // Obstacles move speedFactor pixels per pixel of road scrolled
+        const scrolled = roadDistance(schedule, delay);
+        const top = obstacle.y + inset.y;
+        const bottom = obstacle.y + obstacle.height - inset.y;
+        const toEnter = Math.max(0, player.y - bottom) / type.speedFactor;
+        const toLeave = (player.y + player.height - top) / type.speedFactor;
+        const start = Math.max(delay, ticksToScroll(schedule, scrolled + toEnter)) - BLOCK_MARGIN;
+        // Already clear of the player: no margin, or a speed change could
+        // make something behind the player look like it still blocks
+        const end = toLeave <= 0 ? -1 : ticksToScroll(schedule, scrolled + toLeave) + BLOCK_MARGIN;
+
+        let firstLane = obstacle.lane;
+        let lastLane = obstacle.lane + type.lanes - 1;
+        if (type.behaviour === 'laneChange') {
+            // Spawned swervers know their target; planned ones may go either way
+            if (obstacle.targetLane !== undefined) {
+                firstLane = Math.min(firstLane, obstacle.targetLane);
+                lastLane = Math.max(lastLane, obstacle.targetLane);
+            } else {
+                firstLane--;
+                lastLane++;
+            }
+        }
+
+        return {
+            start: start,
+            end: end,
+            firstLane: Math.max(0, firstLane),
+            lastLane: Math.min(sim.lanes.length - 1, lastLane)
+        };
+    }
+
+    // Ticks a lane change takes. Free steering is slower than a lane snap:
+    // one lane width at the car's top lateral speed, plus time to build it up.
+    function laneChangeTicks(sim) {
+        if (sim.steering !== 'free') {
+            return LANE_CHANGE_TICKS;
+        }
+        const vehicle = sim.vehicle;
+        const lateral = Math.min(vehicle.maxLateral, vehicle.steerAccel * vehicle.grip / (1 - vehicle.grip));
+        return Math.ceil(sim.laneWidth / lateral) + 5;
+    }
+
+    // Collect blocked windows for everything on the road plus planned rows
+    // ([{ delay, placements }]) that are about to be spawned
+    function collectWindows(sim, schedule, plannedRows) {
+        const windows = [];
+
+        for (const obstacle of sim.obstacles) {
+            if (obstacle.hit) continue; // Oil already driven over
+            const window = blockedWindow(sim, schedule, obstacle, 0);
+            if (window.end > 0) {
+                windows.push(window);
+            }
+        }
+
+        for (const row of plannedRows) {
+            for (const placement of row.placements) {
+                const planned = {
+                    type: placement.type,
+                    lane: placement.lane,
+                    y: -placement.type.height * sim.config.obstacleScale,
+                    height: placement.type.height * sim.config.obstacleScale,
+                    state: placement.type.behaviour === 'warning' ? 'warning' : 'active',
+                    timer: placement.type.warningTicks || 0
+                };
+                windows.push(blockedWindow(sim, schedule, planned, row.delay));
+            }
+        }
+
+        return windows;
+    }
+
+    // Search for a route through the blocked windows. Returns the planned
+    // moves ([{ tick, direction }], ticks from now) or null if the player is
+    // walled in. An empty array means staying put is safe.
+    function findPath(sim, plannedRows = []) {
+        const laneCount = sim.lanes.length;
+        const schedule = speedSchedule(sim);
+        const windows = collectWindows(sim, schedule, plannedRows);
+
+        let horizon = 1;
+        for (const window of windows) {
+            horizon = Math.max(horizon, Math.ceil(window.end) + 1);
+        }
+
+        // A lane change switches the open lanes when its marker reaches the
+        // player; search past that point if it is close enough to matter
+        let change = upcomingChange(sim, schedule);
+        if (change && change.tick > MAX_HORIZON) {
+            change = null;
+        }
+        const changeTick = change ? change.tick : Infinity;
+        if (change) {
+            horizon = Math.max(horizon, Math.ceil(changeTick) + BLOCK_MARGIN + 1);
+        }
+        horizon = Math.min(horizon, MAX_HORIZON);
+
+        // blocked[t * laneCount + lane] and prefix sums per lane for range checks
+        const blocked = new Uint8Array((horizon + 1) * laneCount);
+        for (const window of windows) {
+            const from = Math.max(0, Math.floor(window.start));
+            const to = Math.min(horizon, Math.ceil(window.end));
+            for (let t = from; t <= to; t++) {
+                for (let lane = window.firstLane; lane <= window.lastLane; lane++) {
+                    blocked[t * laneCount + lane] = 1;
+                }
+            }
+        }
+
+        // Closed lanes are blocked; around the change only lanes open on both
+        // sides of it are safe
+        for (let t = 0; t <= horizon; t++) {
+            let first = sim.firstLane;
+            let last = sim.lastLane;
+            if (t > changeTick + BLOCK_MARGIN) {
+                first = change.firstLane;
+                last = change.lastLane;
+            } else if (t >= changeTick - BLOCK_MARGIN) {
+                first = Math.max(first, change.firstLane);
+                last = Math.min(last, change.lastLane);
+            }
+            for (let lane = 0; lane < laneCount; lane++) {
+                if (lane < first || lane > last) {
+                    blocked[t * laneCount + lane] = 1;
+                }
+            }
+        }
+
+        const prefix = new Int32Array((horizon + 2) * laneCount);
+        for (let t = 0; t <= horizon; t++) {
+            for (let lane = 0; lane < laneCount; lane++) {
+                prefix[(t + 1) * laneCount + lane] = prefix[t * laneCount + lane] + blocked[t * laneCount + lane];
+            }
+        }
+
+        const isClear = (lane, from, to) => {
+            to = Math.min(to, horizon);
+            return prefix[(to + 1) * laneCount + lane] - prefix[from * laneCount + lane] === 0;
+        };
+
+        // Breadth-first over (tick, lane); parent stores how each state was reached
+        const visited = new Int32Array((horizon + 1) * laneCount).fill(-1);
+        const startLane = sim.player.lane;
+        if (blocked[startLane]) {
+            return null;
+        }
+
+        const lockTicks = sim.player.steeringLock || 0;
+        const changeTicks = laneChangeTicks(sim);
+        const queue = [startLane];
+        visited[startLane] = startLane;
+
+        for (let head = 0; head < queue.length; head++) {
+            const state = queue[head];
+            const t = Math.floor(state / laneCount);
+            const lane = state % laneCount;
+
+            if (t >= horizon) {
+                return tracePath(visited, state, laneCount);
+            }
+
+            // Stay in lane for a tick
+            const stay = (t + 1) * laneCount + lane;
+            if (visited[stay] === -1 && !blocked[stay]) {
+                visited[stay] = state;
+                queue.push(stay);
+            }
+
+            // Change lane: both lanes must stay clear for the whole manoeuvre
+            if (t < lockTicks) continue;
+            for (const direction of [-1, 1]) {
+                const next = lane + direction;
+                if (next < 0 || next >= laneCount) continue;
+
+                const arrive = Math.min(horizon, t + changeTicks);
+                const target = arrive * laneCount + next;
+                if (visited[target] === -1 && isClear(lane, t, arrive) && isClear(next, t, arrive)) {
+                    visited[target] = state;
+                    queue.push(target);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    function tracePath(visited, state, laneCount) {
+        const moves = [];
+        while (visited[state] !== state) {
+            const previous = visited[state];
+            const lane = state % laneCount;
+            const previousLane = previous % laneCount;
+            if (lane !== previousLane) {
+                moves.push({ tick: Math.floor(previous / laneCount), direction: lane - previousLane });
+            }
+            state = previous;
+        }
+        return moves.reverse();
+    }
+
+    function hasSafePath(sim, plannedRows = []) {
+        return findPath(sim, plannedRows) !== null;
+    }
+
+    // Feeds the simulation one row of obstacles at a time from formations
+    class SpawnDirector {
+        constructor() {
+            this.reset();
+        }
+
+        reset() {
+            this.formation = null;
+            this.offset = 0;
+            this.rowIndex = 0;
+            this.stats = { formations: 0, rows: 0, rejected: 0, skipped: 0 };
+        }
+
+        // Candidate formations for a tier that fit the lanes open for spawning
+        candidates(sim) {
+            const tier = tierFor(sim.gameSpeed);
+            const width = sim.spawnLanes.last - sim.spawnLanes.first + 1;
+            return FORMATIONS.filter(f => f.minTier <= tier && f.width <= width);
+        }
+
+        pickFormation(sim, candidates) {
+            let total = 0;
+            for (const formation of candidates) {
+                total += formation.weight;
+            }
+
+            let roll = sim.rng.next() * total;
+            for (const formation of candidates) {
+                roll -= formation.weight;
+                if (roll < 0) return formation;
+            }
+            return candidates[candidates.length - 1];
+        }
+
+        // Rows of a formation as placements shifted onto the road, each with
+        // the delay (ticks from now) it would spawn at
+        planRows(sim, formation, offset, fromRow) {
+            const rows = [];
+            let delay = 0;
+            for (let i = fromRow; i < formation.parsedRows.length; i++) {
+                rows.push({
+                    delay: delay,
+                    placements: formation.parsedRows[i].map(p => ({ type: p.type, lane: p.lane + offset }))
+                });
+                delay += Math.round(sim.obstacleSpawnInterval * formation.spacing);
+            }
+            return rows;
+        }
+
+        // Choose a passable formation, trying a few before giving up
+        startFormation(sim) {
+            const candidates = this.candidates(sim);
+
+            for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+                const formation = this.pickFormation(sim, candidates);
+                const width = sim.spawnLanes.last - sim.spawnLanes.first + 1;
+                const offset = sim.spawnLanes.first + sim.rng.int(width - formation.width + 1);
+
+                if (hasSafePath(sim, this.planRows(sim, formation, offset, 0))) {
+                    this.formation = formation;
+                    this.offset = offset;
+                    this.rowIndex = 0;
+                    this.stats.formations++;
+                    return true;
+                }
+                this.stats.rejected++;
+            }
+            return false;
+        }
+
+        // Spawn the next row into the simulation. Returns the ticks to wait
+        // before the next row.
+        spawnNext(sim) {
+            if (!this.formation && !this.startFormation(sim)) {
+                // Nothing passable right now; leave the road clear this time
+                this.stats.skipped++;
+                return sim.obstacleSpawnInterval;
+            }
+
+            const formation = this.formation;
+            const row = this.planRows(sim, formation, this.offset, this.rowIndex)[0];
+
+            // Re-check the row as it lands in case the road changed since the
+            // formation was chosen (speed-ups, lane changes, earlier rows
+            // dropped by the cap)
+            const fits = row.placements.every(p => p.lane >= sim.spawnLanes.first &&
+                p.lane + p.type.lanes - 1 <= sim.spawnLanes.last);
+            if (fits && hasSafePath(sim, [row])) {
+                for (const placement of row.placements) {
+                    sim.spawnObstacle(placement.type, placement.lane);
+                }
+                this.stats.rows++;
+            } else {
+                this.stats.skipped++;
+            }
+
+            this.rowIndex++;
+            if (this.rowIndex >= formation.parsedRows.length) {
+                this.formation = null;
+                return sim.obstacleSpawnInterval;
+            }
+            return Math.round(sim.obstacleSpawnInterval * formation.spacing);
+        }
+    }
+
+    return {
+        LANE_CHANGE_TICKS,
+        FORMATIONS,
+        TIER_SPEEDS,
+        parseRow,
+        tierFor,
+        findPath,
+        hasSafePath,
+        SpawnDirector
+    };
+}));
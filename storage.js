@@ -0,0 +1,72 @@
+// Saved data for Endless Driver
+// Scores, progress and settings are each kept in localStorage as one JSON
+// record under a key of their own, with a schema version. Storage can be
+// missing or refuse access, and a record can be corrupt or written by a newer
+// version of the game; all of these are reported in the console and the
+// module keeps its defaults, so the game always starts.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SavedData = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // localStorage, or null where there is none
+    function defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (err) {
+            // Access can throw when storage is disabled (e.g. private mode)
+            return null;
+        }
+    }
+
+    // Throws unless data is an object from schema `version` or older. what
+    // names the data in the error, e.g. 'audio settings'.
+    function checkVersion(data, version, what) {
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number' || data.version > version) {
+            throw new Error(`Unsupported ${what} version: ${data && data.version}`);
+        }
+        return data;
+    }
+
+    // Passes the record under key to apply(data), which checks it and takes
+    // what it needs, and returns whether it was applied. It is not when there
+    // is no storage or nothing saved, or when the record cannot be read or
+    // apply throws; those last two log warning with the reason.
+    function load(storage, key, apply, warning) {
+        if (!storage) return false;
+
+        try {
+            const raw = storage.getItem(key);
+            if (!raw) return false;
+            apply(JSON.parse(raw));
+            return true;
+        } catch (err) {
+            console.warn(warning, err.message);
+            return false;
+        }
+    }
+
+    // Writes data as the record under key; a full or disabled storage logs
+    // warning instead of throwing
+    function save(storage, key, data, warning) {
+        if (!storage) return;
+
+        try {
+            storage.setItem(key, JSON.stringify(data));
+        } catch (err) {
+            console.warn(warning, err.message);
+        }
+    }
+
+    return {
+        defaultStorage,
+        checkVersion,
+        load,
+        save
+    };
+}));
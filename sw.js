@@ -0,0 +1,111 @@
+// Service worker for Endless Driver
+// Precaches the game so it starts and plays with no connection. `npm run
+// build` writes sw.min.js from this file with the production file list and a
+// version hashed from those files (build-sw.js), so every build that changes
+// the game installs as an update under a new cache. This unbuilt copy has the
+// version 'dev' and serves the source files network-first, so edits show up
+// on a normal reload and the cache is only used offline.
+
+const CACHE_PREFIX = 'endless-driver-';
+const CACHE_VERSION = 'dev';
+const PRECACHE_URLS = [
+    'index.html',
+    'manifest.webmanifest',
+    'styles.css',
+    'storage.js',
+    'rng.js',
+    'config.js',
+    'obstacle-types.js',
+    'pickup-types.js',
+    'road-layouts.js',
+    'spawn-patterns.js',
+    'events.js',
+    'simulation.js',
+    'replay.js',
+    'ghost.js',
+    'autopilot.js',
+    'leaderboard.js',
+    'progression.js',
+    'controls.js',
+    'accessibility.js',
+    'audio.js',
+    'assets.js',
+    'renderers.js',
+    'effects.js',
+    'render-thread.js',
+    'render-worker.js',
+    'debug.js',
+    'offline.js',
+    'game.js',
+    'assets/icon-192.png',
+    'assets/icon-512.png',
+    'assets/icon.svg',
+    'assets/sprites-neon.json',
+    'assets/sprites-neon.svg',
+    'assets/sprites.json',
+    'assets/sprites.svg',
+    'assets/themes.json'
+];
+
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+const NETWORK_FIRST = CACHE_VERSION === 'dev';
+
+self.addEventListener('install', (event) => {
+    // Past the HTTP cache, which may still hold the last build's files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(
+            PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+        ))
+    );
+});
+
+// Caches from earlier versions go once this one takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// A new version waits until the player accepts the update (offline.js)
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // The page is opened with query strings (?preset=hard, ?debug) and
+    // from its folder, so every navigation is answered with index.html
+    const key = request.mode === 'navigate' ? 'index.html' : request;
+    event.respondWith(NETWORK_FIRST ? networkFirst(request, key) : cacheFirst(request, key));
+});
+
+function cacheFirst(request, key) {
+    return caches.open(CACHE_NAME)
+        .then(cache => cache.match(key, { ignoreSearch: true }))
+        .then(cached => cached || fetch(request));
+}
+
+function networkFirst(request, key) {
+    return fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(key, copy));
+            }
+            return response;
+        })
+        .catch(err => caches.open(CACHE_NAME)
+            .then(cache => cache.match(key, { ignoreSearch: true }))
+            .then((cached) => {
+                if (!cached) throw err;
+                return cached;
+            }));
+}
@@ -0,0 +1,198 @@
+// Tests for accessibility settings, palettes, one-switch play and announcements
+const ObstacleTypes = require('./obstacle-types');
+const PickupTypes = require('./pickup-types');
+const AssetManager = require('./assets');
+const Accessibility = require('./accessibility');
+const { check, assert, throws, createStorage, finish } = require('./test-helpers');
+
+console.log('♿ Endless Driver Game - Accessibility Tests\n');
+
+// Stand-in for window.matchMedia with a switchable reduced-motion preference
+function createMedia(reduce) {
+    const listeners = [];
+    const query = {
+        get matches() { return media.reduce; },
+        addEventListener: (type, listener) => listeners.push(listener)
+    };
+    const media = {
+        reduce,
+        match: () => query,
+        change(value) {
+            media.reduce = value;
+            listeners.forEach(listener => listener());
+        }
+    };
+    return media;
+}
+
+function createSettings(options = {}) {
+    return new Accessibility.AccessibilitySettings(Object.assign({ storage: createStorage(), matchMedia: null }, options));
+}
+
+// Colour vision deficiency simulation (Machado, Oliveira and Fernandes
+// 2009, full severity), applied to linear RGB
+const VISION = {
+    protanopia: [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]],
+    deuteranopia: [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]],
+    tritanopia: [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]]
+};
+const PALETTE_VISION = { redGreen: ['protanopia', 'deuteranopia'], blueYellow: ['tritanopia'] };
+
+function toLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function toSrgb(value) {
+    const c = Math.max(0, Math.min(1, value));
+    return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
+
+// How a #rrggbb colour looks with the given vision, as sRGB
+function seen(hex, vision) {
+    const linear = [1, 3, 5].map(i => toLinear(parseInt(hex.slice(i, i + 2), 16)));
+    return VISION[vision].map(row => toSrgb(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]));
+}
+
+function luminance(rgb) {
+    const [r, g, b] = rgb.map(toLinear);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// WCAG contrast ratio
+function contrast(a, b) {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// Silence expected warnings from corrupt-data tests
+console.warn = () => {};
+
+console.log('⚙️ Settings:');
+console.log('------------------------');
+
+check('Defaults change nothing', () => {
+    const settings = createSettings().settings;
+    assert(settings.palette === 'standard' && !settings.shapeCues && !settings.oneSwitch, 'an option is on');
+    assert(settings.reducedMotion === 'auto' && settings.speedAssist === 1, 'motion or speed changed');
+    assert(createSettings().palette === null, 'standard palette recolours the theme');
+});
+
+check('Options persist and bad values fall back', () => {
+    const storage = createStorage();
+    const settings = createSettings({ storage });
+    settings.set('palette', 'redGreen');
+    settings.set('shapeCues', true);
+    settings.set('speedAssist', 0.7);
+    settings.set('speedAssist', 0.33);
+    settings.set('reducedMotion', 'sometimes');
+
+    const reloaded = createSettings({ storage }).settings;
+    assert(reloaded.palette === 'redGreen' && reloaded.shapeCues === true, 'palette or cues lost');
+    assert(reloaded.speedAssist === 1 && reloaded.reducedMotion === 'auto', 'bad values kept');
+    assert(throws(() => settings.set('fontSize', 20), /fontSize/), 'out-of-range font size accepted');
+});
+
+check('Corrupt or newer settings fall back to defaults', () => {
+    const key = 'endless-driver.accessibility';
+    const newer = createSettings({ storage: createStorage({ [key]: JSON.stringify({ version: 99, palette: 'redGreen' }) }) });
+    assert(newer.settings.palette === 'standard', 'newer settings used');
+    const corrupt = createSettings({ storage: createStorage({ [key]: '{oops' }) });
+    assert(corrupt.settings.palette === 'standard', 'corrupt settings used');
+    assert(createSettings({ storage: null }).settings.speedAssist === 1, 'no storage broke the defaults');
+});
+
+check('Reduced motion follows the system unless set', () => {
+    const media = createMedia(true);
+    const settings = createSettings({ matchMedia: media.match });
+    assert(settings.reducedMotion, 'system preference ignored');
+    settings.set('reducedMotion', 'off');
+    assert(!settings.reducedMotion, 'off ignored');
+    settings.set('reducedMotion', 'on');
+    media.change(false);
+    assert(settings.reducedMotion, 'on ignored');
+
+    let changes = 0;
+    settings.set('reducedMotion', 'auto');
+    settings.watchSystem(() => changes++);
+    media.change(true);
+    assert(changes === 1 && settings.reducedMotion, 'system change missed');
+    assert(!createSettings().reducedMotion, 'no matchMedia should mean full motion');
+});
+
+console.log('\n🎨 Palettes:');
+console.log('------------------------');
+
+check('Every palette colours every obstacle and pickup', () => {
+    for (const id of Accessibility.PALETTE_IDS) {
+        const colors = Accessibility.PALETTES[id].colors;
+        if (!colors) continue;
+        assert(ObstacleTypes.IDS.every(type => /^#[0-9a-f]{6}$/.test(colors.obstacles[type])), `${id} misses an obstacle`);
+        assert(PickupTypes.IDS.every(type => typeof colors.pickups[type] === 'string'), `${id} misses a pickup`);
+    }
+});
+
+check('Obstacles stay apart and stand out for the vision each palette is for', () => {
+    const road = AssetManager.DEFAULT_COLORS.background;
+    for (const id of Object.keys(PALETTE_VISION)) {
+        const obstacles = Accessibility.PALETTES[id].colors.obstacles;
+        for (const vision of PALETTE_VISION[id]) {
+            const colors = ObstacleTypes.IDS.map(type => seen(obstacles[type], vision));
+            for (let i = 0; i < colors.length; i++) {
+                const ratio = contrast(colors[i], seen(road, vision));
+                assert(ratio >= 4, `${id} ${ObstacleTypes.IDS[i]} has ${ratio.toFixed(1)}:1 against the road with ${vision}`);
+                for (let j = i + 1; j < colors.length; j++) {
+                    const gap = Math.hypot(...colors[i].map((c, k) => c - colors[j][k]));
+                    assert(gap > 80, `${id} ${ObstacleTypes.IDS[i]} and ${ObstacleTypes.IDS[j]} look alike with ${vision}`);
+                }
+            }
+        }
+    }
+});
+
+check('Every obstacle type has a shape cue of its own', () => {
+    const cues = ObstacleTypes.IDS.map(id => ObstacleTypes.TYPES[id].cue);
+    assert(cues.every(cue => typeof cue === 'string'), 'a type has no cue');
+    assert(new Set(cues).size === cues.length, `cues repeat: ${cues.join()}`);
+});
+
+console.log('\n🔘 One-switch:');
+console.log('------------------------');
+
+check('Presses sweep across the road and back', () => {
+    const cycler = new Accessibility.LaneCycler();
+    let lane = 1;
+    const visited = [];
+    for (let i = 0; i < 6; i++) {
+        lane += cycler.press(lane, 0, 3);
+        visited.push(lane);
+    }
+    assert(visited.join() === '2,3,2,1,0,1', visited.join());
+});
+
+check('A closed lane sends the car back onto the road', () => {
+    const cycler = new Accessibility.LaneCycler();
+    assert(cycler.press(3, 0, 2) === -1, 'drove further off the road');
+    assert(cycler.press(0, 1, 3) === 1, 'drove further off the road');
+    assert(cycler.press(2, 2, 2) === 0, 'moved on a one-lane road');
+});
+
+console.log('\n📢 Announcements:');
+console.log('------------------------');
+
+check('Score is read out at milestones only', () => {
+    const announcer = new Accessibility.ScoreAnnouncer({ step: 100 });
+    const said = [10, 90, 105, 150, 230, 240, 300].map(score => announcer.update(score)).filter(Boolean);
+    assert(said.join('|') === 'Score 105|Score 230|Score 300', said.join('|'));
+    announcer.reset();
+    assert(announcer.update(120) === 'Score 120', 'reset kept the old milestone');
+});
+
+check('Game over says how the run went', () => {
+    const stats = { score: 240, distance: 812, coins: 7 };
+    const text = Accessibility.describeGameOver(stats);
+    assert(/Game over/.test(text) && /240 points/.test(text) && /812 metres/.test(text) && /7 coins/.test(text), text);
+    assert(!/best/.test(text) && /New best/.test(Accessibility.describeGameOver(stats, true)), 'best score wrong');
+});
+
+finish('accessibility');
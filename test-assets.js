@@ -0,0 +1,212 @@
+// Tests for the asset manager and the shipped theme manifest
+// File and image loading are stubbed, so these run without a browser.
+const fs = require('fs');
+const path = require('path');
+const AssetManager = require('./assets');
+const ObstacleTypes = require('./obstacle-types');
+const PickupTypes = require('./pickup-types');
+const { check, heading, assert, createStorage, finish } = require('./test-helpers');
+
+console.log('🎨 Endless Driver Game - Asset Tests\n');
+
+// Serves JSON from the repo, optionally failing some paths
+function repoFetch(broken = []) {
+    return (url) => {
+        if (broken.includes(url)) return Promise.reject(new Error(`${url}: HTTP 404`));
+        return Promise.resolve(JSON.parse(fs.readFileSync(path.join(__dirname, url), 'utf-8')));
+    };
+}
+
+// Images are stand-ins rasterised at twice the atlas size
+function fakeImages(broken = []) {
+    const requested = [];
+    const loadImage = (url, width, height) => {
+        requested.push(url);
+        if (broken.includes(url)) return Promise.reject(new Error(`${url}: image failed to load`));
+        return Promise.resolve({ url, width: width * 2, height: height * 2 });
+    };
+    return { requested, loadImage };
+}
+
+function createManager(options = {}) {
+    return new AssetManager(Object.assign({
+        storage: createStorage(),
+        fetchJson: repoFetch(),
+        loadImage: fakeImages().loadImage
+    }, options));
+}
+
+// Silence expected warnings from failed-load tests
+console.warn = () => {};
+
+heading('📦 Loading:');
+
+check('Progress counts every file and only moves forward', () => {
+    const calls = [];
+    const images = fakeImages();
+    const assets = createManager({ loadImage: images.loadImage });
+    return assets.load((loaded, total) => calls.push([loaded, total])).then(() => {
+        const [lastLoaded, lastTotal] = calls[calls.length - 1];
+        assert(lastLoaded === lastTotal && lastTotal === 5, `finished at ${lastLoaded}/${lastTotal}`);
+        for (let i = 1; i < calls.length; i++) {
+            assert(calls[i][0] / calls[i][1] >= calls[i - 1][0] / calls[i - 1][1], `progress went back at ${calls[i]}`);
+        }
+        assert(images.requested.sort().join() === 'assets/sprites-neon.svg,assets/sprites.svg', images.requested.join());
+        assert(assets.failures.length === 0, assets.failures.join());
+    });
+});
+
+check('Sprite frames are scaled to the rasterised image', () => {
+    const assets = createManager();
+    return assets.load().then(() => {
+        const truck = assets.sprite('truck');
+        assert(truck && truck.source.url === 'assets/sprites.svg', 'no truck sprite');
+        assert(truck.sx === 352 && truck.sw === 280 && truck.sh === 300, JSON.stringify(truck));
+    });
+});
+
+check('A failed image falls back to shapes for that atlas only', () => {
+    const images = fakeImages(['assets/sprites.svg']);
+    const calls = [];
+    const assets = createManager({ loadImage: images.loadImage });
+    return assets.load((loaded, total) => calls.push(loaded / total)).then(() => {
+        assert(calls[calls.length - 1] === 1, 'progress did not finish');
+        assert(assets.failures.length === 1, assets.failures.join());
+        assert(assets.themeId === 'night' && assets.sprite('car') === null, 'night theme kept a sprite');
+        assets.selectTheme('neon');
+        assert(assets.sprite('car') !== null, 'neon lost its sprites');
+    });
+});
+
+check('A missing manifest leaves the built-in colours', () => {
+    const calls = [];
+    const assets = createManager({ fetchJson: repoFetch(['assets/themes.json']) });
+    return assets.load((loaded, total) => calls.push(`${loaded}/${total}`)).then(() => {
+        assert(calls.join() === '0/1,1/1', calls.join());
+        assert(assets.themeIds.join() === AssetManager.FALLBACK_THEME_ID, assets.themeIds.join());
+        assert(assets.colors.background === AssetManager.DEFAULT_COLORS.background, 'wrong background');
+        assert(assets.sprite('player') === null, 'sprite without an atlas');
+    });
+});
+
+check('Newer or empty manifests are rejected', () => {
+    const bad = [{ version: 99, themes: { a: {} } }, { version: 1, themes: {} }, null];
+    for (const data of bad) {
+        let threw = false;
+        try {
+            AssetManager.parseManifest(data);
+        } catch (err) {
+            threw = true;
+        }
+        assert(threw, `accepted ${JSON.stringify(data)}`);
+    }
+    const manifest = AssetManager.parseManifest({
+        version: 1,
+        default: 'missing',
+        atlases: {},
+        themes: { plain: { atlas: 'gone', colors: { background: 7, shoulder: '#000' } } }
+    });
+    const plain = manifest.themes.plain;
+    assert(manifest.defaultTheme === 'plain' && plain.atlas === null, JSON.stringify(manifest));
+    assert(plain.colors.background === AssetManager.DEFAULT_COLORS.background && plain.colors.shoulder === '#000', 'colours not sanitised');
+});
+
+heading('\n🌓 Themes:');
+
+check('The chosen theme persists and unknown themes are rejected', () => {
+    const storage = createStorage();
+    const assets = createManager({ storage });
+    return assets.load().then(() => {
+        assert(assets.themeIds.join() === 'night,day,neon', assets.themeIds.join());
+        assets.selectTheme('day');
+        let threw = false;
+        try {
+            assets.selectTheme('sepia');
+        } catch (err) {
+            threw = /sepia/.test(err.message);
+        }
+        assert(threw && assets.themeId === 'day', 'unknown theme accepted');
+
+        const reloaded = createManager({ storage });
+        return reloaded.load();
+    }).then((reloaded) => {
+        assert(reloaded.themeId === 'day' && reloaded.colors.shoulder === '#6ab04c', `theme ${reloaded.themeId}`);
+    });
+});
+
+check('Corrupt or newer theme settings fall back to the default', () => {
+    const raws = ['not json', JSON.stringify({ version: 99, theme: 'neon' })];
+    return Promise.all(raws.map(raw => createManager({ storage: createStorage({ 'endless-driver.theme': raw }) }).load()))
+        .then((managers) => {
+            for (const assets of managers) {
+                assert(assets.themeId === 'night', `theme ${assets.themeId}`);
+            }
+        });
+});
+
+check('A palette recolours the theme and drops its sprites', () => {
+    const assets = createManager();
+    return assets.load().then(() => {
+        const palette = { warning: '#ffffff', obstacles: { car: '#e69f00' } };
+        assert(assets.sprite('car'), 'no sprite to start with');
+        assets.setPalette(palette);
+        const colors = assets.colors;
+        assert(colors.warning === '#ffffff' && colors.obstacles.car === '#e69f00', 'palette colours unused');
+        assert(colors.shoulder === assets.theme.colors.shoulder, 'theme colours lost');
+        assert(assets.colors === colors && assets.sprite('car') === null, 'palette not cached or sprites kept');
+
+        assets.selectTheme('neon');
+        assert(assets.colors.obstacles.car === '#e69f00' && assets.colors.obstacles.truck === '#ff9f1c', 'palette not laid over the new theme');
+        assets.setPalette(null);
+        assert(assets.colors === assets.theme.colors && assets.sprite('car'), 'theme not restored');
+    });
+});
+
+check('Themes and sprites can be shared with another manager', () => {
+    const assets = createManager();
+    const bitmaps = [];
+    global.createImageBitmap = (source) => {
+        const bitmap = { of: source };
+        bitmaps.push(bitmap);
+        return Promise.resolve(bitmap);
+    };
+    return assets.load().then(() => {
+        assets.selectTheme('neon');
+        assets.setPalette({ marker: '#ffffff' });
+        return assets.share();
+    }).then(({ data, transfer }) => {
+        assert(transfer.length === bitmaps.length && bitmaps.length === Object.keys(assets.frames).length, 'one bitmap per atlas');
+        const other = new AssetManager({ storage: null });
+        other.adopt(data);
+        assert(other.themeId === 'neon' && other.colors.marker === '#ffffff', 'theme or palette lost');
+        other.setPalette(null);
+        const sprite = other.sprite('car');
+        const original = assets.frames[assets.theme.atlas].car;
+        assert(sprite && bitmaps.includes(sprite.source) && sprite.sw === original.sw, 'sprite not rebuilt on the bitmap');
+
+        // Without createImageBitmap the other side draws shapes
+        delete global.createImageBitmap;
+        return assets.share();
+    }).then(({ data, transfer }) => {
+        const other = new AssetManager({ storage: null });
+        other.adopt(data);
+        other.setPalette(null);
+        assert(transfer.length === 0 && other.sprite('car') === null && other.themeId === 'neon', 'shapes not used');
+    });
+});
+
+check('Every shipped atlas has a frame for each thing the game draws', () => {
+    const names = ['player', ...ObstacleTypes.IDS, ...PickupTypes.IDS];
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'assets/themes.json'), 'utf-8'));
+    for (const url of Object.values(manifest.atlases)) {
+        const atlas = JSON.parse(fs.readFileSync(path.join(__dirname, url), 'utf-8'));
+        assert(fs.existsSync(path.join(__dirname, path.dirname(url), atlas.image)), `${atlas.image} missing`);
+        for (const name of names) {
+            const frame = atlas.frames[name];
+            assert(frame, `${url} has no ${name}`);
+            assert(frame.x + frame.w <= atlas.width && frame.y + frame.h <= atlas.height, `${name} is outside ${url}`);
+        }
+    }
+});
+
+finish('asset');
@@ -0,0 +1,285 @@
+// Tests for the procedural sound engine
+// Runs the synth graph against a stand-in for OfflineAudioContext that records
+// nodes, connections and parameter automation instead of making sound.
+const AudioEngine = require('./audio');
+const { check, assert, createStorage, finish } = require('./test-helpers');
+
+console.log('🔊 Endless Driver Game - Audio Tests\n');
+
+// AudioParam stub: automation calls jump straight to their target value
+class FakeParam {
+    constructor(value) {
+        this.value = value;
+        this.events = [];
+    }
+
+    record(method, value, time) {
+        this.events.push({ method, value, time });
+        this.value = value;
+    }
+
+    setValueAtTime(value, time) { this.record('setValueAtTime', value, time); }
+    linearRampToValueAtTime(value, time) { this.record('linearRampToValueAtTime', value, time); }
+    exponentialRampToValueAtTime(value, time) { this.record('exponentialRampToValueAtTime', value, time); }
+    setTargetAtTime(value, time) { this.record('setTargetAtTime', value, time); }
+}
+
+class FakeNode {
+    constructor(context, kind) {
+        this.context = context;
+        this.kind = kind;
+        this.outputs = [];
+        this.started = null;
+        this.stopped = null;
+        context.nodes.push(this);
+    }
+
+    connect(node) {
+        this.outputs.push(node);
+        return node;
+    }
+
+    start(time = 0) { this.started = time; }
+    stop(time = 0) { this.stopped = time; }
+}
+
+// Offline context stub: time only moves when the test advances it
+class FakeOfflineAudioContext {
+    constructor(sampleRate = 8000) {
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.state = 'suspended';
+        this.nodes = [];
+        this.destination = new FakeNode(this, 'destination');
+    }
+
+    createGain() {
+        const node = new FakeNode(this, 'gain');
+        node.gain = new FakeParam(1);
+        return node;
+    }
+
+    createOscillator() {
+        const node = new FakeNode(this, 'oscillator');
+        node.type = 'sine';
+        node.frequency = new FakeParam(440);
+        return node;
+    }
+
+    createBiquadFilter() {
+        const node = new FakeNode(this, 'filter');
+        node.type = 'lowpass';
+        node.frequency = new FakeParam(350);
+        return node;
+    }
+
+    createStereoPanner() {
+        const node = new FakeNode(this, 'panner');
+        node.pan = new FakeParam(0);
+        return node;
+    }
+
+    createBufferSource() {
+        const node = new FakeNode(this, 'bufferSource');
+        node.buffer = null;
+        return node;
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = new Float32Array(length);
+        return { numberOfChannels: channels, length, sampleRate, getChannelData: () => data };
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    suspend() {
+        this.state = 'suspended';
+        return Promise.resolve();
+    }
+
+    nodesOfKind(kind) {
+        return this.nodes.filter(node => node.kind === kind);
+    }
+}
+
+function createEngine(options = {}) {
+    const context = new FakeOfflineAudioContext();
+    const audio = new AudioEngine(Object.assign({ storage: createStorage(), createContext: () => context }, options));
+    audio.unlock();
+    return { audio, context };
+}
+
+// True if audio from node eventually reaches target
+function reaches(node, target) {
+    if (node === target) return true;
+    return node.outputs.some(output => reaches(output, target));
+}
+
+// Silence expected warnings from corrupt-data tests
+console.warn = () => {};
+
+console.log('🎛️ Graph:');
+console.log('------------------------');
+
+check('Without Web Audio everything is a silent no-op', () => {
+    const audio = new AudioEngine({ storage: null, createContext: () => null });
+    assert(!audio.unlock() && !audio.enabled, 'reported as enabled');
+    audio.startEngine();
+    audio.startMusic();
+    audio.update(10);
+    audio.playLaneChange(1);
+    audio.playNearMiss();
+    audio.playCrash();
+    audio.playClick();
+    audio.setHidden(true);
+    audio.setVolume('sfx', 0.2);
+    assert(audio.settings.sfx === 0.2, 'settings not kept without a context');
+});
+
+check('Unlocking builds the buses and resumes the context', () => {
+    const { audio, context } = createEngine();
+    assert(audio.enabled && context.state === 'running', `state ${context.state}`);
+    const { master, music, sfx } = audio.buses;
+    assert(master.outputs[0] === context.destination, 'master not on destination');
+    assert(music.outputs[0] === master && sfx.outputs[0] === master, 'buses not on master');
+    assert(audio.unlock() && context.nodesOfKind('gain').length === 4, 'graph rebuilt on second unlock');
+});
+
+check('Engine pitch follows the road speed', () => {
+    const { audio } = createEngine();
+    const engine = audio.engine;
+    assert(engine.osc.started !== null && reaches(engine.osc, audio.buses.sfx), 'engine not running into sfx');
+    assert(engine.gain.gain.value === 0, 'engine audible before a run');
+
+    audio.startEngine();
+    audio.update(5);
+    const slow = engine.osc.frequency.value;
+    audio.update(15);
+    const fast = engine.osc.frequency.value;
+    assert(engine.gain.gain.value > 0, 'engine silent during a run');
+    assert(fast > slow, `pitch ${slow} -> ${fast}`);
+
+    const events = engine.osc.frequency.events.length;
+    audio.update(15);
+    assert(engine.osc.frequency.events.length === events, 'pitch rescheduled without a speed change');
+
+    audio.stopEngine();
+    assert(engine.gain.gain.value === 0, 'engine still audible after the run');
+});
+
+check('Sound effects are one-shots on the sfx bus', () => {
+    const { audio, context } = createEngine();
+    const sounds = [
+        () => audio.playLaneChange(-1),
+        () => audio.playNearMiss(),
+        () => audio.playCrash(),
+        () => audio.playClick()
+    ];
+
+    for (const play of sounds) {
+        const before = context.nodes.length;
+        play();
+        const sources = context.nodes.slice(before).filter(node => node.kind === 'oscillator' || node.kind === 'bufferSource');
+        assert(sources.length > 0, 'no sources created');
+        for (const source of sources) {
+            assert(reaches(source, audio.buses.sfx), `${source.kind} not routed to sfx`);
+            assert(source.stopped > source.started, `${source.kind} never stops`);
+        }
+    }
+});
+
+check('Lane-change whooshes pan towards the new lane', () => {
+    const { audio, context } = createEngine();
+    audio.playLaneChange(1);
+    const panner = context.nodesOfKind('panner')[0];
+    assert(panner && panner.pan.value > 0, 'not panned right');
+    const source = context.nodesOfKind('bufferSource')[0];
+    assert(source.buffer === audio.noise, 'whoosh does not use the noise buffer');
+});
+
+check('Music is scheduled ahead of the clock on the music bus', () => {
+    const { audio, context } = createEngine();
+    const oscillators = () => context.nodesOfKind('oscillator').length;
+    const idle = oscillators();
+
+    audio.update(5);
+    assert(oscillators() === idle, 'music played before it was started');
+
+    audio.startMusic();
+    audio.update(5);
+    const scheduled = oscillators() - idle;
+    assert(scheduled > 0, 'no notes scheduled');
+    assert(context.nodesOfKind('oscillator').slice(idle).every(osc => reaches(osc, audio.buses.music)), 'notes not on music bus');
+
+    audio.update(5);
+    assert(oscillators() - idle === scheduled, 'notes scheduled twice for the same time');
+
+    context.currentTime = 10; // A long stall only schedules the next window
+    audio.update(5);
+    assert(oscillators() - idle - scheduled <= 2, `${oscillators() - idle - scheduled} notes after a stall`);
+
+    audio.stopMusic();
+    const before = oscillators();
+    context.currentTime = 20;
+    audio.update(5);
+    assert(oscillators() === before, 'music kept playing after stopMusic');
+});
+
+console.log('\n🎚️ Settings:');
+console.log('------------------------');
+
+check('Volumes and mute drive the bus gains', () => {
+    const { audio } = createEngine();
+    audio.setVolume('music', 0.25);
+    audio.setVolume('sfx', 2);
+    assert(audio.buses.music.gain.value === 0.25, `music ${audio.buses.music.gain.value}`);
+    assert(audio.buses.sfx.gain.value === 1, 'sfx not clamped');
+
+    assert(audio.toggleMute() === true && audio.buses.master.gain.value === 0, 'mute left master audible');
+    audio.setMuted(false);
+    assert(audio.buses.master.gain.value === audio.settings.master, 'unmute did not restore master');
+});
+
+check('Unknown channels are rejected', () => {
+    const { audio } = createEngine();
+    let threw = false;
+    try {
+        audio.setVolume('voice', 1);
+    } catch (err) {
+        threw = /voice/.test(err.message);
+    }
+    assert(threw, 'no error for an unknown channel');
+});
+
+check('Settings persist between sessions', () => {
+    const storage = createStorage();
+    const first = new AudioEngine({ storage, createContext: () => null });
+    first.setVolume('master', 0.3);
+    first.setMuted(true);
+
+    const second = new AudioEngine({ storage, createContext: () => null });
+    assert(second.settings.master === 0.3 && second.settings.muted === true, JSON.stringify(second.settings));
+    assert(second.settings.music === AudioEngine.DEFAULT_SETTINGS.music, 'unset channel lost its default');
+});
+
+check('Corrupt or newer settings fall back to defaults', () => {
+    for (const raw of ['not json', JSON.stringify({ version: 99, master: 0 })]) {
+        const audio = new AudioEngine({ storage: createStorage({ 'endless-driver.audio': raw }), createContext: () => null });
+        assert(audio.settings.master === AudioEngine.DEFAULT_SETTINGS.master, `accepted ${raw}`);
+    }
+});
+
+check('Hidden tabs suspend the context and restore it on return', () => {
+    const { audio, context } = createEngine();
+    audio.setHidden(true);
+    assert(context.state === 'suspended', 'still running while hidden');
+    audio.unlock();
+    assert(context.state === 'suspended', 'a click while hidden resumed audio');
+    audio.setHidden(false);
+    assert(context.state === 'running', 'not resumed when visible');
+});
+
+finish('audio');
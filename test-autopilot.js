@@ -0,0 +1,199 @@
+// Tests for the agent interface, the built-in autopilot and batch evaluation
+const DriverSimulation = require('./simulation');
+const ObstacleTypes = require('./obstacle-types');
+const Replay = require('./replay');
+const Autopilot = require('./autopilot');
+const GameEvents = require('./events');
+const Progression = require('./progression');
+const { check, assert, createStorage, finish } = require('./test-helpers');
+
+console.log('🤖 Endless Driver Game - Autopilot Tests\n');
+
+function createSim(options = {}) {
+    const sim = new DriverSimulation(Object.assign({ width: 360, height: 640, seed: 3 }, options));
+    sim.reset();
+    return sim;
+}
+
+// An obstacle in a lane, its bottom `gap` pixels above the player's car
+function place(sim, id, lane, gap) {
+    const obstacle = sim.spawnObstacle(ObstacleTypes.get(id), lane);
+    obstacle.y = sim.player.y - gap - obstacle.height;
+    obstacle.state = 'active';
+    obstacle.timer = 0;
+    return obstacle;
+}
+
+console.log('👀 Observations:');
+console.log('------------------------');
+
+check('Reports the road, the player and the speed', () => {
+    const sim = createSim({ lanes: 4 });
+    const observation = Autopilot.observe(sim);
+    assert(observation.version === Autopilot.OBSERVATION_VERSION && observation.tick === 0, 'header wrong');
+    assert(observation.gameSpeed === sim.gameSpeed && observation.speed === sim.scrollSpeed(), 'speed wrong');
+    assert(observation.road.firstLane === sim.firstLane && observation.road.lastLane === sim.lastLane, 'open lanes wrong');
+    assert(observation.road.laneCentres.length === sim.lanes.length, 'lane centres missing');
+    assert(observation.player.lane === sim.player.lane && observation.player.x === sim.player.x, 'player wrong');
+});
+
+check('Obstacles come with lanes, hitboxes and speeds', () => {
+    const sim = createSim();
+    const truck = place(sim, 'truck', sim.firstLane, 100);
+    const block = sim.spawnObstacle(ObstacleTypes.get('roadblock'), sim.lastLane);
+    const [seenTruck, seenBlock] = Autopilot.observe(sim).obstacles;
+    const hitbox = truck.type.hitbox;
+    assert(seenTruck.type === 'truck' && seenTruck.lane === truck.lane && seenTruck.lanes === 2, 'truck lanes wrong');
+    assert(seenTruck.x === truck.x + hitbox.x && seenTruck.width === truck.width - hitbox.x * 2, 'not the hitbox');
+    assert(seenTruck.speed === sim.scrollSpeed() * truck.type.speedFactor, `truck speed ${seenTruck.speed}`);
+    assert(seenBlock.warningTicks === block.timer && seenBlock.warningTicks > 0, 'roadblock warning missing');
+});
+
+check('Observations are copies', () => {
+    const sim = createSim();
+    place(sim, 'car', sim.firstLane, 100);
+    const observation = Autopilot.observe(sim);
+    observation.obstacles[0].y = 0;
+    observation.player.x = 0;
+    observation.powerUps.shield = 99;
+    assert(sim.obstacles[0].y !== 0 && sim.player.x !== 0 && sim.powerUps.shield === 0, 'agent changed the simulation');
+});
+
+check('Actions become clean simulation inputs', () => {
+    const inputs = Autopilot.toInputs({ steer: -3, laneChange: 0.2, steerAxis: 0.333, throttle: 7 });
+    assert(inputs.steer === -1 && inputs.laneChange === 1, `${inputs.steer}, ${inputs.laneChange}`);
+    assert(inputs.steerAxis === 0.35 && inputs.throttle === 1, `${inputs.steerAxis}, ${inputs.throttle}`);
+
+    const empty = Autopilot.toInputs(null);
+    assert(empty.steer === 0 && empty.laneChange === 0 && empty.steerAxis === 0 && empty.throttle === 0, 'no action is not idle');
+    const junk = Autopilot.toInputs({ steer: NaN, steerAxis: 'left', throttle: Infinity });
+    assert(junk.steer === 0 && junk.steerAxis === 0 && junk.throttle === 0, 'junk reached the simulation');
+});
+
+console.log('\n🧭 Autopilot:');
+console.log('------------------------');
+
+check('Moves out of a lane with a car coming', () => {
+    const sim = createSim();
+    place(sim, 'car', sim.player.lane, 150);
+    const pilot = new Autopilot.HeuristicPilot();
+    const action = pilot.act(Autopilot.observe(sim));
+    assert(action.laneChange !== 0, 'stayed in the car\'s path');
+});
+
+check('Stays put on a clear road', () => {
+    const sim = createSim();
+    const pilot = new Autopilot.HeuristicPilot();
+    assert(pilot.act(Autopilot.observe(sim)).laneChange === 0, 'moved for nothing');
+});
+
+check('Never cuts across a blocked lane', () => {
+    const sim = createSim({ lanes: 3 });
+    sim.player.lane = sim.firstLane;
+    place(sim, 'car', sim.firstLane, 300);
+    place(sim, 'car', sim.firstLane + 1, 0);
+    const pilot = new Autopilot.HeuristicPilot();
+    assert(pilot.chooseLane(Autopilot.observe(sim)) === sim.firstLane, 'drove through a car');
+});
+
+check('Leaves a lane the road is about to close', () => {
+    const sim = createSim({ lanes: 3 });
+    sim.player.lane = sim.lastLane;
+    sim.roadChange = { y: sim.player.y - 100, prevY: 0, fromFirst: sim.firstLane, fromLast: sim.lastLane, firstLane: sim.firstLane, lastLane: sim.lastLane - 1, applied: false };
+    const pilot = new Autopilot.HeuristicPilot();
+    assert(pilot.act(Autopilot.observe(sim)).laneChange === -1, 'drove into the closure');
+});
+
+check('Steers to the lane centre in free steering', () => {
+    const sim = createSim({ steering: 'free' });
+    sim.player.x -= sim.laneWidth / 2;
+    const pilot = new Autopilot.HeuristicPilot();
+    let inputs = {};
+    for (let i = 0; i < 90; i++) {
+        inputs = Autopilot.toInputs(pilot.act(Autopilot.observe(sim)), inputs);
+        sim.step(inputs);
+    }
+    const centre = sim.laneX(sim.player.lane, sim.player.width);
+    assert(Math.abs(sim.player.x - centre) < 4, `${(sim.player.x - centre).toFixed(1)}px off centre`);
+});
+
+console.log('\n📊 Evaluation:');
+console.log('------------------------');
+
+check('Evaluation is repeatable per seed', () => {
+    const options = { seeds: [4, 5], maxTicks: 1200 };
+    const first = Autopilot.evaluate(new Autopilot.HeuristicPilot(), options);
+    const second = Autopilot.evaluate(new Autopilot.HeuristicPilot(), options);
+    assert(JSON.stringify(first) === JSON.stringify(second), 'results differ');
+    assert(first.runs.map(run => run.seed).join() === '4,5', 'wrong seeds');
+});
+
+check('The autopilot outlasts an idle driver', () => {
+    const seeds = [1, 2, 3, 4, 5];
+    const idle = Autopilot.evaluate({ act: () => null }, { seeds, maxTicks: 1800 });
+    const pilot = Autopilot.evaluate(new Autopilot.HeuristicPilot(), { seeds, maxTicks: 1800 });
+    assert(idle.summary.crashes === seeds.length, `idle driver survived ${seeds.length - idle.summary.crashes} runs`);
+    assert(pilot.summary.crashes === 0, `${pilot.summary.crashes} crashes`);
+    assert(pilot.summary.meanDistance > idle.summary.meanDistance * 2, `${pilot.summary.meanDistance} m vs ${idle.summary.meanDistance} m`);
+});
+
+check('Agents are reset before each run', () => {
+    let resets = 0;
+    const agent = { act: () => null, reset: () => { resets++; } };
+    Autopilot.evaluate(agent, { seeds: [1, 2, 3], maxTicks: 60 });
+    assert(resets === 3, `${resets} resets`);
+});
+
+check('Summaries add up', () => {
+    const runs = [10, 40, 20, 30].map((score, i) => ({ score, distance: score * 2, duration: 1, crashed: i === 0 }));
+    const summary = Autopilot.summarize(runs);
+    assert(summary.runs === 4 && summary.crashes === 1, 'counts wrong');
+    assert(summary.meanScore === 25 && summary.medianScore === 25, `${summary.meanScore}, ${summary.medianScore}`);
+    assert(summary.minScore === 10 && summary.maxScore === 40 && summary.meanDistance === 50, 'range wrong');
+});
+
+check('Autopilot runs record and replay like any other', () => {
+    const sim = createSim({ seed: 9, steering: 'free' });
+    const recorder = new Replay.ReplayRecorder();
+    recorder.start(sim);
+    const pilot = new Autopilot.HeuristicPilot();
+    const inputs = {};
+    while (sim.gameState === 'playing' && sim.tick < 1500) {
+        Autopilot.toInputs(pilot.act(Autopilot.observe(sim)), inputs);
+        recorder.record(sim.tick, inputs);
+        sim.step(inputs);
+    }
+    const result = Replay.simulate(recorder.finish(sim));
+    assert(result.verified, `replayed to ${result.score} at tick ${result.ticks}`);
+});
+
+check('Autopilot runs leave progression unchanged', () => {
+    // Wired to the run as game.js does: abandonRun() at the start of an
+    // agent run, counts from the simulation's events, abandonRun() at the end
+    const drive = (start) => {
+        const storage = createStorage();
+        const progression = new Progression({ storage });
+        const before = JSON.stringify(progression.totals) + progression.balance;
+        const events = new GameEvents.EventBus();
+        events.on('lane:change', event => progression.count('laneChanges', Math.abs(event.to - event.from)));
+        events.on('obstacle:passed', event => progression.count(event.nearMiss ? 'nearMisses' : 'obstacles'));
+        const sim = createSim({ seed: 6, events });
+        start(progression);
+        const pilot = new Autopilot.HeuristicPilot();
+        const inputs = {};
+        let coins = 0;
+        while (sim.gameState === 'playing' && sim.tick < 3600) {
+            sim.step(Autopilot.toInputs(pilot.act(Autopilot.observe(sim)), inputs));
+            progression.count('coins', sim.coins - coins);
+            coins = sim.coins;
+        }
+        progression.abandonRun();
+        return { changed: JSON.stringify(progression.totals) + progression.balance !== before, data: storage.data };
+    };
+
+    assert(drive(progression => progression.startRun()).changed, 'a counted run earned nothing, so this proves nothing');
+    const agentRun = drive(progression => progression.abandonRun());
+    assert(!agentRun.changed && Object.keys(agentRun.data).length === 0, 'the agent run earned progress');
+});
+
+finish('autopilot');
@@ -0,0 +1,140 @@
+// Tests for the gameplay config and difficulty presets
+const GameConfig = require('./config');
+const DriverSimulation = require('./simulation');
+const Replay = require('./replay');
+const ObstacleTypes = require('./obstacle-types');
+const { check, assert, throws, finish } = require('./test-helpers');
+
+console.log('⚙️ Endless Driver Game - Config Tests\n');
+
+// A run that cannot crash, so the difficulty ramp plays out in full
+function shieldedRun(config, ticks) {
+    const sim = new DriverSimulation({ width: 360, height: 640, seed: 8, config });
+    sim.reset();
+    for (let i = 0; i < ticks && sim.gameState === 'playing'; i++) {
+        sim.powerUps.shield = 100;
+        sim.step();
+    }
+    return sim;
+}
+
+console.log('📋 Config:');
+console.log('------------------------');
+
+check('Defaults are the Normal preset and the original tuning', () => {
+    const config = GameConfig.defaults();
+    assert(JSON.stringify(GameConfig.preset('normal')) === JSON.stringify(config), 'normal differs from defaults');
+    assert(config.startSpeed === 5 && config.maxGameSpeed === 15 && config.speedStep === 0.5, 'speed ramp changed');
+    assert(config.speedUpInterval === 600 && config.spawnInterval === 100 && config.minSpawnInterval === 50, 'spawn ramp changed');
+    assert(GameConfig.validate().maxObstacles === 10, 'validate() without values');
+});
+
+check('Bad values are rejected with the field name', () => {
+    assert(throws(() => GameConfig.validate({ gravity: 2 }), /Unknown config field: gravity/), 'unknown field');
+    assert(throws(() => GameConfig.validate({ startSpeed: '5' }), /"startSpeed" must be a number/), 'string value');
+    assert(throws(() => GameConfig.validate({ maxObstacles: 0 }), /between 1 and 30/), 'out of range');
+    assert(throws(() => GameConfig.validate({ spawnInterval: 80.5 }), /whole number/), 'fractional ticks');
+    assert(throws(() => GameConfig.validate({ startSpeed: 20 }), /maxGameSpeed/), 'start above the cap');
+    assert(throws(() => GameConfig.validate({ minSpawnInterval: 150 }), /minSpawnInterval/), 'minimum above the start');
+    assert(throws(() => GameConfig.preset('nightmare'), /Unknown preset/), 'unknown preset');
+    assert(throws(() => GameConfig.preset('toString'), /Unknown preset/), 'inherited property taken for a preset');
+});
+
+check('Presets are valid and get harder in order', () => {
+    const configs = GameConfig.PRESET_IDS.map(id => GameConfig.preset(id));
+    assert(GameConfig.PRESET_IDS.join() === 'easy,normal,hard,insane', GameConfig.PRESET_IDS.join());
+    for (let i = 1; i < configs.length; i++) {
+        const easier = configs[i - 1];
+        const harder = configs[i];
+        const name = GameConfig.PRESET_IDS[i];
+        assert(harder.startSpeed > easier.startSpeed && harder.maxGameSpeed > easier.maxGameSpeed, `${name} is not faster`);
+        assert(harder.spawnInterval < easier.spawnInterval && harder.minSpawnInterval < easier.minSpawnInterval, `${name} does not spawn sooner`);
+        assert(harder.maxObstacles >= easier.maxObstacles, `${name} allows fewer obstacles`);
+    }
+});
+
+check('URL parameters pick a preset and override single fields', () => {
+    const query = GameConfig.parseQuery('?preset=hard&startSpeed=8&maxObstacles=4&debug');
+    assert(query.preset === 'hard' && query.errors.length === 0, JSON.stringify(query));
+    assert(JSON.stringify(query.overrides) === '{"startSpeed":8,"maxObstacles":4}', JSON.stringify(query.overrides));
+    assert(GameConfig.preset(query.preset, query.overrides).maxGameSpeed === 18, 'preset lost under overrides');
+
+    const bad = GameConfig.parseQuery('?preset=nightmare&startSpeed=fast&spawnInterval=&maxObstacles=99&speedStep=1');
+    assert(bad.preset === null, 'unknown preset kept');
+    assert(JSON.stringify(bad.overrides) === '{"speedStep":1}', JSON.stringify(bad.overrides));
+    assert(bad.errors.length === 4, bad.errors.join(' | '));
+
+    for (const id of ['toString', 'constructor', '__proto__']) {
+        const query = GameConfig.parseQuery(`?preset=${id}&startSpeed=6`);
+        assert(query.preset === null && /Unknown preset/.test(query.errors[0]), `${id} accepted`);
+        assert(query.overrides.startSpeed === 6, `${id}: overrides not checked against the default preset`);
+    }
+});
+
+check('Overrides are checked again against another preset', () => {
+    const query = GameConfig.parseQuery('?spawnInterval=60&startSpeed=4');
+    assert(JSON.stringify(query.overrides) === '{"startSpeed":4,"spawnInterval":60}', JSON.stringify(query.overrides));
+    assert(throws(() => GameConfig.preset('easy', query.overrides), /minSpawnInterval/), 'clash not found');
+
+    const easy = GameConfig.fitOverrides('easy', query.overrides);
+    assert(JSON.stringify(easy.overrides) === '{"startSpeed":4}', JSON.stringify(easy.overrides));
+    assert(easy.errors.length === 1 && /minSpawnInterval/.test(easy.errors[0]), easy.errors.join(' | '));
+    assert(GameConfig.preset('easy', easy.overrides).startSpeed === 4, 'fitted overrides rejected');
+});
+
+console.log('\n🚗 Simulation:');
+console.log('------------------------');
+
+check('The simulation follows its config and keeps it across resets', () => {
+    const easy = GameConfig.preset('easy');
+    const sim = shieldedRun(easy, easy.speedUpInterval);
+    assert(Math.abs(sim.gameSpeed - (easy.startSpeed + easy.speedStep)) < 1e-9, `speed ${sim.gameSpeed}`);
+    assert(sim.obstacleSpawnInterval === easy.spawnInterval - easy.spawnIntervalStep, `interval ${sim.obstacleSpawnInterval}`);
+
+    sim.maxObstacles = 1;
+    sim.reset();
+    assert(sim.gameSpeed === easy.startSpeed && sim.maxObstacles === easy.maxObstacles, 'reset did not go back to the config');
+    assert(throws(() => sim.setConfig({ maxGameSpeed: 99 }), /maxGameSpeed/), 'bad config accepted');
+});
+
+check('The ramp stops at the preset cap and minimum gap', () => {
+    const insane = GameConfig.preset('insane');
+    const sim = shieldedRun(insane, insane.speedUpInterval * 25);
+    assert(sim.gameSpeed === insane.maxGameSpeed, `speed ${sim.gameSpeed}`);
+    assert(sim.obstacleSpawnInterval === insane.minSpawnInterval, `interval ${sim.obstacleSpawnInterval}`);
+    assert(sim.obstacles.length <= insane.maxObstacles, `${sim.obstacles.length} obstacles`);
+});
+
+check('Obstacle size follows the scale', () => {
+    const sim = new DriverSimulation({ width: 360, height: 640, seed: 1, config: GameConfig.preset('easy') });
+    sim.reset();
+    const car = ObstacleTypes.get('car');
+    const obstacle = sim.spawnObstacle(car, sim.firstLane);
+    assert(obstacle.height === car.height * 0.9 && obstacle.y === -obstacle.height, `height ${obstacle.height}`);
+    assert(obstacle.width === car.width * 0.9, `width ${obstacle.width}`);
+});
+
+console.log('\n🎬 Replays:');
+console.log('------------------------');
+
+check('Replays carry their config and verify under it', () => {
+    const config = GameConfig.preset('hard', { startSpeed: 9 });
+    const sim = new DriverSimulation({ width: 360, height: 640, seed: 12, config });
+    const recorder = new Replay.ReplayRecorder();
+    sim.reset();
+    recorder.start(sim, 'hard');
+    while (sim.gameState === 'playing' && sim.tick < 20000) {
+        const inputs = { steer: Math.floor(sim.tick / 70) % 3 - 1 };
+        recorder.record(sim.tick, inputs);
+        sim.step(inputs);
+    }
+    const replay = Replay.parse(Replay.stringify(recorder.finish(sim)));
+    assert(replay.preset === 'hard' && replay.config.startSpeed === 9, JSON.stringify(replay.config));
+    assert(Replay.simulate(replay).verified, 'replay did not verify under its config');
+
+    const easier = Object.assign({}, replay, { config: GameConfig.preset('easy') });
+    assert(!Replay.simulate(easier).verified, 'verified under another config');
+    assert(throws(() => Replay.validate(Object.assign({}, replay, { config: { startSpeed: -1 } })), /config is invalid/), 'bad config accepted');
+});
+
+finish('config');
@@ -0,0 +1,182 @@
+// Tests for input bindings and the action mapper
+const Controls = require('./controls');
+const DriverSimulation = require('./simulation');
+const { check, assert, createStorage, finish } = require('./test-helpers');
+
+console.log('🎮 Endless Driver Game - Controls Tests\n');
+
+// Standard-mapping gamepad snapshot with 17 buttons and 4 axes
+function pad(buttons = {}, axes = [0, 0, 0, 0]) {
+    const list = [];
+    for (let i = 0; i < 17; i++) {
+        const value = buttons[i] || 0;
+        list.push({ pressed: value > 0.5, value });
+    }
+    return { buttons: list, axes };
+}
+
+function createMapper(storage = createStorage()) {
+    const bindings = new Controls.InputBindings({ storage });
+    return { bindings, input: new Controls.InputMapper(bindings) };
+}
+
+// Silence expected warnings from corrupt-data tests
+console.warn = () => {};
+
+console.log('⌨️  Mapping:');
+console.log('------------------------');
+
+check('Default keys map to actions', () => {
+    const { input } = createMapper();
+    assert(input.keyDown('KeyA').join() === 'steerLeft', 'A is not steer left');
+    assert(input.steer() === -1, `steer ${input.steer()}`);
+    input.keyDown('ArrowRight');
+    assert(input.steer() === 0, 'opposite keys do not cancel out');
+    input.keyUp('KeyA');
+    assert(input.steer() === 1 && input.steerAxis() === 1, 'release not seen');
+    assert(input.keyDown('KeyX').length === 0, 'unbound key mapped to an action');
+});
+
+check('Gamepad d-pad, sticks and triggers map to actions', () => {
+    const { input } = createMapper();
+    input.pollGamepads([pad({ 14: 1 })]);
+    assert(input.steer() === -1, 'd-pad left ignored');
+
+    input.pollGamepads([pad({}, [0.1, 0, 0, 0])]);
+    assert(input.steer() === 0, 'stick drift steered');
+
+    input.pollGamepads([pad({}, [0.625, -1, 0, 0])]);
+    assert(Math.abs(input.steerAxis() - 0.5) < 1e-9, `stick axis ${input.steerAxis()}`);
+    assert(input.throttle() === 1, 'stick up is not full boost');
+
+    input.pollGamepads([pad({ 6: 0.5 })]);
+    assert(input.throttle() === -0.5, `analog brake ${input.throttle()}`);
+});
+
+check('Boost and brake are marked as free-steering actions', () => {
+    for (const id of Controls.ACTION_IDS) {
+        const steering = Controls.ACTIONS[id].steering;
+        assert(steering === undefined || DriverSimulation.STEERING_MODES.includes(steering), `${id}: ${steering}`);
+    }
+    assert(Controls.ACTIONS.boost.steering === 'free' && Controls.ACTIONS.brake.steering === 'free', 'throttle actions not marked');
+
+    // With lane steering the throttle changes nothing
+    const drive = (throttle) => {
+        const sim = new DriverSimulation({ width: 360, height: 640, seed: 3 });
+        sim.reset();
+        for (let i = 0; i < 300 && sim.gameState === 'playing'; i++) {
+            sim.step({ steer: 0, laneChange: 0, steerAxis: 0, throttle });
+        }
+        return `${sim.tick} ${sim.score} ${sim.player.x}`;
+    };
+    assert(drive(1) === drive(0) && drive(-1) === drive(0), 'throttle used in lane steering');
+});
+
+check('Gamepad presses fire once until released', () => {
+    const { input } = createMapper();
+    assert(input.pollGamepads([pad({ 9: 1 })]).join() === 'pause', 'start did not pause');
+    assert(input.pollGamepads([pad({ 9: 1 })]).length === 0, 'held start repeated');
+    input.pollGamepads([pad()]);
+    assert(input.pollGamepads([null, pad({ 9: 1 })]).join() === 'pause', 'second pad or re-press missed');
+});
+
+check('The touch joystick respects its dead zone', () => {
+    const { bindings, input } = createMapper();
+    input.setTouch(0.3, 0, true);
+    assert(input.steer() === 0, 'inside the dead zone steered');
+    input.setTouch(1, -0.5, true);
+    assert(input.steerAxis() === 1 && input.throttle() > 0, 'full push not mapped');
+
+    bindings.setTouch('joystickDeadZone', 0.2);
+    input.setTouch(0.3, 0, true);
+    assert(input.steer() === 1, 'dead zone setting ignored');
+
+    input.clear();
+    assert(input.steer() === 0 && !input.touch.active, 'clear kept the joystick');
+});
+
+check('Capture takes the next press instead of an action', () => {
+    const { input } = createMapper();
+    let captured = null;
+    input.captureNext((code, device) => { captured = `${device}:${code}`; });
+    assert(input.keyDown('KeyP').length === 0 && captured === 'keyboard:KeyP', `captured ${captured}`);
+    assert(input.keyDown('KeyP').join() === 'pause', 'capture did not end');
+
+    input.captureNext((code, device) => { captured = `${device}:${code}`; });
+    assert(input.pollGamepads([pad({ 0: 1 })]).length === 0 && captured === 'gamepad:button:0', `captured ${captured}`);
+});
+
+console.log('\n🔧 Bindings:');
+console.log('------------------------');
+
+check('Rebinding moves a key off its old action', () => {
+    const { bindings, input } = createMapper();
+    bindings.bind('keyboard', 'boost', 1, 'KeyA');
+    assert(!bindings.player.keyboard.steerLeft.includes('KeyA'), 'KeyA still steers left');
+    assert(input.keyDown('KeyA').join() === 'boost', 'KeyA does not boost');
+    bindings.bind('keyboard', 'boost', 1, null);
+    assert(bindings.actionsFor('keyboard', 'KeyA').length === 0, 'slot not cleared');
+});
+
+check('Invalid bindings are rejected', () => {
+    const { bindings } = createMapper();
+    const attempts = [
+        () => bindings.bind('wheel', 'boost', 0, 'KeyA'),
+        () => bindings.bind('keyboard', 'jump', 0, 'KeyA'),
+        () => bindings.bind('keyboard', 'boost', 2, 'KeyA'),
+        () => bindings.bind('gamepad', 'boost', 0, 'axis:1'),
+        () => bindings.setTouch('pinch', 1)
+    ];
+    attempts.forEach((attempt, i) => {
+        let threw = false;
+        try {
+            attempt();
+        } catch (err) {
+            threw = true;
+        }
+        assert(threw, `attempt ${i} accepted`);
+    });
+});
+
+check('Each player keeps their own bindings', () => {
+    const storage = createStorage();
+    const { bindings } = createMapper(storage);
+    bindings.bind('keyboard', 'steerLeft', 0, 'KeyJ');
+    bindings.setActivePlayer(1);
+    assert(bindings.player.keyboard.steerLeft[0] === 'ArrowLeft', 'player 2 got player 1 bindings');
+    bindings.setTouch('swipeThreshold', 500);
+    assert(bindings.player.touch.swipeThreshold === Controls.TOUCH_LIMITS.swipeThreshold[1], 'swipe not clamped');
+
+    const reloaded = new Controls.InputBindings({ storage });
+    assert(reloaded.activePlayer === 1, 'active player not saved');
+    assert(reloaded.players[0].keyboard.steerLeft[0] === 'KeyJ', 'player 1 bindings lost');
+
+    reloaded.setActivePlayer(0);
+    reloaded.resetPlayer();
+    assert(reloaded.player.keyboard.steerLeft[0] === 'ArrowLeft', 'reset kept custom binding');
+    assert(reloaded.players[1].touch.swipeThreshold === Controls.TOUCH_LIMITS.swipeThreshold[1], 'reset touched another player');
+});
+
+check('Corrupt or newer data falls back to defaults', () => {
+    const partial = JSON.stringify({ version: 1, activePlayer: 9, players: [{ keyboard: { boost: ['KeyQ', 42] } }] });
+    for (const raw of ['not json', JSON.stringify({ version: 99, players: [] }), partial]) {
+        const { bindings } = createMapper(createStorage({ 'endless-driver.controls': raw }));
+        assert(bindings.activePlayer === 0, `active player from ${raw}`);
+        assert(bindings.player.keyboard.steerLeft[0] === 'ArrowLeft', `defaults missing after ${raw}`);
+    }
+    const { bindings } = createMapper(createStorage({ 'endless-driver.controls': partial }));
+    assert(bindings.player.keyboard.boost.join() === 'KeyQ,', `boost ${bindings.player.keyboard.boost}`);
+});
+
+check('Inputs have readable names', () => {
+    const names = [
+        Controls.describeInput('keyboard', 'KeyW'),
+        Controls.describeInput('keyboard', 'ArrowLeft'),
+        Controls.describeInput('gamepad', 'button:9'),
+        Controls.describeInput('gamepad', 'axis:1-'),
+        Controls.describeInput('gamepad', null)
+    ];
+    assert(names.join('|') === 'W|←|Start|Left stick ↑|—', names.join('|'));
+});
+
+finish('controls');
@@ -0,0 +1,185 @@
+// Tests for the developer overlay and tuning panel
+// The overlay runs against a stand-in game with the real simulation, bus,
+// bindings, effects and renderers, drawing into a recording context.
+const DebugOverlay = require('./debug');
+const DriverSimulation = require('./simulation');
+const GameConfig = require('./config');
+const GameEvents = require('./events');
+const Controls = require('./controls');
+const EffectsSystem = require('./effects');
+const AssetManager = require('./assets');
+const Renderers = require('./renderers');
+const { check, assert, finish } = require('./test-helpers');
+
+console.log('🛠️ Endless Driver Game - Debug Overlay Tests\n');
+
+// 2D context stub that counts calls
+function createContext() {
+    const ctx = { calls: {} };
+    for (const method of ['fillRect', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'fill', 'stroke', 'ellipse', 'arc',
+        'fillText', 'drawImage', 'save', 'restore', 'translate', 'scale', 'setLineDash']) {
+        ctx[method] = () => {
+            ctx.calls[method] = (ctx.calls[method] || 0) + 1;
+        };
+    }
+    return ctx;
+}
+
+// The parts of EndlessDriverGame the overlay reads and tunes
+function createGame(view = Renderers.DEFAULT) {
+    const ctx = createContext();
+    const events = new GameEvents.EventBus({ strict: true });
+    const assets = { colors: AssetManager.DEFAULT_COLORS, sprite: () => null };
+    const game = {
+        ctx,
+        events,
+        sim: new DriverSimulation({ width: 360, height: 640, seed: 5, events }),
+        bindings: new Controls.InputBindings({ storage: null }),
+        effects: new EffectsSystem(),
+        renderer: Renderers.create(view, ctx, assets),
+        fps: 60,
+        deltaTime: 1,
+        qualityLevel: 1,
+        pixelRatio: 2,
+        maxFrameTicks: 6,
+        timeScale: 1,
+        frozen: false,
+        pendingSteps: 0,
+        runTuned: false
+    };
+    game.sim.reset();
+    return game;
+}
+
+function startRun(game, replay = false) {
+    game.runTuned = false;
+    game.sim.reset();
+    game.events.emit('run:start', { seed: 5, replay, lanes: 3, layout: 'straight', steering: 'lanes' });
+}
+
+function frame(game) {
+    return { tick: game.sim.tick, alpha: 0.5, deltaTime: game.deltaTime, fps: 60, ctx: game.ctx, width: 360, height: 640 };
+}
+
+console.log('🎚️ Tuning:');
+console.log('------------------------');
+
+check('Values are clamped to the slider range and step', () => {
+    const debug = new DebugOverlay(createGame());
+    assert(debug.set('gameSpeed', 99) === 30, 'speed above the range');
+    assert(debug.set('obstacleSpawnInterval', 63) === 65, 'interval off the step');
+    assert(debug.set('timeScale', 0.33) === 0.35, 'time scale off the step');
+    assert(debug.game.sim.gameSpeed === 30 && debug.game.timeScale === 0.35, 'values not applied');
+
+    let threw = false;
+    try {
+        debug.set('gravity', 1);
+    } catch (err) {
+        threw = /Unknown tunable/.test(err.message);
+    }
+    assert(threw, 'unknown tunable accepted');
+});
+
+check('Only rules changes keep a run off the leaderboard', () => {
+    const game = createGame();
+    const debug = new DebugOverlay(game);
+    debug.set('swipeThreshold', 80);
+    debug.set('timeScale', 0.5);
+    assert(!game.runTuned, 'input or pacing change marked the run');
+    assert(game.bindings.player.touch.swipeThreshold === 80, 'swipe threshold not set');
+    debug.set('maxObstacles', 3);
+    assert(game.runTuned, 'rules change not marked');
+});
+
+check('Tuned values survive a new run but not a replay', () => {
+    const game = createGame();
+    const debug = new DebugOverlay(game);
+    debug.set('obstacleSpawnInterval', 150);
+    debug.set('timeScale', 0.5);
+
+    startRun(game);
+    assert(game.sim.obstacleSpawnInterval === 150 && game.runTuned, 'lost at the start of a run');
+
+    startRun(game, true);
+    assert(game.sim.obstacleSpawnInterval === debug.defaults.obstacleSpawnInterval, 'replay played with tuned rules');
+    assert(!game.runTuned && game.timeScale === 0.5, 'pacing not kept for the replay');
+});
+
+check('Reset restores the config and export lists every value', () => {
+    const game = createGame();
+    game.sim.setConfig(GameConfig.preset('hard'));
+    startRun(game);
+    const debug = new DebugOverlay(game);
+    debug.set('maxObstacles', 4);
+    const exported = JSON.parse(debug.exportConfig());
+    assert(exported.version === DebugOverlay.CONFIG_VERSION, 'no version');
+    assert(Object.keys(exported.values).join() === DebugOverlay.TUNABLE_IDS.join(), Object.keys(exported.values).join());
+    assert(exported.values.maxObstacles === 4, 'tuned value not exported');
+    assert(exported.config.maxObstacles === 4 && exported.config.startSpeed === 6, JSON.stringify(exported.config));
+    GameConfig.validate(exported.config);
+
+    debug.reset();
+    assert(game.sim.maxObstacles === GameConfig.PRESETS.hard.values.maxObstacles, `max obstacles ${game.sim.maxObstacles}`);
+});
+
+check('Steps queue single ticks and stop the clock', () => {
+    const game = createGame();
+    const debug = new DebugOverlay(game);
+    debug.step();
+    debug.step();
+    assert(game.frozen && game.pendingSteps === 2, `${game.pendingSteps} steps`);
+    debug.freeze();
+    assert(!game.frozen && game.pendingSteps === 0, 'freeze did not toggle back');
+});
+
+console.log('\n📊 Overlay:');
+console.log('------------------------');
+
+check('Frames are only drawn while the overlay is shown', () => {
+    const game = createGame();
+    const debug = new DebugOverlay(game);
+    assert(!game.events.has('frame'), 'listening while hidden');
+    debug.show();
+    assert(game.events.has('frame'), 'not listening when shown');
+    debug.hide();
+    assert(!game.events.has('frame'), 'still listening after hiding');
+});
+
+check('Hitboxes and the readout are drawn in both views', () => {
+    for (const view of Renderers.IDS) {
+        const game = createGame(view);
+        for (let i = 0; i < 600; i++) {
+            game.sim.step();
+        }
+        game.renderer.draw(game.sim, 0.5, 360, 640);
+        const debug = new DebugOverlay(game);
+        debug.show();
+        game.ctx.calls = {};
+        game.deltaTime = 3;
+        game.events.emit('frame', frame(game));
+
+        // Perspective drops boxes beyond its draw distance
+        const point = {};
+        const visible = item => game.renderer.toScreen(game.sim, item.x, item.y, point) &&
+            game.renderer.toScreen(game.sim, item.x, item.y + item.height, point);
+        const boxes = game.sim.obstacles.filter(obstacle => obstacle.state !== 'warning' && visible(obstacle)).length +
+            game.sim.pickups.filter(visible).length + 1;
+        assert(game.ctx.calls.closePath >= boxes, `${view}: ${game.ctx.calls.closePath} boxes for ${boxes}`);
+        assert(game.ctx.calls.fillText === debug.lines().length, `${view}: readout lines`);
+        assert(debug.history[DebugOverlay.HISTORY - 1] === 3 || debug.history[0] === 3, 'frame time not recorded');
+        assert(game.ctx.calls.save === game.ctx.calls.restore, 'context state left changed');
+    }
+});
+
+check('The readout shows pools, quality and the spawn timer', () => {
+    const game = createGame();
+    for (let i = 0; i < 400; i++) {
+        game.sim.step();
+    }
+    const text = new DebugOverlay(game).lines().join('\n');
+    assert(text.includes(`obstacles ${game.sim.obstacles.length}/${game.sim.maxObstacles}`), text);
+    assert(text.includes(`spawn ${game.sim.obstacleSpawnTimer}/${game.sim.nextSpawnDelay}`), text);
+    assert(/quality 1 {2}pixelRatio 2\.00/.test(text), text);
+});
+
+finish('debug overlay');
@@ -0,0 +1,128 @@
+// Tests for particles and screen effects
+const EffectsSystem = require('./effects');
+const { check, assert, finish } = require('./test-helpers');
+
+console.log('💥 Endless Driver Game - Effects Tests\n');
+
+// Repeatable stand-in for Math.random
+function createRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+}
+
+function createEffects() {
+    return new EffectsSystem({ random: createRandom() });
+}
+
+console.log('✨ Particles:');
+console.log('------------------------');
+
+check('The budget caps live particles and counts the rest as dropped', () => {
+    const effects = createEffects();
+    for (let i = 0; i < 10; i++) {
+        effects.explosion(100, 100, 1, ['#fff']);
+    }
+    assert(effects.particles.length === EffectsSystem.BASE_BUDGET, `${effects.particles.length} particles`);
+    assert(effects.dropped > 0, 'nothing dropped');
+    assert(effects.particles.length + effects.pool.length === EffectsSystem.BASE_BUDGET, 'pool grew');
+});
+
+check('Lower quality shrinks the budget and each burst', () => {
+    const full = createEffects();
+    full.explosion(100, 100, 1, ['#fff']);
+
+    const low = createEffects();
+    low.explosion(100, 100, 1, ['#fff']);
+    low.setQuality(0.5);
+    assert(low.budget === EffectsSystem.BASE_BUDGET / 2, `budget ${low.budget}`);
+    assert(low.particles.length <= low.budget, 'live particles over the new budget');
+
+    low.clear();
+    low.explosion(100, 100, 1, ['#fff']);
+    assert(low.particles.length === full.particles.length / 2, `${low.particles.length} vs ${full.particles.length}`);
+
+    low.setQuality(0.1);
+    assert(low.budget === EffectsSystem.BASE_BUDGET / 2, 'budget went below half');
+});
+
+check('Particles expire back into the pool', () => {
+    const effects = createEffects();
+    effects.tireSmoke(50, 50, 1, 5);
+    effects.sparks(50, 50, 1, -1);
+    assert(effects.particles.length > 0, 'nothing emitted');
+    for (let i = 0; i < 200; i++) {
+        effects.update(1);
+    }
+    assert(effects.particles.length === 0, `${effects.particles.length} still alive`);
+    assert(effects.pool.length === EffectsSystem.BASE_BUDGET, `${effects.pool.length} in the pool`);
+});
+
+check('Speed lines only appear near top speed', () => {
+    const effects = createEffects();
+    for (let i = 0; i < 60; i++) {
+        effects.speedLines(360, 640, EffectsSystem.SPEED_LINE_THRESHOLD, 1);
+    }
+    assert(effects.particles.length === 0, 'lines below the threshold');
+
+    for (let i = 0; i < 60; i++) {
+        effects.speedLines(360, 640, 1, 1);
+    }
+    assert(effects.particles.some(particle => particle.kind === 'line'), 'no lines at top speed');
+});
+
+console.log('\n📳 Shake:');
+console.log('------------------------');
+
+check('Shake fades to nothing and slow motion stretches it', () => {
+    const effects = createEffects();
+    effects.shake(10, 20);
+    effects.update(1);
+    assert(effects.shakeX !== 0 || effects.shakeY !== 0, 'no offset while shaking');
+
+    let frames = 1;
+    while (effects.shakeTicks > 0) {
+        effects.update(0.25);
+        frames++;
+        assert(Math.abs(effects.shakeX) <= 10 && Math.abs(effects.shakeY) <= 10, 'offset above the strength');
+    }
+    assert(frames === 77, `${frames} frames`);
+    assert(effects.shakeX === 0 && effects.shakeY === 0, 'offset left after the shake');
+});
+
+check('A weaker shake never cuts a stronger one short', () => {
+    const effects = createEffects();
+    effects.shake(14, 20);
+    effects.shake(3, 8);
+    assert(effects.shakeStrength === 14 && effects.shakeTicks === 20, 'crash shake replaced');
+
+    for (let i = 0; i < 19; i++) {
+        effects.update(1);
+    }
+    effects.shake(3, 8);
+    assert(effects.shakeStrength === 3, 'faded shake not replaced');
+});
+
+check('Reduced motion turns off shake, flashes and speed lines', () => {
+    const effects = createEffects();
+    effects.shake(14, 20);
+    for (let i = 0; i < 60; i++) {
+        effects.speedLines(360, 640, 1, 1);
+    }
+    effects.setReducedMotion(true);
+    assert(effects.shakeTicks === 0 && effects.shakeX === 0 && effects.shakeY === 0, 'shake carried on');
+    assert(!effects.particles.some(particle => particle.kind === 'line'), 'speed lines left on screen');
+
+    effects.shake(14, 20);
+    effects.flash('#ffffff', 12);
+    effects.speedLines(360, 640, 1, 10);
+    effects.update(1);
+    assert(effects.shakeX === 0 && effects.flashTicks === 0 && effects.particles.length === 0, 'motion effects started');
+
+    effects.sparks(100, 100, 1, 1);
+    assert(effects.particles.length > 0, 'particles stopped too');
+});
+
+finish('effects');
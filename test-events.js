@@ -0,0 +1,175 @@
+// Tests for the game event bus and plugin host
+const GameEvents = require('./events');
+const DriverSimulation = require('./simulation');
+const ObstacleTypes = require('./obstacle-types');
+const { check, assert, throws, finish } = require('./test-helpers');
+
+console.log('📣 Endless Driver Game - Event Tests\n');
+
+// A run with some steering, until the crash or a tick limit
+function drive(events, seed = 11) {
+    const sim = new DriverSimulation({ width: 360, height: 640, seed, events });
+    sim.reset();
+    for (let tick = 0; tick < 20000 && sim.gameState === 'playing'; tick++) {
+        sim.step({ steer: tick % 150 < 10 ? 1 : (tick % 150 > 75 && tick % 150 < 85 ? -1 : 0) });
+    }
+    return sim;
+}
+
+// Recorded warnings, to check failures are reported rather than thrown
+let warnings = [];
+console.warn = (...args) => warnings.push(args.join(' '));
+
+console.log('🚌 Event Bus:');
+console.log('------------------------');
+
+check('Only known event types are accepted', () => {
+    const bus = new GameEvents.EventBus();
+    assert(throws(() => bus.on('obstacle:spawned', () => {}), /Unknown event/), 'typo accepted by on');
+    assert(throws(() => bus.emit('crash', {}), /Unknown event/), 'typo accepted by emit');
+    assert(throws(() => bus.on('frame', null), /not a function/), 'missing listener accepted');
+    assert(GameEvents.TYPES.length === Object.keys(GameEvents.EVENTS).length, 'types out of step');
+});
+
+check('Listeners can be removed, also while an event is being sent', () => {
+    const bus = new GameEvents.EventBus();
+    const calls = [];
+    const offA = bus.on('lane:change', () => {
+        calls.push('a');
+        offA();
+    });
+    bus.on('lane:change', () => calls.push('b'));
+    bus.once('lane:change', () => calls.push('once'));
+
+    bus.emit('lane:change', { from: 0, to: 1, tick: 1 });
+    bus.emit('lane:change', { from: 1, to: 2, tick: 2 });
+    assert(calls.join() === 'a,b,once,b', calls.join());
+    assert(bus.has('lane:change') && !bus.has('frame'), 'has() wrong');
+});
+
+check('A throwing listener is reported and the rest still run', () => {
+    warnings = [];
+    const bus = new GameEvents.EventBus();
+    let reached = false;
+    bus.on('collision', () => {
+        throw new Error('broken plugin');
+    });
+    bus.on('collision', () => {
+        reached = true;
+    });
+    bus.emit('collision', { obstacle: null, fatal: true, tick: 0 });
+    assert(reached, 'second listener skipped');
+    assert(warnings.length === 1 && /collision/.test(warnings[0]), warnings.join());
+});
+
+check('Strict buses check payload fields', () => {
+    const bus = new GameEvents.EventBus({ strict: true });
+    assert(throws(() => bus.emit('lane:change', { from: 0, to: 1 }), /no tick/), 'missing field accepted');
+    bus.emit('lane:change', { from: 0, to: 1, tick: 3 });
+});
+
+console.log('\n🚗 Simulation Events:');
+console.log('------------------------');
+
+check('A run sends each simulation event with its documented fields', () => {
+    const bus = new GameEvents.EventBus({ strict: true });
+    const seen = {};
+    for (const type of ['obstacle:spawn', 'obstacle:passed', 'lane:change', 'collision']) {
+        seen[type] = [];
+        bus.on(type, payload => seen[type].push(Object.assign({}, payload)));
+    }
+    const sim = drive(bus);
+
+    assert(sim.gameState === 'gameOver', 'run never ended');
+    assert(seen['obstacle:spawn'].length > 0, 'no spawns');
+    assert(seen['obstacle:passed'].length === sim.obstaclesPassed, `${seen['obstacle:passed'].length} passes vs ${sim.obstaclesPassed}`);
+    assert(seen['obstacle:passed'].filter(event => event.nearMiss).length === sim.nearMisses, 'near misses out of step');
+    assert(seen['lane:change'].length > 0, 'no lane changes');
+    assert(seen['lane:change'].every(event => event.from !== event.to), 'lane change to the same lane');
+    const last = seen.collision[seen.collision.length - 1];
+    assert(last && last.fatal && last.tick === sim.tick, 'no fatal collision at the end');
+});
+
+check('Shielded and oil collisions are not fatal', () => {
+    const bus = new GameEvents.EventBus({ strict: true });
+    const collisions = [];
+    bus.on('collision', payload => collisions.push(payload));
+    const sim = new DriverSimulation({ width: 360, height: 640, seed: 3, events: bus });
+    sim.reset();
+    sim.powerUps.shield = 100;
+    for (const id of ['oil', 'car']) {
+        const obstacle = sim.spawnObstacle(ObstacleTypes.get(id), sim.player.lane);
+        obstacle.x = sim.player.x;
+        obstacle.y = sim.player.y;
+        sim.step();
+    }
+    assert(collisions.length === 2 && collisions.every(event => !event.fatal), JSON.stringify(collisions.map(event => event.fatal)));
+    assert(sim.gameState === 'playing', 'shielded crash ended the run');
+});
+
+check('Listening never changes the run', () => {
+    const quiet = drive(null);
+    const bus = new GameEvents.EventBus();
+    for (const type of GameEvents.TYPES) {
+        bus.on(type, () => {});
+    }
+    const heard = drive(bus);
+    assert(quiet.tick === heard.tick && quiet.score === heard.score, `${quiet.tick}/${quiet.score} vs ${heard.tick}/${heard.score}`);
+});
+
+console.log('\n🧩 Plugins:');
+console.log('------------------------');
+
+check('Plugins subscribe through the api and are cleaned up on removal', () => {
+    const bus = new GameEvents.EventBus();
+    const game = { name: 'game' };
+    const host = new GameEvents.PluginHost(bus, game);
+    let spawns = 0;
+    let stopped = false;
+    host.register({
+        name: 'counter',
+        setup(api) {
+            assert(api.game === game, 'no game in the api');
+            api.on('obstacle:spawn', () => spawns++);
+            return () => {
+                stopped = true;
+            };
+        }
+    });
+    assert(host.has('counter') && host.names.join() === 'counter', 'not registered');
+    assert(throws(() => host.register({ name: 'counter', setup() {} }), /already registered/), 'duplicate accepted');
+    assert(throws(() => host.register({ name: 'nameless' }), /setup/), 'plugin without setup accepted');
+
+    bus.emit('obstacle:spawn', { obstacle: {}, tick: 0 });
+    assert(host.unregister('counter') && stopped, 'teardown not run');
+    bus.emit('obstacle:spawn', { obstacle: {}, tick: 1 });
+    assert(spawns === 1, `${spawns} spawns counted`);
+    assert(!bus.has('obstacle:spawn'), 'listener left behind');
+});
+
+check('A plugin that fails to start leaves nothing behind', () => {
+    const bus = new GameEvents.EventBus();
+    const host = new GameEvents.PluginHost(bus);
+    assert(throws(() => host.register({
+        name: 'broken',
+        setup(api) {
+            api.on('frame', () => {});
+            throw new Error('no canvas');
+        }
+    }), /broken failed to start: no canvas/), 'error not passed on');
+    assert(!host.has('broken') && !bus.has('frame'), 'half-started plugin kept');
+});
+
+check('Queued plugins register whether queued before or after the game', () => {
+    warnings = [];
+    const bus = new GameEvents.EventBus();
+    const host = new GameEvents.PluginHost(bus);
+    const queue = [{ name: 'early', setup() {} }, { name: 'bad' }];
+    host.adopt(queue);
+    queue.push({ name: 'late', setup() {} });
+    assert(host.names.join() === 'early,late', host.names.join());
+    assert(queue.length === 0, 'queue kept its plugins');
+    assert(warnings.length === 1 && /bad|setup/.test(warnings[0]), warnings.join());
+});
+
+finish('event');
@@ -0,0 +1,181 @@
+// Tests for ghost cars: recording runs, racing them and keeping the best
+const DriverSimulation = require('./simulation');
+const Ghost = require('./ghost');
+const { check, assert, throws, createStorage, finish } = require('./test-helpers');
+
+console.log('👻 Endless Driver Game - Ghost Tests\n');
+
+function createSim(seed = 11) {
+    const sim = new DriverSimulation({ width: 360, height: 640, seed });
+    sim.reset();
+    return sim;
+}
+
+// Shielded, so runs last as long as a test needs
+function drive(sim, steer = 0) {
+    sim.powerUps.shield = 100;
+    sim.step({ steer });
+}
+
+// A recorded run that weaves across the road for the given ticks
+function recordRun(ticks, preset = 'normal') {
+    const sim = createSim();
+    const recorder = new Ghost.GhostRecorder();
+    recorder.start(sim, preset);
+    for (let i = 0; i < ticks; i++) {
+        drive(sim, Math.floor(i / 40) % 3 - 1);
+        recorder.record(sim);
+    }
+    return { sim, ghost: recorder.finish(sim, 'GHO') };
+}
+
+// Ghost with a given score, for store tests
+function ghostScoring(score, preset = 'normal') {
+    const { ghost } = recordRun(60, preset);
+    ghost.score = score;
+    return ghost;
+}
+
+// Silence expected warnings from corrupt-data tests
+console.warn = () => {};
+
+console.log('🎥 Recording:');
+console.log('------------------------');
+
+check('Samples the run every few ticks', () => {
+    const { ghost } = recordRun(600);
+    assert(ghost.samples.length === 600 / Ghost.SAMPLE_TICKS + 1, `${ghost.samples.length} samples`);
+    assert(ghost.ticks === 600 && ghost.preset === 'normal' && ghost.initials === 'GHO', 'run details wrong');
+    assert(Ghost.validate(ghost) === ghost, 'recorded ghost is invalid');
+});
+
+check('Samples are road fractions and metres driven', () => {
+    const { sim, ghost } = recordRun(600);
+    const last = ghost.samples[ghost.samples.length - 1];
+    assert(ghost.samples.every(([x]) => x > 0 && x < 1), 'x outside the road');
+    assert(new Set(ghost.samples.map(([x]) => x)).size > 1, 'car never moved across the road');
+    assert(Math.abs(last[1] - sim.distance / DriverSimulation.PIXELS_PER_METER) < 0.1, `${last[1]} m`);
+    assert(ghost.distance === last[1], `${ghost.distance} vs ${last[1]}`);
+});
+
+check('Survives a JSON round trip', () => {
+    const { ghost } = recordRun(120);
+    const copy = Ghost.parse(Ghost.stringify(ghost));
+    assert(JSON.stringify(copy) === JSON.stringify(ghost), 'ghost changed');
+});
+
+console.log('\n🏁 Racing:');
+console.log('------------------------');
+
+check('Races level with an identical run', () => {
+    const { ghost } = recordRun(600);
+    const sim = createSim();
+    const player = new Ghost.GhostPlayer(ghost);
+    let worst = 0;
+    for (let i = 0; i < 600; i++) {
+        drive(sim, Math.floor(i / 40) % 3 - 1);
+        const car = player.place(sim, 0.5);
+        const x = sim.player.prevX + (sim.player.x - sim.player.prevX) * 0.5;
+        worst = Math.max(worst, Math.abs(car.x - x));
+        assert(Math.abs(car.gap) < 0.2, `gap ${car.gap} at tick ${sim.tick}`);
+    }
+    // Lane changes are quicker than the samples, so the ghost cuts corners
+    assert(worst < 24, `ghost strayed ${worst}px from the car`);
+});
+
+check('A ghost further along is ahead on the road', () => {
+    const { ghost } = recordRun(600);
+    const sim = createSim();
+    const player = new Ghost.GhostPlayer(ghost);
+    drive(sim);
+    ghost.samples = ghost.samples.map(([x, distance]) => [x, distance + 5]);
+    const car = player.place(sim, 1);
+    assert(Math.abs(car.gap - 5) < 0.2, `gap ${car.gap}`);
+    assert(car.y < sim.player.y && Math.abs(sim.player.y - car.y - 5 * DriverSimulation.PIXELS_PER_METER) < 2, `y ${car.y}`);
+    assert(car.width === sim.player.width && car.height === sim.player.height, 'ghost car size wrong');
+});
+
+check('Parks where its run ended', () => {
+    const { ghost } = recordRun(120);
+    const sim = createSim();
+    const player = new Ghost.GhostPlayer(ghost);
+    for (let i = 0; i < 300; i++) {
+        drive(sim);
+    }
+    const car = player.place(sim, 0);
+    assert(car.finished, 'ghost still running');
+    const driven = sim.prevDistance / DriverSimulation.PIXELS_PER_METER;
+    assert(Math.abs(car.gap - (ghost.distance - driven)) < 0.2, `gap ${car.gap}`);
+});
+
+check('Invalid ghosts are rejected', () => {
+    const valid = () => recordRun(60).ghost;
+    assert(throws(() => Ghost.validate(null), /object/), 'null accepted');
+    assert(throws(() => Ghost.validate(Object.assign(valid(), { version: 99 })), /version/), 'newer version accepted');
+    assert(throws(() => Ghost.validate(Object.assign(valid(), { preset: 'ludicrous' })), /ludicrous/), 'unknown preset accepted');
+    assert(throws(() => Ghost.validate(Object.assign(valid(), { preset: 'toString' })), /toString/), 'inherited property taken for a preset');
+    assert(throws(() => Ghost.validate(Object.assign(valid(), { score: 'lots' })), /score/), 'string score accepted');
+    assert(throws(() => Ghost.validate(Object.assign(valid(), { sampleTicks: 0 })), /sampleTicks/), 'zero sample interval accepted');
+    assert(throws(() => Ghost.validate(Object.assign(valid(), { samples: [] })), /samples/), 'empty samples accepted');
+    assert(throws(() => Ghost.validate(Object.assign(valid(), { samples: [[0.5]] })), /pairs/), 'short sample accepted');
+    assert(throws(() => Ghost.validate(Object.assign(valid(), { samples: [[0.5, 10], [0.5, 5]] })), /backwards/), 'samples going backwards accepted');
+    assert(throws(() => Ghost.parse('not json'), /JSON/), 'bad JSON accepted');
+});
+
+console.log('\n💾 Best Runs:');
+console.log('------------------------');
+
+check('Keeps the best run on each difficulty', () => {
+    const store = new Ghost.GhostStore({ storage: createStorage() });
+    assert(store.get('normal') === null, 'not empty');
+    assert(store.offer(ghostScoring(50)), 'first run not kept');
+    assert(!store.offer(ghostScoring(40)), 'worse run kept');
+    assert(!store.offer(ghostScoring(50)), 'tied run kept');
+    assert(store.offer(ghostScoring(80)), 'better run not kept');
+    assert(store.offer(ghostScoring(10, 'hard')), 'other difficulty not kept');
+    assert(store.get('normal').score === 80 && store.get('hard').score === 10, 'wrong ghosts kept');
+    assert(!store.offer(ghostScoring(0, 'easy')), 'scoreless run kept');
+});
+
+check('Ghosts and the race setting persist', () => {
+    const storage = createStorage();
+    const store = new Ghost.GhostStore({ storage });
+    const ghost = ghostScoring(50);
+    store.offer(ghost);
+    store.rename(ghost, 'ZED');
+    store.setEnabled(false);
+
+    const reloaded = new Ghost.GhostStore({ storage });
+    assert(reloaded.get('normal').initials === 'ZED', 'rename lost');
+    assert(reloaded.get('normal').samples.length === ghost.samples.length, 'samples lost');
+    assert(reloaded.enabled === false, 'race setting lost');
+});
+
+check('A corrupt ghost is dropped on its own', () => {
+    const storage = createStorage();
+    const store = new Ghost.GhostStore({ storage });
+    store.offer(ghostScoring(50));
+    store.offer(ghostScoring(30, 'hard'));
+    const data = JSON.parse(storage.data[store.key]);
+    data.ghosts.hard.samples = 'garbage';
+    storage.setItem(store.key, JSON.stringify(data));
+
+    const reloaded = new Ghost.GhostStore({ storage });
+    assert(reloaded.get('normal') && reloaded.get('hard') === null, 'wrong ghosts dropped');
+    assert(new Ghost.GhostStore({ storage: createStorage({ [store.key]: '{oops' }) }).get('normal') === null, 'unreadable data kept');
+});
+
+check('Exported ghosts import on another device', () => {
+    const store = new Ghost.GhostStore({ storage: createStorage() });
+    assert(store.export('normal') === null, 'exported a missing ghost');
+    store.offer(ghostScoring(500, 'hard'));
+
+    const friend = new Ghost.GhostStore({ storage: createStorage() });
+    friend.offer(ghostScoring(900, 'hard'));
+    const imported = friend.import(store.export('hard'));
+    assert(imported.score === 500 && friend.get('hard') === imported, 'import did not replace the ghost');
+    assert(throws(() => friend.import(JSON.stringify({ hello: 'world' })), /version/), 'unversioned file accepted');
+    assert(friend.get('hard') === imported, 'bad import replaced the ghost');
+});
+
+finish('ghost');
@@ -0,0 +1,90 @@
+// Shared harness for the test-*.js files: named checks that report ✓ or ✗
+// and count failures, assertions, and an in-memory localStorage for the
+// modules that save data. Not a test file itself.
+
+let failures = 0;
+// Checks still running when one returned a promise; later steps wait for it
+let pending = null;
+
+function after(step) {
+    if (pending) {
+        pending = pending.then(step);
+        return;
+    }
+    pending = step() || null;
+}
+
+// Runs fn as the check called name. Checks may return a promise (asset
+// loading, service workers) and then run one at a time, in order.
+function check(name, fn) {
+    after(() => {
+        const pass = () => console.log(`✓ ${name}`);
+        const fail = (err) => {
+            failures++;
+            console.log(`✗ ${name}: ${err.message}`);
+        };
+        try {
+            const result = fn();
+            if (result && typeof result.then === 'function') {
+                return result.then(pass, fail);
+            }
+            pass();
+        } catch (err) {
+            fail(err);
+        }
+        return null;
+    });
+}
+
+// Section header, printed in order with checks that are still running
+function heading(title) {
+    after(() => {
+        console.log(title);
+        console.log('------------------------');
+    });
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Whether fn throws an error whose message matches pattern
+function throws(fn, pattern) {
+    try {
+        fn();
+    } catch (err) {
+        return pattern.test(err.message);
+    }
+    return false;
+}
+
+// In-memory stand-in for localStorage
+function createStorage(initial = {}) {
+    const data = Object.assign({}, initial);
+    return {
+        data,
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; }
+    };
+}
+
+// Once every check has run, prints the summary for the `what` tests and
+// exits with a failing code if any check failed
+function finish(what) {
+    after(() => {
+        console.log(`\n${failures === 0 ? `✨ All ${what} tests passed!` : `❌ ${failures} ${what} test(s) failed`}\n`);
+        process.exit(failures === 0 ? 0 : 1);
+    });
+}
+
+module.exports = {
+    check,
+    heading,
+    assert,
+    throws,
+    createStorage,
+    finish
+};
@@ -0,0 +1,131 @@
+// Tests for the persistent high-score table
+const Leaderboard = require('./leaderboard');
+const { check, assert, createStorage, finish } = require('./test-helpers');
+
+console.log('🏆 Endless Driver Game - Leaderboard Tests\n');
+
+function run(score, date = '2026-01-01T00:00:00.000Z') {
+    return { initials: 'abc', score, date, distance: 1234.4, duration: 42.5, maxSpeed: 151.7 };
+}
+
+// Silence expected warnings from corrupt-data tests
+console.warn = () => {};
+
+console.log('🧪 High Scores:');
+console.log('------------------------');
+
+check('Starts empty without storage', () => {
+    const board = new Leaderboard({ storage: null });
+    assert(board.entries.length === 0 && board.best === 0, 'not empty');
+    assert(board.add(run(50)) !== null, 'could not add without storage');
+});
+
+check('Keeps the top N sorted by score', () => {
+    const board = new Leaderboard({ storage: createStorage(), maxEntries: 3 });
+    [30, 10, 50, 20, 40].forEach(score => board.add(run(score)));
+    assert(board.entries.map(e => e.score).join() === '50,40,30', board.entries.map(e => e.score).join());
+    assert(!board.qualifies(25) && board.qualifies(35), 'qualification wrong');
+});
+
+check('Entries are normalised', () => {
+    const board = new Leaderboard({ storage: createStorage() });
+    const entry = board.add(run(10));
+    assert(entry.initials === 'ABC', `initials ${entry.initials}`);
+    assert(entry.distance === 1234 && entry.maxSpeed === 152, 'numbers not rounded');
+});
+
+check('Persists across instances with a versioned schema', () => {
+    const storage = createStorage();
+    const board = new Leaderboard({ storage });
+    board.add(run(70));
+    board.rename(board.entries[0], 'zed');
+    const stored = JSON.parse(storage.data['endless-driver.leaderboard']);
+    assert(stored.version === Leaderboard.SCHEMA_VERSION, `version ${stored.version}`);
+    const reloaded = new Leaderboard({ storage });
+    assert(reloaded.best === 70 && reloaded.entries[0].initials === 'ZED', 'not reloaded');
+    assert(reloaded.lastInitials === 'ZED', 'last initials not remembered');
+});
+
+check('Named boards keep their own scores', () => {
+    const storage = createStorage();
+    new Leaderboard({ storage }).add(run(70));
+    new Leaderboard({ storage, board: 'hard' }).add(run(30));
+    assert(new Leaderboard({ storage }).best === 70, 'default board changed');
+    assert(new Leaderboard({ storage, board: 'hard' }).best === 30, 'named board lost');
+    assert('endless-driver.leaderboard.hard' in storage.data, Object.keys(storage.data).join());
+});
+
+check('Detects a new best', () => {
+    const board = new Leaderboard({ storage: createStorage() });
+    assert(board.isNewBest(10), 'first score is not best');
+    board.add(run(10));
+    assert(!board.isNewBest(10) && board.isNewBest(11), 'best detection wrong');
+});
+
+check('Recovers from corrupt or future data', () => {
+    const corrupt = new Leaderboard({ storage: createStorage({ 'endless-driver.leaderboard': '{oops' }) });
+    assert(corrupt.entries.length === 0, 'corrupt data loaded');
+    const future = JSON.stringify({ version: 99, entries: [run(5)] });
+    const newer = new Leaderboard({ storage: createStorage({ 'endless-driver.leaderboard': future }) });
+    assert(newer.entries.length === 0, 'future schema loaded');
+});
+
+check('Export and import merge without duplicates', () => {
+    const home = new Leaderboard({ storage: createStorage() });
+    home.add(run(100, '2026-02-01T00:00:00.000Z'));
+    home.add(run(60, '2026-02-02T00:00:00.000Z'));
+
+    const phone = new Leaderboard({ storage: createStorage() });
+    phone.add(run(80, '2026-03-01T00:00:00.000Z'));
+    const added = phone.import(home.export());
+    assert(added === 2, `${added} imported`);
+    assert(phone.import(home.export()) === 0, 'duplicates imported');
+    assert(phone.entries.map(e => e.score).join() === '100,80,60', 'merge order wrong');
+});
+
+check('Import counts only the scores that make the board', () => {
+    const home = new Leaderboard({ storage: createStorage() });
+    [10, 20, 90].forEach(score => home.add(run(score)));
+
+    const phone = new Leaderboard({ storage: createStorage(), maxEntries: 3 });
+    [50, 60, 70].forEach(score => phone.add(run(score)));
+    const added = phone.import(home.export());
+    assert(added === 1, `${added} imported`);
+    assert(phone.entries.map(e => e.score).join() === '90,70,60', phone.entries.map(e => e.score).join());
+});
+
+check('Exports only import onto the difficulty they came from', () => {
+    const hard = new Leaderboard({ storage: createStorage(), board: 'hard', preset: 'hard' });
+    hard.add(run(300));
+    const exported = hard.export();
+    assert(Leaderboard.presetOf(JSON.parse(exported)) === 'hard', 'preset not exported');
+
+    const easy = new Leaderboard({ storage: createStorage(), board: 'easy', preset: 'easy' });
+    let message = '';
+    try {
+        easy.import(exported);
+    } catch (err) {
+        message = err.message;
+    }
+    assert(/from the hard board/.test(message), message || 'hard scores imported onto easy');
+    assert(easy.entries.length === 0, 'entries kept from a rejected import');
+    assert(new Leaderboard({ storage: createStorage(), board: 'hard', preset: 'hard' }).import(exported) === 1, 'not imported onto hard');
+
+    // Exports from before the preset was recorded still import
+    const legacy = JSON.stringify({ version: Leaderboard.SCHEMA_VERSION, entries: [run(40)] });
+    assert(Leaderboard.presetOf(JSON.parse(legacy)) === null, 'preset read from an older export');
+    assert(easy.import(legacy) === 1, 'older export rejected');
+});
+
+check('Import rejects files that are not leaderboards', () => {
+    const board = new Leaderboard({ storage: createStorage() });
+    let threw = false;
+    try {
+        board.import(JSON.stringify({ hello: 'world' }));
+    } catch (err) {
+        threw = true;
+    }
+    assert(threw, 'bad file accepted');
+});
+
+finish('leaderboard');
@@ -0,0 +1,325 @@
+// Tests for offline play: the service worker, its build step and the update
+// prompt. The worker runs in a sandbox with in-memory caches and network.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const OfflineSupport = require('./offline');
+const BuildSW = require('./build-sw');
+const { check, heading, assert, finish } = require('./test-helpers');
+
+console.log('📴 Endless Driver Game - Offline Tests\n');
+
+const ORIGIN = 'https://driver.example';
+const SOURCE = fs.readFileSync(path.join(__dirname, 'sw.js'), 'utf-8');
+
+function toUrl(input, ignoreSearch = false) {
+    const url = new URL(typeof input === 'string' ? input : input.url, `${ORIGIN}/`);
+    if (ignoreSearch) url.search = '';
+    return url.href;
+}
+
+class FakeRequest {
+    constructor(url, options = {}) {
+        this.url = toUrl(url);
+        this.method = options.method || 'GET';
+        this.mode = options.mode || 'cors';
+        this.cache = options.cache || 'default';
+    }
+}
+
+// Responses carry the URL they came from and the network's revision
+function createResponse(url, revision) {
+    const response = { ok: true, url, body: `${url}#${revision}` };
+    response.clone = () => Object.assign({}, response);
+    return response;
+}
+
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    put(key, response) {
+        this.entries.set(toUrl(key), response);
+        return Promise.resolve();
+    }
+
+    addAll(requests) {
+        return Promise.all(requests.map(request => this.network.fetch(request)
+            .then(response => this.put(request, response))));
+    }
+
+    match(key, options = {}) {
+        const url = toUrl(key, options.ignoreSearch);
+        for (const [stored, response] of this.entries) {
+            if (stored === url) return Promise.resolve(response);
+        }
+        return Promise.resolve(undefined);
+    }
+}
+
+// A worker script loaded into a sandbox, with its caches and network
+function loadWorker(source = SOURCE, existingCaches = []) {
+    const listeners = {};
+    const stores = new Map(existingCaches.map(name => [name, new FakeCache()]));
+    const worker = { listeners, stores, skipped: false, claimed: false };
+    const network = worker.network = {
+        online: true,
+        revision: 1,
+        requests: [],
+        fetch(input) {
+            const request = typeof input === 'string' ? new FakeRequest(input) : input;
+            network.requests.push(request);
+            if (!network.online) return Promise.reject(new TypeError('Failed to fetch'));
+            return Promise.resolve(createResponse(request.url, network.revision));
+        }
+    };
+    const caches = {
+        open(name) {
+            if (!stores.has(name)) stores.set(name, Object.assign(new FakeCache(), { network }));
+            return Promise.resolve(stores.get(name));
+        },
+        keys: () => Promise.resolve(Array.from(stores.keys())),
+        delete: name => Promise.resolve(stores.delete(name))
+    };
+    const self = {
+        location: { origin: ORIGIN },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting: () => { worker.skipped = true; return Promise.resolve(); },
+        clients: { claim: () => { worker.claimed = true; return Promise.resolve(); } }
+    };
+    vm.runInNewContext(source, { self, caches, fetch: network.fetch, Request: FakeRequest, URL });
+    return worker;
+}
+
+// Sends an event; resolves with what the worker waited on or answered
+function dispatch(worker, type, props = {}) {
+    let pending;
+    const event = Object.assign({
+        waitUntil: (promise) => { pending = promise; },
+        respondWith: (promise) => { pending = promise; }
+    }, props);
+    worker.listeners[type](event);
+    return pending;
+}
+
+function request(worker, url, options) {
+    return dispatch(worker, 'fetch', { request: new FakeRequest(url, options) });
+}
+
+function cached(worker, name) {
+    const store = worker.stores.get(name);
+    return store ? Array.from(store.entries.keys()).map(url => url.slice(ORIGIN.length + 1)) : [];
+}
+
+function builtWorker(version = 'abc123') {
+    const urls = BuildSW.productionFiles().map(entry => entry.url);
+    return loadWorker(BuildSW.build(SOURCE, version, urls));
+}
+
+// Minimal EventTarget for the fake service worker container and registrations
+function createTarget(props = {}) {
+    const listeners = {};
+    return Object.assign({
+        addEventListener: (type, listener) => { (listeners[type] = listeners[type] || []).push(listener); },
+        fire: type => (listeners[type] || []).forEach(listener => listener())
+    }, props);
+}
+
+function createWorker() {
+    const worker = createTarget({ state: 'installing', messages: [] });
+    worker.postMessage = message => worker.messages.push(message);
+    return worker;
+}
+
+heading('🧰 Service Worker:');
+
+check('Install precaches every file past the HTTP cache', () => {
+    const worker = loadWorker();
+    return dispatch(worker, 'install').then(() => {
+        const urls = cached(worker, 'endless-driver-dev');
+        assert(urls.includes('index.html') && urls.includes('game.js') && urls.includes('assets/themes.json'), urls.join());
+        assert(worker.network.requests.every(req => req.cache === 'reload'), 'precache went through the HTTP cache');
+    });
+});
+
+check('Activating removes caches from older versions only', () => {
+    const worker = loadWorker(SOURCE, ['endless-driver-0123', 'endless-driver-dev', 'someone-else']);
+    return dispatch(worker, 'activate').then(() => {
+        const names = Array.from(worker.stores.keys()).join();
+        assert(names === 'endless-driver-dev,someone-else', names);
+        assert(worker.claimed, 'open pages not claimed');
+    });
+});
+
+check('A built worker answers from its cache, online or not', () => {
+    const worker = builtWorker();
+    return dispatch(worker, 'install')
+        .then(() => {
+            worker.network.revision = 2;
+            worker.network.requests = [];
+            return request(worker, 'game.min.js');
+        })
+        .then((response) => {
+            assert(response.body.endsWith('#1') && worker.network.requests.length === 0, 'went to the network');
+            worker.network.online = false;
+            return request(worker, '/?preset=hard&debug', { mode: 'navigate' });
+        })
+        .then((response) => {
+            assert(response.url === `${ORIGIN}/index.html`, `navigation answered with ${response.url}`);
+        });
+});
+
+check('The dev worker goes to the network first and falls back offline', () => {
+    const worker = loadWorker();
+    return dispatch(worker, 'install')
+        .then(() => {
+            worker.network.revision = 2;
+            return request(worker, 'game.js');
+        })
+        .then((response) => {
+            assert(response.body.endsWith('#2'), 'served a stale copy while online');
+            worker.network.online = false;
+            return request(worker, 'game.js');
+        })
+        .then((response) => {
+            assert(response.body.endsWith('#2'), 'cache not refreshed from the network');
+            return request(worker, 'missing.js').then(() => false, () => true);
+        })
+        .then((failed) => {
+            assert(failed, 'uncached file did not fail offline');
+        });
+});
+
+check('Other sites and non-GET requests are left to the browser', () => {
+    const worker = loadWorker();
+    assert(request(worker, 'https://cdn.example/game.min.js') === undefined, 'answered for another origin');
+    assert(request(worker, 'scores', { method: 'POST' }) === undefined, 'answered a POST');
+});
+
+check('A waiting worker takes over when asked', () => {
+    const worker = loadWorker();
+    dispatch(worker, 'message', { data: { type: 'hello' } });
+    assert(!worker.skipped, 'activated on an unrelated message');
+    dispatch(worker, 'message', { data: { type: OfflineSupport.SKIP_WAITING } });
+    assert(worker.skipped, 'did not skip waiting');
+});
+
+heading('\n🏗️ Build:');
+
+check('The build version follows the precached files', () => {
+    const files = [{ url: 'index.html', file: 'index-prod.html' }, { url: 'game.min.js', file: 'game.min.js' }];
+    const contents = { 'index-prod.html': '<html>', 'game.min.js': 'a()' };
+    const before = BuildSW.version(files, file => contents[file]);
+    assert(/^[0-9a-f]{12}$/.test(before), before);
+    assert(BuildSW.version(files, file => contents[file]) === before, 'same files, different version');
+    contents['game.min.js'] = 'b()';
+    assert(BuildSW.version(files, file => contents[file]) !== before, 'changed file kept the version');
+
+    const built = BuildSW.build(SOURCE, before, ['index.html', 'game.min.js']);
+    assert(built.includes(`const CACHE_VERSION = '${before}';`), 'version not written');
+    assert(built.includes('const PRECACHE_URLS = ["index.html","game.min.js"];'), 'file list not written');
+    let threw = false;
+    try {
+        BuildSW.build('self.addEventListener("fetch", () => {});', before, []);
+    } catch (err) {
+        threw = /CACHE_VERSION/.test(err.message);
+    }
+    assert(threw, 'missing markers not reported');
+});
+
+check('The production list has the built files and every asset', () => {
+    const files = BuildSW.productionFiles();
+    const urls = files.map(entry => entry.url);
+    assert(files.find(entry => entry.url === 'index.html').file === 'index-prod.html', 'index.html not built from index-prod.html');
+    for (const url of ['game.min.js', 'render-worker.min.js', 'styles.min.css', 'manifest.webmanifest']) {
+        assert(urls.includes(url), `${url} missing`);
+    }
+    for (const name of fs.readdirSync(path.join(__dirname, 'assets'))) {
+        assert(urls.includes(`assets/${name}`), `assets/${name} missing`);
+    }
+    assert(!urls.some(url => /^(?!game\.min)[\w-]+\.js$/.test(url)), 'source scripts in the production list');
+});
+
+check('The source worker precaches everything the page loads', () => {
+    const worker = loadWorker();
+    return dispatch(worker, 'install').then(() => {
+        const urls = cached(worker, 'endless-driver-dev');
+        const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf-8');
+        const loaded = Array.from(html.matchAll(/(?:src|href)="([^"]+)"/g), match => match[1]);
+        loaded.push(/<meta name="render-worker" content="([^"]+)">/.exec(html)[1]);
+        const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.webmanifest'), 'utf-8'));
+        const assets = fs.readdirSync(path.join(__dirname, 'assets')).map(name => `assets/${name}`);
+        for (const url of loaded.concat(manifest.icons.map(icon => icon.src), assets)) {
+            assert(urls.includes(url), `${url} not precached`);
+        }
+        assert(html.includes('<meta name="service-worker" content="sw.js">'), 'index.html does not name sw.js');
+        const prod = fs.readFileSync(path.join(__dirname, 'index-prod.html'), 'utf-8');
+        assert(prod.includes('<meta name="service-worker" content="sw.min.js">'), 'index-prod.html does not name sw.min.js');
+        assert(prod.includes('<meta name="render-worker" content="render-worker.min.js">'), 'index-prod.html does not name render-worker.min.js');
+    });
+});
+
+heading('\n🔄 Updates:');
+
+function watch(controlled) {
+    const container = createTarget({ controller: controlled ? {} : null });
+    const registration = createTarget({ waiting: null, installing: null });
+    container.register = () => Promise.resolve(registration);
+    const seen = { updates: 0, reloads: 0 };
+    const watcher = new OfflineSupport.UpdateWatcher(container, {
+        onUpdate: () => { seen.updates++; },
+        reload: () => { seen.reloads++; }
+    });
+    return { container, registration, watcher, seen };
+}
+
+function install(registration) {
+    const worker = createWorker();
+    registration.installing = worker;
+    registration.fire('updatefound');
+    worker.state = 'installed';
+    worker.fire('statechange');
+    return worker;
+}
+
+check('An update waits for the player, then reloads the page once', () => {
+    const { container, registration, watcher, seen } = watch(true);
+    return watcher.register('sw.js').then(() => {
+        assert(!watcher.updateReady && !watcher.apply(), 'offered an update before one arrived');
+        const worker = install(registration);
+        assert(seen.updates === 1 && watcher.updateReady, 'update not offered');
+
+        assert(watcher.apply(), 'update not applied');
+        assert(worker.messages.length === 1 && worker.messages[0].type === OfflineSupport.SKIP_WAITING, 'worker not told');
+        container.fire('controllerchange');
+        container.fire('controllerchange');
+        assert(seen.reloads === 1 && !watcher.updateReady, `${seen.reloads} reloads`);
+    });
+});
+
+check('The first install is not offered and does not reload', () => {
+    const { container, registration, watcher, seen } = watch(false);
+    return watcher.register('sw.js').then(() => {
+        install(registration);
+        container.fire('controllerchange');
+        assert(seen.updates === 0 && seen.reloads === 0, 'first install treated as an update');
+    });
+});
+
+check('A worker left waiting on an earlier visit is offered at load', () => {
+    const { registration, watcher, seen } = watch(true);
+    registration.waiting = createWorker();
+    return watcher.register('sw.js').then(() => {
+        assert(seen.updates === 1 && watcher.waiting === registration.waiting, 'waiting worker not offered');
+    });
+});
+
+check('Pages opened from a file are not supported', () => {
+    const nav = { serviceWorker: {} };
+    assert(OfflineSupport.isSupported(nav, { protocol: 'https:' }), 'https page not supported');
+    assert(!OfflineSupport.isSupported(nav, { protocol: 'file:' }), 'file page supported');
+    assert(!OfflineSupport.isSupported({}, { protocol: 'https:' }), 'browser without service workers supported');
+});
+
+finish('offline');
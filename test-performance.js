@@ -1,6 +1,8 @@
 // Performance testing and profiling script
 const fs = require('fs');
 const path = require('path');
+const Benchmark = require('./benchmark');
+const Renderers = require('./renderers');
 
 console.log('🎮 Endless Driver Game - Performance Analysis\n');
 
@@ -22,7 +24,14 @@ function checkFileSize(filename) {
 console.log('📊 Asset Size Analysis:');
 console.log('------------------------');
 const htmlSize = checkFileSize('index.html');
-const jsSize = checkFileSize('game.js');
+const jsSize = checkFileSize('storage.js') + checkFileSize('rng.js') + checkFileSize('config.js') + checkFileSize('obstacle-types.js') +
+    checkFileSize('pickup-types.js') + checkFileSize('road-layouts.js') + checkFileSize('spawn-patterns.js') +
+    checkFileSize('events.js') + checkFileSize('simulation.js') + checkFileSize('replay.js') +
+    checkFileSize('ghost.js') + checkFileSize('autopilot.js') +
+    checkFileSize('leaderboard.js') + checkFileSize('progression.js') + checkFileSize('controls.js') +
+    checkFileSize('accessibility.js') + checkFileSize('audio.js') + checkFileSize('assets.js') +
+    checkFileSize('renderers.js') + checkFileSize('effects.js') + checkFileSize('render-thread.js') +
+    checkFileSize('render-worker.js') + checkFileSize('debug.js') + checkFileSize('offline.js') + checkFileSize('game.js');
 const cssSize = checkFileSize('styles.css');
 
 const totalSize = htmlSize + jsSize + cssSize;
@@ -44,110 +53,33 @@ if (cssMinSize > 0) {
     console.log(`  CSS minification savings: ${savings}%`);
 }
 
-// Check for performance optimizations
-console.log('\n⚡ Performance Features:');
+// Run the game headlessly and hold each view to its recorded budgets
+// (benchmark.js; `npm run benchmark -- --record` after an intended change)
+console.log('\n⏱️ Frame Benchmark:');
 console.log('------------------------');
 
-const gameCode = fs.readFileSync('game.js', 'utf-8');
-const cssCode = fs.readFileSync('styles.css', 'utf-8');
-const htmlCode = fs.readFileSync('index.html', 'utf-8');
-
-const features = [
-    {
-        name: 'requestAnimationFrame',
-        check: gameCode.includes('requestAnimationFrame'),
-        description: 'Optimal frame timing'
-    },
-    {
-        name: 'Canvas desynchronized',
-        check: gameCode.includes('desynchronized'),
-        description: 'Low-latency rendering'
-    },
-    {
-        name: 'GPU acceleration (translateZ)',
-        check: cssCode.includes('translateZ'),
-        description: 'Hardware-accelerated transforms'
-    },
-    {
-        name: 'will-change property',
-        check: cssCode.includes('will-change'),
-        description: 'Browser optimization hints'
-    },
-    {
-        name: 'Touch event optimization',
-        check: gameCode.includes('passive: false'),
-        description: 'Optimized touch handling'
-    },
-    {
-        name: 'Dynamic pixel ratio',
-        check: gameCode.includes('getOptimalPixelRatio'),
-        description: 'Resolution scaling'
-    },
-    {
-        name: 'Viewport meta tags',
-        check: htmlCode.includes('viewport'),
-        description: 'Mobile viewport optimization'
-    },
-    {
-        name: 'FPS monitoring',
-        check: gameCode.includes('updateFPS'),
-        description: 'Performance tracking'
-    }
-];
-
-features.forEach(feature => {
-    const status = feature.check ? '✓' : '✗';
-    console.log(`${status} ${feature.name} - ${feature.description}`);
-});
-
-// Performance recommendations
-console.log('\n💡 Performance Score:');
-console.log('------------------------');
-const implementedFeatures = features.filter(f => f.check).length;
-const score = Math.round((implementedFeatures / features.length) * 100);
-
-console.log(`Score: ${score}/100`);
-
-if (score === 100) {
-    console.log('🌟 Excellent! All performance optimizations are implemented.');
-} else if (score >= 80) {
-    console.log('✅ Good! Most optimizations are in place.');
-} else {
-    console.log('⚠️  Consider implementing more performance optimizations.');
+const budgets = Benchmark.loadBudgets();
+const results = Benchmark.run({ frames: budgets.frames });
+let failures = 0;
+
+console.log(`${budgets.frames} frames per view at top speed`);
+for (const result of results) {
+    const over = Benchmark.overBudget(result, budgets);
+    failures += over.length;
+    console.log(`${over.length === 0 ? '✓' : '✗'} ${result.view}`);
+    Benchmark.report(result).forEach(line => console.log(`    ${line}`));
+    over.forEach(line => console.log(`  ✗ ${line}`));
 }
 
-// Mobile-specific checks
-console.log('\n📱 Mobile Optimization Checks:');
-console.log('------------------------');
-
-const mobileChecks = [
-    {
-        name: 'Touch controls',
-        check: htmlCode.includes('joystick-container'),
-        status: htmlCode.includes('joystick-container') ? '✓' : '✗'
-    },
-    {
-        name: 'Responsive layout',
-        check: cssCode.includes('@media'),
-        status: cssCode.includes('@media') ? '✓' : '✗'
-    },
-    {
-        name: 'Swipe gestures',
-        check: gameCode.includes('touchstart'),
-        status: gameCode.includes('touchstart') ? '✓' : '✗'
-    },
-    {
-        name: 'Prevent zoom',
-        check: htmlCode.includes('user-scalable=no'),
-        status: htmlCode.includes('user-scalable=no') ? '✓' : '✗'
-    }
-];
-
-mobileChecks.forEach(check => {
-    console.log(`${check.status} ${check.name}`);
-});
+// The same run with nothing kept for reuse shows what the pool saves
+const unpooled = Benchmark.runView(Renderers.DEFAULT, budgets.frames, { obstaclePoolSize: 0 });
+const pooled = results.find(result => result.view === Renderers.DEFAULT);
+const saved = unpooled.poolAllocations > pooled.poolAllocations;
+if (!saved) {
+    failures++;
+}
+console.log(`${saved ? '✓' : '✗'} Obstacle pool: ${pooled.poolAllocations} allocations, ${unpooled.poolAllocations} without it`);
 
-console.log('\n✨ Performance analysis complete!\n');
+console.log(`\n${failures === 0 ? '✨ Performance analysis complete!' : `❌ ${failures} performance budget(s) exceeded`}\n`);
 
-// Exit successfully
-process.exit(0);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,181 @@
+// Tests for missions, achievements and car colours
+const Progression = require('./progression');
+const { check, assert, createStorage, finish } = require('./test-helpers');
+
+console.log('🎯 Endless Driver Game - Progression Tests\n');
+
+// Run stats as the simulation reports them
+function stats(overrides = {}) {
+    return Object.assign({ score: 0, coins: 0, distance: 100, duration: 10, maxSpeed: 108 }, overrides);
+}
+
+function missionOf(progression, type) {
+    return progression.missions.find(mission => mission.type === type);
+}
+
+// Silence expected warnings from corrupt-data tests
+console.warn = () => {};
+
+console.log('🗺️ Missions:');
+console.log('------------------------');
+
+check('Three missions are active from the start', () => {
+    const progression = new Progression({ storage: null });
+    assert(progression.missions.length === Progression.ACTIVE_MISSIONS, `${progression.missions.length} missions`);
+    const types = new Set(progression.missions.map(mission => mission.type));
+    assert(types.size === Progression.ACTIVE_MISSIONS, 'duplicate mission types');
+    assert(/^Pass 20 obstacles/.test(progression.describe(missionOf(progression, 'obstacles'))), 'description');
+});
+
+check('A run mission must be done within one run', () => {
+    const progression = new Progression({ storage: null });
+    progression.startRun();
+    progression.count('obstacles', 15);
+    progression.finishRun(stats());
+    assert(missionOf(progression, 'obstacles').progress === 15, 'best run not kept');
+
+    progression.startRun();
+    progression.count('obstacles', 10);
+    assert(missionOf(progression, 'obstacles'), 'two short runs added up');
+    progression.count('obstacles', 10);
+    assert(!missionOf(progression, 'obstacles'), 'mission not completed at 20 in one run');
+});
+
+check('Completing a mission pays out and brings a harder one', () => {
+    const progression = new Progression({ storage: null });
+    progression.startRun();
+    progression.count('laneChanges', 50);
+    const summary = progression.finishRun(stats());
+
+    const rewards = summary.rewards.filter(reward => reward.kind === 'mission');
+    assert(rewards.length === 1 && rewards[0].reward === 20, JSON.stringify(summary.rewards));
+    assert(!missionOf(progression, 'laneChanges'), 'completed mission still active');
+    assert(progression.missions.length === Progression.ACTIVE_MISSIONS, 'mission not replaced');
+
+    // Cycle through the templates until lane changes come round again
+    let next = null;
+    for (let i = 0; i < Progression.MISSION_IDS.length && !next; i++) {
+        progression.missions.shift();
+        progression.fillMissions();
+        next = missionOf(progression, 'laneChanges');
+    }
+    assert(next && next.target === 100 && next.reward === 30, JSON.stringify(next));
+});
+
+check('Total missions only count while active and outside replays', () => {
+    const progression = new Progression({ storage: null });
+    progression.count('laneChanges', 10);
+    assert(missionOf(progression, 'laneChanges').progress === 0, 'counted outside a run');
+
+    progression.startRun();
+    progression.count('laneChanges', 10);
+    progression.abandonRun();
+    progression.count('laneChanges', 10);
+    assert(missionOf(progression, 'laneChanges').progress === 10, 'counted after the run was abandoned');
+    assert(progression.totals.runs === 0, 'abandoned run counted as a run');
+});
+
+console.log('\n🏅 Achievements and Colours:');
+console.log('------------------------');
+
+check('Achievements unlock once and can unlock a colour', () => {
+    const progression = new Progression({ storage: null });
+    progression.startRun();
+    const first = progression.finishRun(stats({ maxSpeed: 320 }));
+    const labels = first.rewards.filter(reward => reward.kind === 'achievement').map(reward => reward.text);
+    assert(labels.includes('Learner') && labels.includes('Speed Demon'), labels.join());
+    assert(progression.isUnlocked('gold'), 'gold not unlocked by its achievement');
+
+    progression.startRun();
+    const second = progression.finishRun(stats({ maxSpeed: 320 }));
+    assert(!second.rewards.some(reward => reward.kind === 'achievement'), 'achievement paid twice');
+});
+
+check('Coins collected and rewards make up the balance', () => {
+    const progression = new Progression({ storage: null });
+    progression.startRun();
+    progression.count('coins', 40);
+    const summary = progression.finishRun(stats());
+    const rewards = summary.rewards.reduce((sum, reward) => sum + reward.reward, 0);
+    assert(summary.coins === 40, `${summary.coins} coins`);
+    assert(progression.balance === 40 + rewards, `balance ${progression.balance}`);
+});
+
+check('Colours are bought with coins and applied only when unlocked', () => {
+    const progression = new Progression({ storage: null });
+    assert(progression.color === Progression.SKINS.classic.color, 'default colour');
+    assert(!progression.buySkin('lime'), 'bought without coins');
+
+    let threw = false;
+    try {
+        progression.selectSkin('lime');
+    } catch (err) {
+        threw = /locked/.test(err.message);
+    }
+    assert(threw, 'selected a locked colour');
+
+    progression.balance = 150;
+    assert(progression.buySkin('lime') && progression.balance === 50, `balance ${progression.balance}`);
+    assert(!progression.buySkin('gold'), 'bought an achievement colour');
+    progression.selectSkin('lime');
+    assert(progression.color === Progression.SKINS.lime.color, 'colour not applied');
+});
+
+console.log('\n💾 Storage:');
+console.log('------------------------');
+
+check('Progress survives a reload', () => {
+    const storage = createStorage();
+    const progression = new Progression({ storage });
+    progression.startRun();
+    progression.count('coins', 120);
+    progression.count('obstacles', 5);
+    progression.finishRun(stats());
+    progression.buySkin('lime');
+    progression.selectSkin('lime');
+
+    const reloaded = new Progression({ storage });
+    assert(reloaded.balance === progression.balance, `balance ${reloaded.balance}`);
+    assert(reloaded.skin === 'lime' && reloaded.achievements.includes('first-run'), 'unlocks lost');
+    assert(JSON.stringify(reloaded.missions) === JSON.stringify(progression.missions), 'missions changed');
+    assert(reloaded.totals.obstacles === 5 && reloaded.totals.runs === 1, 'totals lost');
+});
+
+check('Corrupt, newer or tampered data is handled', () => {
+    const corrupt = new Progression({ storage: createStorage({ 'endless-driver.progress': '{nope' }) });
+    assert(corrupt.balance === 0 && corrupt.missions.length === Progression.ACTIVE_MISSIONS, 'corrupt data not reset');
+
+    const newer = new Progression({
+        storage: createStorage({ 'endless-driver.progress': JSON.stringify({ version: Progression.SCHEMA_VERSION + 1, balance: 999 }) })
+    });
+    assert(newer.balance === 0, 'newer schema accepted');
+
+    const tampered = new Progression({
+        storage: createStorage({
+            'endless-driver.progress': JSON.stringify({
+                version: Progression.SCHEMA_VERSION,
+                balance: -50,
+                missions: [{ type: 'flying', target: 1 }, { type: 'constructor', target: 1 }],
+                achievements: ['cheater', 'toString'],
+                skins: ['gold', 'lime'],
+                skin: 'gold'
+            })
+        })
+    });
+    assert(tampered.balance === 0, 'negative balance kept');
+    assert(tampered.missions.every(mission => Object.prototype.hasOwnProperty.call(Progression.MISSION_TYPES, mission.type)), 'unknown mission kept');
+    tampered.missions.forEach(mission => tampered.describe(mission));
+    assert(tampered.achievements.length === 0, 'unknown achievement kept');
+    assert(!tampered.isUnlocked('gold') && tampered.isUnlocked('lime'), 'achievement colour kept without its achievement');
+    assert(tampered.skin === 'classic', `skin ${tampered.skin}`);
+
+    let threw = false;
+    try {
+        tampered.buySkin('constructor');
+    } catch (err) {
+        threw = /Unknown skin/.test(err.message);
+    }
+    assert(threw, 'inherited property taken for a skin');
+});
+
+finish('progression');
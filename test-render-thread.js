@@ -0,0 +1,261 @@
+// Tests for worker rendering: snapshots, the worker's host, the page's client
+// and the saved choice. Workers are stood in for by objects that pass
+// messages straight across, and canvases by a context that records calls.
+const DriverSimulation = require('./simulation');
+const ObstacleTypes = require('./obstacle-types');
+const PickupTypes = require('./pickup-types');
+const EffectsSystem = require('./effects');
+const AssetManager = require('./assets');
+const Renderers = require('./renderers');
+const RenderThread = require('./render-thread');
+const { check, assert, createStorage, finish } = require('./test-helpers');
+
+console.log('🧵 Endless Driver Game - Render Thread Tests\n');
+
+// 2D context stub: records each call with the styles at the time
+class RecordingContext {
+    constructor() {
+        this.calls = [];
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.globalAlpha = 1;
+        this.font = '';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+    }
+}
+
+for (const method of ['fillRect', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'fill', 'stroke', 'ellipse', 'arc',
+    'fillText', 'drawImage', 'save', 'restore', 'translate', 'scale', 'setLineDash', 'rect']) {
+    RecordingContext.prototype[method] = function (...args) {
+        this.calls.push(`${method}(${args.join()}) ${this.fillStyle} ${this.strokeStyle} ${this.globalAlpha}`);
+    };
+}
+
+function createCanvas(hasContext = true) {
+    const canvas = { width: 0, height: 0, ctx: new RecordingContext() };
+    canvas.getContext = () => (hasContext ? canvas.ctx : null);
+    return canvas;
+}
+
+function createAssets() {
+    return { colors: AssetManager.DEFAULT_COLORS, sprite: () => null };
+}
+
+// A few seconds of play with every obstacle and pickup type about, a lane
+// closing, sparks and a crash burst mid-flight, a shake and a flash
+function busyFrame() {
+    const sim = new DriverSimulation({ width: 360, height: 640, seed: 11 });
+    sim.reset();
+    for (let i = 0; i < 300; i++) {
+        sim.step();
+    }
+    ObstacleTypes.IDS.forEach((id, i) => {
+        sim.spawnObstacle(ObstacleTypes.get(id), sim.firstLane + (i % 2)).y = 60 * i;
+    });
+    PickupTypes.IDS.forEach((id) => {
+        sim.spawnPickup(PickupTypes.get(id), sim.lastLane).y = 120;
+    });
+    sim.roadChange = { y: 200, prevY: 190, fromFirst: sim.firstLane, fromLast: sim.lastLane, firstLane: sim.firstLane, lastLane: sim.lastLane - 1, applied: false };
+    sim.powerUps.shield = 60;
+    sim.player.color = '#ff4757';
+
+    let seed = 1;
+    const effects = new EffectsSystem({ random: () => (seed = (seed * 16807) % 2147483647) / 2147483647 });
+    effects.sparks(100, 400, 1, 1);
+    effects.explosion(180, 500, 1, ['#ff4757', '#c0ffee']);
+    effects.speedLines(360, 640, 1, 10);
+    effects.shake(10, 20);
+    effects.flash('#ffffff', 12);
+    effects.update(3);
+
+    const ghost = { x: sim.player.x + 40, y: sim.player.y - 30, width: sim.player.width, height: sim.player.height };
+    return { sim, effects, ghost };
+}
+
+// Passes messages between a client and a host as a worker would, holding
+// them until deliver() so tests can see frames in flight
+function createWorkerPair() {
+    const toHost = [];
+    const listeners = {};
+    const worker = {
+        terminated: false,
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        postMessage: (message) => toHost.push(message),
+        terminate() { this.terminated = true; },
+        fire: (type, event) => listeners[type](event)
+    };
+    const host = new RenderThread.RenderHost((message) => {
+        listeners.message({ data: message });
+    });
+    const deliver = () => {
+        while (toHost.length > 0) {
+            host.handle(toHost.shift());
+        }
+    };
+    return { worker, host, toHost, deliver };
+}
+
+function createClient(options = {}) {
+    const pair = createWorkerPair();
+    const canvas = createCanvas(options.hasContext !== false);
+    const errors = [];
+    const client = new RenderThread.WorkerRenderer({ transferControlToOffscreen: () => canvas }, Object.assign({
+        worker: pair.worker,
+        onError: err => errors.push(err.message)
+    }, options));
+    return Object.assign(pair, { client, canvas, errors });
+}
+
+// Silence expected warnings from corrupt-data tests
+console.warn = () => {};
+
+console.log('📸 Snapshots:');
+console.log('------------------------');
+
+check('A frame drawn from a snapshot matches one drawn from the simulation', () => {
+    for (const id of Renderers.IDS) {
+        const { sim, effects, ghost } = busyFrame();
+        const direct = new RecordingContext();
+        Renderers.drawFrame(Renderers.create(id, direct, createAssets()), effects, sim, 0.4, 360, 640, ghost);
+
+        const writer = new RenderThread.SnapshotWriter();
+        const reader = new RenderThread.SnapshotReader();
+        const snapshot = writer.write(null, sim, 0.4, ghost, effects, 1, 0);
+        reader.addStrings(writer.takeStrings());
+        const copy = new EffectsSystem();
+        const view = reader.read(snapshot, copy);
+        const relayed = new RecordingContext();
+        Renderers.drawFrame(Renderers.create(id, relayed, createAssets()), copy, view, view.alpha, 360, 640, view.ghost);
+
+        assert(direct.calls.length > 100, `${id} drew ${direct.calls.length} calls`);
+        const differ = direct.calls.findIndex((call, i) => call !== relayed.calls[i]);
+        assert(differ === -1 && direct.calls.length === relayed.calls.length,
+            `${id} differs at call ${differ}: ${direct.calls[differ]} vs ${relayed.calls[differ]}`);
+    }
+});
+
+check('Colours are sent once and by index after that', () => {
+    const { sim, effects } = busyFrame();
+    const writer = new RenderThread.SnapshotWriter();
+    writer.write(null, sim, 0, null, effects, 1, 0);
+    const first = writer.takeStrings();
+    assert(first.includes('#ff4757') && first.includes('#ffffff'), `sent ${first}`);
+    writer.write(null, sim, 0, null, effects, 2, 0);
+    assert(writer.takeStrings() === null, 'colours sent again');
+});
+
+check('Snapshots are reused while they fit and grown when they do not', () => {
+    const { sim, effects } = busyFrame();
+    const writer = new RenderThread.SnapshotWriter();
+    const small = new Float64Array(RenderThread.HEADER_SIZE);
+    const grown = writer.write(small, sim, 0, null, effects, 1, 0);
+    assert(grown !== small && grown.length >= writer.size(sim, effects), 'not grown');
+    assert(writer.write(grown, sim, 0, null, effects, 2, 0) === grown, 'not reused');
+    assert(writer.write(grown, sim, 0, null, null, 3, 0)[RenderThread.HEADER.particles] === 0, 'particles without effects');
+});
+
+check('Reading reuses the same objects every frame', () => {
+    const { sim, effects, ghost } = busyFrame();
+    const writer = new RenderThread.SnapshotWriter();
+    const reader = new RenderThread.SnapshotReader();
+    const target = new EffectsSystem();
+    const snapshot = writer.write(null, sim, 0, ghost, effects, 1, 0);
+    reader.addStrings(writer.takeStrings());
+    const first = reader.read(snapshot, target);
+    const obstacle = first.obstacles[0];
+    const particles = target.particles.length;
+    const second = reader.read(writer.write(snapshot, sim, 0, null, effects, 2, 0), target);
+    assert(second === first && second.obstacles[0] === obstacle, 'objects rebuilt');
+    assert(second.ghost === null && second.frame === 2, 'ghost or frame stale');
+    assert(target.particles.length === particles && particles === effects.particles.length, 'particles piled up');
+});
+
+console.log('\n🧵 Worker:');
+console.log('------------------------');
+
+check('The worker draws each frame and hands the snapshot back', () => {
+    const { sim, effects } = busyFrame();
+    const { client, canvas, deliver } = createClient();
+    client.resize(360, 640, 2);
+    client.submit(sim, 0.5, null, effects, 0);
+    deliver();
+    assert(client.ready && canvas.width === 720 && canvas.height === 1280, 'canvas not set up');
+    assert(canvas.ctx.calls.some(call => call.startsWith('scale(2,2)')), 'pixel ratio not applied');
+    assert(canvas.ctx.calls.length > 50 && client.stats.drawn === 1, 'frame not drawn');
+    assert(client.free.length === 1 && client.inFlight === 0, 'snapshot not returned');
+
+    client.submit(sim, 0.5, null, effects, 0);
+    assert(client.free.length === 0, 'returned snapshot not reused');
+});
+
+check('Frames are skipped, not queued, while the worker is busy', () => {
+    const { sim, effects } = busyFrame();
+    const { client, toHost, deliver } = createClient();
+    deliver();
+    const sent = [1, 2, 3, 4].map(() => client.submit(sim, 0, null, effects, 0));
+    assert(sent.join() === 'true,true,false,false', sent.join());
+    assert(client.stats.skipped === 2 && toHost.filter(message => message.type === 'frame').length === 2, 'frames queued');
+    deliver();
+    assert(client.submit(sim, 0, null, effects, 0) && client.stats.drawn === 2, 'did not recover');
+});
+
+check('View, quality, accessibility and theme reach the worker', () => {
+    const { client, host, deliver } = createClient();
+    client.setView('perspective');
+    client.setQuality(0.5);
+    client.setAccessibility({ shapeCues: 1, reducedMotion: true });
+    client.setTheme('classic', { marker: '#ffffff' });
+    deliver();
+    assert(host.renderer instanceof Renderers.PerspectiveRenderer && host.renderer.drawSegments === 80, 'view or quality lost');
+    assert(host.renderer.shapeCues === true && host.renderer.reducedMotion, 'accessibility lost');
+    assert(host.assets.colors.marker === '#ffffff' && host.effects.budget < EffectsSystem.BASE_BUDGET, 'theme or effects quality lost');
+});
+
+check('A worker that cannot draw is reported once and stops taking frames', () => {
+    const { sim } = busyFrame();
+    const { client, worker, deliver, errors } = createClient({ hasContext: false });
+    deliver();
+    worker.fire('error', { message: 'later failure' });
+    assert(errors.length === 1 && /2D context/.test(errors[0]) && worker.terminated, errors.join());
+    assert(!client.submit(sim, 0, null, null, 0), 'took a frame after failing');
+});
+
+check('Input latency and draw time are measured for each frame', () => {
+    const { sim } = busyFrame();
+    const { client, deliver } = createClient();
+    deliver();
+    client.submit(sim, 0, null, null, performance.now() - 20);
+    deliver();
+    assert(client.stats.latencyMs >= 20 && client.stats.latencyMs < 1000, `latency ${client.stats.latencyMs}`);
+    assert(client.stats.drawMs >= 0 && client.stats.drawMs <= client.stats.latencyMs, `draw ${client.stats.drawMs}`);
+});
+
+console.log('\n⚙️ Choosing a path:');
+console.log('------------------------');
+
+check('Only browsers with workers and OffscreenCanvas can draw in a worker', () => {
+    const canvas = { transferControlToOffscreen() {} };
+    const browser = { Worker: function () {}, OffscreenCanvas: function () {} };
+    assert(RenderThread.isSupported(canvas, browser), 'supported browser refused');
+    assert(!RenderThread.isSupported(canvas, { Worker: browser.Worker }), 'no OffscreenCanvas accepted');
+    assert(!RenderThread.isSupported({}, browser), 'canvas that cannot be handed over accepted');
+});
+
+check('The worker path is off by default and remembered once chosen', () => {
+    const storage = createStorage();
+    assert(new RenderThread.RenderSettings({ storage }).worker === false, 'on by default');
+    new RenderThread.RenderSettings({ storage }).setWorker(true);
+    assert(new RenderThread.RenderSettings({ storage }).worker === true, 'choice lost');
+    const newer = createStorage({ 'endless-driver.render': JSON.stringify({ version: 99, worker: true }) });
+    assert(new RenderThread.RenderSettings({ storage: newer }).worker === false, 'newer settings used');
+});
+
+check('The URL can pick a path for testing', () => {
+    assert(RenderThread.pathFromQuery('?render=worker') === 'worker', 'worker not picked');
+    assert(RenderThread.pathFromQuery('?debug&render=main') === 'main', 'main not picked');
+    assert(RenderThread.pathFromQuery('?render=gpu') === null && RenderThread.pathFromQuery('') === null, 'bad value picked');
+});
+
+finish('render thread');
@@ -0,0 +1,297 @@
+// Tests for the top-down and perspective renderers
+// Renderers draw into a stand-in 2D context that records every call.
+const DriverSimulation = require('./simulation');
+const ObstacleTypes = require('./obstacle-types');
+const AssetManager = require('./assets');
+const Renderers = require('./renderers');
+const { check, assert, finish } = require('./test-helpers');
+
+console.log('🖼️ Endless Driver Game - Renderer Tests\n');
+
+// 2D context stub: records each call with the fill style at the time
+class RecordingContext {
+    constructor() {
+        this.calls = [];
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.globalAlpha = 1;
+        this.font = '';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+    }
+
+    record(method, args) {
+        this.calls.push({ method, args, fillStyle: this.fillStyle });
+    }
+
+    count(method) {
+        return this.calls.filter(call => call.method === method).length;
+    }
+}
+
+for (const method of ['fillRect', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'fill', 'stroke', 'ellipse', 'arc',
+    'fillText', 'drawImage', 'save', 'restore', 'translate', 'scale', 'setLineDash', 'rect']) {
+    RecordingContext.prototype[method] = function (...args) {
+        this.record(method, args);
+    };
+}
+
+// Theme stand-in with recognisable colours and optional sprites
+function createAssets(sprites = false) {
+    const colors = Object.assign({}, AssetManager.DEFAULT_COLORS, {
+        obstacles: { car: '#c0ffee' },
+        pickups: {}
+    });
+    const frame = { source: {}, sx: 0, sy: 0, sw: 10, sh: 10 };
+    return { colors, sprite: () => (sprites ? frame : null) };
+}
+
+function createSim(seed = 7) {
+    const sim = new DriverSimulation({ width: 360, height: 640, seed });
+    sim.reset();
+    return sim;
+}
+
+// A busy road: a few seconds of play with every obstacle type about
+function busySim() {
+    const sim = createSim();
+    for (let i = 0; i < 300; i++) {
+        sim.step();
+    }
+    for (const id of ObstacleTypes.IDS) {
+        sim.spawnObstacle(ObstacleTypes.get(id), sim.firstLane).y = 100;
+    }
+    return sim;
+}
+
+function createRenderer(id, sprites) {
+    const ctx = new RecordingContext();
+    return { ctx, renderer: Renderers.create(id, ctx, createAssets(sprites)) };
+}
+
+console.log('🧩 Interface:');
+console.log('------------------------');
+
+check('Every renderer draws a busy frame over the whole canvas', () => {
+    const sim = busySim();
+    for (const id of Renderers.IDS) {
+        const { ctx, renderer } = createRenderer(id);
+        renderer.setQuality(1);
+        renderer.invalidate();
+        renderer.draw(sim, 0.5, 360, 640);
+        const first = ctx.calls.find(call => call.method === 'fillRect');
+        assert(first && first.args[2] === 360 && first.args[1] === 0, `${id} did not clear from the top`);
+        assert(ctx.count('fill') + ctx.count('fillRect') > ObstacleTypes.IDS.length, `${id} drew almost nothing`);
+    }
+});
+
+check('Unknown renderers are rejected', () => {
+    let threw = false;
+    try {
+        Renderers.create('isometric', new RecordingContext(), createAssets());
+    } catch (err) {
+        threw = /isometric/.test(err.message);
+    }
+    assert(threw, 'no error for an unknown renderer');
+});
+
+check('Top-down uses theme sprites and falls back to shapes', () => {
+    const sim = busySim();
+    const plain = createRenderer('topDown', false);
+    plain.renderer.draw(sim, 0, 360, 640);
+    assert(plain.ctx.count('drawImage') === 0, 'drew images without sprites');
+    assert(plain.ctx.calls.some(call => call.method === 'fillRect' && call.fillStyle === '#c0ffee'), 'theme car colour unused');
+
+    const themed = createRenderer('topDown', true);
+    themed.renderer.draw(sim, 0, 360, 640);
+    assert(themed.ctx.count('drawImage') >= ObstacleTypes.IDS.length, `${themed.ctx.count('drawImage')} images`);
+});
+
+check('Every renderer draws a ghost car only when given one', () => {
+    const sim = createSim();
+    const player = sim.player;
+    const ghost = { x: player.x + 60, y: player.y - 40, width: player.width, height: player.height };
+    for (const id of Renderers.IDS) {
+        const { ctx, renderer } = createRenderer(id);
+        renderer.draw(sim, 0, 360, 640);
+        const ghostColour = AssetManager.DEFAULT_COLORS.ghost;
+        assert(!ctx.calls.some(call => call.fillStyle === ghostColour), `${id} drew a ghost without one`);
+        ctx.calls = [];
+        renderer.draw(sim, 0, 360, 640, ghost);
+        assert(ctx.calls.some(call => call.method === 'fillRect' && call.fillStyle === ghostColour), `${id} drew no ghost`);
+    }
+});
+
+check('toScreen puts nearer road points lower on the canvas', () => {
+    const sim = createSim();
+    const player = sim.player;
+    for (const id of Renderers.IDS) {
+        const { renderer } = createRenderer(id);
+        renderer.draw(sim, 0, 360, 640);
+        const near = {};
+        const far = {};
+        assert(renderer.toScreen(sim, player.x, player.y, near), `${id} lost the player`);
+        assert(renderer.toScreen(sim, player.x, player.y - 200, far), `${id} lost the road ahead`);
+        assert(near.x >= 0 && near.x <= 360 && near.y >= 0 && near.y <= 640, `${id} player at ${near.x}, ${near.y}`);
+        assert(far.y < near.y && far.scale <= near.scale && near.scale > 0, `${id} near ${near.y} far ${far.y}`);
+    }
+});
+
+check('Laying a frame out places points as drawing it does', () => {
+    const sim = busySim();
+    const player = sim.player;
+    for (const id of Renderers.IDS) {
+        const drawn = createRenderer(id).renderer;
+        const laid = Renderers.create(id, null, createAssets());
+        drawn.draw(sim, 0.5, 360, 640);
+        laid.layout(sim, 0.5, 360, 640);
+        const a = {};
+        const b = {};
+        for (const y of [player.y, player.y - 150, 40]) {
+            assert(drawn.toScreen(sim, player.x, y, a) === laid.toScreen(sim, player.x, y, b), `${id} visibility differs at ${y}`);
+            assert(a.x === b.x && a.y === b.y && a.scale === b.scale, `${id} differs at ${y}`);
+        }
+    }
+});
+
+check('A whole frame puts effects on top and shakes both', () => {
+    const sim = createSim();
+    const { ctx, renderer } = createRenderer('topDown');
+    const effects = { shakeX: 0, shakeY: 0, draw: c => c.fillRect(-1, -1, 1, 1) };
+    Renderers.drawFrame(renderer, effects, sim, 0, 360, 640);
+    assert(ctx.calls[ctx.calls.length - 1].args[0] === -1 && ctx.count('translate') === 0, 'effects not last, or shaken');
+
+    ctx.calls = [];
+    effects.shakeX = 3;
+    Renderers.drawFrame(renderer, effects, sim, 0, 360, 640);
+    const translate = ctx.calls.findIndex(call => call.method === 'translate');
+    assert(translate > 0 && ctx.calls[translate].args[0] === 3, 'not shaken');
+    assert(ctx.calls[ctx.calls.length - 1].method === 'restore', 'shake not undone');
+});
+
+check('Every renderer marks obstacles with shape cues only when asked', () => {
+    const sim = busySim();
+    const mark = '#0ff1ce'; // The default mark is also the road colour
+    for (const id of Renderers.IDS) {
+        const ctx = new RecordingContext();
+        const assets = createAssets();
+        assets.colors.mark = mark;
+        const renderer = Renderers.create(id, ctx, assets);
+        renderer.draw(sim, 0, 360, 640);
+        assert(!ctx.calls.some(call => call.method === 'fill' && call.fillStyle === mark), `${id} drew cues unasked`);
+
+        ctx.calls = [];
+        renderer.setAccessibility({ shapeCues: true });
+        renderer.draw(sim, 0, 360, 640);
+        assert(ctx.calls.some(call => call.method === 'fill' && call.fillStyle === mark), `${id} drew no cues`);
+        assert(ctx.count('arc') > 0 && ctx.count('rect') > 0, `${id} is missing the car or truck cue`);
+    }
+});
+
+check('Reduced motion holds road markings still and warnings steady', () => {
+    const sim = busySim();
+    const block = sim.obstacles.find(obstacle => obstacle.state === 'warning');
+    const warningDrawn = ctx => ctx.calls.some(call => call.method === 'fill' && call.fillStyle === AssetManager.DEFAULT_COLORS.warning);
+    const dividers = ctx => ctx.calls.filter(call => call.method === 'moveTo' && call.args[1] <= 0).map(call => call.args[1]).join();
+
+    const { ctx, renderer } = createRenderer('topDown');
+    renderer.setAccessibility({ reducedMotion: true });
+    sim.tick = 15; // Between warning flashes
+    sim.distance = sim.prevDistance = 1000;
+    renderer.draw(sim, 0, 360, 640);
+    const before = dividers(ctx);
+    assert(block && warningDrawn(ctx), 'warning flashed off');
+    ctx.calls = [];
+    sim.distance = sim.prevDistance = 1025;
+    renderer.draw(sim, 0, 360, 640);
+    assert(dividers(ctx) === before, 'lane dividers scrolled');
+
+    const moving = createRenderer('topDown');
+    moving.renderer.draw(sim, 0, 360, 640);
+    assert(!warningDrawn(moving.ctx) && dividers(moving.ctx) !== before, 'full motion changed too');
+
+    // The perspective view draws its dashes and rumble strips solid
+    const solid = createRenderer('perspective');
+    const dashed = createRenderer('perspective');
+    solid.renderer.setAccessibility({ reducedMotion: true });
+    const laneLines = ({ ctx, renderer }) => {
+        renderer.draw(sim, 0, 360, 640);
+        return ctx.calls.filter(call => call.method === 'moveTo' && call.fillStyle === AssetManager.DEFAULT_COLORS.laneLine).length;
+    };
+    assert(laneLines(solid) > laneLines(dashed) * 1.5, 'perspective markings still dashed');
+});
+
+console.log('\n🛣️ Perspective:');
+console.log('------------------------');
+
+check('Nearer obstacles are drawn larger', () => {
+    const sim = createSim();
+    const car = ObstacleTypes.get('car');
+    sim.spawnObstacle(car, 0).y = 50;
+    sim.spawnObstacle(car, 0).y = 400;
+    for (const obstacle of sim.obstacles) {
+        obstacle.prevY = obstacle.y;
+    }
+
+    const { ctx, renderer } = createRenderer('perspective');
+    renderer.draw(sim, 0, 360, 640);
+    // Each car starts with its body in the car colour; the far one is drawn first
+    const bodies = ctx.calls.filter(call => call.method === 'fillRect' && call.fillStyle === '#c0ffee');
+    assert(bodies.length === 4, `${bodies.length} car rectangles`);
+    const far = bodies[0].args[2];
+    const near = bodies[2].args[2];
+    assert(near > far * 1.5, `near ${near} vs far ${far}`);
+});
+
+// Road shapes drawn over a stretch of road, so hills hiding the far end
+// of one frame do not skew the count
+function roadEdges(renderer, ctx, sim) {
+    ctx.calls = [];
+    for (let distance = 0; distance < 40000; distance += 2000) {
+        sim.distance = sim.prevDistance = distance;
+        renderer.draw(sim, 0, 360, 640);
+    }
+    return ctx.count('moveTo');
+}
+
+check('Lower quality shortens the draw distance', () => {
+    const sim = createSim();
+    const { ctx, renderer } = createRenderer('perspective');
+    const full = roadEdges(renderer, ctx, sim);
+
+    renderer.setQuality(0.5);
+    const low = roadEdges(renderer, ctx, sim);
+    assert(renderer.drawSegments === 80, `${renderer.drawSegments} segments`);
+    assert(low < full * 0.75, `${low} vs ${full} road edges`);
+
+    renderer.setQuality(0.1);
+    assert(renderer.drawSegments === 80, 'draw distance went below half');
+});
+
+check('Curves and hills come from the distance alone', () => {
+    const sim = createSim();
+    const { renderer } = createRenderer('perspective');
+    let curved = false;
+    let hilly = false;
+    for (let distance = 0; distance < 40000; distance += 500) {
+        sim.distance = sim.prevDistance = distance;
+        renderer.draw(sim, 0, 360, 640);
+        const last = renderer.drawSegments;
+        curved = curved || Math.abs(renderer.edgeX[last] - 180) > 20;
+        hilly = hilly || renderer.visible.slice(0, last).includes(0);
+    }
+    assert(curved, 'road never curved');
+    assert(hilly, 'no hill ever hid the road beyond it');
+
+    sim.distance = sim.prevDistance = 12345;
+    renderer.draw(sim, 0, 360, 640);
+    const first = Array.from(renderer.edgeX);
+    sim.distance = sim.prevDistance = 20000;
+    renderer.draw(sim, 0, 360, 640);
+    sim.distance = sim.prevDistance = 12345;
+    renderer.draw(sim, 0, 360, 640);
+    assert(first.every((x, i) => x === renderer.edgeX[i]), 'same distance drew a different road');
+});
+
+finish('renderer');
@@ -0,0 +1,608 @@
+// Gameplay tests for the headless simulation core
+const DriverSimulation = require('./simulation');
+const SeededRandom = require('./rng');
+const Replay = require('./replay');
+const ObstacleTypes = require('./obstacle-types');
+const RoadLayouts = require('./road-layouts');
+const PickupTypes = require('./pickup-types');
+const { check, assert, throws, finish } = require('./test-helpers');
+
+console.log('🚗 Endless Driver Game - Simulation Tests\n');
+
+function createSim(options = {}) {
+    const sim = new DriverSimulation(Object.assign({ width: 360, height: 640 }, options));
+    sim.reset();
+    return sim;
+}
+
+console.log('🧪 Simulation Core:');
+console.log('------------------------');
+
+check('Constructs without a DOM', () => {
+    const sim = new DriverSimulation({ width: 400, height: 800 });
+    assert(sim.gameWidth === 400 && sim.gameHeight === 800, 'dimensions not applied');
+    assert(sim.gameState === 'ready', `unexpected state ${sim.gameState}`);
+});
+
+check('Player starts centred in the middle lane', () => {
+    const sim = createSim();
+    const centre = sim.player.x + sim.player.width / 2;
+    assert(sim.player.lane === 1, 'player not in lane 1');
+    assert(Math.abs(centre - 180) < 0.001, `player centre at ${centre}`);
+});
+
+check('Held steering moves at once and stops at the edge', () => {
+    const sim = createSim();
+    sim.step({ steer: -1 });
+    assert(sim.player.lane === 0, `lane ${sim.player.lane}`);
+    for (let i = 0; i < 30; i++) sim.step({ steer: -1 });
+    assert(sim.player.lane === 0, 'lane moved past the left edge');
+});
+
+check('Held steering repeats on a delay counted from the press', () => {
+    for (const idle of [0, 3, 7]) {
+        const sim = createSim({ lanes: 6 });
+        sim.player.lane = 0;
+        for (let i = 0; i < idle; i++) sim.step();
+        const moves = [];
+        for (let held = 1; held <= 25; held++) {
+            const lane = sim.player.lane;
+            sim.step({ steer: 1 });
+            if (sim.player.lane !== lane) moves.push(held);
+        }
+        const expected = [1, 1 + sim.steerRepeatDelay, 1 + sim.steerRepeatDelay + sim.steerRepeatInterval];
+        assert(moves.join() === expected.join(), `after ${idle} idle ticks moved on ${moves.join()}`);
+    }
+});
+
+check('One-shot lane changes are bounded', () => {
+    const sim = createSim();
+    sim.step({ laneChange: 1 });
+    sim.step({ laneChange: 1 });
+    assert(sim.player.lane === 2, `lane ${sim.player.lane}`);
+});
+
+check('Obstacles spawn on the spawn interval', () => {
+    const sim = createSim();
+    for (let i = 0; i < sim.obstacleSpawnInterval; i++) {
+        sim.step();
+    }
+    assert(sim.obstacles.length === 1, `${sim.obstacles.length} obstacles`);
+});
+
+check('Colliding with an obstacle ends the run', () => {
+    const sim = createSim();
+    const obstacle = sim.spawnObstacle(ObstacleTypes.get('car'), 1);
+    obstacle.x = sim.player.x;
+    obstacle.y = sim.player.y - obstacle.height;
+    sim.step();
+    assert(sim.gameState === 'gameOver', `state ${sim.gameState}`);
+    sim.step();
+    assert(sim.tick === 1, 'simulation kept running after game over');
+});
+
+check('Passed obstacles score and return to the pool', () => {
+    const sim = createSim();
+    const obstacle = sim.spawnObstacle(ObstacleTypes.get('car'), 2);
+    obstacle.x = sim.player.x + 100;
+    obstacle.y = sim.gameHeight;
+    sim.player.lane = 0;
+    sim.player.x = sim.laneX(0, sim.player.width);
+    sim.step();
+    assert(sim.score === 10, `score ${sim.score}`);
+    assert(sim.obstaclePool.car.length === 1, 'obstacle not pooled');
+});
+
+check('Squeezing past an obstacle counts a near miss once', () => {
+    const sim = createSim();
+    const close = sim.spawnObstacle(ObstacleTypes.get('car'), 2);
+    close.x = sim.player.x + sim.player.width + 8;
+    close.y = sim.player.y + sim.player.height - 1;
+    const wide = sim.spawnObstacle(ObstacleTypes.get('car'), 0);
+    wide.x = sim.player.x - wide.width - 60;
+    wide.y = close.y;
+    sim.step();
+    sim.step();
+    assert(close.passed && wide.passed, 'obstacles not marked as passed');
+    assert(sim.nearMisses === 1, `${sim.nearMisses} near misses`);
+    assert(sim.obstaclesPassed === 2 && sim.getRunStats().obstaclesPassed === 2, `${sim.obstaclesPassed} passed`);
+});
+
+check('Reset clears the previous run', () => {
+    const sim = createSim();
+    for (let i = 0; i < 300; i++) {
+        sim.step();
+    }
+    sim.reset();
+    assert(sim.obstacles.length === 0 && sim.pickups.length === 0, 'obstacles or pickups left over');
+    assert(sim.tick === 0 && sim.score === 0 && sim.nearMisses === 0 && sim.obstaclesPassed === 0, 'counters not reset');
+    assert(sim.obstacleSpawnInterval === 100, 'spawn interval not reset');
+});
+
+console.log('\n🚧 Obstacle Types:');
+console.log('------------------------');
+
+check('Weighted picks follow spawn weights', () => {
+    const rng = new SeededRandom(3);
+    const counts = {};
+    let total = 0;
+    for (const id of ObstacleTypes.IDS) {
+        counts[id] = 0;
+        total += ObstacleTypes.TYPES[id].spawnWeight;
+    }
+    for (let i = 0; i < 20000; i++) {
+        counts[ObstacleTypes.pick(rng).id]++;
+    }
+    for (const id of ObstacleTypes.IDS) {
+        const expected = ObstacleTypes.TYPES[id].spawnWeight / total;
+        const actual = counts[id] / 20000;
+        assert(Math.abs(expected - actual) < 0.02, `${id}: ${actual.toFixed(3)} vs ${expected.toFixed(3)}`);
+    }
+});
+
+check('Trucks span two lanes and never spawn off the road', () => {
+    const sim = createSim();
+    const truck = sim.spawnObstacle(ObstacleTypes.get('truck'), 1);
+    assert(truck.width > sim.laneWidth, `width ${truck.width}`);
+    assert(truck.x + truck.width <= sim.gameWidth, 'truck hangs off the road');
+    for (let i = 0; i < 200; i++) {
+        sim.obstacles = [];
+        const lane = sim.spawnObstacle(ObstacleTypes.get('truck')).lane;
+        assert(lane >= 0 && lane <= 1, `truck lane ${lane}`);
+    }
+});
+
+check('Slow trucks scroll slower than the road', () => {
+    const sim = createSim();
+    const truck = sim.spawnObstacle(ObstacleTypes.get('truck'), 0);
+    const car = sim.spawnObstacle(ObstacleTypes.get('car'), 2);
+    sim.player.lane = 2;
+    sim.step();
+    assert(truck.y - truck.prevY < car.y - car.prevY, 'truck not slower');
+});
+
+check('Lane-changing cars move to a neighbouring lane', () => {
+    const sim = createSim();
+    sim.maxObstacles = 1;
+    const swerver = sim.spawnObstacle(ObstacleTypes.get('swerver'), 0);
+    assert(swerver.targetLane === 1, `target ${swerver.targetLane}`);
+    sim.player.lane = 2;
+    for (let i = 0; i < 200 && swerver.lane !== swerver.targetLane; i++) {
+        sim.step();
+    }
+    assert(swerver.lane === 1, 'swerver never changed lane');
+});
+
+check('Oil slicks lock steering instead of crashing', () => {
+    const sim = createSim();
+    const oil = sim.spawnObstacle(ObstacleTypes.get('oil'), 1);
+    oil.y = sim.player.y - oil.height + 15;
+    sim.step();
+    assert(sim.gameState === 'playing', 'oil ended the run');
+    assert(sim.player.steeringLock > 0, 'steering not locked');
+    sim.step({ laneChange: 1 });
+    assert(sim.player.lane === 1, 'steered while locked');
+});
+
+check('Roadblocks are announced before they appear', () => {
+    const sim = createSim();
+    sim.maxObstacles = 1;
+    const block = sim.spawnObstacle(ObstacleTypes.get('roadblock'), 1);
+    const type = ObstacleTypes.get('roadblock');
+    assert(block.state === 'warning', `state ${block.state}`);
+    for (let i = 0; i < type.warningTicks - 1; i++) {
+        sim.step();
+    }
+    assert(block.state === 'warning' && block.y === -type.height, 'block moved during warning');
+    sim.step();
+    assert(block.state === 'active', 'block never activated');
+});
+
+check('Pools are kept per type', () => {
+    const sim = createSim();
+    const car = sim.spawnObstacle(ObstacleTypes.get('car'), 0);
+    const oil = sim.spawnObstacle(ObstacleTypes.get('oil'), 2);
+    sim.returnObstacleToPool(car);
+    sim.returnObstacleToPool(oil);
+    assert(sim.obstaclePool.car.length === 1 && sim.obstaclePool.oil.length === 1, 'pools mixed');
+    sim.obstacles = [];
+    assert(sim.spawnObstacle(ObstacleTypes.get('oil'), 0) === oil, 'pooled oil not reused');
+});
+
+console.log('\n🕹️  Free Steering:');
+console.log('------------------------');
+
+function createFreeSim() {
+    const sim = createSim({ steering: 'free' });
+    sim.obstacleSpawnInterval = 100000;
+    sim.nextSpawnDelay = 100000;
+    sim.coinSpawnInterval = 100000;
+    sim.powerUpSpawnInterval = 100000;
+    return sim;
+}
+
+check('Unknown steering modes are rejected', () => {
+    let threw = false;
+    try {
+        createSim({ steering: 'hover' });
+    } catch (err) {
+        threw = true;
+    }
+    assert(threw, 'unknown mode accepted');
+});
+
+check('The stick accelerates the car sideways and the lane follows', () => {
+    const sim = createFreeSim();
+    const startX = sim.player.x;
+    sim.step({ steerAxis: 1 });
+    const firstStep = sim.player.x - startX;
+    sim.step({ steerAxis: 1 });
+    assert(sim.player.x - startX > firstStep * 2, 'no lateral acceleration');
+    for (let i = 0; i < 40; i++) sim.step({ steerAxis: 1 });
+    assert(sim.player.lane === 2, `lane ${sim.player.lane}`);
+});
+
+check('Grip bleeds off sideways speed and edges stop the car', () => {
+    const sim = createFreeSim();
+    for (let i = 0; i < 5; i++) sim.step({ steerAxis: -1 });
+    const sliding = Math.abs(sim.player.vx);
+    for (let i = 0; i < 5; i++) sim.step();
+    assert(Math.abs(sim.player.vx) < sliding / 2, 'car kept sliding');
+    for (let i = 0; i < 120; i++) sim.step({ steerAxis: -1 });
+    assert(sim.player.x >= sim.vehicle.edgeMargin && sim.player.vx === 0, `x ${sim.player.x}`);
+});
+
+check('Throttle and brake set the road speed around cruising speed', () => {
+    const sim = createFreeSim();
+    for (let i = 0; i < 300; i++) sim.step({ throttle: 1 });
+    const top = sim.gameSpeed * sim.vehicle.topSpeedFactor;
+    assert(Math.abs(sim.player.speed - top) < 1e-9, `top speed ${sim.player.speed}`);
+    const before = sim.distance;
+    sim.step({ throttle: 1 });
+    assert(Math.abs(sim.distance - before - top) < 1e-9, 'road not scrolling at driver speed');
+
+    for (let i = 0; i < 300; i++) sim.step({ throttle: -1 });
+    assert(sim.player.speed === sim.vehicle.minSpeed, `braked to ${sim.player.speed}`);
+    for (let i = 0; i < 300; i++) sim.step();
+    assert(Math.abs(sim.player.speed - sim.gameSpeed) < 0.05, `eased to ${sim.player.speed}`);
+    assert(sim.getRunStats().maxSpeed > createSim().getRunStats().maxSpeed, 'top speed not in run stats');
+});
+
+check('Oil takes away steering and grip', () => {
+    const sim = createFreeSim();
+    for (let i = 0; i < 3; i++) sim.step({ steerAxis: 1 });
+    const vx = sim.player.vx;
+    sim.player.steeringLock = 10;
+    sim.step({ steerAxis: -1 });
+    assert(sim.player.vx > vx * 0.9, `vx ${sim.player.vx}`);
+});
+
+console.log('\n🪙 Pickups:');
+console.log('------------------------');
+
+// Put a pickup right in front of the player so the next step collects it
+function placePickup(sim, id) {
+    const type = PickupTypes.get(id);
+    return sim.spawnPickup(type, sim.player.lane, sim.player.y - type.height / 2);
+}
+
+// Put a car on top of the player
+function placeCrash(sim) {
+    const car = sim.spawnObstacle(ObstacleTypes.get('car'), sim.player.lane);
+    car.x = sim.player.x;
+    car.y = sim.player.y - car.height / 2;
+    return car;
+}
+
+check('Coins score, count and return to their pool', () => {
+    const sim = createSim();
+    placePickup(sim, 'coin');
+    sim.step();
+    assert(sim.coins === 1 && sim.score === PickupTypes.TYPES.coin.score, `coins ${sim.coins} score ${sim.score}`);
+    assert(sim.pickups.length === 0 && sim.pickupPool.coin.length === 1, 'coin not pooled');
+    assert(sim.getRunStats().coins === 1, 'coins missing from run stats');
+});
+
+check('Coin trails and power-ups spawn on their timers', () => {
+    const sim = createSim();
+    sim.obstacleSpawnInterval = 100000;
+    sim.nextSpawnDelay = 100000;
+    for (let i = 0; i < sim.coinSpawnInterval; i++) {
+        sim.step();
+    }
+    assert(sim.pickups.length === sim.coinTrailLength, `${sim.pickups.length} pickups`);
+    assert(sim.pickups.every(p => p.lane === sim.pickups[0].lane), 'trail spread across lanes');
+
+    sim.pickups = [];
+    sim.powerUpSpawnTimer = sim.powerUpSpawnInterval - 1;
+    sim.coinSpawnTimer = 0;
+    sim.step();
+    assert(sim.pickups.length === 1 && sim.pickups[0].type.effect !== 'coin', 'no power-up');
+});
+
+check('Pickups keep clear of obstacles', () => {
+    const sim = createSim();
+    for (let lane = 0; lane < 3; lane++) {
+        sim.spawnObstacle(ObstacleTypes.get('car'), lane);
+    }
+    assert(sim.findPickupLane(200) === -1, 'pickup lane found under traffic');
+    sim.obstacles.pop();
+    assert(sim.findPickupLane(200) === 2, 'free lane not used');
+});
+
+check('A shield absorbs exactly one crash', () => {
+    const sim = createSim();
+    placePickup(sim, 'shield');
+    sim.step();
+    assert(sim.powerUps.shield > 0, 'shield not active');
+    const car = placeCrash(sim);
+    sim.step();
+    assert(sim.gameState === 'playing' && sim.powerUps.shield === 0, 'shield did not absorb the crash');
+    assert(car.hit, 'obstacle not driven through');
+    placeCrash(sim);
+    sim.step();
+    assert(sim.gameState === 'gameOver', 'second crash absorbed');
+});
+
+check('Slow motion scales the road speed', () => {
+    const sim = createSim();
+    placePickup(sim, 'slowmo');
+    sim.step();
+    const before = sim.distance;
+    sim.step();
+    const expected = sim.gameSpeed * PickupTypes.TYPES.slowmo.speedScale;
+    assert(Math.abs(sim.distance - before - expected) < 1e-9, `moved ${sim.distance - before}`);
+});
+
+check('The multiplier applies to every score gain', () => {
+    const sim = createSim();
+    placePickup(sim, 'multiplier');
+    sim.step();
+    placePickup(sim, 'coin');
+    sim.step();
+    const factor = PickupTypes.TYPES.multiplier.factor;
+    assert(sim.score === PickupTypes.TYPES.coin.score * factor, `score ${sim.score}`);
+});
+
+check('The magnet pulls in nearby coins', () => {
+    const sim = createSim();
+    placePickup(sim, 'magnet');
+    sim.step();
+    const coin = sim.spawnPickup(PickupTypes.TYPES.coin, 0, sim.player.y - 20);
+    const startGap = Math.abs(coin.x - sim.player.x);
+    sim.step();
+    assert(Math.abs(coin.x - sim.player.x) < startGap, 'coin did not move towards the player');
+});
+
+check('Power-ups run out', () => {
+    const sim = createSim();
+    sim.obstacleSpawnInterval = 100000;
+    sim.nextSpawnDelay = 100000;
+    placePickup(sim, 'multiplier');
+    for (let i = 0; i <= PickupTypes.TYPES.multiplier.durationTicks; i++) {
+        sim.step();
+    }
+    assert(sim.powerUps.multiplier === 0, `${sim.powerUps.multiplier} ticks left`);
+});
+
+console.log('\n🛣️  Road Layouts:');
+console.log('------------------------');
+
+// Step with no input until the predicate holds (or give up)
+function stepUntil(sim, predicate, limit = 5000) {
+    while (!predicate() && sim.gameState === 'playing' && sim.tick < limit) {
+        sim.obstacles = [];
+        sim.step();
+    }
+}
+
+check('Lane count is configurable and clamped to 2-6', () => {
+    for (let lanes = 2; lanes <= 6; lanes++) {
+        const sim = createSim({ lanes });
+        assert(sim.lanes.length === lanes && sim.lastLane - sim.firstLane + 1 === lanes, `${lanes} lanes`);
+        assert(Math.abs(sim.laneWidth * lanes - 360) < 0.001, `lane width ${sim.laneWidth}`);
+    }
+    assert(createSim({ lanes: 1 }).lanes.length === 2, 'below minimum');
+    assert(createSim({ lanes: 9 }).lanes.length === 6, 'above maximum');
+});
+
+check('Steering and spawning stay inside the open lanes', () => {
+    const sim = createSim({ lanes: 5 });
+    for (let i = 0; i < 6; i++) sim.step({ laneChange: 1 });
+    assert(sim.player.lane === 4, `lane ${sim.player.lane}`);
+    for (let i = 0; i < 200; i++) {
+        sim.obstacles = [];
+        const car = sim.spawnObstacle(ObstacleTypes.get('car'));
+        assert(car.lane >= 0 && car.lane <= 4, `car lane ${car.lane}`);
+        assert(car.width < sim.laneWidth, 'car wider than its lane');
+    }
+});
+
+check('Widening layouts reserve lane slots for the widest section', () => {
+    const sim = createSim({ lanes: 3, layout: 'widening' });
+    assert(sim.lanes.length === 5, `${sim.lanes.length} slots`);
+    assert(sim.firstLane === 1 && sim.lastLane === 3, `open ${sim.firstLane}-${sim.lastLane}`);
+    assert(sim.player.lane === 2, 'player not centred');
+    sim.changeLane(-1);
+    assert(sim.player.lane === 1, 'could not steer');
+    sim.changeLane(-1);
+    assert(sim.player.lane === 1, 'steered onto the closed shoulder');
+});
+
+check('Lane changes are announced before they reach the player', () => {
+    const sim = createSim({ lanes: 3, layout: 'widening' });
+    const layout = RoadLayouts.get('widening');
+    stepUntil(sim, () => sim.roadChange !== null);
+    assert(sim.tick === layout.sectionTicks, `announced at tick ${sim.tick}`);
+    assert(sim.lastLane - sim.firstLane === 2, 'lanes changed on announcement');
+
+    const announced = sim.tick;
+    stepUntil(sim, () => sim.roadChange.applied);
+    // Speed-ups can bring the marker in a little early
+    assert(sim.tick - announced >= RoadLayouts.ANNOUNCE_TICKS * 0.9, `applied after ${sim.tick - announced} ticks`);
+    assert(sim.lastLane - sim.firstLane === 3, 'road did not widen');
+});
+
+check('Staying in a lane that ends crashes into the barrier', () => {
+    const sim = createSim({ lanes: 4, layout: 'merging' });
+    sim.player.lane = sim.lastLane; // The right-hand lane ends first
+    stepUntil(sim, () => sim.roadChange !== null && sim.roadChange.applied);
+    assert(sim.gameState === 'gameOver', 'survived a closed lane');
+
+    const safe = createSim({ lanes: 4, layout: 'merging' });
+    stepUntil(safe, () => safe.roadChange !== null && safe.roadChange.applied);
+    assert(safe.gameState === 'playing', 'crashed in a lane that stayed open');
+    assert(safe.lastLane - safe.firstLane === 2, 'road did not merge');
+});
+
+console.log('\n🎲 Determinism:');
+console.log('------------------------');
+
+// Scripted run: weave between lanes and record the full obstacle history
+function runScripted(seed, ticks) {
+    const sim = new DriverSimulation({ width: 360, height: 640, seed });
+    sim.reset();
+    const trace = [];
+    for (let i = 0; i < ticks && sim.gameState === 'playing'; i++) {
+        const steer = Math.floor(i / 90) % 3 - 1;
+        sim.step({ steer });
+        if (i % 30 === 0) {
+            trace.push(sim.obstacles.map(o => `${o.lane}:${o.y}`).join(','));
+        }
+    }
+    return { trace: trace.join('|'), score: sim.score, tick: sim.tick, state: sim.gameState };
+}
+
+check('SeededRandom repeats its sequence for a seed', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    for (let i = 0; i < 1000; i++) {
+        assert(a.next() === b.next(), `diverged at draw ${i}`);
+    }
+    a.reset();
+    assert(a.next() === new SeededRandom(42).next(), 'reset did not rewind');
+});
+
+check('SeededRandom.int stays in range', () => {
+    const rng = new SeededRandom(7);
+    for (let i = 0; i < 10000; i++) {
+        const value = rng.int(3);
+        assert(value >= 0 && value < 3, `out of range: ${value}`);
+    }
+});
+
+check('Same seed and inputs give the same run', () => {
+    const first = runScripted(1234, 6000);
+    const second = runScripted(1234, 6000);
+    assert(first.trace === second.trace, 'obstacle history differs');
+    assert(first.score === second.score && first.tick === second.tick, 'result differs');
+});
+
+check('Different seeds give different runs', () => {
+    assert(runScripted(1, 3000).trace !== runScripted(2, 3000).trace, 'seeds produced identical runs');
+});
+
+check('Difficulty ramps on simulated time', () => {
+    const sim = createSim();
+    sim.maxObstacles = 0; // Keep the road clear
+    for (let i = 0; i < 600; i++) {
+        sim.step();
+    }
+    assert(sim.gameSpeed === 5.5, `speed ${sim.gameSpeed}`);
+    assert(sim.distance > 0, 'distance not tracked');
+});
+
+console.log('\n🎬 Replays:');
+console.log('------------------------');
+
+// Record a live-style run where inputs come from a scripted "player"
+function recordRun(seed, steering = 'lanes') {
+    const sim = new DriverSimulation({ width: 360, height: 640, seed, steering });
+    const recorder = new Replay.ReplayRecorder();
+    sim.reset();
+    recorder.start(sim);
+    while (sim.gameState === 'playing' && sim.tick < 20000) {
+        const inputs = {
+            steer: Math.floor(sim.tick / 70) % 3 - 1,
+            laneChange: sim.tick % 45 === 0 ? 1 : 0,
+            steerAxis: Math.round(Math.sin(sim.tick / 40) * 20) / 20,
+            throttle: Math.floor(sim.tick / 90) % 3 - 1
+        };
+        recorder.record(sim.tick, inputs);
+        sim.step(inputs);
+    }
+    return recorder.finish(sim);
+}
+
+check('Recorder stores only input changes', () => {
+    const recorder = new Replay.ReplayRecorder();
+    recorder.start(createSim());
+    recorder.record(0, { steer: 1 });
+    recorder.record(1, { steer: 1 });
+    recorder.record(2, { steer: 0, laneChange: -1 });
+    recorder.record(3, {});
+    assert(recorder.inputs.length === 3, `${recorder.inputs.length} entries`);
+    assert(recorder.inputs[1].join() === '2,0,-1,0,0', `entry ${recorder.inputs[1]}`);
+});
+
+check('Replays re-simulate to the recorded result', () => {
+    const replay = recordRun(99);
+    const result = Replay.simulate(Replay.parse(Replay.stringify(replay)));
+    assert(result.verified, `score ${result.score} vs ${replay.score}`);
+    assert(result.collisionTick === replay.endTick, 'collision tick differs');
+});
+
+check('Free-steering replays re-simulate to the recorded result', () => {
+    const replay = recordRun(42, 'free');
+    assert(replay.steering === 'free', `steering ${replay.steering}`);
+    assert(Replay.simulate(Replay.parse(Replay.stringify(replay))).verified, 'free-steering replay did not verify');
+});
+
+check('Tampered replays fail verification', () => {
+    const replay = recordRun(5);
+    replay.score += 100;
+    assert(!Replay.simulate(replay).verified, 'inflated score verified');
+});
+
+check('Malformed replays are rejected', () => {
+    let threw = false;
+    try {
+        Replay.parse(JSON.stringify({
+            version: Replay.VERSION,
+            rules: DriverSimulation.RULES_VERSION,
+            seed: 1,
+            width: 360,
+            height: 640,
+            lanes: 3,
+            layout: 'straight',
+            steering: 'lanes',
+            endTick: 5,
+            inputs: [[3, 1]]
+        }));
+    } catch (err) {
+        threw = true;
+    }
+    assert(threw, 'short input entry accepted');
+});
+
+check('Replays on a road this build does not have are rejected', () => {
+    const replay = recordRun(5);
+    for (const layout of ['foo', 'constructor']) {
+        assert(throws(() => Replay.validate(Object.assign({}, replay, { layout })), /Unknown road layout/), `layout "${layout}" accepted`);
+    }
+    assert(!RoadLayouts.has('constructor'), 'inherited property taken for a layout');
+});
+
+check('Replays with a steering mode this build does not have are rejected', () => {
+    const replay = recordRun(5);
+    assert(throws(() => Replay.validate(Object.assign({}, replay, { steering: 'hover' })), /Unknown steering mode: hover/), 'steering "hover" accepted');
+});
+
+check('Replays need a road of whole, positive pixel size', () => {
+    const replay = recordRun(5);
+    for (const size of [{ width: 0 }, { width: -5 }, { height: 640.5 }]) {
+        assert(throws(() => Replay.validate(Object.assign({}, replay, size)), /must be a positive whole number/), `${JSON.stringify(size)} accepted`);
+    }
+});
+
+finish('simulation');
@@ -0,0 +1,221 @@
+// Offline checks for the spawn pattern generator
+// Runs thousands of seeded spawns and proves the road always stays passable.
+const DriverSimulation = require('./simulation');
+const SpawnPatterns = require('./spawn-patterns');
+const ObstacleTypes = require('./obstacle-types');
+const RoadLayouts = require('./road-layouts');
+const { check, assert, finish } = require('./test-helpers');
+
+console.log('🛣️  Endless Driver Game - Spawn Pattern Tests\n');
+
+function createSim(seed = 1, options = {}) {
+    const sim = new DriverSimulation(Object.assign({ width: 360, height: 640, seed }, options));
+    sim.reset();
+    return sim;
+}
+
+// Drive a run with a bot that follows the generator's own path search,
+// re-planning whenever a row spawns, the road speed changes (speed-ups and
+// slow motion) or a lane change is announced. A crash means the generator built something it believed was
+// passable but was not. With keys the bot steers as a keyboard player does:
+// it holds a key down for each move and lets go before the key would repeat
+// or the next move is due.
+function runPathBot(seed, ticks, setup, options, keys = false) {
+    const sim = createSim(seed, options);
+    if (setup) setup(sim);
+
+    let plan = [];
+    let lastRows = -1;
+    let lastSpeed = -1;
+    let lastChange = null;
+    let held = 0; // Direction of the key held down
+    let pressedAt = 0;
+    let closest = Infinity; // Fewest ticks between two moves
+
+    while (sim.gameState === 'playing' && sim.tick < ticks) {
+        if (sim.spawner.stats.rows !== lastRows || sim.scrollSpeed() !== lastSpeed || sim.roadChange !== lastChange) {
+            lastRows = sim.spawner.stats.rows;
+            lastSpeed = sim.scrollSpeed();
+            lastChange = sim.roadChange;
+
+            const moves = SpawnPatterns.findPath(sim);
+            if (moves === null) {
+                return { sim, trapped: true };
+            }
+            plan = moves.map(move => ({ tick: sim.tick + move.tick, direction: move.direction }));
+        }
+
+        const inputs = { steer: 0, laneChange: 0 };
+        const due = plan.length > 0 && plan[0].tick <= sim.tick;
+        if (!keys) {
+            if (due) {
+                inputs.laneChange = plan.shift().direction;
+            }
+        } else if (due && held === 0) {
+            closest = Math.min(closest, sim.tick - pressedAt);
+            held = plan.shift().direction;
+            pressedAt = sim.tick;
+        } else if (held !== 0 && (sim.tick - pressedAt >= sim.steerRepeatDelay - 1 ||
+            (plan.length > 0 && plan[0].tick <= sim.tick + 1))) {
+            held = 0;
+        }
+        inputs.steer = held;
+        sim.step(inputs);
+    }
+
+    return { sim, trapped: false, closest };
+}
+
+console.log('🧩 Formations:');
+console.log('------------------------');
+
+check('Every formation parses and fits a three-lane road', () => {
+    for (const formation of SpawnPatterns.FORMATIONS) {
+        assert(formation.width <= 3, `${formation.id} is ${formation.width} lanes wide`);
+        assert(formation.parsedRows.every(row => row.length > 0), `${formation.id} has an empty row`);
+    }
+});
+
+check('Rows parse multi-lane obstacles', () => {
+    const row = SpawnPatterns.parseRow('TT.');
+    assert(row.length === 1 && row[0].type === ObstacleTypes.get('truck') && row[0].lane === 0, JSON.stringify(row));
+});
+
+check('Tiers rise with road speed', () => {
+    assert(SpawnPatterns.tierFor(5) === 0, 'tier at start');
+    assert(SpawnPatterns.tierFor(9) === 2, 'tier at speed 9');
+    assert(SpawnPatterns.tierFor(15) === 3, 'tier at max speed');
+});
+
+check('Every formation is passable on an empty road at top speed', () => {
+    const director = new SpawnPatterns.SpawnDirector();
+    for (const formation of SpawnPatterns.FORMATIONS) {
+        const sim = createSim();
+        sim.gameSpeed = 15;
+        sim.obstacleSpawnInterval = 50;
+        const passable = [0, 1, 2].some((lane) => {
+            sim.player.lane = lane;
+            return SpawnPatterns.hasSafePath(sim, director.planRows(sim, formation, 0, 0));
+        });
+        assert(passable, `${formation.id} cannot be passed`);
+    }
+});
+
+console.log('\n🔍 Path Search:');
+console.log('------------------------');
+
+check('A full-width wall has no path', () => {
+    const sim = createSim();
+    for (let lane = 0; lane < 3; lane++) {
+        sim.spawnObstacle(ObstacleTypes.get('car'), lane);
+    }
+    assert(!SpawnPatterns.hasSafePath(sim), 'wall reported as passable');
+});
+
+check('A single gap is found and steered to', () => {
+    const sim = createSim();
+    sim.player.lane = 0;
+    sim.spawnObstacle(ObstacleTypes.get('car'), 0);
+    sim.spawnObstacle(ObstacleTypes.get('car'), 1);
+    const moves = SpawnPatterns.findPath(sim);
+    assert(moves !== null && moves.length > 0, 'no route found');
+    const finalLane = moves.reduce((lane, move) => lane + move.direction, 0);
+    assert(finalLane === 2, `route ends in lane ${finalLane}`);
+});
+
+check('A gap that is too close to reach is rejected', () => {
+    const sim = createSim();
+    sim.player.lane = 0;
+    for (const lane of [0, 1]) {
+        const car = sim.spawnObstacle(ObstacleTypes.get('car'), lane);
+        car.y = sim.player.y - car.height - 5; // Almost on top of the player
+    }
+    assert(!SpawnPatterns.hasSafePath(sim), 'unreachable gap accepted');
+});
+
+check('Steering lock from oil is respected', () => {
+    const sim = createSim();
+    sim.player.lane = 0;
+    const car = sim.spawnObstacle(ObstacleTypes.get('car'), 0);
+    car.y = sim.player.y - car.height - 150;
+    assert(SpawnPatterns.hasSafePath(sim), 'dodge not found');
+    sim.player.steeringLock = 30;
+    assert(!SpawnPatterns.hasSafePath(sim), 'dodged while steering was locked');
+});
+
+console.log('\n🎲 Seeded Spawn Runs:');
+console.log('------------------------');
+
+check('300 seeds at top speed never wall the player in', () => {
+    let rows = 0;
+    let rejected = 0;
+    for (let seed = 1; seed <= 300; seed++) {
+        const { sim, trapped } = runPathBot(seed, 2400, (s) => {
+            s.gameSpeed = 15;
+            s.obstacleSpawnInterval = 50;
+            s.nextSpawnDelay = 50;
+        });
+        assert(!trapped, `seed ${seed} trapped the player at tick ${sim.tick}`);
+        assert(sim.gameState === 'playing', `seed ${seed} crashed at tick ${sim.tick}`);
+        rows += sim.spawner.stats.rows;
+        rejected += sim.spawner.stats.rejected;
+    }
+    console.log(`  ${rows} rows spawned, ${rejected} formations rejected`);
+});
+
+check('100 seeds through the full difficulty ramp stay passable', () => {
+    const tiersSeen = new Set();
+    for (let seed = 1001; seed <= 1100; seed++) {
+        const { sim, trapped } = runPathBot(seed, 8700);
+        assert(!trapped, `seed ${seed} trapped the player at tick ${sim.tick}`);
+        assert(sim.gameState === 'playing', `seed ${seed} crashed at tick ${sim.tick}`);
+        tiersSeen.add(SpawnPatterns.tierFor(sim.gameSpeed));
+    }
+    assert(tiersSeen.has(3), 'runs never reached the top tier');
+});
+
+check('Every lane count and layout stays passable through lane changes', () => {
+    for (const layout of RoadLayouts.IDS) {
+        for (let lanes = RoadLayouts.MIN_LANES; lanes <= RoadLayouts.MAX_LANES; lanes++) {
+            for (let seed = 1; seed <= 4; seed++) {
+                const { sim, trapped } = runPathBot(seed, 4000, null, { lanes, layout });
+                const run = `${layout} ${lanes} lanes seed ${seed}`;
+                assert(!trapped, `${run} trapped the player at tick ${sim.tick}`);
+                assert(sim.gameState === 'playing', `${run} crashed at tick ${sim.tick}`);
+            }
+        }
+    }
+});
+
+check('Keyboard play follows every path at top speed', () => {
+    let closest = Infinity;
+    for (let seed = 1; seed <= 100; seed++) {
+        const result = runPathBot(seed, 2400, (s) => {
+            s.gameSpeed = 15;
+            s.obstacleSpawnInterval = 50;
+            s.nextSpawnDelay = 50;
+        }, {}, true);
+        assert(!result.trapped, `seed ${seed} trapped the player at tick ${result.sim.tick}`);
+        assert(result.sim.gameState === 'playing', `seed ${seed} crashed at tick ${result.sim.tick}`);
+        closest = Math.min(closest, result.closest);
+    }
+    // Some moves come sooner than a held key would repeat
+    assert(closest < createSim().steerRepeatDelay, `moves were at least ${closest} ticks apart`);
+});
+
+check('Lane changes are planned for before they are announced', () => {
+    const sim = createSim(1, { lanes: 4, layout: 'merging' });
+    sim.player.lane = sim.lastLane; // Lane that ends at the first section
+    sim.tick = RoadLayouts.get('merging').sectionTicks - 1;
+    const moves = SpawnPatterns.findPath(sim);
+    assert(moves !== null && moves.length > 0 && moves[0].direction === -1, JSON.stringify(moves));
+});
+
+check('Generator is deterministic per seed', () => {
+    const a = runPathBot(77, 3000).sim;
+    const b = runPathBot(77, 3000).sim;
+    assert(JSON.stringify(a.spawner.stats) === JSON.stringify(b.spawner.stats), 'stats differ');
+    assert(a.score === b.score, 'scores differ');
+});
+
+finish('spawn pattern');
@@ -0,0 +1,58 @@
+// Tests for the saved data helpers every settings module uses
+const SavedData = require('./storage');
+const { check, assert, throws, createStorage, finish } = require('./test-helpers');
+
+console.log('💾 Endless Driver Game - Saved Data Tests\n');
+
+// Collect warnings instead of printing them
+const warnings = [];
+console.warn = (...args) => warnings.push(args.join(' '));
+
+console.log('📂 Records:');
+console.log('------------------------');
+
+check('A saved record is read back', () => {
+    const storage = createStorage();
+    SavedData.save(storage, 'test', { version: 1, value: 7 }, 'Could not save:');
+    let read = null;
+    assert(SavedData.load(storage, 'test', (data) => { read = data; }, 'Unreadable:'), 'not applied');
+    assert(read.version === 1 && read.value === 7, JSON.stringify(read));
+});
+
+check('Nothing saved or no storage leaves the defaults quietly', () => {
+    warnings.length = 0;
+    const apply = () => { throw new Error('applied'); };
+    assert(!SavedData.load(createStorage(), 'test', apply, 'Unreadable:'), 'empty storage applied');
+    assert(!SavedData.load(null, 'test', apply, 'Unreadable:'), 'missing storage applied');
+    SavedData.save(null, 'test', { version: 1 }, 'Could not save:');
+    assert(warnings.length === 0, warnings.join(' | '));
+});
+
+check('Unreadable or rejected records are reported, not thrown', () => {
+    warnings.length = 0;
+    const storage = createStorage({ corrupt: '{oops', newer: JSON.stringify({ version: 9 }) });
+    const checked = data => SavedData.checkVersion(data, 1, 'test data');
+    assert(!SavedData.load(storage, 'corrupt', checked, 'Test data unreadable:'), 'corrupt data applied');
+    assert(!SavedData.load(storage, 'newer', checked, 'Test data unreadable:'), 'newer data applied');
+    assert(warnings.length === 2 && warnings[1] === 'Test data unreadable: Unsupported test data version: 9', warnings.join(' | '));
+});
+
+check('Storage that refuses access is reported, not thrown', () => {
+    warnings.length = 0;
+    const broken = {
+        getItem: () => { throw new Error('access denied'); },
+        setItem: () => { throw new Error('quota exceeded'); }
+    };
+    assert(!SavedData.load(broken, 'test', () => {}, 'Unreadable:'), 'applied');
+    SavedData.save(broken, 'test', { version: 1 }, 'Could not save:');
+    assert(warnings.join(' | ') === 'Unreadable: access denied | Could not save: quota exceeded', warnings.join(' | '));
+});
+
+check('Versions from this schema or older pass', () => {
+    assert(SavedData.checkVersion({ version: 1 }, 2, 'test data').version === 1, 'older rejected');
+    assert(throws(() => SavedData.checkVersion({ version: 3 }, 2, 'test data'), /Unsupported test data version: 3/), 'newer accepted');
+    assert(throws(() => SavedData.checkVersion({}, 2, 'test data'), /version: undefined/), 'missing version accepted');
+    assert(throws(() => SavedData.checkVersion(null, 2, 'test data'), /test data/), 'null accepted');
+});
+
+finish('saved data');
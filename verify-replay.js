@@ -0,0 +1,42 @@
+// Replay verifier: re-simulates a replay file and reports the result
+// Usage: node verify-replay.js <replay.json>
+const fs = require('fs');
+const Replay = require('./replay');
+const DriverSimulation = require('./simulation');
+
+const file = process.argv[2];
+if (!file) {
+    console.log('Usage: node verify-replay.js <replay.json>');
+    process.exit(2);
+}
+
+let replay;
+try {
+    replay = Replay.parse(fs.readFileSync(file, 'utf-8'));
+} catch (err) {
+    console.log(`✗ ${file}: ${err.message}`);
+    process.exit(2);
+}
+
+console.log('🎬 Endless Driver Game - Replay Verification\n');
+console.log(`Seed: ${replay.seed}`);
+console.log(`Road: ${replay.width}x${replay.height}`);
+console.log(`Difficulty: ${replay.preset}`);
+console.log(`Input changes: ${replay.inputs.length}`);
+
+const result = Replay.simulate(replay);
+const seconds = (result.ticks / DriverSimulation.TICK_RATE).toFixed(2);
+
+console.log('\n📋 Result:');
+console.log('------------------------');
+console.log(`Final score: ${result.score}`);
+console.log(`Ticks simulated: ${result.ticks} (${seconds}s)`);
+console.log(`Collision tick: ${result.collisionTick === null ? 'none' : result.collisionTick}`);
+
+if (result.verified) {
+    console.log(`\n✓ Replay verified: claimed score ${replay.score} matches\n`);
+    process.exit(0);
+}
+
+console.log(`\n✗ Replay mismatch: claimed score ${replay.score} at tick ${replay.endTick}\n`);
+process.exit(1);